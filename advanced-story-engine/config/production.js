@@ -15,8 +15,10 @@ module.exports = {
     },
     
     performance: {
-        enableCaching: true,
+        enableCaching: true, // Reuse AI answers to identical prompts against an unchanged world
         cacheSize: 1000,
+        cacheTtlMs: {}, // Per AI task, e.g. { worldAnalysis: 600000 }; narratives (storyGeneration) are not cached unless given one
+        cacheDirectory: null, // Also keep cached AI answers on disk, e.g. './data/cache'
         garbageCollectionThreshold: 5000,
         maxMemoryUsage: '512MB'
     },
@@ -29,9 +31,33 @@ module.exports = {
     },
     
     ai: {
+        provider: 'gemini', // 'gemini' or 'openai' (any OpenAI-compatible chat-completions server)
+        modelName: 'gemini-pro',
+        baseUrl: null, // API root for OpenAI-compatible servers, e.g. 'http://localhost:11434/v1'
         retryAttempts: 3,
         timeoutMs: 30000,
         enableFallbacks: true,
+        repromptOnInvalidOutput: true, // One retry, listing the errors, when JSON output fails validation
+        contextTokenBudget: 1500, // World-state context per prompt; the least relevant entities are left out
+        prompts: {
+            directory: null, // Prompt templates; defaults to data/prompts
+            overrides: null // A campaign directory replacing some of them, e.g. 'campaigns/grimdark/prompts'
+        },
+        backoff: {
+            baseDelayMs: 500, // First retry waits up to this long (full jitter)
+            maxDelayMs: 8000
+        },
+        circuitBreaker: {
+            failureThreshold: 5, // Consecutive failed calls before AI calls go straight to fallbacks
+            resetTimeoutMs: 60000
+        },
+        usageBudget: { // Per session; null means no limit
+            softTokens: 200000, // Log a warning once the session has used this many tokens
+            hardTokens: null, // Stop calling the model past this many tokens
+            softCalls: null,
+            hardCalls: null,
+            onExhausted: 'degraded' // Past a hard limit: 'degraded' uses fallbacks, 'offline' the offline templates
+        },
         modelSettings: {
             temperature: 0.7,
             maxTokens: 1000
@@ -1,5 +1,11 @@
+const path = require('path');
 const StoryEngine = require('../src/core/StoryEngine');
-const fs = require('fs').promises;
+const { FileStorageAdapter } = require('../src/utils/StorageAdapters');
+
+// Test worlds are kept apart from real saves, in a folder of their own so
+// listing slots never picks up the project's other JSON files
+const TEST_WORLD_DIRECTORY = path.join(process.cwd(), 'test-worlds');
+const testWorldStorage = new FileStorageAdapter({ directory: TEST_WORLD_DIRECTORY });
 
 class DevTools {
     constructor() {
@@ -9,7 +15,8 @@ class DevTools {
     async createTestWorld() {
         console.log('🔧 Creating comprehensive test world...');
         
-        this.engine = new StoryEngine('test_api_key');
+        this.engine = new StoryEngine(null, { aiOptions: { provider: 'offline' }, storage: testWorldStorage });
+        await this.engine.initialize();
         
         // Create diverse NPCs
         const testNPCs = [
@@ -128,9 +135,9 @@ class DevTools {
         this.engine.worldState.updateGlobalParameter('economicState', 10, 'Test world setup');
         
         // Save test world
-        await this.engine.saveGame('test-world.json');
+        await this.engine.saveGame('test-world');
         
-        console.log('✅ Test world created and saved to test-world.json');
+        console.log(`✅ Test world created and saved to ${path.join(TEST_WORLD_DIRECTORY, 'test-world.json')}`);
         console.log('📊 World statistics:');
         console.log(`   NPCs: ${Object.keys(this.engine.entityManager.entities.npc).length}`);
         console.log(`   Factions: ${Object.keys(this.engine.entityManager.entities.faction).length}`);
@@ -141,7 +148,7 @@ class DevTools {
     async benchmarkEngine() {
         console.log('📊 Running engine performance benchmark...');
         
-        this.engine = new StoryEngine('test_api_key');
+        this.engine = new StoryEngine(null, { aiOptions: { provider: 'offline' } });
         
         const startTime = Date.now();
         const iterations = 100;
@@ -202,8 +209,8 @@ class DevTools {
         console.log('🔍 Validating data integrity...');
         
         try {
-            this.engine = new StoryEngine('test_api_key');
-            await this.engine.loadGame('test-world.json');
+            this.engine = new StoryEngine(null, { aiOptions: { provider: 'offline' }, storage: testWorldStorage });
+            await this.engine.loadGame('test-world');
             
             const integrity = this.engine.validationSystem.validateGameStateIntegrity(this.engine.compileGameState());
             
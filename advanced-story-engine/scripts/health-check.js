@@ -1,4 +1,6 @@
 const StoryEngine = require('../src/core/StoryEngine');
+const { FileStorageAdapter } = require('../src/utils/StorageAdapters');
+const { isBackupSlot, inspectSlot } = require('../src/utils/SaveIntegrity');
 const fs = require('fs').promises;
 const { promisify } = require('util');
 const { exec } = require('child_process');
@@ -189,62 +191,52 @@ class HealthChecker {
     
     async saveFileIntegrity() {
         try {
-            const savePath = './gamestate.json';
-            const saveExists = await fs.access(savePath).then(() => true).catch(() => false);
+            const storage = new FileStorageAdapter();
+            const slots = (await storage.list()).filter(slot => !isBackupSlot(slot));
             
-            if (!saveExists) {
+            if (slots.length === 0) {
                 return {
                     status: 'warning',
-                    message: 'No save file found (new installation?)',
+                    message: `No save files found in ${storage.directory} (new installation?)`,
                     metrics: { exists: false }
                 };
             }
             
-            const stats = await fs.stat(savePath);
-            const saveData = await fs.readFile(savePath, 'utf8');
-            const parsed = JSON.parse(saveData);
+            const reports = [];
+            for (const slot of slots) {
+                reports.push(await inspectSlot(storage, slot));
+            }
             
-            const requiredSections = ['player', 'entities', 'worldState', 'meta'];
-            const missingSections = requiredSections.filter(section => !parsed[section]);
+            const damaged = reports.filter(report => !report.current.valid);
+            const unrecoverable = damaged.filter(report => !report.backups.some(backup => backup.valid));
+            const metrics = {
+                slots: slots.length,
+                verified: reports.filter(report => report.current.verified).length,
+                unverified: reports.filter(report => report.current.valid && !report.current.verified).map(report => report.slot),
+                damaged: damaged.map(report => ({ slot: report.slot, reason: report.current.reason })),
+                unrecoverable: unrecoverable.map(report => report.slot)
+            };
             
-            if (missingSections.length > 0) {
+            if (unrecoverable.length > 0) {
                 return {
                     status: 'critical',
-                    message: `Save file missing sections: ${missingSections.join(', ')}`,
-                    metrics: { 
-                        size: stats.size,
-                        lastModified: stats.mtime,
-                        missingSections
-                    }
+                    message: `Corrupted saves with no intact backup: ${metrics.unrecoverable.join(', ')}`,
+                    metrics
                 };
             }
             
-            // Check for required player properties
-            const requiredPlayerProps = ['name', 'currentLocation', 'inventory'];
-            const missingPlayerProps = requiredPlayerProps.filter(prop => !parsed.player[prop]);
-            
-            if (missingPlayerProps.length > 0) {
+            if (damaged.length > 0) {
                 return {
-                    status: 'critical',
-                    message: `Player data missing properties: ${missingPlayerProps.join(', ')}`,
-                    metrics: {
-                        size: stats.size,
-                        lastModified: stats.mtime,
-                        missingPlayerProps
-                    }
+                    status: 'warning',
+                    message: `Corrupted saves recoverable from backup: ${damaged.map(report => report.slot).join(', ')}`,
+                    metrics
                 };
             }
             
             return {
                 status: 'healthy',
-                message: `Save file verified (${(stats.size / 1024).toFixed(1)}KB)`,
-                metrics: { 
-                    size: stats.size,
-                    lastModified: stats.mtime,
-                    playerName: parsed.player.name,
-                    location: parsed.player.currentLocation,
-                    entityCount: Object.keys(parsed.entities).reduce((sum, type) => sum + Object.keys(parsed.entities[type] || {}).length, 0)
-                }
+                message: `${slots.length} save file(s) verified (${metrics.unverified.length} without checksum)`,
+                metrics
             };
             
         } catch (error) {
@@ -260,7 +252,7 @@ class HealthChecker {
     async engineFunctionality() {
         try {
             const startTime = Date.now();
-            const engine = new StoryEngine('test_api_key');
+            const engine = new StoryEngine(null, { aiOptions: { provider: 'offline' } });
             
             // Test basic functionality
             const gameState = engine.compileGameState();
@@ -4,8 +4,8 @@ async function testGameRun() {
     console.log('🚀 Starting game engine test...');
     
     try {
-        // Initialize the engine with a test API key
-        const engine = new StoryEngine('test_api_key');
+        // Initialize the engine with the offline provider so no API key is needed
+        const engine = new StoryEngine(null, { aiOptions: { provider: 'offline' } });
         
         console.log('✅ Engine initialized successfully');
         
@@ -40,7 +40,7 @@ async function testGameRun() {
         await engine.saveGame('test-save.json');
         console.log('✅ Game saved successfully');
         
-        const newEngine = new StoryEngine('test_api_key');
+        const newEngine = new StoryEngine(null, { aiOptions: { provider: 'offline' } });
         await newEngine.loadGame('test-save.json');
         console.log('✅ Game loaded successfully');
         
@@ -0,0 +1,281 @@
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * How an AI call failure should be handled.
+ *
+ * - `timeout`, `rate_limit` and `unavailable` are transient: the call is retried,
+ *   and the failure counts towards opening the circuit breaker.
+ * - `invalid_request` (a 4xx the model service rejected) and `invalid_response`
+ *   (output that could not be parsed) would fail the same way again.
+ * - `budget` is a call refused because the session's usage budget is spent.
+ * - `fatal` is anything else, including programming errors; it is never retried.
+ */
+const ERROR_CLASSES = {
+    TIMEOUT: 'timeout',
+    RATE_LIMIT: 'rate_limit',
+    UNAVAILABLE: 'unavailable',
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_RESPONSE: 'invalid_response',
+    BUDGET: 'budget',
+    FATAL: 'fatal'
+};
+
+const TRANSIENT_ERROR_CLASSES = [ERROR_CLASSES.TIMEOUT, ERROR_CLASSES.RATE_LIMIT, ERROR_CLASSES.UNAVAILABLE];
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Classifies an error thrown by an LLM provider.
+ *
+ * @param {Error} error - The error
+ * @returns {string} One of ERROR_CLASSES
+ */
+function classifyError(error) {
+    if (error.isOperational === false) {
+        return ERROR_CLASSES.FATAL;
+    }
+
+    if (error.code === 'AI_TIMEOUT') {
+        return ERROR_CLASSES.TIMEOUT;
+    }
+    if (error.code === 'INVALID_JSON') {
+        return ERROR_CLASSES.INVALID_RESPONSE;
+    }
+    if (error.code === 'AI_BUDGET_EXHAUSTED') {
+        return ERROR_CLASSES.BUDGET;
+    }
+
+    const status = error.status ?? error.response?.status;
+    if (status === 429 || /rate.?limit|quota|resource.?exhausted/i.test(error.message)) {
+        return ERROR_CLASSES.RATE_LIMIT;
+    }
+    if (status === 408 || status >= 500) {
+        return ERROR_CLASSES.UNAVAILABLE;
+    }
+    if (status >= 400) {
+        return ERROR_CLASSES.INVALID_REQUEST;
+    }
+
+    const code = error.code || error.cause?.code;
+    if (NETWORK_ERROR_CODES.includes(code)) {
+        return ERROR_CLASSES.UNAVAILABLE;
+    }
+
+    return ERROR_CLASSES.FATAL;
+}
+
+/**
+ * Runs AI calls with a per-attempt timeout, retries transient failures with
+ * exponential backoff and full jitter, and trips a circuit breaker after
+ * repeated transient failures so callers fall back without waiting.
+ *
+ * @class AICallPolicy
+ */
+class AICallPolicy {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.retryAttempts=3] - Attempts per call, including the first
+     * @param {number} [options.timeoutMs=30000] - Timeout per attempt
+     * @param {number} [options.baseDelayMs=500] - Backoff before the first retry
+     * @param {number} [options.maxDelayMs=8000] - Longest backoff between retries
+     * @param {number} [options.failureThreshold=5] - Consecutive failed calls that open the circuit
+     * @param {number} [options.resetTimeoutMs=60000] - How long the circuit stays open before a trial call
+     * @param {Function} [options.random=Math.random] - Jitter source
+     * @param {Function} [options.now=Date.now] - Clock
+     * @param {Function} [options.sleep] - Waits the given number of milliseconds
+     */
+    constructor(options = {}) {
+        this.retryAttempts = Math.max(1, options.retryAttempts ?? 3);
+        this.timeoutMs = options.timeoutMs ?? 30000;
+        this.baseDelayMs = options.baseDelayMs ?? 500;
+        this.maxDelayMs = options.maxDelayMs ?? 8000;
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.resetTimeoutMs = options.resetTimeoutMs ?? 60000;
+        this.random = options.random || Math.random;
+        this.now = options.now || Date.now;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+        this._closeCircuit();
+    }
+
+    /**
+     * Runs an operation under the policy.
+     *
+     * Each attempt gets its own AbortSignal, aborted when the attempt times out
+     * or the caller's `signal` is aborted, so the operation should hand it to the
+     * provider. An attempt that succeeds keeps following the caller's signal,
+     * e.g. for a stream that is still being read.
+     *
+     * @param {Function} operation - Called once per attempt with the attempt's
+     *   AbortSignal; returns a promise for the result
+     * @param {string} [label='AI call'] - Name for logs and errors
+     * @param {Object} [options] - Call options
+     * @param {AbortSignal} [options.signal] - Cancels the call; no further attempts are made
+     * @returns {Promise<*>} The operation's result
+     * @throws {AppError} If the circuit is open (503, code `CIRCUIT_OPEN`)
+     * @throws {Error} The last error, if every attempt failed, the error is not
+     *   retryable or the call was cancelled; it carries the attempt count and `errorClass`
+     */
+    async execute(operation, label = 'AI call', options = {}) {
+        const { signal } = options;
+        this._checkCircuit(label);
+
+        for (let attempt = 1; ; attempt++) {
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            signal?.addEventListener('abort', abort, { once: true });
+            if (signal?.aborted) {
+                controller.abort();
+            }
+
+            try {
+                const result = await this._withTimeout(operation(controller.signal), label, controller);
+                this._recordSuccess();
+                return result;
+            } catch (error) {
+                signal?.removeEventListener('abort', abort);
+                const errorClass = classifyError(error);
+                const transient = TRANSIENT_ERROR_CLASSES.includes(errorClass);
+
+                if (!transient || attempt >= this.retryAttempts || signal?.aborted) {
+                    if (transient) {
+                        this._recordFailure(label);
+                    } else if (errorClass !== ERROR_CLASSES.FATAL && errorClass !== ERROR_CLASSES.BUDGET) {
+                        // The service answered, it just did not like the request
+                        this._recordSuccess();
+                    } else {
+                        this.circuit.trialInFlight = false;
+                    }
+                    error.errorClass = errorClass;
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt, error);
+                logger.warn(`${label} failed (${errorClass}), retrying in ${delay}ms`, {
+                    attempt,
+                    retryAttempts: this.retryAttempts,
+                    error: error.message
+                });
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Backoff before the next attempt: a random delay up to `baseDelayMs * 2^(attempt-1)`,
+     * capped at `maxDelayMs`. A server-provided `retryAfterMs` is honored as a minimum.
+     *
+     * @param {number} attempt - The attempt that just failed (1-based)
+     * @param {Error} [error] - The error it failed with
+     * @returns {number} Milliseconds to wait
+     */
+    getBackoffDelay(attempt, error = {}) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        const delay = Math.round(this.random() * ceiling);
+
+        return Math.max(delay, error.retryAfterMs || 0);
+    }
+
+    /**
+     * @returns {{state: string, consecutiveFailures: number, openedAt: (string|null)}} Circuit breaker status
+     */
+    getStatus() {
+        return {
+            state: this._currentState(),
+            consecutiveFailures: this.circuit.consecutiveFailures,
+            openedAt: this.circuit.openedAt ? new Date(this.circuit.openedAt).toISOString() : null
+        };
+    }
+
+    _currentState() {
+        if (this.circuit.state === CIRCUIT_STATES.OPEN && this.now() - this.circuit.openedAt >= this.resetTimeoutMs) {
+            return CIRCUIT_STATES.HALF_OPEN;
+        }
+        return this.circuit.state;
+    }
+
+    _checkCircuit(label) {
+        if (this._currentState() === CIRCUIT_STATES.HALF_OPEN) {
+            this.circuit.state = CIRCUIT_STATES.HALF_OPEN;
+        }
+
+        // While half-open, exactly one trial call goes through; the rest are rejected until it settles
+        const blocked = this.circuit.state === CIRCUIT_STATES.OPEN ||
+            (this.circuit.state === CIRCUIT_STATES.HALF_OPEN && this.circuit.trialInFlight);
+        if (blocked) {
+            const error = new AppError(`${label} skipped: the AI service is unavailable (circuit breaker open)`, 503);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
+        if (this.circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+            this.circuit.trialInFlight = true;
+        }
+    }
+
+    _closeCircuit() {
+        this.circuit = {
+            state: CIRCUIT_STATES.CLOSED,
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialInFlight: false
+        };
+    }
+
+    _recordSuccess() {
+        if (this.circuit.state !== CIRCUIT_STATES.CLOSED) {
+            logger.info('AI service recovered; circuit breaker closed');
+        }
+        this._closeCircuit();
+    }
+
+    _recordFailure(label) {
+        this.circuit.consecutiveFailures++;
+
+        const trialFailed = this.circuit.state === CIRCUIT_STATES.HALF_OPEN;
+        if (trialFailed || this.circuit.consecutiveFailures >= this.failureThreshold) {
+            this.circuit.state = CIRCUIT_STATES.OPEN;
+            this.circuit.openedAt = this.now();
+            this.circuit.trialInFlight = false;
+            logger.error(`Circuit breaker opened after ${label} failed`, {
+                consecutiveFailures: this.circuit.consecutiveFailures,
+                resetTimeoutMs: this.resetTimeoutMs
+            });
+        }
+    }
+
+    // Rejects once the attempt runs out of time, aborting it so the provider
+    // request stops instead of running on in the background
+    _withTimeout(promise, label, controller) {
+        if (!this.timeoutMs) {
+            return promise;
+        }
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new AppError(`${label} timed out after ${this.timeoutMs}ms`, 504);
+                error.code = 'AI_TIMEOUT';
+                reject(error);
+                controller.abort();
+            }, this.timeoutMs);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = {
+    AICallPolicy,
+    ERROR_CLASSES,
+    CIRCUIT_STATES,
+    classifyError
+};
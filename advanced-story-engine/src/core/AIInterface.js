@@ -1,9 +1,97 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMProvider, CassetteProvider, createProvider } = require('./LLMProviders');
+const { AICallPolicy, classifyError } = require('./AICallPolicy');
+const { ContextAssembler } = require('./ContextAssembler');
+const { PromptLibrary } = require('./PromptLibrary');
+const { UsageMeter, budgetExhaustedError } = require('./UsageMeter');
+const { ResponseCache } = require('./ResponseCache');
+const { AI_TASKS } = require('../utils/Constants');
+const ResponseSchemas = require('../utils/ResponseSchemas');
+const { parseJSONText, validate, formatErrors, invalidOutputError } = require('../utils/SchemaValidator');
+const { describeChoice } = require('../utils/ChoiceParser');
+const { formatTemporal } = require('../utils/Calendar');
+const { describeSkillCheck } = require('../systems/SkillCheckSystem');
+const { describeForeshadowing, describeTriggeredConsequences } = require('../systems/ConsequenceScheduler');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const FALLBACK_NARRATIVE = 'The fabric of reality seems to waver as mystical forces interfere with the flow of time and space... (Error in narrative generation)';
 
 class AIInterface {
-    constructor(apiKey) {
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-pro" });
+    /**
+     * @param {string} apiKey - The API key for the AI provider
+     * @param {Object} [options] - Configuration options
+     * @param {string|LLMProvider} [options.provider='gemini'] - A provider name
+     *   (`'gemini'`, `'openai'` or `'offline'`) or a ready-made provider instance
+     * @param {string} [options.modelName] - The model to use
+     * @param {string} [options.baseUrl] - API root for OpenAI-compatible servers
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.maxOutputTokens] - Maximum tokens per response
+     * @param {number|string} [options.seed] - Seed for the offline provider. It is also the
+     *   session's `seed` for the engine's own randomness, which defaults to the seed a
+     *   replayed cassette was recorded with, or else the current time.
+     * @param {Object} [options.cassette] - Record every prompt/response pair to a
+     *   cassette file, or replay them from one: `{ mode: 'record'|'replay', path }`
+     * @param {number} [options.retryAttempts=3] - Attempts per AI call
+     * @param {number} [options.timeoutMs=30000] - Timeout per attempt
+     * @param {boolean} [options.enableFallbacks=true] - Return canned results when a call
+     *   fails; when false the failure is thrown as a 503 AppError
+     * @param {Object} [options.callPolicy] - Further AICallPolicy options (backoff, circuit breaker)
+     * @param {boolean} [options.repromptOnInvalid=false] - When structured output fails schema
+     *   validation and cannot be repaired, ask the model once more, listing the errors
+     * @param {number} [options.contextTokenBudget=1500] - Tokens the world-state context
+     *   in story and analysis prompts may use (see ContextAssembler)
+     * @param {Object|PromptLibrary} [options.prompts] - Where prompt templates come from:
+     *   `{ directory, overrides }` (see PromptLibrary) or a loaded library
+     * @param {Object} [options.usageBudget] - Per-session limits on model usage: `softTokens`,
+     *   `hardTokens`, `softCalls` and `hardCalls` (see UsageMeter), and `onExhausted`, what
+     *   happens past a hard limit: `'degraded'` (the default) uses the fallbacks,
+     *   `'offline'` switches to the offline provider
+     * @param {Object|ResponseCache} [options.responseCache] - Reuse answers to identical
+     *   prompts: ResponseCache options (`maxEntries`, `ttlMs` per task, `directory`) or a
+     *   cache. Off by default, and always off with a cassette, which must see every prompt.
+     * @throws {AppError} If a prompt template cannot be loaded or uses unknown variables
+     */
+    constructor(apiKey, options = {}) {
+        const {
+            cassette,
+            retryAttempts,
+            timeoutMs,
+            enableFallbacks = true,
+            callPolicy = {},
+            repromptOnInvalid = false,
+            contextTokenBudget,
+            prompts = {},
+            usageBudget = {},
+            responseCache,
+            ...providerOptions
+        } = options;
+        
+        let provider = null;
+        if (cassette?.mode !== 'replay') {
+            provider = providerOptions.provider instanceof LLMProvider
+                ? providerOptions.provider
+                : createProvider(apiKey, providerOptions);
+        }
+        this.seed = providerOptions.seed ??
+            (cassette?.mode === 'replay' ? CassetteProvider.readSeed(cassette.path) : null) ??
+            Date.now();
+        this.provider = cassette ? new CassetteProvider(provider, { ...cassette, seed: this.seed }) : provider;
+        this.callPolicy = callPolicy instanceof AICallPolicy
+            ? callPolicy
+            : new AICallPolicy({ retryAttempts, timeoutMs, ...callPolicy });
+        this.enableFallbacks = enableFallbacks;
+        this.repromptOnInvalid = repromptOnInvalid;
+        this.contextAssembler = new ContextAssembler({ tokenBudget: contextTokenBudget });
+        this.promptLibrary = prompts instanceof PromptLibrary ? prompts : new PromptLibrary(prompts);
+        this.fallbacks = [];
+        this.usageMeter = new UsageMeter(usageBudget);
+        this.onBudgetExhausted = usageBudget.onExhausted || 'degraded';
+        this.offlineSeed = providerOptions.seed;
+        this.budgetProvider = null;
+        this.responseCache = null;
+        if (responseCache && !cassette) {
+            this.responseCache = responseCache instanceof ResponseCache ? responseCache : new ResponseCache(responseCache);
+        }
         
         this.prompts = {
             entityDetection: this.buildEntityDetectionPrompt.bind(this),
@@ -14,389 +102,513 @@ class AIInterface {
     }
     
     async detectEntities(playerInput, narrative, worldState) {
-        try {
-            const prompt = this.prompts.entityDetection(playerInput, narrative, worldState);
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response.text();
-            
-            return this.parseEntityDetectionResponse(response);
-        } catch (error) {
-            console.error('Entity detection error:', error);
-            return { entities: {}, relationships: [], worldUpdates: {} };
-        }
+        const context = this.createContext(AI_TASKS.ENTITY_DETECTION, { playerInput, narrative, gameState: worldState });
+        const prompt = this.prompts.entityDetection(playerInput, narrative, worldState);
+        
+        return this.callCached(
+            context,
+            prompt,
+            signal => this.requestStructured(prompt, { ...context, signal }),
+            { entities: {}, relationships: [], worldUpdates: {} }
+        );
     }
     
-    async generateStory(playerInput, worldState) {
+    /**
+     * Asks the model to narrate the player's action.
+     * 
+     * @param {string} playerInput - The player's action
+     * @param {Object} worldState - The compiled game state
+     * @param {Object} [options] - Story options
+     * @param {Object} [options.skillCheck] - The action's skill check (see
+     *   `SkillCheckSystem.attempt`), whose outcome the narrative must honor
+     * @param {Object[]} [options.triggeredConsequences] - Delayed consequences that
+     *   came due this turn (see `ConsequenceScheduler.collectDue`), for the narrative to show
+     * @returns {Promise<string>} The narrative, ending with its CHOICES
+     */
+    async generateStory(playerInput, worldState, options = {}) {
+        const { skillCheck = null, triggeredConsequences = [] } = options;
+        const context = this.createContext(AI_TASKS.STORY_GENERATION, {
+            playerInput,
+            gameState: worldState,
+            skillCheck,
+            triggeredConsequences
+        });
+        const prompt = this.prompts.storyGeneration(playerInput, worldState, skillCheck, triggeredConsequences);
+        
+        return this.callCached(context, prompt, signal => this.requestText(prompt, { ...context, signal }), FALLBACK_NARRATIVE);
+    }
+    
+    /**
+     * Streaming variant of `generateStory`: yields the narrative as the model
+     * writes it. The call policy (timeout, retries, circuit breaker) covers the
+     * wait for the first chunk; a failure after that ends the stream early and is
+     * recorded as a fallback. If nothing arrives, the fallback narrative is yielded.
+     * 
+     * Stopping iteration early (`break`, or `return()` on the iterator) closes the
+     * provider's stream. A cached narrative, if story generation is cached, is
+     * yielded as a single chunk; only streams that run to completion are cached.
+     * 
+     * @param {string} playerInput - The player's input
+     * @param {Object} worldState - The compiled game state
+     * @param {Object} [options] - Stream options
+     * @param {AbortSignal} [options.signal] - Aborts the provider request; the stream
+     *   then ends quietly, without a fallback
+     * @param {Object} [options.skillCheck] - The action's skill check, as for `generateStory`
+     * @param {Object[]} [options.triggeredConsequences] - As for `generateStory`
+     * @yields {string} Narrative chunks, in order
+     */
+    async *streamStory(playerInput, worldState, options = {}) {
+        const { signal, skillCheck = null, triggeredConsequences = [] } = options;
+        const context = this.createContext(AI_TASKS.STORY_GENERATION, {
+            playerInput,
+            gameState: worldState,
+            skillCheck,
+            triggeredConsequences,
+            signal
+        });
+        const prompt = this.prompts.storyGeneration(playerInput, worldState, skillCheck, triggeredConsequences);
+        
+        const cacheKey = this.cacheKeyFor(context, prompt);
+        const cached = cacheKey && await this.responseCache.get(cacheKey);
+        if (cached) {
+            yield cached;
+            return;
+        }
+        const cacheable = cacheKey && !this.usageMeter.isExhausted();
+        
+        let stream;
         try {
-            const prompt = this.prompts.storyGeneration(playerInput, worldState);
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response.text();
-            return response;
+            stream = await this.callPolicy.execute(async attemptSignal => {
+                const iterator = this.requestStream(prompt, { ...context, signal: attemptSignal });
+                return { iterator, first: await iterator.next() };
+            }, context.task, { signal });
         } catch (error) {
-            console.error('Story generation error:', error);
-            return "The fabric of reality seems to waver as mystical forces interfere with the flow of time and space... (Error in narrative generation)";
+            if (!signal?.aborted) {
+                yield this.handleFailure(context, error, FALLBACK_NARRATIVE);
+            }
+            return;
         }
-    }
-    
-    async analyzeConsequences(playerInput, choice, worldState) {
+        
+        const { iterator } = stream;
+        let narrative = '';
         try {
-            const prompt = this.prompts.consequenceAnalysis(playerInput, choice, worldState);
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response.text();
-            
-            return this.parseConsequenceResponse(response);
+            for (let next = stream.first; !next.done; next = await iterator.next()) {
+                narrative += next.value;
+                yield next.value;
+            }
         } catch (error) {
-            console.error('Consequence analysis error:', error);
-            return { consequences: {}, impacts: [] };
+            if (!signal?.aborted) {
+                this.handleFailure(context, error, null);
+            }
+            return;
+        } finally {
+            await iterator.return?.();
+        }
+        
+        if (cacheable && !signal?.aborted) {
+            await this.responseCache.set(cacheKey, context.task, narrative);
         }
     }
     
-    buildEntityDetectionPrompt(playerInput, narrative, worldState) {
-        const existingEntities = {
-            npcs: Object.keys(worldState.entities.npcs || {}),
-            factions: Object.keys(worldState.entities.factions || {}),
-            locations: Object.keys(worldState.entities.locations || {}),
-            items: Object.keys(worldState.entities.items || {}),
-            events: worldState.worldState.events.current.map(e => e.name) || []
-        };
+    /**
+     * Asks the model what the player's action changes.
+     * 
+     * @param {string} playerInput - The player's action
+     * @param {string|Object} choice - The action as a string, or the numbered choice
+     *   the player picked (see `parseStory`), whose skill and risk go into the prompt
+     * @param {Object} worldState - The compiled game state
+     * @returns {Promise<Object>} `consequences` and `impacts`
+     */
+    async analyzeConsequences(playerInput, choice, worldState) {
+        const selectedChoice = typeof choice === 'object' && choice !== null ? choice : null;
+        const choiceText = selectedChoice ? describeChoice(selectedChoice) : choice;
+        const context = this.createContext(AI_TASKS.CONSEQUENCE_ANALYSIS, {
+            playerInput,
+            choice: choiceText,
+            selectedChoice,
+            gameState: worldState
+        });
+        const prompt = this.prompts.consequenceAnalysis(playerInput, choiceText, worldState);
         
-        return `Analyze this interaction for sophisticated entity creation and relationship dynamics.
-
-PLAYER ACTION: "${playerInput}"
-NARRATIVE CONTEXT: "${narrative}"
-
-EXISTING WORLD STATE:
-${JSON.stringify(existingEntities, null, 2)}
+        return this.callCached(
+            context,
+            prompt,
+            signal => this.requestStructured(prompt, { ...context, signal }),
+            { consequences: {}, impacts: [] }
+        );
+    }
 
-CURRENT WORLD PARAMETERS:
-- Global Tension: ${worldState.worldState.globalParameters.tension}/100
-- Political Stability: ${worldState.worldState.globalParameters.politicalStability}/100
-- Current Location: ${worldState.player.currentLocation}
-- Active Events: ${worldState.worldState.events.current.length}
+    /**
+     * Asks the model for trends, likely conflicts, opportunities and warnings in
+     * the current world.
+     *
+     * @param {Object} worldState - The compiled game state
+     * @returns {Promise<Object>} `trends`, `conflicts`, `opportunities` and `warnings`
+     */
+    async analyzeWorld(worldState) {
+        const context = this.createContext(AI_TASKS.WORLD_ANALYSIS, { gameState: worldState });
+        const prompt = this.prompts.worldAnalysis(worldState);
 
-DETECTION REQUIREMENTS:
-- Only detect entities that are explicitly mentioned or clearly implied
-- Ensure logical consistency with existing world state
-- Consider geographical and political relationships
-- Account for power dynamics and social hierarchies
-- Validate against current world parameters
+        return this.callCached(
+            context,
+            prompt,
+            signal => this.requestStructured(prompt, { ...context, signal }),
+            { trends: [], conflicts: [], opportunities: [], warnings: [] }
+        );
+    }
 
-Return ONLY valid JSON:
-{
-  "entities": {
-    "npcs": [
-      {
-        "id": "unique_id",
-        "name": "Display Name",
-        "occupation": "role/job",
-        "location": "current_location",
-        "traits": ["trait1", "trait2"],
-        "age": 30,
-        "importance": "low/medium/high",
-        "relationship_to_player": "neutral/positive/negative",
-        "goals": ["goal1"],
-        "secrets": ["secret1"],
-        "backstory": "brief background"
-      }
-    ],
-    "factions": [
-      {
-        "id": "faction_id",
-        "name": "Faction Name",
-        "type": "political/military/religious/criminal/merchant",
-        "influence": 40,
-        "territory": ["location1"],
-        "goals": ["primary_goal"],
-        "allies": ["ally_faction"],
-        "enemies": ["enemy_faction"],
-        "leadership": ["leader_npc_id"]
-      }
-    ],
-    "locations": [
-      {
-        "id": "location_id",
-        "name": "Location Name",
-        "type": "settlement/wilderness/structure/landmark",
-        "safety": 70,
-        "population": 100,
-        "controlledBy": "faction_id",
-        "connectedTo": ["other_location"],
-        "resources": ["resource1"],
-        "description": "detailed description"
-      }
-    ],
-    "items": [
-      {
-        "id": "item_id",
-        "name": "Item Name",
-        "type": "weapon/armor/tool/treasure/consumable",
-        "value": 50,
-        "rarity": "common/uncommon/rare/legendary",
-        "properties": ["magical", "heavy"],
-        "location": "where_found"
-      }
-    ],
-    "events": [
-      {
-        "id": "event_id",
-        "name": "Event Name",
-        "type": "political/social/natural/magical",
-        "scope": "local/regional/global",
-        "duration": "ongoing/temporary",
-        "consequences": ["effect1"]
-      }
-    ]
-  },
-  "relationships": [
-    {
-      "entity1": "id1",
-      "entity2": "id2", 
-      "type": "ally/enemy/neutral/subordinate",
-      "strength": 50,
-      "reason": "why they have this relationship"
+    /**
+     * Builds the request context passed to providers: the task, what the prompt
+     * was built from, and the version of the prompt template used.
+     * 
+     * @param {string} task - One of AI_TASKS
+     * @param {Object} details - `playerInput`, `gameState` and so on
+     * @returns {Object} The context
+     */
+    createContext(task, details) {
+        return { task, promptVersion: this.promptLibrary.getTemplateVersion(task), ...details };
     }
-  ],
-  "worldUpdates": {
-    "tension": 0,
-    "politicalStability": 0,
-    "economicState": 0,
-    "magicalActivity": 0,
-    "rumors": ["new_rumor"],
-    "news": ["news_item"]
-  }
-}`;
+    
+    /**
+     * Asks the provider for JSON and validates it against the task's response
+     * schema, repairing what can be repaired. If the output is still invalid and
+     * `repromptOnInvalid` is set, the model gets one more try with the errors.
+     * 
+     * @param {string} prompt - The prompt
+     * @param {Object} context - The request context; `task` selects the schema
+     * @returns {Promise<Object>} The validated, coerced response
+     * @throws {AppError} If the output stays invalid (code `INVALID_JSON`, with `validationErrors`)
+     */
+    async requestStructured(prompt, context) {
+        const schema = ResponseSchemas[context.task];
+        let result = this.checkStructuredOutput(await this.requestText(prompt, context), schema, context.task);
+        
+        if (!result.valid && this.repromptOnInvalid) {
+            logger.warn(`AI ${context.task} output was invalid; asking again`, { errors: result.errors });
+            const repairPrompt = this.buildRepairPrompt(prompt, result.errors);
+            result = this.checkStructuredOutput(
+                await this.requestText(repairPrompt, { ...context, repair: true }),
+                schema,
+                context.task
+            );
+        }
+        
+        if (!result.valid) {
+            throw invalidOutputError(
+                `${context.task} output failed validation:\n${formatErrors(result.errors.slice(0, 5))}`,
+                result.errors
+            );
+        }
+        return result.value;
     }
     
-    buildStoryGenerationPrompt(playerInput, worldState) {
-        return `You are an advanced AI storyteller managing a complex, dynamic narrative world. Create immersive responses that reflect the sophisticated relationship dynamics and world state.
-
-COMPREHENSIVE WORLD STATE:
-${JSON.stringify(this.compileWorldStateForPrompt(worldState), null, 2)}
-
-ADVANCED STORYTELLING DIRECTIVES:
-- Maintain narrative consistency with established facts, relationships, and world events
-- Reference specific relationship metrics (trust, fear, respect, love) naturally in character interactions
-- Consider faction politics, territorial control, and economic factors in your narrative
-- Account for time of day, weather, season, and current world tension in scene setting
-- Build on established character goals, secrets, and backstories
-- Reflect player reputation and skill levels in how NPCs react and what options are available
-- Introduce new entities only when narratively justified and logically consistent
-- Consider the cumulative impact of recent player choices on the world state
-
-DYNAMIC WORLD BUILDING GUIDELINES:
-- New NPCs should have logical occupations, relationships, and motivations
-- New factions should fit the established political landscape
-- New locations should connect geographically and politically to existing areas
-- New events should emerge from existing tensions and character goals
-- Maintain cause-and-effect relationships between player actions and world changes
-
-PLAYER INPUT: "${playerInput}"
-
-Generate a sophisticated narrative response (200-350 words) that:
-1. Acknowledges the player's action with appropriate NPC/faction reactions based on relationship metrics
-2. Incorporates relevant world state elements (tension, political situation, current events)
-3. Advances character goals and ongoing narrative arcs
-4. Reflects the consequences of previous choices
-5. Provides 3-4 meaningful choice options that could significantly impact relationships, world events, or story progression
-
-Each choice should indicate potential consequences and require different skill sets or approaches.
-
-Format:
-[RICH NARRATIVE DESCRIPTION]
-
-CHOICES:
-1. [Skill-based or relationship-dependent option]
-2. [Political/faction-oriented option] 
-3. [Personal/character development option]
-4. [Risk/reward or moral dilemma option]`;
+    /**
+     * Makes one model call, recording it in the usage meter.
+     * 
+     * @param {string} prompt - The prompt
+     * @param {Object} context - The request context
+     * @returns {Promise<string>} The generated text
+     * @throws {AppError} If the usage budget is spent (code `AI_BUDGET_EXHAUSTED`),
+     *   or whatever the provider throws
+     */
+    async requestText(prompt, context) {
+        const provider = this.selectProvider();
+        if (provider === this.budgetProvider) {
+            return provider.generateText(prompt, context);
+        }
+        
+        const startedAt = Date.now();
+        let usage = null;
+        let response = '';
+        let failed = true;
+        try {
+            response = await provider.generateText(prompt, { ...context, onUsage: reported => { usage = reported; } });
+            failed = false;
+            return response;
+        } finally {
+            this.usageMeter.record({ task: context.task, prompt, response, usage, latencyMs: Date.now() - startedAt, failed });
+        }
     }
     
-    buildConsequenceAnalysisPrompt(playerInput, choice, worldState) {
-        return `Analyze the consequences of this player choice in the context of the current world state.
-
-PLAYER INPUT: "${playerInput}"
-CHOSEN ACTION: "${choice}"
-
-CURRENT WORLD STATE:
-${JSON.stringify(this.compileWorldStateForPrompt(worldState), null, 2)}
-
-Analyze the potential consequences across multiple dimensions:
-
-Return ONLY valid JSON:
-{
-  "consequences": {
-    "immediate": {
-      "npcReactions": {
-        "npc_id": {
-          "trust": 0,
-          "fear": 0,
-          "respect": 0,
-          "love": 0,
-          "mood": "new_mood"
+    /**
+     * Streaming variant of `requestText`. The call is recorded when the stream
+     * ends, whether it completed, failed or was closed early.
+     * 
+     * @param {string} prompt - The prompt
+     * @param {Object} context - The request context
+     * @yields {string} Text chunks, in order
+     * @throws {AppError} If the usage budget is spent, or whatever the provider throws
+     */
+    async *requestStream(prompt, context) {
+        const provider = this.selectProvider();
+        if (provider === this.budgetProvider) {
+            yield* provider.streamText(prompt, context);
+            return;
+        }
+        
+        const startedAt = Date.now();
+        let usage = null;
+        let response = '';
+        let failed = false;
+        try {
+            for await (const chunk of provider.streamText(prompt, { ...context, onUsage: reported => { usage = reported; } })) {
+                response += chunk;
+                yield chunk;
+            }
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            this.usageMeter.record({ task: context.task, prompt, response, usage, latencyMs: Date.now() - startedAt, failed });
+        }
+    }
+    
+    /**
+     * The provider for the next call. Once the hard usage budget is spent, calls
+     * are refused so callers use their fallbacks, or go to the offline provider
+     * when `usageBudget.onExhausted` is `'offline'`.
+     * 
+     * @returns {LLMProvider} The provider
+     * @throws {AppError} If the budget is spent and calls are refused (code `AI_BUDGET_EXHAUSTED`)
+     */
+    selectProvider() {
+        if (!this.usageMeter.isExhausted()) {
+            return this.provider;
         }
-      },
-      "factionStandings": {
-        "faction_id": 5
-      },
-      "playerEffects": {
-        "health": 0,
-        "reputation": {
-          "heroic": 0,
-          "villainous": 0
-        },
-        "skills": {
-          "combat": 0
+        if (this.onBudgetExhausted !== 'offline') {
+            throw budgetExhaustedError();
         }
-      }
-    },
-    "worldEffects": {
-      "tension": 0,
-      "politicalStability": 0,
-      "economicState": 0,
-      "magicalActivity": 0
-    },
-    "longTerm": {
-      "newEvents": ["event_id"],
-      "changedRelationships": [
-        {
-          "entity1": "id1",
-          "entity2": "id2",
-          "newRelationship": "ally"
+        
+        if (!this.budgetProvider) {
+            logger.warn('AI usage budget spent; using the offline provider for the rest of the session');
+            this.budgetProvider = createProvider(null, { provider: 'offline', seed: this.offlineSeed });
         }
-      ],
-      "rumors": ["rumor_text"],
-      "futureOpportunities": ["opportunity_text"]
+        return this.budgetProvider;
     }
-  },
-  "riskAssessment": {
-    "severity": "low/medium/high",
-    "domains": ["political", "social", "personal"],
-    "mitigationOptions": ["option1"]
-  }
-}`;
+    
+    /**
+     * Parses and validates one structured response.
+     * 
+     * @param {string} text - The raw model output
+     * @param {Object} schema - The response schema
+     * @param {string} task - The task, for logging
+     * @returns {{valid: boolean, value: Object, errors: Object[]}} The validation result
+     */
+    checkStructuredOutput(text, schema, task) {
+        let parsed;
+        try {
+            parsed = parseJSONText(text);
+        } catch (error) {
+            if (error.code !== 'INVALID_JSON') {
+                throw error;
+            }
+            return { valid: false, value: null, errors: [{ path: '(root)', message: error.message }] };
+        }
+        
+        const result = validate(parsed.value, schema);
+        const repairs = [...parsed.repairs, ...result.repairs.map(repair => `${repair.path}: ${repair.message}`)];
+        if (repairs.length > 0) {
+            logger.debug(`Repaired AI ${task} output`, { repairs });
+        }
+        return result;
     }
     
-    buildWorldAnalysisPrompt(worldState) {
-        return `Analyze the current world state and provide insights about ongoing trends, potential conflicts, and emerging opportunities.
-
-WORLD STATE:
-${JSON.stringify(this.compileWorldStateForPrompt(worldState), null, 2)}
-
-Provide analysis in JSON format:
-{
-  "trends": [
-    {
-      "type": "political/social/economic/magical",
-      "description": "trend description",
-      "direction": "rising/falling/stable",
-      "significance": "low/medium/high"
+    /**
+     * `callProvider` for a single prompt, answered from the response cache when
+     * the same prompt was answered before. Fallbacks are not cached, and neither
+     * are answers given after the usage budget ran out.
+     * 
+     * @param {Object} context - The request context
+     * @param {string} prompt - The prompt the operation sends
+     * @param {Function} operation - Makes one attempt at the call, given the
+     *   attempt's AbortSignal (see `AICallPolicy.execute`)
+     * @param {*} fallback - The result to use if the call fails
+     * @returns {Promise<*>} The cached result, the call result or the fallback
+     */
+    async callCached(context, prompt, operation, fallback) {
+        const cacheKey = this.cacheKeyFor(context, prompt);
+        if (!cacheKey) {
+            return this.callProvider(context, operation, fallback);
+        }
+        
+        const cached = await this.responseCache.get(cacheKey);
+        if (cached !== undefined) {
+            logger.debug(`AI ${context.task} answered from cache`, { promptVersion: context.promptVersion });
+            return cached;
+        }
+        
+        const cacheable = !this.usageMeter.isExhausted();
+        const result = await this.callProvider(context, operation, fallback);
+        if (cacheable && result !== fallback) {
+            await this.responseCache.set(cacheKey, context.task, result);
+        }
+        return result;
     }
-  ],
-  "conflicts": [
-    {
-      "parties": ["entity1", "entity2"],
-      "type": "political/territorial/ideological",
-      "likelihood": "low/medium/high",
-      "impact": "local/regional/global"
+    
+    /**
+     * @param {Object} context - The request context
+     * @param {string} prompt - The prompt
+     * @returns {string|null} The response cache key, or null if the task is not cached
+     */
+    cacheKeyFor(context, prompt) {
+        if (!this.responseCache?.caches(context.task)) {
+            return null;
+        }
+        
+        return this.responseCache.keyFor(context, prompt, {
+            provider: this.provider.name,
+            modelName: this.provider.modelName,
+            temperature: this.provider.temperature,
+            maxOutputTokens: this.provider.maxOutputTokens
+        });
     }
-  ],
-  "opportunities": [
-    {
-      "type": "diplomatic/economic/magical/adventure",
-      "description": "opportunity description",
-      "requirements": ["requirement1"],
-      "rewards": ["reward1"]
+    
+    /**
+     * Runs a provider call under the call policy. When it fails, the fallback is
+     * returned and recorded for `drainFallbacks`, unless fallbacks are disabled.
+     * Programming errors, such as a cassette miss during replay, are always thrown.
+     * 
+     * @param {Object} context - The request context; `task` names the call
+     * @param {Function} operation - Makes one attempt at the call, given the
+     *   attempt's AbortSignal (see `AICallPolicy.execute`)
+     * @param {*} fallback - The result to use if the call fails
+     * @returns {Promise<*>} The call result or the fallback
+     * @throws {AppError} If the call fails and fallbacks are disabled
+     */
+    async callProvider(context, operation, fallback) {
+        logger.debug(`AI ${context.task} call`, { promptVersion: context.promptVersion });
+        try {
+            return await this.callPolicy.execute(operation, context.task);
+        } catch (error) {
+            return this.handleFailure(context, error, fallback);
+        }
     }
-  ],
-  "warnings": [
-    {
-      "concern": "concern description",
-      "severity": "low/medium/high",
-      "timeframe": "immediate/short/long"
+    
+    /**
+     * Decides what a failed call turns into: the fallback, recorded for
+     * `drainFallbacks`, or a thrown error.
+     * 
+     * @param {Object} context - The request context
+     * @param {Error} error - The failure
+     * @param {*} fallback - The result to use instead
+     * @returns {*} The fallback
+     * @throws {Error} Programming errors as they are; anything else as a 503
+     *   AppError when fallbacks are disabled
+     */
+    handleFailure(context, error, fallback) {
+        if (error.isOperational === false) {
+            throw error;
+        }
+        if (!this.enableFallbacks) {
+            throw new AppError(`AI ${context.task} failed: ${error.message}`, 503);
+        }
+        
+        logger.warn(`AI ${context.task} failed; using fallback`, {
+            errorClass: error.errorClass || classifyError(error),
+            attempts: error.attempts,
+            promptVersion: context.promptVersion,
+            error: error.message
+        });
+        this.fallbacks.push({
+            task: context.task,
+            errorClass: error.errorClass || classifyError(error),
+            promptVersion: context.promptVersion,
+            reason: error.message,
+            timestamp: new Date().toISOString()
+        });
+        
+        return fallback;
     }
-  ]
-}`;
+    
+    /**
+     * Returns and clears the fallbacks used since the last call, so a turn can
+     * report which of its AI calls were degraded.
+     * 
+     * @returns {Object[]} Fallback records: `task`, `errorClass`, `promptVersion`, `reason`, `timestamp`
+     */
+    drainFallbacks() {
+        return this.fallbacks.splice(0);
     }
     
-    compileWorldStateForPrompt(worldState) {
+    /**
+     * @returns {Object} Provider name, prompt template version, call-policy (circuit breaker)
+     *   status, model usage (see `UsageMeter.getReport`) and response cache statistics
+     */
+    getStatus() {
         return {
-            player: {
-                name: worldState.player.name,
-                level: worldState.player.level,
-                location: worldState.player.currentLocation,
-                health: worldState.player.health,
-                reputation: worldState.player.reputation,
-                skills: worldState.player.skills,
-                recentChoices: worldState.player.choiceHistory?.slice(-3) || []
-            },
-            worldParameters: worldState.worldState.globalParameters,
-            timeContext: worldState.worldState.temporal,
-            entities: {
-                knownNPCs: Object.fromEntries(
-                    Object.entries(worldState.entities?.npcs || {})
-                        .filter(([_, npc]) => npc.met)
-                        .map(([id, npc]) => [id, {
-                            name: npc.name,
-                            occupation: npc.occupation,
-                            location: npc.location,
-                            trust: npc.trust,
-                            fear: npc.fear,
-                            respect: npc.respect,
-                            love: npc.love,
-                            mood: npc.mood,
-                            importance: npc.importance
-                        }])
-                ),
-                activeFactions: Object.fromEntries(
-                    Object.entries(worldState.entities?.factions || {}).map(([id, faction]) => [id, {
-                        name: faction.name,
-                        type: faction.type,
-                        influence: faction.influence,
-                        attitude: faction.attitude,
-                        territory: faction.territory
-                    }])
-                ),
-                knownLocations: Object.fromEntries(
-                    Object.entries(worldState.entities?.locations || {})
-                        .filter(([_, loc]) => loc.visited)
-                        .map(([id, loc]) => [id, {
-                            name: loc.name,
-                            type: loc.type,
-                            safety: loc.safety,
-                            controlledBy: loc.controlledBy
-                        }])
-                )
-            },
-            currentEvents: worldState.worldState.events.current,
-            playerStandings: worldState.relationships?.playerStandings || {},
-            recentRumors: worldState.worldState.information.rumorMill.slice(-3)
+            provider: this.provider.name,
+            promptVersion: this.promptLibrary.versionId,
+            circuitBreaker: this.callPolicy.getStatus(),
+            fallbacksEnabled: this.enableFallbacks,
+            usage: this.usageMeter.getReport(),
+            cache: this.responseCache ? this.responseCache.getStats() : null
         };
     }
     
-    parseEntityDetectionResponse(response) {
-        try {
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-        } catch (error) {
-            console.error('Failed to parse entity detection response:', error);
-        }
+    buildEntityDetectionPrompt(playerInput, narrative, worldState) {
+        const existingEntities = {
+            npcs: Object.keys(worldState.entities.npcs || {}),
+            factions: Object.keys(worldState.entities.factions || {}),
+            locations: Object.keys(worldState.entities.locations || {}),
+            items: Object.keys(worldState.entities.items || {}),
+            events: worldState.worldState.events.current.map(e => e.name) || []
+        };
         
-        return { entities: {}, relationships: [], worldUpdates: {} };
+        return this.promptLibrary.render(AI_TASKS.ENTITY_DETECTION, {
+            playerInput,
+            narrative,
+            existingEntities: JSON.stringify(existingEntities, null, 2),
+            tension: worldState.worldState.globalParameters.globalTension,
+            politicalStability: worldState.worldState.globalParameters.politicalStability,
+            currentLocation: worldState.player.currentLocation,
+            activeEventCount: worldState.worldState.events.current.length
+        });
     }
     
-    parseConsequenceResponse(response) {
-        try {
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-        } catch (error) {
-            console.error('Failed to parse consequence response:', error);
-        }
-        
-        return { consequences: {}, riskAssessment: {} };
+    buildRepairPrompt(prompt, errors) {
+        return `${prompt}
+
+YOUR PREVIOUS RESPONSE COULD NOT BE USED:
+${formatErrors(errors)}
+
+Return ONLY the corrected JSON, with the same structure as requested above.`;
+    }
+    
+    buildStoryGenerationPrompt(playerInput, worldState, skillCheck = null, triggeredConsequences = []) {
+        return this.promptLibrary.render(AI_TASKS.STORY_GENERATION, {
+            playerInput,
+            skillCheck: describeSkillCheck(skillCheck),
+            triggeredConsequences: describeTriggeredConsequences(triggeredConsequences),
+            foreshadowing: describeForeshadowing(worldState.storyContext?.foreshadowing),
+            currentTime: formatTemporal(worldState.worldState?.temporal) || 'Unknown',
+            worldState: JSON.stringify(this.compileWorldStateForPrompt(worldState, playerInput))
+        });
+    }
+    
+    buildConsequenceAnalysisPrompt(playerInput, choice, worldState) {
+        return this.promptLibrary.render(AI_TASKS.CONSEQUENCE_ANALYSIS, {
+            playerInput,
+            choice,
+            worldState: JSON.stringify(this.compileWorldStateForPrompt(worldState, playerInput))
+        });
+    }
+    
+    buildWorldAnalysisPrompt(worldState) {
+        return this.promptLibrary.render(AI_TASKS.WORLD_ANALYSIS, {
+            worldState: JSON.stringify(this.compileWorldStateForPrompt(worldState))
+        });
+    }
+    
+    /**
+     * The world-state context for story and analysis prompts: the entities most
+     * relevant to the player's input, within the context token budget.
+     * 
+     * @param {Object} worldState - The compiled game state
+     * @param {string} [playerInput] - The input the prompt is about
+     * @returns {Object} The prompt context
+     */
+    compileWorldStateForPrompt(worldState, playerInput) {
+        return this.contextAssembler.assemble(worldState, { playerInput }).context;
     }
 }
 
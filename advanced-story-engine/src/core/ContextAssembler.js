@@ -0,0 +1,234 @@
+const logger = require('../utils/logger');
+
+// Roughly four characters per token for English text and JSON; close enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Relevance weights. An entity the player names outranks everything else; being
+// where the player is comes next, then a recent mention, a strong relationship
+// and recent activity.
+const RELEVANCE = {
+    MENTIONED: 100,
+    AT_CURRENT_LOCATION: 50,
+    IN_RECENT_CHOICES: 25,
+    MAX_RELATIONSHIP: 30,
+    MAX_RECENCY: 20
+};
+
+const IGNORED_TERMS = new Set(['the', 'and', 'of', 'unknown']);
+
+/**
+ * Estimates how many tokens a text will use.
+ *
+ * @param {string} text - The text
+ * @returns {number} The estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function wordsOf(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Builds the world-state context sent with prompts, within a token budget.
+ *
+ * The player, world parameters, time and recent rumors are always included.
+ * Met NPCs, factions, visited locations and current events are ranked by
+ * relevance to the player's input and added, most relevant first, while they fit.
+ *
+ * @class ContextAssembler
+ */
+class ContextAssembler {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.tokenBudget=1500] - Tokens the context may use
+     */
+    constructor(options = {}) {
+        this.tokenBudget = options.tokenBudget ?? 1500;
+    }
+
+    /**
+     * Assembles the prompt context for a compiled game state.
+     *
+     * @param {Object} gameState - The compiled game state
+     * @param {Object} [options] - Assembly options
+     * @param {string} [options.playerInput=''] - The input the prompt is about
+     * @param {number} [options.tokenBudget] - Overrides the configured budget
+     * @returns {{context: Object, report: Object}} The context, and a report with the
+     *   `tokenBudget`, `usedTokens`, and the `included` and `dropped` entities (`type:id`)
+     */
+    assemble(gameState, options = {}) {
+        const { playerInput = '', tokenBudget = this.tokenBudget } = options;
+        const worldState = gameState.worldState;
+        const context = {
+            player: {
+                name: gameState.player.name,
+                level: gameState.player.level,
+                location: gameState.player.currentLocation,
+                health: gameState.player.health,
+                reputation: gameState.player.reputation,
+                skills: gameState.player.skills,
+                recentChoices: gameState.player.choiceHistory?.slice(-3) || []
+            },
+            worldParameters: worldState.globalParameters,
+            timeContext: worldState.temporal,
+            entities: {
+                knownNPCs: {},
+                activeFactions: {},
+                knownLocations: {}
+            },
+            currentEvents: [],
+            playerStandings: {},
+            // What is said, not how true it is: accuracy is rolled at random and is the game's to know
+            recentRumors: worldState.information.rumorMill.slice(-3).map(({ content, spread }) => ({ content, spread }))
+        };
+
+        const report = { tokenBudget, usedTokens: estimateTokens(JSON.stringify(context)), included: [], dropped: [] };
+        const candidates = this._rankCandidates(gameState, playerInput);
+
+        for (const candidate of candidates) {
+            const standing = gameState.relationships?.playerStandings?.[candidate.id];
+            const tokens = estimateTokens(JSON.stringify({ [candidate.id]: candidate.summary })) +
+                (standing ? estimateTokens(JSON.stringify({ [candidate.id]: standing })) : 0);
+
+            if (report.usedTokens + tokens > tokenBudget) {
+                report.dropped.push(`${candidate.type}:${candidate.id}`);
+                continue;
+            }
+
+            if (candidate.collection) {
+                context.entities[candidate.collection][candidate.id] = candidate.summary;
+            } else {
+                context.currentEvents.push(candidate.summary);
+            }
+            if (standing) {
+                context.playerStandings[candidate.id] = standing;
+            }
+            report.usedTokens += tokens;
+            report.included.push(`${candidate.type}:${candidate.id}`);
+        }
+
+        if (report.dropped.length > 0) {
+            logger.info('Prompt context trimmed to fit the token budget', report);
+        }
+
+        return { context, report };
+    }
+
+    /**
+     * Lists the entities that may go into the context, most relevant first.
+     *
+     * @private
+     * @param {Object} gameState - The compiled game state
+     * @param {string} playerInput - The input the prompt is about
+     * @returns {Object[]} Candidates: `type`, `id`, `collection`, `summary`, `score`
+     */
+    _rankCandidates(gameState, playerInput) {
+        const entities = gameState.entities || {};
+        const currentLocation = gameState.player.currentLocation;
+        const candidates = [];
+
+        Object.entries(entities.npcs || {}).filter(([, npc]) => npc.met).forEach(([id, npc]) => {
+            candidates.push({
+                type: 'npc',
+                id,
+                collection: 'knownNPCs',
+                entity: npc,
+                terms: [id, npc.name, npc.occupation],
+                here: npc.location === currentLocation,
+                summary: {
+                    name: npc.name,
+                    occupation: npc.occupation,
+                    location: npc.location,
+                    trust: npc.trust,
+                    fear: npc.fear,
+                    respect: npc.respect,
+                    love: npc.love,
+                    mood: npc.mood,
+                    importance: npc.importance
+                }
+            });
+        });
+
+        Object.entries(entities.factions || {}).forEach(([id, faction]) => {
+            candidates.push({
+                type: 'faction',
+                id,
+                collection: 'activeFactions',
+                entity: faction,
+                terms: [id, faction.name],
+                here: (faction.territory || []).includes(currentLocation),
+                summary: {
+                    name: faction.name,
+                    type: faction.type,
+                    influence: faction.influence,
+                    attitude: faction.attitude,
+                    territory: faction.territory
+                }
+            });
+        });
+
+        Object.entries(entities.locations || {}).filter(([, location]) => location.visited).forEach(([id, location]) => {
+            candidates.push({
+                type: 'location',
+                id,
+                collection: 'knownLocations',
+                entity: location,
+                terms: [id, location.name],
+                here: id === currentLocation,
+                summary: {
+                    name: location.name,
+                    type: location.type,
+                    safety: location.safety,
+                    controlledBy: location.controlledBy
+                }
+            });
+        });
+
+        (gameState.worldState.events.current || []).forEach((event, index) => {
+            candidates.push({
+                type: 'event',
+                id: event.id || `current_${index}`,
+                collection: null,
+                entity: event,
+                terms: [event.id, event.name],
+                here: event.location === currentLocation,
+                summary: event
+            });
+        });
+
+        const inputWords = new Set(wordsOf(playerInput));
+        const recentWords = new Set(wordsOf(
+            (gameState.player.choiceHistory || []).slice(-3).map(entry => entry.choice).join(' ')
+        ));
+        const newestFirst = [...candidates].sort((a, b) => this._lastActive(b) - this._lastActive(a));
+
+        for (const candidate of candidates) {
+            const terms = candidate.terms.flatMap(wordsOf).filter(term => term.length > 2 && !IGNORED_TERMS.has(term));
+            const standing = gameState.relationships?.playerStandings?.[candidate.id]?.value || 0;
+            const feeling = candidate.type === 'npc'
+                ? Math.abs((candidate.entity.trust ?? 50) - 50) + (candidate.entity.fear ?? 0) / 2
+                : 0;
+
+            candidate.score =
+                (terms.some(term => inputWords.has(term)) ? RELEVANCE.MENTIONED : 0) +
+                (candidate.here ? RELEVANCE.AT_CURRENT_LOCATION : 0) +
+                (terms.some(term => recentWords.has(term)) ? RELEVANCE.IN_RECENT_CHOICES : 0) +
+                Math.min(RELEVANCE.MAX_RELATIONSHIP, Math.abs(standing) + feeling) +
+                Math.max(0, RELEVANCE.MAX_RECENCY - 2 * newestFirst.indexOf(candidate));
+        }
+
+        return candidates.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    }
+
+    _lastActive(candidate) {
+        const { entity } = candidate;
+        return Date.parse(entity.lastSeen || entity.lastModified || entity.startTime || 0) || 0;
+    }
+}
+
+module.exports = {
+    ContextAssembler,
+    estimateTokens
+};
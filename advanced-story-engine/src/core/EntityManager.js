@@ -25,26 +25,7 @@ class EntityManager {
             throw new Error(`Entity ${id} of type ${type} already exists`);
         }
         
-        let entity;
-        switch (type) {
-            case ENTITY_TYPES.NPC:
-                entity = new NPC(id, data);
-                break;
-            case ENTITY_TYPES.FACTION:
-                entity = new Faction(id, data);
-                break;
-            case ENTITY_TYPES.LOCATION:
-                entity = new Location(id, data);
-                break;
-            case ENTITY_TYPES.ITEM:
-                entity = new Item(id, data);
-                break;
-            case ENTITY_TYPES.EVENT:
-                entity = new GameEvent(id, data);
-                break;
-            default:
-                throw new Error(`Unknown entity type: ${type}`);
-        }
+        const entity = this.instantiateEntity(type, id, data);
         
         this.entities[type][id] = entity;
         this.creationHistory[type].push({
@@ -56,6 +37,23 @@ class EntityManager {
         return entity;
     }
     
+    instantiateEntity(type, id, data) {
+        switch (type) {
+            case ENTITY_TYPES.NPC:
+                return new NPC(id, data);
+            case ENTITY_TYPES.FACTION:
+                return new Faction(id, data);
+            case ENTITY_TYPES.LOCATION:
+                return new Location(id, data);
+            case ENTITY_TYPES.ITEM:
+                return new Item(id, data);
+            case ENTITY_TYPES.EVENT:
+                return new GameEvent(id, data);
+            default:
+                throw new Error(`Unknown entity type: ${type}`);
+        }
+    }
+    
     getEntity(type, id) {
         return this.entities[type][id] || null;
     }
@@ -195,8 +193,24 @@ class EntityManager {
     }
     
     importEntities(data) {
-        this.entities = data.entities || this.entities;
-        this.creationHistory = data.creationHistory || this.creationHistory;
+        if (data.entities) {
+            // Rebuild class instances so imported entities keep their methods,
+            // then copy every saved field back so defaults never overwrite saved values
+            const entities = {};
+            for (const type of Object.values(ENTITY_TYPES)) {
+                entities[type] = {};
+                for (const [id, entityData] of Object.entries(data.entities[type] || {})) {
+                    entities[type][id] = Object.assign(this.instantiateEntity(type, id, entityData), entityData);
+                }
+            }
+            this.entities = entities;
+        }
+        
+        if (data.creationHistory) {
+            this.creationHistory = Object.fromEntries(
+                Object.values(ENTITY_TYPES).map(type => [type, data.creationHistory[type] || []])
+            );
+        }
     }
 }
 
@@ -0,0 +1,570 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { readFileSync } = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OfflineStoryteller = require('../systems/OfflineStoryteller');
+const { AI_TASKS } = require('../utils/Constants');
+const { SeededRandom, hashSeed } = require('../utils/Random');
+const { parseJSONText, invalidOutputError } = require('../utils/SchemaValidator');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_OUTPUT_TOKENS = 1000;
+
+/**
+ * Extracts the first JSON object from model output, ignoring surrounding prose
+ * and Markdown code fences (see SchemaValidator.parseJSONText).
+ *
+ * @param {string} text - The raw model output
+ * @returns {Object} The parsed object
+ * @throws {AppError} If the text contains no parsable JSON object
+ */
+function extractJSON(text) {
+    return parseJSONText(text).value;
+}
+
+/**
+ * Base class for the language-model backends used by the AIInterface.
+ * Subclasses implement `generateText`; `generateJSON` is built on top of it.
+ *
+ * @class LLMProvider
+ * @abstract
+ */
+class LLMProvider {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.modelName] - The model to use
+     * @param {number} [options.temperature=0.7] - Sampling temperature
+     * @param {number} [options.maxOutputTokens=1000] - Maximum tokens per response
+     */
+    constructor(options = {}) {
+        this.modelName = options.modelName;
+        this.temperature = options.temperature ?? DEFAULT_TEMPERATURE;
+        this.maxOutputTokens = options.maxOutputTokens ?? DEFAULT_MAX_OUTPUT_TOKENS;
+    }
+
+    /**
+     * A short identifier for logs and status reports.
+     *
+     * @returns {string} The provider name
+     */
+    get name() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Generates free text for a prompt.
+     *
+     * @param {string} prompt - The prompt
+     * @param {Object} [context] - What the prompt was built from: `task` (one of
+     *   AI_TASKS), `playerInput` and `gameState`. Remote models only need the prompt.
+     *   Backends whose service reports token usage pass it to `context.onUsage`,
+     *   if set, as `{ promptTokens, completionTokens }`. Remote backends stop the
+     *   request when `context.signal`, an AbortSignal, is aborted.
+     * @returns {Promise<string>} The generated text
+     */
+    async generateText() {
+        throw new AppError(`${this.constructor.name} does not implement generateText()`, 500, false);
+    }
+
+    /**
+     * Generates a JSON object for a prompt that asks for JSON output.
+     *
+     * @param {string} prompt - The prompt
+     * @param {Object} [context] - See `generateText`
+     * @returns {Promise<Object>} The parsed object
+     * @throws {AppError} If the response is not valid JSON
+     */
+    async generateJSON(prompt, context) {
+        return extractJSON(await this.generateText(prompt, context));
+    }
+
+    /**
+     * Generates free text as it is produced. Backends that cannot stream yield
+     * the whole response as a single chunk.
+     *
+     * @param {string} prompt - The prompt
+     * @param {Object} [context] - See `generateText`; an aborted `signal` also
+     *   ends the stream
+     * @yields {string} Text chunks, in order
+     */
+    async *streamText(prompt, context) {
+        yield await this.generateText(prompt, context);
+    }
+}
+
+/**
+ * Google Gemini backend.
+ *
+ * @class GeminiProvider
+ * @extends LLMProvider
+ */
+class GeminiProvider extends LLMProvider {
+    /**
+     * @param {string} apiKey - The Gemini API key
+     * @param {Object} [options] - See LLMProvider; `modelName` defaults to `'gemini-pro'`
+     */
+    constructor(apiKey, options = {}) {
+        super({ modelName: 'gemini-pro', ...options });
+
+        this.genAI = new GoogleGenerativeAI(apiKey);
+        this.model = this.genAI.getGenerativeModel({
+            model: this.modelName,
+            generationConfig: {
+                temperature: this.temperature,
+                maxOutputTokens: this.maxOutputTokens
+            }
+        });
+    }
+
+    get name() {
+        return 'gemini';
+    }
+
+    async generateText(prompt, context = {}) {
+        const result = await this.model.generateContent(prompt, { signal: context.signal });
+
+        const usage = result.response.usageMetadata;
+        if (usage) {
+            context.onUsage?.({ promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount });
+        }
+        return result.response.text();
+    }
+
+    async *streamText(prompt, context = {}) {
+        const { signal } = context;
+        const result = await this.model.generateContentStream(prompt, { signal });
+        for await (const chunk of result.stream) {
+            if (signal?.aborted) {
+                return;
+            }
+            const text = chunk.text();
+            if (text) {
+                yield text;
+            }
+        }
+    }
+}
+
+/**
+ * Backend for any server implementing the OpenAI chat-completions API
+ * (OpenAI itself, and local model servers that mimic it).
+ *
+ * @class OpenAICompatibleProvider
+ * @extends LLMProvider
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {string} [apiKey] - Sent as a bearer token when set; local servers often need none
+     * @param {Object} [options] - See LLMProvider, plus:
+     * @param {string} [options.baseUrl='https://api.openai.com/v1'] - The API root; `/chat/completions` is appended
+     * @param {string} [options.modelName='gpt-4o-mini'] - The model to use
+     * @param {Function} [options.fetch=globalThis.fetch] - The fetch implementation;
+     *   needed on Node versions without a global `fetch` (before 18)
+     */
+    constructor(apiKey, options = {}) {
+        super({ modelName: 'gpt-4o-mini', ...options });
+
+        this.apiKey = apiKey;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.fetch = options.fetch || globalThis.fetch;
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    async generateText(prompt, context = {}) {
+        const response = await this._request(prompt, { signal: context.signal });
+
+        const data = await response.json();
+        if (data.usage) {
+            context.onUsage?.({ promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens });
+        }
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw invalidOutputError('LLM response did not include a message');
+        }
+
+        return content;
+    }
+
+    async *streamText(prompt, context = {}) {
+        const response = await this._request(prompt, { stream: true, signal: context.signal });
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        // Server-sent events: one `data: {...}` line per delta, ending with `data: [DONE]`
+        for await (const bytes of response.body) {
+            buffered += decoder.decode(bytes, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim().replace(/^data:\s*/, '');
+                if (!line.trim().startsWith('data:') || data === '[DONE]') {
+                    continue;
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (error) {
+                    throw invalidOutputError(`LLM stream contained an invalid event: ${error.message}`);
+                }
+                // Servers that report usage on streams send it with the last event
+                if (event.usage) {
+                    context.onUsage?.({ promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens });
+                }
+                const text = event.choices?.[0]?.delta?.content;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    }
+
+    /**
+     * Posts a chat-completions request.
+     *
+     * @private
+     * @param {string} prompt - The prompt
+     * @param {Object} [options] - `stream` to request server-sent events, `signal` to abort
+     * @returns {Promise<Response>} The successful response
+     * @throws {AppError} If no fetch implementation is available, or the server
+     *   answers with an error status; `status` and `retryAfterMs` are set for the call policy
+     */
+    async _request(prompt, { stream = false, signal } = {}) {
+        if (typeof this.fetch !== 'function') {
+            throw new AppError('The openai provider needs fetch: use Node 18 or later, or pass the `fetch` option', 500, false);
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: this.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: this.temperature,
+                max_tokens: this.maxOutputTokens,
+                ...(stream && { stream: true })
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new AppError(`LLM request failed with status ${response.status}: ${body.slice(0, 200)}`, 502);
+            error.status = response.status;
+
+            const retryAfter = Number(response.headers.get('retry-after'));
+            if (retryAfter > 0) {
+                error.retryAfterMs = retryAfter * 1000;
+            }
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+const OFFLINE_GENERATORS = {
+    [AI_TASKS.ENTITY_DETECTION]: (rng, context) => JSON.stringify(OfflineStoryteller.detectEntities(rng, context)),
+    [AI_TASKS.STORY_GENERATION]: OfflineStoryteller.composeNarrative,
+    [AI_TASKS.CONSEQUENCE_ANALYSIS]: (rng, context) => JSON.stringify(OfflineStoryteller.analyzeConsequences(rng, context)),
+    [AI_TASKS.WORLD_ANALYSIS]: (rng, context) => JSON.stringify(OfflineStoryteller.analyzeWorld(rng, context))
+};
+
+/**
+ * Network-free backend that writes narratives and analysis JSON from templates
+ * and the game state in the request context. Output depends only on the seed,
+ * the task, the player's input and the world, so runs are reproducible.
+ *
+ * @class OfflineProvider
+ * @extends LLMProvider
+ */
+class OfflineProvider extends LLMProvider {
+    /**
+     * @param {string} [apiKey] - Ignored
+     * @param {Object} [options] - See LLMProvider, plus:
+     * @param {number|string} [options.seed='offline'] - Seed for template choices
+     */
+    constructor(apiKey, options = {}) {
+        super({ modelName: 'offline-templates', ...options });
+
+        this.seed = options.seed ?? 'offline';
+    }
+
+    get name() {
+        return 'offline';
+    }
+
+    async generateText(prompt, context = {}) {
+        const generate = OFFLINE_GENERATORS[context.task] || OfflineStoryteller.composeNarrative;
+        const rng = new SeededRandom(hashSeed(
+            this.seed,
+            context.task,
+            context.playerInput,
+            context.gameState?.meta?.choiceCount
+        ));
+
+        return generate(rng, context);
+    }
+
+    async *streamText(prompt, context) {
+        const text = await this.generateText(prompt, context);
+        // Word by word, so streaming consumers see the same shape as from a remote model
+        for (const chunk of text.match(/\S+\s*/g) || []) {
+            yield chunk;
+        }
+    }
+}
+
+const CASSETTE_FORMAT_VERSION = 1;
+
+/**
+ * Hashes a prompt for cassette lookup. Wall-clock timestamps (ISO strings and
+ * epoch milliseconds such as session ids) are masked first, so a replayed
+ * session matches its recording even though it runs at a different time.
+ *
+ * @param {string} prompt - The prompt
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashPrompt(prompt) {
+    const normalized = String(prompt)
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+        .replace(/\b\d{13}\b/g, '<epoch>');
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Records prompt/response pairs to a cassette file, or replays them from one.
+ * Wraps another provider when recording; needs none when replaying.
+ *
+ * Replay serves responses by prompt hash. A prompt that was recorded several
+ * times gets its responses in recorded order, then the last one again. An
+ * unrecorded prompt is a non-operational AppError, which AIInterface does not
+ * swallow into a fallback, so a diverging replay fails loudly.
+ *
+ * A cassette also keeps the session's seed, so the engine's own randomness
+ * (skill-check dice) can be replayed along with the model.
+ *
+ * @class CassetteProvider
+ * @extends LLMProvider
+ */
+class CassetteProvider extends LLMProvider {
+    /**
+     * @param {LLMProvider|null} provider - The provider to record; ignored when replaying
+     * @param {Object} options - Cassette options
+     * @param {string} options.mode - `'record'` or `'replay'`
+     * @param {string} options.path - The cassette file
+     * @param {number|string} [options.seed] - The session's seed, saved with a recording
+     * @throws {AppError} If the mode is unknown, or recording without a provider
+     */
+    constructor(provider, options = {}) {
+        super();
+
+        if (!['record', 'replay'].includes(options.mode)) {
+            throw new AppError(`Unknown cassette mode '${options.mode}'. Use 'record' or 'replay'`, 400);
+        }
+        if (!options.path) {
+            throw new AppError('A cassette path is required', 400);
+        }
+        if (options.mode === 'record' && !provider) {
+            throw new AppError('Recording a cassette requires a provider to record', 400);
+        }
+
+        this.provider = options.mode === 'record' ? provider : null;
+        this.mode = options.mode;
+        this.path = options.path;
+        this.seed = options.seed ?? null;
+        this.interactions = [];
+        this.replayQueues = null;
+    }
+
+    get name() {
+        return this.mode === 'record' ? `${this.provider.name} (recording)` : 'replay';
+    }
+
+    /**
+     * Reads the seed a cassette was recorded with. Read eagerly, unlike the
+     * interactions, because the engine needs it before the first turn.
+     *
+     * @param {string} cassettePath - The cassette file
+     * @returns {number|string|null} The seed, or null if the cassette has none or cannot be read
+     */
+    static readSeed(cassettePath) {
+        try {
+            return JSON.parse(readFileSync(cassettePath, 'utf8')).seed ?? null;
+        } catch (error) {
+            return null; // the first replayed call reports the unreadable cassette
+        }
+    }
+
+    async generateText(prompt, context = {}) {
+        const hash = hashPrompt(prompt);
+
+        if (this.mode === 'replay') {
+            return this._replay(hash, context.task);
+        }
+
+        const response = await this.provider.generateText(prompt, context);
+        await this._record(hash, prompt, response, context);
+
+        return response;
+    }
+
+    async *streamText(prompt, context = {}) {
+        if (this.mode === 'replay') {
+            yield await this.generateText(prompt, context);
+            return;
+        }
+
+        // Only streams that run to completion are recorded
+        const chunks = [];
+        for await (const chunk of this.provider.streamText(prompt, context)) {
+            chunks.push(chunk);
+            yield chunk;
+        }
+        await this._record(hashPrompt(prompt), prompt, chunks.join(''), context);
+    }
+
+    /**
+     * Adds an interaction and saves the cassette.
+     *
+     * @private
+     * @param {string} hash - The prompt hash
+     * @param {string} prompt - The prompt
+     * @param {string} response - The full response
+     * @param {Object} context - The request context; its `task` and `promptVersion` are kept
+     * @returns {Promise<void>}
+     */
+    async _record(hash, prompt, response, context) {
+        this.interactions.push({
+            hash,
+            task: context.task || null,
+            promptVersion: context.promptVersion || null,
+            prompt,
+            response
+        });
+        await this._save();
+    }
+
+    /**
+     * Serves a recorded response.
+     *
+     * @private
+     * @param {string} hash - The prompt hash
+     * @param {string} [task] - The prompt builder, for the error message
+     * @returns {Promise<string>} The recorded response
+     * @throws {AppError} If the prompt was never recorded
+     */
+    async _replay(hash, task) {
+        if (!this.replayQueues) {
+            await this._load();
+        }
+
+        const queue = this.replayQueues.get(hash);
+        if (!queue) {
+            throw new AppError(
+                `Cassette ${this.path} has no recording for ${task || 'this'} prompt (hash ${hash.slice(0, 12)})`,
+                500,
+                false
+            );
+        }
+
+        return queue.length > 1 ? queue.shift() : queue[0];
+    }
+
+    /**
+     * Reads the cassette and groups its responses by prompt hash.
+     *
+     * @private
+     * @returns {Promise<void>}
+     * @throws {AppError} If the cassette cannot be read
+     */
+    async _load() {
+        let cassette;
+        try {
+            cassette = JSON.parse(await fs.readFile(this.path, 'utf8'));
+        } catch (error) {
+            throw new AppError(`Failed to read cassette ${this.path}: ${error.message}`, 500, false);
+        }
+
+        this.replayQueues = new Map();
+        for (const interaction of cassette.interactions || []) {
+            if (!this.replayQueues.has(interaction.hash)) {
+                this.replayQueues.set(interaction.hash, []);
+            }
+            this.replayQueues.get(interaction.hash).push(interaction.response);
+        }
+
+        logger.info(`Loaded cassette ${this.path}`, { interactions: cassette.interactions?.length || 0 });
+    }
+
+    /**
+     * Writes every interaction recorded so far, so a crashed session still leaves a cassette.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _save() {
+        const cassette = {
+            version: CASSETTE_FORMAT_VERSION,
+            provider: this.provider.name,
+            recordedAt: new Date().toISOString(),
+            seed: this.seed,
+            interactions: this.interactions
+        };
+
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, JSON.stringify(cassette, null, 2), 'utf8');
+    }
+}
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    offline: OfflineProvider
+};
+
+/**
+ * Creates the provider selected by `options.provider`.
+ *
+ * @param {string} apiKey - The API key for the provider
+ * @param {Object} [options] - Provider options (see the provider classes)
+ * @param {string} [options.provider='gemini'] - One of `'gemini'`, `'openai'` or `'offline'`
+ * @returns {LLMProvider} The provider
+ * @throws {AppError} If the provider name is unknown
+ */
+function createProvider(apiKey, options = {}) {
+    const { provider = 'gemini', ...providerOptions } = options;
+    const Provider = PROVIDERS[provider];
+
+    if (!Provider) {
+        throw new AppError(`Unknown AI provider '${provider}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`, 400);
+    }
+
+    logger.info('Creating AI provider', { provider, modelName: providerOptions.modelName });
+    return new Provider(apiKey, providerOptions);
+}
+
+module.exports = {
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    OfflineProvider,
+    CassetteProvider,
+    PROVIDERS,
+    createProvider,
+    extractJSON,
+    hashPrompt
+};
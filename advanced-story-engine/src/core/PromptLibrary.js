@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { AI_TASKS } = require('../utils/Constants');
+const { AppError } = require('../utils/errorHandler');
+
+const DEFAULT_PROMPT_DIRECTORY = path.join(__dirname, '../../data/prompts');
+const MANIFEST_FILE = 'prompts.json';
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * The variables the engine supplies to each template. Required variables must
+ * appear in the template; the others may be left out.
+ */
+const TEMPLATE_VARIABLES = {
+    [AI_TASKS.ENTITY_DETECTION]: {
+        required: ['playerInput'],
+        optional: ['narrative', 'existingEntities', 'tension', 'politicalStability', 'currentLocation', 'activeEventCount']
+    },
+    [AI_TASKS.STORY_GENERATION]: {
+        required: ['playerInput', 'worldState'],
+        optional: ['skillCheck', 'triggeredConsequences', 'foreshadowing', 'currentTime']
+    },
+    [AI_TASKS.CONSEQUENCE_ANALYSIS]: {
+        required: ['choice', 'worldState'],
+        optional: ['playerInput']
+    },
+    [AI_TASKS.WORLD_ANALYSIS]: {
+        required: ['worldState'],
+        optional: []
+    }
+};
+
+function readManifest(directory) {
+    const manifestPath = path.join(directory, MANIFEST_FILE);
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new AppError(`Failed to read prompt manifest ${manifestPath}: ${error.message}`, 400);
+    }
+
+    if (!manifest.id || !manifest.version) {
+        throw new AppError(`Prompt manifest ${manifestPath} needs an "id" and a "version"`, 400);
+    }
+    return manifest;
+}
+
+/**
+ * Checks a template against the variables its task supplies.
+ *
+ * @param {string} task - The task the template is for
+ * @param {string} text - The template
+ * @param {string} file - The template file, for error messages
+ * @returns {void}
+ * @throws {AppError} If the template uses an unknown variable or leaves out a required one
+ */
+function checkVariables(task, text, file) {
+    const { required, optional } = TEMPLATE_VARIABLES[task];
+    const used = new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+
+    const unknown = [...used].filter(name => !required.includes(name) && !optional.includes(name));
+    if (unknown.length > 0) {
+        throw new AppError(
+            `Prompt template ${file} uses unknown variable(s) ${unknown.map(name => `{{${name}}}`).join(', ')}. ` +
+            `Available for ${task}: ${[...required, ...optional].join(', ')}`,
+            400
+        );
+    }
+
+    const missing = required.filter(name => !used.has(name));
+    if (missing.length > 0) {
+        throw new AppError(
+            `Prompt template ${file} is missing required variable(s) ${missing.map(name => `{{${name}}}`).join(', ')}`,
+            400
+        );
+    }
+}
+
+/**
+ * Prompt templates loaded from disk. Each task's template is a text file named
+ * after the task (`storyGeneration.txt`, ...) with `{{variable}}` placeholders.
+ * A directory's `prompts.json` gives its templates an `id` and `version`.
+ *
+ * A campaign can override any subset of the templates with a directory of its
+ * own; templates it does not provide come from the default directory.
+ *
+ * @class PromptLibrary
+ */
+class PromptLibrary {
+    /**
+     * Loads and checks every template, so a broken template fails at startup
+     * rather than on the first AI call that uses it.
+     *
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.directory] - The base templates; defaults to `data/prompts`
+     * @param {string} [options.overrides] - A campaign directory overriding some templates
+     * @throws {AppError} If a manifest or template is missing, or a template's variables are wrong
+     */
+    constructor(options = {}) {
+        const sources = [options.directory || DEFAULT_PROMPT_DIRECTORY, options.overrides].filter(Boolean);
+
+        this.templates = {};
+        this.sets = sources.map(directory => {
+            const manifest = readManifest(directory);
+            const versionId = `${manifest.id}@${manifest.version}`;
+
+            for (const task of Object.keys(TEMPLATE_VARIABLES)) {
+                const file = path.join(directory, `${task}.txt`);
+                if (!fs.existsSync(file)) {
+                    continue;
+                }
+
+                const text = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+                checkVariables(task, text, file);
+                this.templates[task] = { text, file, versionId };
+            }
+            return versionId;
+        });
+
+        const missing = Object.keys(TEMPLATE_VARIABLES).filter(task => !this.templates[task]);
+        if (missing.length > 0) {
+            throw new AppError(`No prompt template for ${missing.join(', ')} in ${sources.join(' or ')}`, 400);
+        }
+    }
+
+    /**
+     * Identifies the loaded templates, e.g. `default@1.0.0` or
+     * `default@1.0.0+grimdark@0.2.0` with campaign overrides.
+     *
+     * @returns {string} The version id
+     */
+    get versionId() {
+        return this.sets.join('+');
+    }
+
+    /**
+     * @param {string} task - One of AI_TASKS
+     * @returns {string} The version id of the set the task's template came from
+     */
+    getTemplateVersion(task) {
+        return this.templates[task]?.versionId || null;
+    }
+
+    /**
+     * Fills in a task's template.
+     *
+     * @param {string} task - One of AI_TASKS
+     * @param {Object} variables - Values for the template's variables
+     * @returns {string} The prompt
+     * @throws {AppError} If the task has no template or a used variable has no value
+     */
+    render(task, variables) {
+        const template = this.templates[task];
+        if (!template) {
+            throw new AppError(`No prompt template for ${task}`, 500, false);
+        }
+
+        return template.text.replace(VARIABLE_PATTERN, (_, name) => {
+            if (!(name in variables)) {
+                throw new AppError(`No value for {{${name}}} in the ${task} prompt`, 500, false);
+            }
+            return String(variables[name]);
+        });
+    }
+}
+
+module.exports = {
+    PromptLibrary,
+    TEMPLATE_VARIABLES,
+    DEFAULT_PROMPT_DIRECTORY
+};
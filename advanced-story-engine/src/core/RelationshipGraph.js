@@ -24,7 +24,7 @@ class RelationshipGraph {
         this.relationships.get(entity1Id).set(entity2Id, relationship);
         
         // Record in history
-        this.relationshipHistory.push({
+        this.recordHistory({
             entity1: entity1Id,
             entity2: entity2Id,
             action: 'established',
@@ -41,7 +41,9 @@ class RelationshipGraph {
         }
         
         const relationship = this.relationships.get(entity1Id).get(entity2Id);
+        // Leave out the history array itself, or each entry would contain the history it belongs to
         const oldRelationship = { ...relationship };
+        delete oldRelationship.history;
         
         // Apply changes
         Object.assign(relationship, changes);
@@ -54,7 +56,7 @@ class RelationshipGraph {
             timestamp: new Date().toISOString()
         });
         
-        this.relationshipHistory.push({
+        this.recordHistory({
             entity1: entity1Id,
             entity2: entity2Id,
             action: 'updated',
@@ -65,6 +67,15 @@ class RelationshipGraph {
         return relationship;
     }
     
+    recordHistory(entry) {
+        this.relationshipHistory.push(entry);
+        
+        // Keep recent history only
+        if (this.relationshipHistory.length > 100) {
+            this.relationshipHistory = this.relationshipHistory.slice(-100);
+        }
+    }
+    
     getRelationship(entity1Id, entity2Id) {
         if (this.relationships.has(entity1Id)) {
             return this.relationships.get(entity1Id).get(entity2Id) || null;
@@ -237,12 +248,12 @@ class RelationshipGraph {
                 ])
             ),
             playerStandings: Object.fromEntries(this.playerStandings),
-            relationshipHistory: this.relationshipHistory.slice(-100), // Keep recent history
+            relationshipHistory: this.relationshipHistory,
             timestamp: new Date().toISOString()
         };
     }
     
-    importRelationships(data) {
+    importRelationships(data = {}) {
         // Reconstruct relationships Map
         this.relationships = new Map();
         if (data.relationships) {
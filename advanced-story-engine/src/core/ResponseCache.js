@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { hashPrompt } = require('./LLMProviders');
+const { AI_TASKS } = require('../utils/Constants');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Narratives are meant to vary, so story generation is left out unless given a TTL
+const DEFAULT_TTL_MS = {
+    [AI_TASKS.ENTITY_DETECTION]: 30 * MINUTE_MS,
+    [AI_TASKS.CONSEQUENCE_ANALYSIS]: 30 * MINUTE_MS,
+    [AI_TASKS.WORLD_ANALYSIS]: 10 * MINUTE_MS
+};
+
+/**
+ * Caches model responses by prompt, so the same question about an unchanged
+ * world is answered once. Entries are kept in memory, least recently used
+ * first out, and optionally written to a directory so they outlive the process.
+ *
+ * Each task has its own time to live; tasks without one are never cached.
+ *
+ * @class ResponseCache
+ */
+class ResponseCache {
+    /**
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.maxEntries=1000] - Entries kept in memory
+     * @param {Object} [options.ttlMs] - Time to live per task (AI_TASKS), in milliseconds;
+     *   replaces the defaults for the tasks it names. Give `storyGeneration` a TTL
+     *   to cache narratives too, or a task 0 to stop caching it.
+     * @param {string} [options.directory] - Also keep entries here, one JSON file each
+     * @param {Function} [options.now=Date.now] - Clock, for tests
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 1000;
+        this.ttlMs = { ...DEFAULT_TTL_MS, ...options.ttlMs };
+        this.directory = options.directory || null;
+        this.now = options.now || Date.now;
+        this.entries = new Map(); // key -> { task, expiresAt, value }, least recently used first
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * @param {string} task - One of AI_TASKS
+     * @returns {boolean} Whether responses to the task are cached
+     */
+    caches(task) {
+        return this.ttlMs[task] > 0;
+    }
+
+    /**
+     * Builds the cache key for a request: the prompt template version, the
+     * prompt (normalized as for cassettes, so timestamps do not matter) and
+     * the model settings that shape the answer.
+     *
+     * @param {Object} context - The request context: `task` and `promptVersion`
+     * @param {string} prompt - The prompt
+     * @param {Object} modelSettings - Provider, model name, temperature and so on
+     * @returns {string} Hex-encoded SHA-256 hash
+     */
+    keyFor(context, prompt, modelSettings) {
+        return crypto.createHash('sha256').update(JSON.stringify({
+            task: context.task,
+            promptVersion: context.promptVersion,
+            prompt: hashPrompt(prompt),
+            modelSettings
+        })).digest('hex');
+    }
+
+    /**
+     * Looks up a response, in memory and then on disk.
+     *
+     * @param {string} key - The cache key
+     * @returns {Promise<*>} A copy of the cached response, or undefined
+     */
+    async get(key) {
+        let entry = this.entries.get(key);
+        if (!entry && this.directory) {
+            entry = await this._readEntry(key);
+        }
+
+        if (!entry || entry.expiresAt <= this.now()) {
+            if (entry) {
+                await this.delete(key);
+            }
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this._remember(key, entry);
+        this.stats.hits++;
+        return JSON.parse(JSON.stringify(entry.value));
+    }
+
+    /**
+     * Stores a response, if its task is cached.
+     *
+     * @param {string} key - The cache key
+     * @param {string} task - The task the response answers
+     * @param {*} value - The response; a copy is stored
+     * @returns {Promise<void>}
+     */
+    async set(key, task, value) {
+        if (!this.caches(task)) {
+            return;
+        }
+
+        const entry = { task, expiresAt: this.now() + this.ttlMs[task], value: JSON.parse(JSON.stringify(value)) };
+        this._remember(key, entry);
+
+        if (this.directory) {
+            try {
+                await fs.mkdir(this.directory, { recursive: true });
+                await fs.writeFile(this._entryPath(key), JSON.stringify(entry));
+            } catch (error) {
+                logger.warn('Failed to write AI response cache entry', { directory: this.directory, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * @param {string} key - The cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+        if (this.directory) {
+            await fs.unlink(this._entryPath(key)).catch(() => {});
+        }
+    }
+
+    /**
+     * Empties the in-memory cache; entries on disk are left alone.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * @returns {Object} `entries` in memory, `hits`, `misses` and the `ttlMs` per task
+     */
+    getStats() {
+        return { entries: this.entries.size, ...this.stats, ttlMs: { ...this.ttlMs } };
+    }
+
+    _remember(key, entry) {
+        // Re-inserting moves the key to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async _readEntry(key) {
+        try {
+            return JSON.parse(await fs.readFile(this._entryPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Ignoring unreadable AI response cache entry', { key, error: error.message });
+            }
+            return null;
+        }
+    }
+
+    _entryPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    DEFAULT_TTL_MS
+};
@@ -2,12 +2,58 @@ const EntityManager = require('./EntityManager');
 const RelationshipGraph = require('./RelationshipGraph');
 const WorldState = require('./WorldState');
 const AIInterface = require('./AIInterface');
+const { BUDGET_STATES } = require('./UsageMeter');
 const CreationSystem = require('../systems/CreationSystem');
 const ValidationSystem = require('../systems/ValidationSystem');
-const { PLAYER_SKILLS, REPUTATION_TYPES, ENTITY_TYPES } = require('../utils/Constants');
+const SkillCheckSystem = require('../systems/SkillCheckSystem');
+const ConsequenceEngine = require('../systems/ConsequenceEngine');
+const ConsequenceScheduler = require('../systems/ConsequenceScheduler');
+const SaveMigrator = require('../systems/SaveMigrator');
+const { ENTITY_TYPES, ENTITY_COLLECTIONS, SAVE_FORMAT_VERSION, ACTION_ACTIVITIES, ACTION_TIME_COSTS } = require('../utils/Constants');
+const { Player } = require('../utils/DataStructures');
+const { parseStory, classifyAction } = require('../utils/ChoiceParser');
+const { resolveParameter } = require('../utils/WorldParameters');
+const { FileStorageAdapter, normalizeSlotName } = require('../utils/StorageAdapters');
+const { DEFAULT_BACKUP_COUNT, signSave, backupSlotName, isBackupSlot, readVerifiedSlot, inspectSlot } = require('../utils/SaveIntegrity');
 const logger = require('../utils/logger');
 const { AppError, errorHandler } = require('../utils/errorHandler');
 
+// How many past scenes are kept for prompts and saves
+const MAX_SCENE_HISTORY = 50;
+
+/**
+ * The canonical game-state snapshot built by `StoryEngine.compileGameState`.
+ *
+ * @typedef {Object} GameStateSnapshot
+ * @property {Object} player - The serialized player state (`flags` as an array)
+ * @property {Object} entities - Entities keyed by id, grouped under the collection
+ *   names of ENTITY_COLLECTIONS: `npcs`, `factions`, `locations`, `items`, `events`
+ * @property {Object} relationships - `playerStandings` keyed by entity id, and
+ *   `entityRelationships` as exported by RelationshipGraph
+ * @property {Object} worldState - `WorldState.exportWorldState()`: `globalParameters`,
+ *   `temporal`, `events` (`current`, `completed`, ...), `information` and `history`
+ * @property {Object} storyContext - `currentScene`, `sceneHistory`, and the hints
+ *   of the pending delayed consequences as `foreshadowing`
+ * @property {Object} meta - Session metadata: `sessionId`, `choiceCount`, `lastSave`
+ */
+
+/**
+ * The world report built by `StoryEngine.analyzeWorld`. Each finding carries a
+ * `source`: `ai` for the model's analysis, `world` for `WorldState.analyzeWorldState`
+ * and `relationships` for the relationship graph.
+ *
+ * @typedef {Object} WorldAnalysisReport
+ * @property {number} gameTime - The game-time tick the report describes
+ * @property {string} generatedAt - When the report was built (ISO 8601)
+ * @property {Object} summary - `stability`, `tension`, `economicHealth` and `magicalClimate`
+ * @property {Object[]} trends - `type`, `description`, `direction`, `significance`, `source`
+ * @property {Object[]} conflicts - `parties`, `type`, `likelihood`, `impact`, `source`
+ * @property {Object[]} opportunities - `type`, `description`, `requirements`, `rewards`, `source`
+ * @property {Object[]} warnings - `concern`, `severity`, `timeframe`, `source`
+ * @property {Object} relationshipNetworks - `RelationshipGraph.analyzeRelationshipNetwork` keyed by NPC id
+ * @property {Object[]} aiFallbacks - Set when the model's analysis failed and was left out
+ */
+
 /**
  * Main engine class that orchestrates the dynamic storytelling system.
  * Manages game state, entity interactions, and AI-driven narrative generation.
@@ -20,32 +66,59 @@ const { AppError, errorHandler } = require('../utils/errorHandler');
 class StoryEngine {
     /**
      * Creates a new StoryEngine instance.
-     * @param {string} apiKey - The API key for the AI service.
+     * @param {string} apiKey - The API key for the AI service. Not needed with the
+     *   offline provider or when replaying a cassette (see `options.aiOptions`).
      * @param {Object} [options] - Configuration options.
      * @param {boolean} [options.enableLogging=true] - Whether to enable logging.
-     * @param {Object} [options.aiOptions] - Options to pass to the AIInterface.
+     * @param {Object} [options.aiOptions] - Options to pass to the AIInterface, including
+     *   which LLM provider to use (see `AIInterface` and `createProvider`).
      * @param {boolean} [options.enableValidation=true] - Whether to enable input validation.
-     * @throws {AppError} If API key is not provided or invalid.
+     * @param {StorageAdapter} [options.storage] - Where save slots are persisted. Defaults to a
+     *   FileStorageAdapter writing to `options.saveDirectory`.
+     * @param {string} [options.saveDirectory='data/saves'] - Directory for the default file storage.
+     * @param {number} [options.backupCount=3] - How many previous versions of each save slot to keep.
+     * @param {number|string} [options.seed] - Seed for skill-check dice. Defaults to
+     *   the AIInterface's session seed (see `aiOptions.seed`).
+     * @param {Object} [options.calendar] - Overrides for the in-game CALENDAR: month
+     *   names and lengths, seasons, weekdays, hours and times of day.
+     * @param {Object} [options.actionTimeCosts] - In-game minutes per activity,
+     *   overriding ACTION_TIME_COSTS.
+     * @throws {AppError} If API key is not provided or invalid, or the calendar or
+     *   time costs are malformed.
      */
     constructor(apiKey, options = {}) {
         try {
-            if (!apiKey) {
-                throw new AppError('API key is required', 400);
-            }
-
             const { 
                 enableLogging = true, 
                 aiOptions = {},
-                enableValidation = true
+                enableValidation = true,
+                storage = null,
+                saveDirectory,
+                backupCount = DEFAULT_BACKUP_COUNT,
+                seed,
+                calendar,
+                actionTimeCosts = {}
             } = options;
             
+            // The offline provider and cassette replay never call a remote model
+            if (!apiKey && aiOptions.provider !== 'offline' && aiOptions.cassette?.mode !== 'replay') {
+                throw new AppError('API key is required', 400);
+            }
+            
             logger.info('Initializing StoryEngine...', { enableLogging, enableValidation });
             
             // Initialize core systems
             this.entityManager = new EntityManager();
             this.relationshipGraph = new RelationshipGraph();
-            this.worldState = new WorldState();
+            this.worldState = new WorldState({ calendar });
+            this.actionTimeCosts = this._resolveActionTimeCosts(actionTimeCosts);
             this.aiInterface = new AIInterface(apiKey, aiOptions);
+            this.storage = storage || new FileStorageAdapter({ directory: saveDirectory });
+            this.saveMigrator = new SaveMigrator({ calendar: this.worldState.calendar });
+            this.backupCount = backupCount;
+            
+            // The engine owns the player; subsystems receive it by injection
+            this.player = new Player();
             
             // Initialize systems with dependencies
             this.validationSystem = enableValidation ? new ValidationSystem() : null;
@@ -53,24 +126,24 @@ class StoryEngine {
                 this.entityManager, 
                 this.relationshipGraph, 
                 this.worldState,
-                this.validationSystem
+                this.validationSystem,
+                {
+                    player: this.player,
+                    getGameState: () => this.compileGameState()
+                }
             );
-            
-            // Game state
-            this.playerState = {
-                skills: {},
-                inventory: [],
-                reputation: {},
-                flags: new Set()
-            };
-            
-            // Initialize player skills and reputation
-            Object.values(PLAYER_SKILLS).forEach(skill => {
-                this.playerState.skills[skill] = 0; // Default skill level
+            this.consequenceEngine = new ConsequenceEngine(
+                this.entityManager,
+                this.relationshipGraph,
+                this.worldState,
+                { player: this.player }
+            );
+            this.consequenceScheduler = new ConsequenceScheduler(this.entityManager, this.worldState, {
+                player: this.player
             });
-            
-            Object.values(REPUTATION_TYPES).forEach(type => {
-                this.playerState.reputation[type] = 50; // Neutral reputation
+            this.skillCheckSystem = new SkillCheckSystem(this.entityManager, this.relationshipGraph, {
+                player: this.player,
+                seed: seed ?? this.aiInterface.seed
             });
             
             // Game state tracking
@@ -80,12 +153,23 @@ class StoryEngine {
                 currentScene: null,
                 previousScenes: [],
                 gameTime: 0,
-                saveSlots: {},
                 currentSaveSlot: null
             };
             
+            // Session bookkeeping surfaced to the CLI
+            this.meta = {
+                sessionId: Date.now(),
+                choiceCount: 0,
+                lastSave: null
+            };
+            
+            // The latest analyzeWorld report and the game time it describes
+            this.worldAnalysis = null;
+
             // Event system
             this.eventListeners = new Map();
+
+            this._createStartingWorld();
             
             logger.info('StoryEngine initialized successfully');
             
@@ -149,13 +233,65 @@ class StoryEngine {
     /**
      * Processes player input and updates the game state accordingly.
      * 
+     * @deprecated Use `processPlayerChoice`, which returns the same result with the
+     *   narrative under `narrative`.
      * @param {string} input - The player's input
-     * @param {Object} [options] - Additional options
-     * @param {boolean} [options.allowPartial=false] - Whether to allow partial matches
-     * @returns {Promise<Object>} The result of processing the input
-     * @throws {AppError} If input processing fails
+     * @returns {Promise<Object>} The turn result, with the narrative also under `response`
+     * @throws {AppError} If the engine is not ready or the input is invalid
+     */
+    async processInput(input) {
+        const result = await this.processPlayerChoice(input);
+        return { ...result, response: result.narrative };
+    }
+    
+    /**
+     * Runs one story turn for a player choice, in this order:
+     * 
+     * 1. Entities: those the choice mentions are detected and created through
+     *    the CreationSystem.
+     * 2. Skill check: an action governed by a skill (the picked choice's, or one
+     *    its wording suggests) is rolled for.
+     * 3. Consequences: the model analyzes what the action changes, given the
+     *    picked choice's skill and risk, and the changes are applied.
+     * 4. Clock and influences: the in-game clock moves on by what the action
+     *    takes (see ACTION_TIME_COSTS), and world parameters pull on each other
+     *    for the hours that pass (see `_advanceClock`).
+     * 5. Scheduled consequences: the analysis's delayed consequences
+     *    (`longTerm.delayed`) are scheduled, and any whose trigger is now met,
+     *    including dates reached in step 4, are applied.
+     * 6. Narrative: the model narrates the world as it now stands, honoring the
+     *    skill check's outcome and showing the consequences that came due. Its
+     *    numbered choices are parsed and kept on the scene, so the player can
+     *    answer the next turn with just a number.
+     * 
+     * Progress is reported through events: `turnProgress` (`{ stage, choiceCount }`,
+     * with stage `detectingEntities` before step 1, `analyzingConsequences` before
+     * step 2 and `narrating` before step 6) and, when streaming, `narrativeChunk`
+     * (`{ text, choiceCount }`) as the narrative arrives. The scene is recorded
+     * only once the narrative is complete.
+     * 
+     * @param {string} input - The player's choice, or the number of one of the current scene's choices
+     * @param {Object} [options] - Turn options
+     * @param {boolean} [options.stream=false] - Stream the narrative through `narrativeChunk` events
+     * @param {AbortSignal} [options.signal] - Cancels the turn; the game is then
+     *   restored to how it was before the turn
+     * @returns {Promise<Object>} The turn result: `narrative`, the parsed `choices`
+     *   (see `parseStory`), the `selectedChoice` if the input was a number, the
+     *   `skillCheck` (see `SkillCheckSystem.attempt`) if one was rolled,
+     *   `creationResults`, `consequences`, the `changes` they made (see
+     *   `applyConsequences`; delayed consequences that could not be scheduled are
+     *   rejected with type `delayed`), the `triggeredConsequences` that came due,
+     *   each with the `changes` it made, the `time` the turn took (see `_advanceClock`),
+     *   `newEntitiesCount`, `timestamp`, and `degraded` with
+     *   the `aiFallbacks` that were used for AI calls that failed
+     * @throws {AppError} If the engine is not ready or the input is invalid (a number
+     *   matching no current choice has code `UNKNOWN_CHOICE`), or the turn was
+     *   cancelled (499, code `TURN_CANCELLED`)
      */
-    async processInput(input, options = {}) {
+    async processPlayerChoice(input, options = {}) {
+        const { stream = false, signal } = options;
+        let snapshot = null;
+        
         try {
             if (!this.gameState.isInitialized) {
                 throw new AppError('StoryEngine not initialized', 400);
@@ -166,90 +302,500 @@ class StoryEngine {
             }
             
             if (typeof input !== 'string' || !input.trim()) {
-                throw new AppError('Input must be a non-empty string', 400);
+                throw new AppError('Choice must be a non-empty string', 400);
             }
             
-            logger.info('Processing player input', { 
-                input: input.substring(0, 100),
-                options 
-            });
+            const selectedChoice = this._resolveChoice(input);
+            const action = selectedChoice ? selectedChoice.text : input;
             
-            // Step 1: Validate input
-            if (this.validationSystem) {
-                const validationResult = this.validationSystem.validateInput(input);
-                if (!validationResult.isValid) {
-                    throw new AppError(`Invalid input: ${validationResult.message}`, 400);
-                }
+            logger.info('Processing player choice', { input: action.substring(0, 100), choice: selectedChoice?.index });
+            
+            if (signal) {
+                snapshot = this._captureSnapshot();
             }
+            this._recordPlayerChoice(action, selectedChoice);
+            this.aiInterface.drainFallbacks(); // only this turn's fallbacks are reported
             
-            // Step 2: Detect entities in the input
-            const { entities, relationships, worldUpdates } = await this.aiInterface.detectEntities(
-                input,
+            // Step 1: Detect and create entities introduced by the choice
+            await this._reportTurnProgress('detectingEntities', signal);
+            const detection = await this.aiInterface.detectEntities(
+                action,
                 this._getCurrentNarrativeContext(),
-                this.worldState.getWorldSummary()
+                this.compileGameState()
             );
+            const creationResults = await this.creationSystem.processEntityCreation(detection) ||
+                this._createEmptyCreationResults();
             
-            // Step 3: Update world state based on detected entities
-            await this._applyWorldUpdates(worldUpdates);
+            // Step 2: Roll for the action
+            await this._reportTurnProgress('analyzingConsequences', signal);
+            const skillCheck = this._rollSkillCheck(action, selectedChoice);
             
-            // Step 4: Generate story response
-            const storyResponse = await this.aiInterface.generateStory(
-                input,
-                this.worldState.getWorldSummary()
+            // Step 3: Analyze and apply consequences
+            const analysis = await this.aiInterface.analyzeConsequences(
+                action,
+                selectedChoice || action,
+                this.compileGameState()
             );
+            const consequences = analysis?.consequences || {};
+            const changes = this.applyConsequences(consequences);
             
-            // Step 5: Update game state
-            this.gameState.gameTime++;
-            this.gameState.previousScenes.push({
-                input,
-                response: storyResponse,
-                timestamp: Date.now(),
-                worldState: this.worldState.getWorldSummary()
-            });
+            // Step 4: Move the clock, letting the world's influences play out
+            const time = this._advanceClock(action);
+            
+            // Step 5: Schedule delayed consequences and apply those now due
+            const triggeredConsequences = this._runScheduledConsequences(consequences.longTerm?.delayed, changes);
+            
+            // Step 6: Narrate the world as it now stands
+            await this._reportTurnProgress('narrating', signal);
+            const narrationOptions = { skillCheck, triggeredConsequences };
+            const narrative = stream
+                ? await this._streamNarrative(action, narrationOptions, signal)
+                : await this.aiInterface.generateStory(action, this.compileGameState(), narrationOptions);
+            this._throwIfCancelled(signal);
             
-            // Step 6: Return the result
+            const { choices } = parseStory(narrative);
+            this._recordScene(action, narrative, consequences, choices, skillCheck);
+            
+            const aiFallbacks = this.aiInterface.drainFallbacks();
             const result = {
                 success: true,
-                response: storyResponse,
-                entities,
-                relationships,
-                worldUpdates,
+                narrative,
+                choices,
+                selectedChoice,
+                skillCheck,
+                creationResults,
+                consequences,
+                changes,
+                triggeredConsequences,
+                time,
+                newEntitiesCount: this._countCreatedEntities(creationResults),
+                degraded: aiFallbacks.length > 0,
+                aiFallbacks,
                 timestamp: new Date().toISOString()
             };
             
-            logger.info('Input processed successfully', {
-                responseLength: storyResponse?.length || 0,
-                entitiesCount: Object.keys(entities || {}).length,
-                relationshipsCount: (relationships || []).length,
-                worldUpdatesCount: Object.keys(worldUpdates || {}).length
+            logger.info('Player choice processed', {
+                choiceCount: this.meta.choiceCount,
+                newEntitiesCount: result.newEntitiesCount,
+                aiFallbacks: aiFallbacks.map(fallback => fallback.task)
             });
             
+            await this.emit('choiceProcessed', result);
+            
             return result;
             
         } catch (error) {
-            const errorMsg = `Failed to process input: ${error.message}`;
-            logger.error(errorMsg, { 
-                error, 
-                input: input?.substring(0, 100) || 'No input',
-                options 
-            });
+            if (snapshot && signal.aborted) {
+                this._applySaveData(snapshot, this.gameState.currentSaveSlot);
+                this.aiInterface.drainFallbacks();
+                logger.info('Player choice cancelled; game state restored', { choiceCount: this.meta.choiceCount });
+                throw this._cancelledError();
+            }
+            
+            const errorMsg = `Failed to process player choice: ${error.message}`;
+            logger.error(errorMsg, { error, input: input?.substring?.(0, 100) || 'No input' });
             
             if (error instanceof AppError) {
                 throw error;
             }
             
-            // Return a fallback response if processing fails
             return {
                 success: false,
                 error: errorMsg,
                 isFallback: true,
-                response: "The story seems to have taken an unexpected turn. Let's try that again..."
+                narrative: 'The world seems to pause as mysterious forces interfere with reality... (Error in story processing)',
+                choices: [],
+                selectedChoice: null,
+                skillCheck: null,
+                creationResults: this._createEmptyCreationResults(),
+                consequences: {},
+                changes: { applied: [], rejected: [] },
+                triggeredConsequences: [],
+                time: null,
+                newEntitiesCount: 0,
+                degraded: true,
+                aiFallbacks: this.aiInterface.drainFallbacks(),
+                timestamp: new Date().toISOString()
             };
         }
     }
     
     /**
-     * Saves the current game state to a slot.
+     * Applies analyzed consequences through the ConsequenceEngine, which checks
+     * and clamps each part before handing it to the subsystem that owns it.
+     * Accepts either the full `analyzeConsequences` structure (with `immediate` and
+     * `longTerm` sections) or a flat `{ worldEffects, playerEffects, factionStandings }`.
+     * 
+     * @param {Object} [consequences] - The consequences to apply
+     * @returns {Object} The change log, `applied` and `rejected` (see `ConsequenceEngine.apply`)
+     */
+    applyConsequences(consequences = {}) {
+        return this.consequenceEngine.apply(consequences);
+    }
+    
+    /**
+     * Schedules a consequence that is applied later, once its trigger is met:
+     * after a number of turns, on an in-game date, when the player enters a
+     * location, or when a world parameter crosses a threshold. Until then its
+     * hint foreshadows it in the story.
+     * 
+     * @param {Object} entry - The delayed consequence (see `ConsequenceScheduler.schedule`)
+     * @returns {Object} The pending entry
+     * @throws {AppError} If the entry is invalid (400, code `INVALID_DELAYED_CONSEQUENCE`)
+     */
+    scheduleConsequence(entry) {
+        return this.consequenceScheduler.schedule(entry, this.meta.choiceCount);
+    }
+    
+    /**
+     * @returns {Object[]} The delayed consequences waiting for their trigger
+     */
+    getPendingConsequences() {
+        return this.consequenceScheduler.getPending();
+    }
+    
+    /**
+     * Moves the player to a known location and marks it as visited.
+     * 
+     * @param {string} locationId - The destination location id
+     * @returns {Location} The destination
+     * @throws {AppError} If the location does not exist
+     */
+    movePlayer(locationId) {
+        const location = this.entityManager.getEntity(ENTITY_TYPES.LOCATION, locationId);
+        if (!location) {
+            throw new AppError(`Unknown location: ${locationId}`, 404);
+        }
+        
+        this.player.moveTo(locationId);
+        location.visited = true;
+        
+        return location;
+    }
+    
+    // ===== State Compilation =====
+    
+    /**
+     * Builds the canonical game-state snapshot. This is the single shape every
+     * consumer of the whole game state reads: the AIInterface prompt builders, the
+     * CreationSystem and ValidationSystem when validating new entities, the CLI and
+     * `restoreGameState` (it is also the v2.0 engine's save layout).
+     * 
+     * Collections are copied, so entities created after the snapshot was taken do
+     * not appear in it, but the entity objects themselves are the live instances and
+     * must be treated as read-only.
+     * 
+     * @returns {GameStateSnapshot} The game-state snapshot
+     */
+    compileGameState() {
+        const entities = Object.fromEntries(
+            Object.entries(ENTITY_COLLECTIONS).map(([type, collection]) => [
+                collection,
+                { ...this.entityManager.entities[type] }
+            ])
+        );
+        
+        return {
+            player: this.player.toJSON(),
+            entities,
+            relationships: {
+                playerStandings: this.relationshipGraph.getAllPlayerStandings(),
+                entityRelationships: this.relationshipGraph.exportRelationships()
+            },
+            worldState: this.worldState.exportWorldState(),
+            storyContext: {
+                currentScene: this.gameState.currentScene,
+                sceneHistory: [...this.gameState.previousScenes],
+                foreshadowing: this.consequenceScheduler.getForeshadowing()
+            },
+            meta: { ...this.meta }
+        };
+    }
+    
+    /**
+     * Compiles the game state together with derived analysis for display.
+     * 
+     * @returns {Object} The compiled game state with an `analysis` section
+     */
+    getDetailedGameState() {
+        return {
+            ...this.compileGameState(),
+            analysis: {
+                worldStateAnalysis: this.worldState.analyzeWorldState(),
+                playerProfile: this.analyzePlayerProfile(),
+                entityStatistics: this.getEntityStatistics(),
+                relationshipNetworks: this.getRelationshipNetworks()
+            }
+        };
+    }
+    
+    /**
+     * Summarizes the player's reputation, skills, recent activity and relationships.
+     * 
+     * @returns {Object} The player profile
+     */
+    analyzePlayerProfile() {
+        const { reputation, skills, choiceHistory } = this.player;
+        
+        let dominantReputation = { type: 'neutral', value: 0 };
+        for (const [type, value] of Object.entries(reputation)) {
+            if (Math.abs(value) > Math.abs(dominantReputation.value)) {
+                dominantReputation = { type, value };
+            }
+        }
+        
+        const strongestSkills = Object.entries(skills)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 3)
+            .map(([skill, level]) => ({ skill, level }));
+        
+        const recentChoices = choiceHistory.slice(-10);
+        
+        return {
+            dominantReputation,
+            strongestSkills,
+            recentActivity: {
+                choicesLastSession: choiceHistory.filter(choice => choice.sessionId === this.meta.sessionId).length,
+                locationsVisited: new Set(recentChoices.map(choice => choice.location).filter(Boolean)).size,
+                majorDecisions: this.gameState.previousScenes
+                    .filter(scene => Object.keys(scene.consequences || {}).length > 0)
+                    .slice(-3)
+                    .map(scene => ({ choice: scene.choice, consequences: scene.consequences, timestamp: scene.timestamp }))
+            },
+            relationships: this.getPlayerRelationshipSummary()
+        };
+    }
+    
+    /**
+     * Groups the entities the player has a standing with into allies, enemies and neutral.
+     * 
+     * @returns {{allies: Object[], enemies: Object[], neutral: Object[]}} The summary
+     */
+    getPlayerRelationshipSummary() {
+        const summary = { allies: [], enemies: [], neutral: [] };
+        
+        for (const [entityId, standing] of Object.entries(this.relationshipGraph.getAllPlayerStandings())) {
+            const entity = this.findEntity(entityId);
+            if (!entity) {
+                continue;
+            }
+            
+            const entry = { id: entityId, name: entity.name, standing: standing.value };
+            if (standing.value > 20) {
+                summary.allies.push(entry);
+            } else if (standing.value < -20) {
+                summary.enemies.push(entry);
+            } else {
+                summary.neutral.push(entry);
+            }
+        }
+        
+        return summary;
+    }
+    
+    /**
+     * Counts entities by type and state.
+     * 
+     * @returns {Object} Entity statistics per type
+     */
+    getEntityStatistics() {
+        const npcs = Object.values(this.entityManager.entities[ENTITY_TYPES.NPC]);
+        const locations = Object.values(this.entityManager.entities[ENTITY_TYPES.LOCATION]);
+        const items = Object.values(this.entityManager.entities[ENTITY_TYPES.ITEM]);
+        const standings = Object.values(this.relationshipGraph.getAllPlayerStandings());
+        
+        return {
+            npcs: {
+                total: npcs.length,
+                met: npcs.filter(npc => npc.met).length,
+                alive: npcs.filter(npc => npc.alive).length
+            },
+            factions: {
+                total: Object.keys(this.entityManager.entities[ENTITY_TYPES.FACTION]).length,
+                allied: standings.filter(standing => standing.value > 20).length,
+                hostile: standings.filter(standing => standing.value < -20).length
+            },
+            locations: {
+                total: locations.length,
+                visited: locations.filter(location => location.visited).length
+            },
+            items: {
+                total: items.length,
+                inInventory: items.filter(item => item.location === 'player_inventory').length
+            }
+        };
+    }
+    
+    /**
+     * Analyzes the relationship network of every NPC.
+     * 
+     * @returns {Object} Network analysis keyed by NPC id
+     */
+    getRelationshipNetworks() {
+        return Object.fromEntries(
+            Object.keys(this.entityManager.entities[ENTITY_TYPES.NPC])
+                .map(npcId => [npcId, this.relationshipGraph.analyzeRelationshipNetwork(npcId)])
+        );
+    }
+
+    /**
+     * Analyzes the world: the model's reading of it, combined with the
+     * deterministic world-state and relationship analysis.
+     *
+     * The report is cached until game time advances, so asking again within a
+     * tick does not call the model again. Reports where the model's analysis fell
+     * back are not cached.
+     *
+     * @param {Object} [options] - Analysis options
+     * @param {boolean} [options.refresh=false] - Rebuild the report even if one is cached
+     * @returns {Promise<WorldAnalysisReport>} The report
+     * @throws {AppError} If the engine is not initialized
+     */
+    async analyzeWorld(options = {}) {
+        if (!this.gameState.isInitialized) {
+            throw new AppError('StoryEngine not initialized', 400);
+        }
+
+        const { gameTime } = this.gameState;
+        if (!options.refresh && this.worldAnalysis?.gameTime === gameTime) {
+            return this.worldAnalysis.report;
+        }
+
+        const aiAnalysis = await this.aiInterface.analyzeWorld(this.compileGameState());
+        const aiFallbacks = this.aiInterface.drainFallbacks();
+        const worldAnalysis = this.worldState.analyzeWorldState();
+
+        const report = {
+            gameTime,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                stability: worldAnalysis.stability,
+                tension: worldAnalysis.tension,
+                economicHealth: worldAnalysis.economicHealth,
+                magicalClimate: worldAnalysis.magicalClimate
+            },
+            trends: [
+                ...(aiAnalysis.trends || []).map(trend => ({
+                    type: 'general', direction: 'stable', significance: 'medium', ...trend, source: 'ai'
+                })),
+                ...worldAnalysis.trends.map(description => ({
+                    type: 'world', description, direction: 'stable', significance: 'medium', source: 'world'
+                }))
+            ],
+            conflicts: [
+                ...(aiAnalysis.conflicts || []).map(conflict => ({
+                    parties: [], type: 'unknown', likelihood: 'medium', impact: 'local', ...conflict, source: 'ai'
+                })),
+                ...this._findRelationshipConflicts()
+            ],
+            opportunities: [
+                ...(aiAnalysis.opportunities || []).map(opportunity => ({
+                    type: 'general', requirements: [], rewards: [], ...opportunity, source: 'ai'
+                })),
+                ...worldAnalysis.opportunities.map(description => ({
+                    type: 'world', description, requirements: [], rewards: [], source: 'world'
+                }))
+            ],
+            warnings: [
+                ...(aiAnalysis.warnings || []).map(warning => ({
+                    severity: 'medium', timeframe: 'short', ...warning, source: 'ai'
+                })),
+                ...worldAnalysis.concerns.map(concern => ({
+                    concern, severity: 'medium', timeframe: 'short', source: 'world'
+                }))
+            ],
+            relationshipNetworks: this.getRelationshipNetworks(),
+            aiFallbacks
+        };
+
+        this.worldAnalysis = aiFallbacks.length === 0 ? { gameTime, report } : null;
+        return report;
+    }
+
+    /**
+     * Finds an entity by id across all entity types.
+     * 
+     * @param {string} entityId - The entity id
+     * @returns {Object|null} The entity, or null if none exists
+     */
+    findEntity(entityId) {
+        for (const type of Object.values(ENTITY_TYPES)) {
+            const entity = this.entityManager.getEntity(type, entityId);
+            if (entity) {
+                return entity;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Reports which subsystems are running along with session statistics.
+     * 
+     * @returns {Object} The system status
+     */
+    getSystemStatus() {
+        const creationStatistics = this.creationSystem.getCreationStatistics();
+        const aiStatus = this.aiInterface.getStatus();
+        
+        let status = 'uninitialized';
+        if (this.gameState.isInitialized) {
+            status = this.gameState.isPaused ? 'paused' : 'operational';
+        }
+        
+        return {
+            engine: `Advanced Story Engine (save format ${SAVE_FORMAT_VERSION})`,
+            status,
+            systems: {
+                entityManager: 'active',
+                relationshipGraph: 'active',
+                worldState: 'active',
+                aiInterface: aiStatus.circuitBreaker.state === 'closed' && aiStatus.usage.budget.state !== BUDGET_STATES.EXHAUSTED
+                    ? 'active'
+                    : 'degraded',
+                creationSystem: 'active',
+                validationSystem: this.validationSystem ? 'active' : 'disabled',
+                storage: this.storage.constructor.name,
+                aiProvider: aiStatus.provider
+            },
+            ai: aiStatus,
+            statistics: this.getEntityStatistics(),
+            performance: {
+                totalChoices: this.meta.choiceCount,
+                sessionTime: Math.floor((Date.now() - this.meta.sessionId) / 60000),
+                entitiesCreated: Object.values(creationStatistics.totalCreated).reduce((sum, count) => sum + count, 0)
+            }
+        };
+    }
+    
+    /**
+     * Checks that a compiled game state has the sections `restoreGameState` needs.
+     * 
+     * @param {Object} gameState - The compiled game state
+     * @returns {boolean} True if every required section is present
+     */
+    validateSaveFile(gameState) {
+        const requiredSections = ['player', 'entities', 'worldState', 'meta'];
+        return Boolean(gameState) && requiredSections.every(section => gameState[section] !== undefined && gameState[section] !== null);
+    }
+    
+    /**
+     * Replaces the current game with a compiled game state (see `compileGameState`).
+     * 
+     * @param {Object} gameState - The compiled game state
+     * @returns {void}
+     * @throws {AppError} If required sections are missing
+     */
+    restoreGameState(gameState) {
+        if (!this.validateSaveFile(gameState)) {
+            throw new AppError('Game state is missing required sections (player, entities, worldState, meta)', 422);
+        }
+        
+        const { data } = this.saveMigrator.migrate(gameState);
+        this._applySaveData(data, null);
+    }
+    
+    /**
+     * Saves the current game state to a slot in the configured storage adapter.
      * 
      * @param {string} slotName - The name of the save slot
      * @returns {Promise<Object>} The saved game state
@@ -261,31 +807,29 @@ class StoryEngine {
                 throw new AppError('StoryEngine not initialized', 400);
             }
             
-            if (typeof slotName !== 'string' || !slotName.trim()) {
-                throw new AppError('Slot name must be a non-empty string', 400);
+            slotName = normalizeSlotName(slotName);
+            if (isBackupSlot(slotName)) {
+                throw new AppError(`Slot name '${slotName}' is reserved for backups`, 400);
             }
             
             logger.info(`Saving game to slot: ${slotName}`);
             
-            const saveData = {
+            const saveData = signSave({
                 metadata: {
+                    slot: slotName,
                     saveTime: new Date().toISOString(),
                     gameTime: this.gameState.gameTime,
-                    version: '1.0.0'
+                    choiceCount: this.meta.choiceCount,
+                    version: SAVE_FORMAT_VERSION,
+                    promptVersion: this.aiInterface.promptLibrary.versionId
                 },
-                playerState: { ...this.playerState },
-                worldState: this.worldState.getWorldSummary(),
-                entities: this._getAllEntitiesForSave(),
-                relationships: this._getAllRelationshipsForSave(),
-                gameState: {
-                    currentScene: this.gameState.currentScene,
-                    previousScenes: [...this.gameState.previousScenes]
-                }
-            };
+                ...this._exportSaveData()
+            });
             
-            // Store the save data
-            this.gameState.saveSlots[slotName] = saveData;
+            await this._rotateBackups(slotName);
+            await this.storage.write(slotName, saveData);
             this.gameState.currentSaveSlot = slotName;
+            this.meta.lastSave = saveData.metadata.saveTime;
             
             logger.info(`Game saved successfully to slot: ${slotName}`);
             
@@ -303,46 +847,43 @@ class StoryEngine {
     }
     
     /**
-     * Loads a game state from a slot.
+     * Loads a game state from a slot in the configured storage adapter.
+     * The save is verified against its checksum first; if it is truncated or was
+     * modified, the most recent backup that verifies is loaded instead and
+     * `metadata.integrity` reports what was recovered.
+     * Saves written in an older format are upgraded by the SaveMigrator.
      * 
      * @param {string} slotName - The name of the save slot to load
-     * @returns {Promise<Object>} The loaded game state
-     * @throws {AppError} If loading fails
+     * @returns {Promise<Object>} The loaded game state, in the current save format
+     * @throws {AppError} If loading fails, no intact copy of the save exists, or the
+     *   save comes from a newer engine
      */
     async loadGame(slotName = 'default') {
         try {
-            if (typeof slotName !== 'string' || !slotName.trim()) {
-                throw new AppError('Slot name must be a non-empty string', 400);
-            }
+            slotName = normalizeSlotName(slotName);
             
             logger.info(`Loading game from slot: ${slotName}`);
             
-            const saveData = this.gameState.saveSlots[slotName];
-            if (!saveData) {
-                throw new AppError(`No save data found in slot: ${slotName}`, 404);
-            }
-            
-            // Reset current state
-            await this._resetGameState();
-            
-            // Load the saved state
-            this.playerState = { ...saveData.playerState };
+            const { data: storedData, integrity } = await this._readRecoverableSave(slotName);
             
-            // Load entities and relationships
-            await this._loadEntities(saveData.entities);
-            await this._loadRelationships(saveData.relationships);
+            const { data: saveData, fromVersion, applied } = this.saveMigrator.migrate(storedData);
+            saveData.metadata.integrity = integrity;
+            if (applied.length > 0) {
+                saveData.metadata.migratedFrom = fromVersion;
+                logger.info(`Upgraded save in slot ${slotName} from format ${fromVersion}`, {
+                    steps: applied.map(step => `${step.from} -> ${step.to}`)
+                });
+            }
             
-            // Load world state
-            await this._loadWorldState(saveData.worldState);
+            const promptVersion = this.aiInterface.promptLibrary.versionId;
+            if (saveData.metadata.promptVersion && saveData.metadata.promptVersion !== promptVersion) {
+                logger.info(`Save in slot ${slotName} was played with different prompt templates`, {
+                    savedWith: saveData.metadata.promptVersion,
+                    current: promptVersion
+                });
+            }
             
-            // Update game state
-            this.gameState = {
-                ...this.gameState,
-                currentScene: saveData.gameState.currentScene,
-                previousScenes: [...saveData.gameState.previousScenes],
-                gameTime: saveData.metadata.gameTime,
-                currentSaveSlot: slotName
-            };
+            this._applySaveData(saveData, slotName);
             
             logger.info(`Game loaded successfully from slot: ${slotName}`);
             
@@ -359,62 +900,547 @@ class StoryEngine {
         }
     }
     
+    /**
+     * Lists the occupied save slots with their metadata.
+     * 
+     * @returns {Promise<Array<{slot: string, metadata: Object}>>} Saves, newest first
+     * @throws {AppError} If the storage adapter cannot be read
+     */
+    async listSaves() {
+        const slots = (await this.storage.list()).filter(slot => !isBackupSlot(slot));
+        const saves = [];
+        
+        for (const slot of slots) {
+            try {
+                saves.push({ slot, metadata: await this.storage.readMetadata(slot) });
+            } catch (error) {
+                logger.warn(`Skipping unreadable save slot: ${slot}`, { error: error.message });
+            }
+        }
+        
+        return saves.sort((a, b) => 
+            String(b.metadata?.saveTime || '').localeCompare(String(a.metadata?.saveTime || ''))
+        );
+    }
+    
+    /**
+     * Reads the metadata of a save without loading it.
+     * 
+     * @param {string} slotName - The name of the save slot
+     * @returns {Promise<Object|null>} The save metadata, or null if the slot is empty
+     */
+    async getSaveMetadata(slotName = 'default') {
+        return this.storage.readMetadata(normalizeSlotName(slotName));
+    }
+    
+    /**
+     * Verifies a save slot and its backups without loading anything.
+     * 
+     * @param {string} slotName - The name of the save slot
+     * @returns {Promise<{slot: string, current: Object, backups: Object[]}>} Verification results
+     */
+    async verifySave(slotName = 'default') {
+        return inspectSlot(this.storage, normalizeSlotName(slotName), this.backupCount);
+    }
+    
+    /**
+     * Deletes a save slot together with its backups.
+     * 
+     * @param {string} slotName - The name of the save slot
+     * @returns {Promise<boolean>} True if a save was deleted
+     */
+    async deleteSave(slotName) {
+        slotName = normalizeSlotName(slotName);
+        const deleted = await this.storage.delete(slotName);
+        
+        for (let index = 1; index <= this.backupCount; index++) {
+            await this.storage.delete(backupSlotName(slotName, index));
+        }
+        
+        if (deleted && this.gameState.currentSaveSlot === slotName) {
+            this.gameState.currentSaveSlot = null;
+        }
+        
+        logger.info(`Save slot ${deleted ? 'deleted' : 'not found'}: ${slotName}`);
+        return deleted;
+    }
+    
     // ===== Helper Methods =====
     
     /**
-     * Gets the current narrative context for AI processing.
+     * Replaces the current game with save data in the current save format.
      * 
      * @private
-     * @returns {Object} The current narrative context
+     * @param {Object} saveData - The save data
+     * @param {string|null} slotName - The slot the data came from
+     * @returns {void}
      */
-    _getCurrentNarrativeContext() {
+    _applySaveData(saveData, slotName) {
+        this._resetGameState();
+        
+        // Restore each subsystem from its own export format
+        this._setPlayer(new Player(saveData.playerState || {}));
+        this.entityManager.importEntities(saveData.entities || {});
+        this.relationshipGraph.importRelationships(saveData.relationships || {});
+        this.worldState.importWorldState(saveData.worldState || {});
+        
+        const metadata = saveData.metadata || {};
+        const savedGameState = saveData.gameState || {};
+        this.consequenceScheduler.importPending(savedGameState.pendingConsequences);
+        
+        this.gameState = {
+            ...this.gameState,
+            isInitialized: true,
+            currentScene: savedGameState.currentScene || null,
+            previousScenes: [...(savedGameState.previousScenes || [])],
+            gameTime: metadata.gameTime || 0,
+            currentSaveSlot: slotName
+        };
+        
+        this.meta = {
+            ...this.meta,
+            choiceCount: metadata.choiceCount || 0,
+            lastSave: metadata.saveTime || null
+        };
+    }
+    
+    /**
+     * Exports every subsystem in the save format, without metadata.
+     * 
+     * @private
+     * @returns {Object} `playerState`, `worldState`, `entities`, `relationships` and `gameState`
+     */
+    _exportSaveData() {
         return {
-            currentScene: this.gameState.currentScene,
-            previousScenes: this.gameState.previousScenes.slice(-3), // Last 3 scenes
-            playerState: {
-                skills: this.playerState.skills,
-                reputation: this.playerState.reputation,
-                inventory: this.playerState.inventory
+            playerState: this.player.toJSON(),
+            worldState: this.worldState.exportWorldState(),
+            entities: this.entityManager.exportEntities(),
+            relationships: this.relationshipGraph.exportRelationships(),
+            gameState: {
+                currentScene: this.gameState.currentScene,
+                previousScenes: [...this.gameState.previousScenes],
+                pendingConsequences: this.consequenceScheduler.exportPending()
+            }
+        };
+    }
+    
+    /**
+     * Captures the game in memory so a cancelled turn can be undone with `_applySaveData`.
+     * 
+     * @private
+     * @returns {Object} Save data, detached from the live game
+     */
+    _captureSnapshot() {
+        // Saves are plain JSON, so a round trip detaches the copy
+        return JSON.parse(JSON.stringify({
+            metadata: {
+                gameTime: this.gameState.gameTime,
+                choiceCount: this.meta.choiceCount,
+                saveTime: this.meta.lastSave
             },
-            worldState: this.worldState.getWorldSummary()
+            ...this._exportSaveData()
+        }));
+    }
+    
+    /**
+     * Emits `turnProgress` for the next stage of a turn, unless the turn was cancelled.
+     * 
+     * @private
+     * @param {string} stage - The stage that is starting
+     * @param {AbortSignal} [signal] - The turn's cancellation signal
+     * @returns {Promise<void>}
+     * @throws {AppError} If the turn was cancelled
+     */
+    async _reportTurnProgress(stage, signal) {
+        this._throwIfCancelled(signal);
+        await this.emit('turnProgress', { stage, choiceCount: this.meta.choiceCount });
+    }
+    
+    /**
+     * Streams the narrative, emitting `narrativeChunk` for each piece.
+     * 
+     * @private
+     * @param {string} input - The player's choice
+     * @param {Object} narrationOptions - The turn's `skillCheck` and `triggeredConsequences`
+     * @param {AbortSignal} [signal] - Stops the stream when aborted
+     * @returns {Promise<string>} The narrative received, which is partial if the stream was cancelled
+     */
+    async _streamNarrative(input, narrationOptions, signal) {
+        const chunks = [];
+        
+        for await (const text of this.aiInterface.streamStory(input, this.compileGameState(), { ...narrationOptions, signal })) {
+            if (signal?.aborted) {
+                break;
+            }
+            chunks.push(text);
+            await this.emit('narrativeChunk', { text, choiceCount: this.meta.choiceCount });
+        }
+        
+        return chunks.join('');
+    }
+    
+    /**
+     * @private
+     * @param {AbortSignal} [signal] - The turn's cancellation signal
+     * @throws {AppError} If the signal was aborted
+     */
+    _throwIfCancelled(signal) {
+        if (signal?.aborted) {
+            throw this._cancelledError();
+        }
+    }
+    
+    /**
+     * @private
+     * @returns {AppError} The error for a cancelled turn (499, code `TURN_CANCELLED`)
+     */
+    _cancelledError() {
+        const error = new AppError('Turn cancelled', 499);
+        error.code = 'TURN_CANCELLED';
+        return error;
+    }
+    
+    /**
+     * Turns a numeric answer into one of the current scene's choices. Scenes
+     * from saves that predate parsed choices are parsed on demand.
+     * 
+     * @private
+     * @param {string} input - The player's input
+     * @returns {Object|null} The choice, or null if the input is not a number
+     * @throws {AppError} If no current choice has that number (400, code `UNKNOWN_CHOICE`)
+     */
+    _resolveChoice(input) {
+        const answer = input.trim();
+        if (!/^\d+$/.test(answer)) {
+            return null;
+        }
+        
+        const scene = this.gameState.currentScene;
+        const choices = scene?.choices || parseStory(scene?.narrative).choices;
+        const choice = choices.find(option => option.index === Number(answer));
+        if (!choice) {
+            const error = new AppError(choices.length > 0
+                ? `There is no choice ${answer}; pick ${choices.map(option => option.index).join(', ')} or describe what you do`
+                : 'There are no numbered choices right now; describe what you do', 400);
+            error.code = 'UNKNOWN_CHOICE';
+            throw error;
+        }
+        return choice;
+    }
+    
+    /**
+     * Rolls the skill check an action calls for, if any. The dice for a turn
+     * depend only on the seed and the turn number.
+     * 
+     * @private
+     * @param {string} action - The player's action
+     * @param {Object} [selectedChoice] - The numbered choice it came from
+     * @returns {?Object} The check (see `SkillCheckSystem.attempt`), or null if no skill governs the action
+     */
+    _rollSkillCheck(action, selectedChoice) {
+        const plan = this.skillCheckSystem.planCheck(action, selectedChoice);
+        if (!plan) {
+            return null;
+        }
+        
+        const check = this.skillCheckSystem.attempt({ ...plan, turn: this.meta.choiceCount });
+        logger.info('Skill check rolled', {
+            skill: check.skill,
+            difficulty: check.difficulty,
+            roll: check.roll,
+            total: check.total,
+            outcome: check.outcome
+        });
+        return check;
+    }
+    
+    /**
+     * Moves the in-game clock on by what the action takes, judged from its
+     * wording (see `classifyAction`). The world parameters influence each other
+     * once for each in-game hour that begins (see `WorldState.advanceTime`), so
+     * longer actions move the world further.
+     * 
+     * @private
+     * @param {string} action - The player's action
+     * @returns {Object} The `activity` (one of ACTION_ACTIVITIES), the `minutes`
+     *   it took, and the in-game timestamps the turn ran `from` and `to`
+     */
+    _advanceClock(action) {
+        const { activity } = classifyAction(action);
+        const minutes = this.actionTimeCosts[activity];
+        const from = this.worldState.getTimestamp();
+        
+        this.worldState.advanceTime(minutes, 'minute');
+        logger.debug('Clock advanced', { activity, minutes, time: this.worldState.describeTime('short') });
+        return { activity, minutes, from, to: this.worldState.getTimestamp() };
+    }
+    
+    /**
+     * Merges time-cost overrides over ACTION_TIME_COSTS.
+     * 
+     * @private
+     * @param {Object} overrides - Minutes by activity
+     * @returns {Object} Minutes for every activity
+     * @throws {AppError} If an activity is unknown or a cost is not a
+     *   non-negative integer (400, code `INVALID_TIME_COSTS`)
+     */
+    _resolveActionTimeCosts(overrides) {
+        const activities = Object.values(ACTION_ACTIVITIES);
+        Object.entries(overrides || {}).forEach(([activity, minutes]) => {
+            if (!activities.includes(activity) || !Number.isInteger(minutes) || minutes < 0) {
+                const error = new AppError(
+                    `Invalid time cost for ${activity}: expected whole minutes for one of ${activities.join(', ')}`,
+                    400
+                );
+                error.code = 'INVALID_TIME_COSTS';
+                throw error;
+            }
+        });
+        return { ...ACTION_TIME_COSTS, ...overrides };
+    }
+    
+    /**
+     * Schedules the turn's delayed consequences, then applies every scheduled
+     * consequence whose trigger is met now that the turn's own consequences
+     * are in place.
+     * 
+     * @private
+     * @param {Object[]} [delayed] - The analysis's `longTerm.delayed` entries
+     * @param {Object} changes - The turn's change log; entries that cannot be
+     *   scheduled are added to its `rejected` list
+     * @returns {Object[]} The entries that came due, each with the `changes` it made
+     */
+    _runScheduledConsequences(delayed, changes) {
+        const turn = this.meta.choiceCount;
+        
+        (Array.isArray(delayed) ? delayed : []).forEach(entry => {
+            try {
+                this.consequenceScheduler.schedule(entry, turn);
+            } catch (error) {
+                if (!(error instanceof AppError)) {
+                    throw error;
+                }
+                logger.warn('Delayed consequence rejected', { reason: error.message });
+                changes.rejected.push({
+                    type: 'delayed',
+                    target: entry?.description ?? null,
+                    attribute: 'trigger',
+                    value: entry?.trigger,
+                    reason: error.message
+                });
+            }
+        });
+        
+        return this.consequenceScheduler.collectDue(turn).map(entry => ({
+            ...entry,
+            changes: this.consequenceEngine.apply(entry.consequences, `Delayed consequence: ${entry.description}`)
+        }));
+    }
+    
+    /**
+     * Adds a choice to the player's history and advances the turn counters.
+     * 
+     * @private
+     * @param {string} input - The player's choice
+     * @param {Object} [selectedChoice] - The numbered choice it came from, if any
+     * @returns {void}
+     */
+    _recordPlayerChoice(input, selectedChoice = null) {
+        this.player.recordChoice({
+            choice: input,
+            ...(selectedChoice && { selectedChoice: selectedChoice.index }),
+            timestamp: new Date().toISOString(),
+            location: this.player.currentLocation,
+            sessionId: this.meta.sessionId
+        });
+        
+        this.meta.choiceCount++;
+        this.gameState.gameTime++;
+    }
+    
+    /**
+     * Makes the narrated turn the current scene and archives the previous one.
+     * 
+     * @private
+     * @param {string} choice - The player's choice
+     * @param {string} narrative - The generated narrative
+     * @param {Object} consequences - The consequences applied this turn
+     * @param {Object[]} [choices=[]] - The options the narrative offers next
+     * @param {Object} [skillCheck] - The skill check rolled for the choice
+     * @returns {void}
+     */
+    _recordScene(choice, narrative, consequences, choices = [], skillCheck = null) {
+        const scene = {
+            choice,
+            narrative,
+            choices,
+            skillCheck,
+            consequences,
+            choiceNumber: this.meta.choiceCount,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.gameState.currentScene = scene;
+        this.gameState.previousScenes.push(scene);
+        
+        if (this.gameState.previousScenes.length > MAX_SCENE_HISTORY) {
+            this.gameState.previousScenes.splice(0, this.gameState.previousScenes.length - MAX_SCENE_HISTORY);
+        }
+    }
+    
+    /**
+     * Builds the result shape of `CreationSystem.createEntitiesFromDetection` with nothing created.
+     * 
+     * @private
+     * @returns {Object} Empty creation results
+     */
+    _createEmptyCreationResults() {
+        return {
+            created: { npcs: [], factions: [], locations: [], items: [], events: [] },
+            failed: { npcs: [], factions: [], locations: [], items: [], events: [] },
+            warnings: []
         };
     }
     
     /**
-     * Applies world updates from AI processing.
+     * Counts the entities created in a turn.
      * 
      * @private
-     * @param {Object} updates - The updates to apply
+     * @param {Object} creationResults - Results from the CreationSystem
+     * @returns {number} The number of entities created
+     */
+    _countCreatedEntities(creationResults) {
+        return Object.values(creationResults.created || {})
+            .reduce((sum, created) => sum + created.length, 0);
+    }
+    
+    /**
+     * Shifts the backups of a slot down by one and copies the current save into
+     * the first backup. A current save that fails verification is not rotated in,
+     * so a corrupted file never pushes an intact backup out.
+     * 
+     * @private
+     * @param {string} slotName - The slot about to be overwritten
      * @returns {Promise<void>}
      */
-    async _applyWorldUpdates(updates = {}) {
-        if (!updates || typeof updates !== 'object') {
+    async _rotateBackups(slotName) {
+        if (this.backupCount < 1) {
             return;
         }
         
-        try {
-            // Apply parameter updates
-            if (updates.parameters) {
-                for (const [param, value] of Object.entries(updates.parameters)) {
-                    await this.worldState.updateGlobalParameter(
-                        param,
-                        value,
-                        'Updated by AI during input processing'
-                    );
-                }
+        const current = await readVerifiedSlot(this.storage, slotName);
+        if (!current.exists) {
+            return;
+        }
+        if (!current.valid) {
+            logger.warn(`Not backing up corrupted save in slot ${slotName}`, { reason: current.reason });
+            return;
+        }
+        
+        for (let index = this.backupCount - 1; index >= 1; index--) {
+            const backup = await readVerifiedSlot(this.storage, backupSlotName(slotName, index));
+            if (backup.data) {
+                await this.storage.write(backupSlotName(slotName, index + 1), backup.data);
+            }
+        }
+        
+        await this.storage.write(backupSlotName(slotName, 1), current.data);
+    }
+    
+    /**
+     * Reads a save slot, falling back to its backups (newest first) when the slot
+     * is missing, unreadable or fails checksum verification.
+     * 
+     * @private
+     * @param {string} slotName - The slot to read
+     * @returns {Promise<{data: Object, integrity: Object}>} The stored save and a report of
+     *   where it came from and which copies were rejected
+     * @throws {AppError} 404 if neither the slot nor any backup exists, 422 if none is intact
+     */
+    async _readRecoverableSave(slotName) {
+        const candidates = [slotName];
+        for (let index = 1; index <= this.backupCount; index++) {
+            candidates.push(backupSlotName(slotName, index));
+        }
+        
+        const rejected = [];
+        for (const candidate of candidates) {
+            const result = await readVerifiedSlot(this.storage, candidate);
+            if (!result.exists) {
+                continue;
             }
             
-            // Apply other world state updates as needed
-            // ...
+            if (result.valid) {
+                const integrity = {
+                    verified: result.verified,
+                    recovered: candidate !== slotName,
+                    source: candidate,
+                    rejected
+                };
+                
+                if (integrity.recovered) {
+                    logger.warn(`Save in slot ${slotName} is damaged; recovered from ${candidate}`, { rejected });
+                }
+                
+                return { data: result.data, integrity };
+            }
             
-        } catch (error) {
-            logger.error('Failed to apply world updates', { error, updates });
-            throw new AppError(
-                `Failed to apply world updates: ${error.message}`,
-                500,
-                false
-            );
+            rejected.push({ slot: candidate, reason: result.reason });
+        }
+        
+        if (rejected.length === 0) {
+            throw new AppError(`No save data found in slot: ${slotName}`, 404);
+        }
+        
+        throw new AppError(
+            `Save in slot ${slotName} is corrupted and no intact backup was found: ` +
+                rejected.map(entry => `${entry.slot} (${entry.reason})`).join('; '),
+            422
+        );
+    }
+
+    /**
+     * Lists hostile NPC relationships as potential conflicts, once per pair.
+     * The stronger the hostility, the likelier the conflict.
+     *
+     * @private
+     * @returns {Object[]} Conflicts in the `WorldAnalysisReport` shape
+     */
+    _findRelationshipConflicts() {
+        const conflicts = new Map();
+
+        for (const npcId of Object.keys(this.entityManager.entities[ENTITY_TYPES.NPC])) {
+            for (const { entityId, relationship } of this.relationshipGraph.findEnemies(npcId)) {
+                const key = [npcId, entityId].sort().join('|');
+                const existing = conflicts.get(key);
+                if (existing && existing.strength >= relationship.strength) {
+                    continue;
+                }
+
+                let likelihood = 'low';
+                if (relationship.strength >= 70) {
+                    likelihood = 'high';
+                } else if (relationship.strength >= 50) {
+                    likelihood = 'medium';
+                }
+                conflicts.set(key, {
+                    strength: relationship.strength,
+                    conflict: { parties: [npcId, entityId], type: 'personal', likelihood, impact: 'local', source: 'relationships' }
+                });
+            }
         }
+
+        return [...conflicts.values()].map(entry => entry.conflict);
+    }
+
+    /**
+     * Gets the narrative the player is currently responding to, for entity detection.
+     * 
+     * @private
+     * @returns {string} The current scene's narrative, or an empty string
+     */
+    _getCurrentNarrativeContext() {
+        return this.gameState.currentScene?.narrative || '';
     }
     
     /**
@@ -434,7 +1460,7 @@ class StoryEngine {
                 
                 for (const [id, data] of Object.entries(entitiesOfType)) {
                     try {
-                        await this.creationSystem.createEntity(type, id, data);
+                        this.entityManager.createEntity(type, id, data);
                     } catch (error) {
                         logger.error(`Failed to load entity ${type}/${id}`, { error, data });
                         // Continue loading other entities even if one fails
@@ -488,33 +1514,29 @@ class StoryEngine {
     }
     
     /**
-     * Loads world state from saved data.
+     * Loads world state from initial data, through `WorldState.importWorldState`:
+     * sections it leaves out keep their defaults, and parameters may be named by
+     * alias. Parameters no world has are skipped with a warning.
      * 
      * @private
-     * @param {Object} worldState - The world state to load
+     * @param {Object} worldState - `globalParameters` (or the older `parameters`),
+     *   `temporal` (a timestamp, or a date with an hour or time of day; see
+     *   `Calendar.normalize`), `events`, `information` and `history`
      * @returns {Promise<void>}
      */
     async _loadWorldState(worldState = {}) {
         try {
-            // Apply global parameters
-            if (worldState.parameters) {
-                for (const [param, value] of Object.entries(worldState.parameters)) {
-                    try {
-                        await this.worldState.updateGlobalParameter(
-                            param,
-                            value,
-                            'Loaded from save'
-                        );
-                    } catch (error) {
-                        logger.error(`Failed to load world parameter ${param}`, { error, value });
-                        // Continue loading other parameters even if one fails
-                    }
-                }
-            }
+            const globalParameters = { ...worldState.parameters, ...worldState.globalParameters };
+            Object.keys(globalParameters)
+                .filter(name => !resolveParameter(name))
+                .forEach(name => logger.warn(`Skipping unknown world parameter: ${name}`));
             
-            // Apply other world state properties as needed
-            // ...
+            const temporal = worldState.temporal && {
+                ...worldState.temporal,
+                ...this.worldState.calendar.normalize(worldState.temporal)
+            };
             
+            this.worldState.importWorldState({ ...worldState, globalParameters, temporal });
         } catch (error) {
             logger.error('Failed to load world state', { error });
             throw new AppError(
@@ -526,65 +1548,115 @@ class StoryEngine {
     }
     
     /**
-     * Gets all entities for saving.
+     * Replaces the player and hands the new instance to the subsystems that hold it.
      * 
      * @private
-     * @returns {Object} All entities organized by type
+     * @param {Player} player - The new player
+     * @returns {void}
      */
-    _getAllEntitiesForSave() {
-        const result = {};
-        
-        for (const type of Object.values(ENTITY_TYPES)) {
-            result[type] = this.entityManager.getAllEntities(type);
-        }
-        
-        return result;
+    _setPlayer(player) {
+        this.player = player;
+        this.creationSystem.player = player;
+        this.skillCheckSystem.player = player;
+        this.consequenceEngine.player = player;
+        this.consequenceScheduler.player = player;
     }
     
     /**
-     * Gets all relationships for saving.
+     * Seeds the village the player starts in: its elder, council and square, the
+     * player's starting sword and a friendly standing with the council.
      * 
      * @private
-     * @returns {Array} All relationships
+     * @returns {void}
      */
-    _getAllRelationshipsForSave() {
-        const result = [];
+    _createStartingWorld() {
+        this.entityManager.createEntity(ENTITY_TYPES.NPC, 'village_elder', {
+            name: 'Elder Thane',
+            occupation: 'village_leader',
+            age: 68,
+            location: 'village_square',
+            traits: ['wise', 'patient', 'respected', 'old'],
+            backstory: 'Long-serving elder who has guided the village through many crises',
+            goals: ['protect_village', 'maintain_peace'],
+            secrets: ['knows_ancient_prophecy'],
+            importance: 'high'
+        });
+        
+        this.entityManager.createEntity(ENTITY_TYPES.FACTION, 'village_council', {
+            name: 'Village Council',
+            type: 'political',
+            influence: 60,
+            wealth: 40,
+            militaryPower: 20,
+            attitude: 'neutral',
+            territory: ['village_square'],
+            goals: ['maintain_order', 'protect_citizens'],
+            leadership: ['village_elder'],
+            reputation: 'respected'
+        });
+        
+        this.entityManager.createEntity(ENTITY_TYPES.LOCATION, 'village_square', {
+            name: 'Village Square',
+            type: 'settlement',
+            visited: true,
+            safety: 90,
+            description: 'A peaceful cobblestone square with an ancient well at its center',
+            atmosphere: 'busy',
+            controlledBy: 'village_council',
+            secrets: ['hidden_passage_under_well'],
+            resources: ['fresh_water', 'meeting_place'],
+            population: 50,
+            wealth: 'moderate'
+        });
         
-        // This is a simplified example - in a real implementation, you'd need to
-        // collect all relationships from the relationship graph
+        this.entityManager.createEntity(ENTITY_TYPES.ITEM, 'rusty_sword', {
+            name: 'Rusty Iron Sword',
+            type: 'weapon',
+            subtype: 'sword',
+            value: 15,
+            weight: 3,
+            durability: 40,
+            description: 'An old sword showing signs of age but still functional',
+            location: 'player_inventory',
+            rarity: 'common'
+        });
         
-        return result;
+        this.relationshipGraph.setPlayerStanding('village_council', {
+            value: 10,
+            established: new Date().toISOString()
+        });
+        
+        this.player.moveTo('village_square');
+        this.player.inventory.push('rusty_sword');
     }
     
     /**
      * Resets the game state to its initial state.
      * 
      * @private
-     * @returns {Promise<void>}
+     * @returns {void}
      */
-    async _resetGameState() {
+    _resetGameState() {
         try {
             // Clear entities
             for (const type of Object.values(ENTITY_TYPES)) {
-                const entities = this.entityManager.getAllEntities(type);
-                for (const id of Object.keys(entities)) {
+                for (const id of Object.keys(this.entityManager.entities[type])) {
                     this.entityManager.deleteEntity(type, id);
                 }
+                this.entityManager.creationHistory[type] = [];
             }
             
             // Clear relationships
-            // (Implementation depends on your RelationshipGraph API)
+            this.relationshipGraph.importRelationships({});
             
             // Reset world state
-            // (Implementation depends on your WorldState API)
+            this.worldState.reset();
             
             // Reset player state
-            this.playerState = {
-                skills: {},
-                inventory: [],
-                reputation: {},
-                flags: new Set()
-            };
+            this._setPlayer(new Player());
+            
+            // Drop consequences scheduled in the old game
+            this.consequenceScheduler.clear();
             
             // Reset game state
             this.gameState = {
@@ -595,7 +1667,8 @@ class StoryEngine {
                 gameTime: 0,
                 currentSaveSlot: null
             };
-            
+            this.worldAnalysis = null;
+
             logger.info('Game state reset successfully');
             
         } catch (error) {
@@ -0,0 +1,196 @@
+const { estimateTokens } = require('./ContextAssembler');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const BUDGET_STATES = {
+    OK: 'ok',
+    SOFT_LIMIT: 'soft_limit',
+    EXHAUSTED: 'exhausted'
+};
+
+function emptyStats() {
+    return {
+        calls: 0,
+        failures: 0,
+        promptChars: 0,
+        responseChars: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        reportedCalls: 0,
+        totalLatencyMs: 0,
+        maxLatencyMs: 0
+    };
+}
+
+function addStats(total, stats) {
+    Object.keys(total).forEach(key => {
+        total[key] = key === 'maxLatencyMs' ? Math.max(total[key], stats[key]) : total[key] + stats[key];
+    });
+    return total;
+}
+
+function summarize(stats) {
+    return {
+        ...stats,
+        totalTokens: stats.promptTokens + stats.completionTokens,
+        averageLatencyMs: stats.calls > 0 ? Math.round(stats.totalLatencyMs / stats.calls) : 0
+    };
+}
+
+/**
+ * The error for a model call refused because the session's hard budget is spent.
+ *
+ * @returns {AppError} A 429 AppError with code `AI_BUDGET_EXHAUSTED`
+ */
+function budgetExhaustedError() {
+    const error = new AppError('The AI usage budget for this session is spent', 429);
+    error.code = 'AI_BUDGET_EXHAUSTED';
+    return error;
+}
+
+/**
+ * Counts the model calls a session makes, per task: prompt and response sizes,
+ * tokens, latency and failures, checked against optional soft and hard budgets.
+ *
+ * Tokens are the provider's figures where it reports them (`reportedCalls`
+ * counts those calls) and estimates from the text otherwise.
+ *
+ * @class UsageMeter
+ */
+class UsageMeter {
+    /**
+     * @param {Object} [budget] - Session limits; leave one out (or null) for no limit
+     * @param {number} [budget.softTokens] - Tokens after which a warning is logged
+     * @param {number} [budget.hardTokens] - Tokens after which no more calls are made
+     * @param {number} [budget.softCalls] - Calls after which a warning is logged
+     * @param {number} [budget.hardCalls] - Calls after which no more calls are made
+     */
+    constructor(budget = {}) {
+        this.budget = {
+            softTokens: budget.softTokens ?? null,
+            hardTokens: budget.hardTokens ?? null,
+            softCalls: budget.softCalls ?? null,
+            hardCalls: budget.hardCalls ?? null
+        };
+        this.reset();
+    }
+
+    /**
+     * Clears the counts and starts a new session.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.tasks = {};
+        this.startedAt = new Date().toISOString();
+        this.warnedState = BUDGET_STATES.OK;
+    }
+
+    /**
+     * Records one model call.
+     *
+     * @param {Object} call - The call
+     * @param {string} call.task - One of AI_TASKS
+     * @param {string} call.prompt - The prompt sent
+     * @param {string} [call.response=''] - The text received
+     * @param {Object} [call.usage] - Token counts reported by the provider:
+     *   `promptTokens` and `completionTokens`
+     * @param {number} call.latencyMs - How long the call took
+     * @param {boolean} [call.failed=false] - Whether the call failed
+     * @returns {void}
+     */
+    record({ task, prompt, response = '', usage = null, latencyMs, failed = false }) {
+        const stats = this.tasks[task] || (this.tasks[task] = emptyStats());
+
+        stats.calls++;
+        stats.failures += failed ? 1 : 0;
+        stats.promptChars += prompt.length;
+        stats.responseChars += response.length;
+        stats.totalLatencyMs += latencyMs;
+        stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latencyMs);
+
+        if (usage) {
+            stats.reportedCalls++;
+            stats.promptTokens += usage.promptTokens || 0;
+            stats.completionTokens += usage.completionTokens || 0;
+        } else {
+            stats.promptTokens += estimateTokens(prompt);
+            stats.completionTokens += estimateTokens(response);
+        }
+
+        this._warnOnBudgetChange();
+    }
+
+    /**
+     * @returns {Object} Every task's counts added together
+     */
+    getTotals() {
+        return Object.values(this.tasks).reduce(addStats, emptyStats());
+    }
+
+    /**
+     * @returns {string} One of BUDGET_STATES
+     */
+    getBudgetState() {
+        const totals = this.getTotals();
+        const tokens = totals.promptTokens + totals.completionTokens;
+        const reached = (used, limit) => limit !== null && used >= limit;
+
+        if (reached(tokens, this.budget.hardTokens) || reached(totals.calls, this.budget.hardCalls)) {
+            return BUDGET_STATES.EXHAUSTED;
+        }
+        if (reached(tokens, this.budget.softTokens) || reached(totals.calls, this.budget.softCalls)) {
+            return BUDGET_STATES.SOFT_LIMIT;
+        }
+        return BUDGET_STATES.OK;
+    }
+
+    /**
+     * @returns {boolean} True once the hard budget is spent
+     */
+    isExhausted() {
+        return this.getBudgetState() === BUDGET_STATES.EXHAUSTED;
+    }
+
+    /**
+     * @returns {Object} `startedAt`, `totals` and `byTask` (counts with `totalTokens`
+     *   and `averageLatencyMs`), and `budget` (the limits and their `state`)
+     */
+    getReport() {
+        return {
+            startedAt: this.startedAt,
+            totals: summarize(this.getTotals()),
+            byTask: Object.fromEntries(Object.entries(this.tasks).map(([task, stats]) => [task, summarize(stats)])),
+            budget: { ...this.budget, state: this.getBudgetState() }
+        };
+    }
+
+    _warnOnBudgetChange() {
+        const state = this.getBudgetState();
+        if (state === this.warnedState) {
+            return;
+        }
+
+        const totals = summarize(this.getTotals());
+        if (state === BUDGET_STATES.EXHAUSTED) {
+            logger.warn('AI usage budget spent; no more model calls this session', {
+                calls: totals.calls,
+                totalTokens: totals.totalTokens,
+                budget: this.budget
+            });
+        } else if (state === BUDGET_STATES.SOFT_LIMIT) {
+            logger.warn('AI usage passed the soft budget', {
+                calls: totals.calls,
+                totalTokens: totals.totalTokens,
+                budget: this.budget
+            });
+        }
+        this.warnedState = state;
+    }
+}
+
+module.exports = {
+    UsageMeter,
+    BUDGET_STATES,
+    budgetExhaustedError
+};
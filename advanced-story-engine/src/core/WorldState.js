@@ -1,6 +1,9 @@
 const Constants = require('../utils/Constants');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
+const { requireParameter, getParameterDefinition, createParameterValues } = require('../utils/WorldParameters');
+const Calendar = require('../utils/Calendar');
+const { formatTemporal } = require('../utils/Calendar');
 
 /**
  * Manages the global state of the game world, including parameters, temporal state,
@@ -9,7 +12,7 @@ const { AppError } = require('../utils/errorHandler');
  * @class WorldState
  * @example
  * const worldState = new WorldState();
- * worldState.updateGlobalParameter('GLOBAL_TENSION', 10, 'Player action');
+ * worldState.updateGlobalParameter('tension', 10, 'Player action');
  */
 class WorldState {
     /**
@@ -17,42 +20,55 @@ class WorldState {
      * Initializes global parameters, temporal state, events, and history.
      * 
      * @constructor
+     * @param {Object} [options={}] - Configuration options
+     * @param {Object} [options.calendar] - Overrides for the default CALENDAR
      * @throws {AppError} If there's an error initializing the world state
      */
-    constructor() {
+    constructor(options = {}) {
         try {
             logger.info('Initializing WorldState...');
-            // Initialize global parameters with default values
-            this.globalParameters = {};
-        Object.entries(Constants.WORLD_PARAMETERS).forEach(([key, value]) => {
-            // Convert key to camelCase for the internal object
-            const paramName = key.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
-            this.globalParameters[paramName] = value.default;
-        });
-        
+            this.calendar = new Calendar(options.calendar);
+            this.reset();
+            
+            logger.info('WorldState initialized successfully');
+        } catch (error) {
+            const errorMsg = `Failed to initialize WorldState: ${error.message}`;
+            logger.error(errorMsg, { error });
+            
+            // A malformed calendar is the caller's error, not ours
+            if (error instanceof AppError) {
+                throw error;
+            }
+            throw new AppError(errorMsg, 500, false);
+        }
+    }
+    
+    /**
+     * Restores every part of the world state to its default values.
+     */
+    reset() {
+        // Initialize global parameters with default values, under their canonical names
+        this.globalParameters = createParameterValues();
+    
         this.temporal = {
-            timeOfDay: 'morning',
-            season: 'spring',
-            weather: 'clear',
-            day: 1,
-            month: 'firstmonth',
-            year: 1000
+            ...this.calendar.fromTimestamp(this.calendar.start),
+            weather: 'clear'
         };
-        
+    
         this.events = {
             current: [],
             completed: [],
             failed: [],
             scheduled: []
         };
-        
+    
         this.information = {
             rumorMill: [],
             news: [],
             secrets: [],
             prophecies: []
         };
-        
+    
         this.history = {
             majorEvents: [],
             decisiveChoices: [],
@@ -60,97 +76,127 @@ class WorldState {
         };
     }
     
+    /**
+     * Reads a global parameter.
+     * 
+     * @param {string} parameter - The parameter's name or alias (see utils/WorldParameters)
+     * @returns {number} The current value
+     * @throws {AppError} If the parameter is unknown (code `UNKNOWN_WORLD_PARAMETER`)
+     */
+    getGlobalParameter(parameter) {
+        return this.globalParameters[requireParameter(parameter)];
+    }
+    
     /**
      * Updates a global parameter by applying the specified change.
      * The value will be clamped within the parameter's defined bounds.
      * 
-     * @param {string} parameter - The name of the parameter to update (case-insensitive)
+     * @param {string} parameter - The parameter's name or alias, e.g. `globalTension`,
+     *   `GLOBAL_TENSION` or `tension` (see utils/WorldParameters)
      * @param {number} change - The amount to add to the current value
      * @param {string} [reason=''] - The reason for the change (for history tracking)
+     * @param {Object} [options] - Update options
+     * @param {Object} [options.cause] - What caused the change, recorded with it
+     *   in `history.worldChanges`
      * @returns {number} The new value of the parameter
-     * @throws {AppError} If the parameter is invalid or the update fails
+     * @throws {AppError} If the change is not a number or the parameter is unknown
+     *   (code `UNKNOWN_WORLD_PARAMETER`)
      * @example
      * // Increase tension by 10
      * worldState.updateGlobalParameter('GLOBAL_TENSION', 10, 'Player made a difficult choice');
      */
-    updateGlobalParameter(parameter, change, reason = '') {
+    updateGlobalParameter(parameter, change, reason = '', options = {}) {
         try {
-            if (typeof parameter !== 'string' || parameter.trim() === '') {
-                throw new AppError('Parameter name must be a non-empty string', 400);
-            }
-
             if (typeof change !== 'number' || isNaN(change)) {
                 throw new AppError('Change must be a valid number', 400);
             }
-
-            logger.debug(`Updating global parameter: ${parameter} (change: ${change}, reason: ${reason})`);
-        
-        // First try exact match
-        if (this.globalParameters.hasOwnProperty(parameter)) {
-            const paramKey = Object.entries(Constants.WORLD_PARAMETERS)
-                .find(([key, value]) => 
-                    key.toLowerCase() === parameter.toUpperCase() || 
-                    key.toLowerCase().replace(/_/g, '').toLowerCase() === parameter.toLowerCase()
-                )?.[0];
+            const name = requireParameter(parameter);
             
-            if (!paramKey) {
-                const errorMsg = `Unknown global parameter: ${parameter}. Available parameters: ${Object.keys(Constants.WORLD_PARAMETERS).join(', ')}`;
-                logger.warn(errorMsg);
-                throw new AppError(errorMsg, 400);
+            logger.debug(`Updating global parameter: ${name} (change: ${change}, reason: ${reason})`);
+            return this._writeParameter(name, this.globalParameters[name] + change, change, reason, options.cause);
+        } catch (error) {
+            logger.error(`Error in updateGlobalParameter: ${error.message}`, { error, parameter, change, reason });
+            throw error;
+        }
+    }
+    
+    /**
+     * Sets a global parameter to an absolute value, clamped within its bounds.
+     * 
+     * @param {string} parameter - The parameter's name or alias
+     * @param {number} value - The new value
+     * @param {string} [reason=''] - The reason for the change (for history tracking)
+     * @param {Object} [options] - Update options
+     * @param {Object} [options.cause] - What caused the change, as for `updateGlobalParameter`
+     * @returns {number} The new value of the parameter
+     * @throws {AppError} If the value is not a number or the parameter is unknown
+     *   (code `UNKNOWN_WORLD_PARAMETER`)
+     */
+    setGlobalParameter(parameter, value, reason = '', options = {}) {
+        try {
+            if (typeof value !== 'number' || isNaN(value)) {
+                throw new AppError('Value must be a valid number', 400);
             }
+            const name = requireParameter(parameter);
             
-            const bounds = Constants.WORLD_PARAMETERS[paramKey];
-            const paramName = paramKey.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
-            
-            const oldValue = this.globalParameters[parameter];
-            const newValue = Math.max(
-                bounds.min,
-                Math.min(bounds.max, oldValue + change)
-            );
-            
-            console.log(`Updating ${parameter} (${paramName}) from ${oldValue} to ${newValue}`);
-            this.globalParameters[parameter] = newValue;
-            
-            try {
-                this.recordWorldChange({
-                    type: 'parameter_change',
-                    parameter: parameter,
-                    oldValue: oldValue,
-                    newValue: newValue,
-                    change: change,
-                    reason: reason,
-                    timestamp: new Date().toISOString()
-                });
-                
-                logger.info(`Updated ${parameter} from ${oldValue} to ${newValue} (change: ${change})`);
-                return newValue;
-            }
+            logger.debug(`Setting global parameter: ${name} (value: ${value}, reason: ${reason})`);
+            return this._writeParameter(name, value, value - this.globalParameters[name], reason, options.cause);
         } catch (error) {
-            logger.error(`Error in updateGlobalParameter: ${error.message}`, { error, parameter, change, reason });
+            logger.error(`Error in setGlobalParameter: ${error.message}`, { error, parameter, value, reason });
             throw error;
         }
     }
     
-    advanceTime(amount = 1, unit = 'hour') {
-        const oldTime = { ...this.temporal };
+    // Clamps and stores a parameter's new value and records the change
+    _writeParameter(name, value, change, reason, cause) {
+        const { min, max } = getParameterDefinition(name);
+        const oldValue = this.globalParameters[name];
+        const newValue = Math.max(min, Math.min(max, value));
+        
+        this.globalParameters[name] = newValue;
+        
+        this.recordWorldChange({
+            type: 'parameter_change',
+            parameter: name,
+            oldValue: oldValue,
+            newValue: newValue,
+            change: change,
+            reason: reason,
+            ...(cause && { cause }),
+            timestamp: new Date().toISOString()
+        });
         
-        switch (unit) {
-            case 'hour':
-                this.advanceHours(amount);
-                break;
-            case 'day':
-                this.advanceDays(amount);
-                break;
-            case 'month':
-                this.advanceMonths(amount);
-                break;
-            case 'year':
-                this.advanceYears(amount);
-                break;
-            default:
-                throw new Error(`Unknown time unit: ${unit}`);
+        logger.info(`Updated ${name} from ${oldValue} to ${newValue} (change: ${change})`);
+        return newValue;
+    }
+    
+    /**
+     * Moves the clock forward, then lets the world parameters influence each
+     * other once for every in-game hour that began along the way (at most
+     * WORLD_INFLUENCE.MAX_TICKS_PER_ADVANCE times), and processes time-based
+     * events. A long journey thus moves the world further than a short talk,
+     * and several short actions add up to an hour's tick between them.
+     * 
+     * @param {number} [amount=1] - How many units to advance
+     * @param {string} [unit='hour'] - `minute`, `hour`, `day`, `month` or `year`
+     * @returns {Object} The new temporal state
+     * @throws {Error} If the unit is unknown
+     */
+    advanceTime(amount = 1, unit = 'hour') {
+        const advance = {
+            minute: () => this.advanceMinutes(amount),
+            hour: () => this.advanceHours(amount),
+            day: () => this.advanceDays(amount),
+            month: () => this.advanceMonths(amount),
+            year: () => this.advanceYears(amount)
+        }[unit];
+        if (!advance) {
+            throw new Error(`Unknown time unit: ${unit}`);
         }
         
+        const oldTime = { ...this.temporal };
+        advance();
+        
         this.recordWorldChange({
             type: 'time_advancement',
             oldTime: oldTime,
@@ -160,56 +206,141 @@ class WorldState {
             timestamp: new Date().toISOString()
         });
         
-        // Process time-based events
+        // Let the parameters pull on each other, then process time-based events
+        const { minutesPerHour } = this.calendar;
+        const hoursBegun = Math.floor(this.temporal.timestamp / minutesPerHour) - Math.floor(oldTime.timestamp / minutesPerHour);
+        const ticks = Math.min(hoursBegun, Constants.WORLD_INFLUENCE.MAX_TICKS_PER_ADVANCE);
+        for (let tick = 0; tick < ticks; tick++) {
+            this.applyInfluences();
+        }
         this.processTimeBasedEvents();
+        return this.temporal;
     }
     
-    advanceHours(hours) {
-        // Simplified time system - implement full calendar logic as needed
-        const timeOfDayMap = ['dawn', 'morning', 'midday', 'afternoon', 'evening', 'night'];
-        let currentIndex = timeOfDayMap.indexOf(this.temporal.timeOfDay);
+    /**
+     * Lets the world parameters pull on each other for one time tick, as
+     * WORLD_PARAMETER_INFLUENCES describes. Every influence reads the values from
+     * before the tick, so a change cascades on to the parameters it influences
+     * only on the next tick. Each parameter's combined pull is damped and capped
+     * (see WORLD_INFLUENCE) so values drift instead of swinging.
+     * 
+     * Each change is recorded in `history.worldChanges` with the influences that
+     * caused it as `cause: { type: 'influence', sources }`.
+     * 
+     * @returns {Object[]} The changes made: `parameter`, `oldValue`, `newValue`,
+     *   `change`, and the `sources` (`parameter`, `value`, `description`) behind it
+     */
+    applyInfluences() {
+        const values = { ...this.globalParameters };
+        const pulls = {};
         
-        for (let i = 0; i < hours; i++) {
-            currentIndex = (currentIndex + 1) % timeOfDayMap.length;
-            if (currentIndex === 0) { // New day
-                this.advanceDays(1);
+        Constants.WORLD_PARAMETER_INFLUENCES.forEach(influence => {
+            const value = values[influence.source];
+            if (value === undefined || values[influence.target] === undefined) {
+                return;
             }
-        }
+            const excess = influence.above !== undefined ? value - influence.above : influence.below - value;
+            if (excess <= 0) {
+                return;
+            }
+            
+            pulls[influence.target] = pulls[influence.target] || { total: 0, sources: [] };
+            pulls[influence.target].total += influence.rate * excess;
+            pulls[influence.target].sources.push({ parameter: influence.source, value, description: influence.description });
+        });
+        
+        const { DAMPING, MAX_CHANGE_PER_TICK } = Constants.WORLD_INFLUENCE;
+        const changes = [];
+        Object.entries(pulls).forEach(([parameter, { total, sources }]) => {
+            const damped = Math.max(-MAX_CHANGE_PER_TICK, Math.min(MAX_CHANGE_PER_TICK, total * DAMPING));
+            const change = Math.sign(damped) * Math.round(Math.abs(damped));
+            const oldValue = this.globalParameters[parameter];
+            const bounds = getParameterDefinition(parameter);
+            // Nothing to do for a pull too weak to move the value, or against a bound
+            if (change === 0 || (change < 0 && oldValue <= bounds.min) || (change > 0 && oldValue >= bounds.max)) {
+                return;
+            }
+            
+            const reason = sources.map(source => source.description).join('; ');
+            const newValue = this.updateGlobalParameter(parameter, change, reason, {
+                cause: { type: 'influence', sources }
+            });
+            changes.push({ parameter, oldValue, newValue, change: newValue - oldValue, sources });
+        });
         
-        this.temporal.timeOfDay = timeOfDayMap[currentIndex];
+        if (changes.length > 0) {
+            logger.debug('World parameters influenced each other', {
+                changes: changes.map(({ parameter, change }) => `${parameter} ${change}`)
+            });
+        }
+        return changes;
+    }
+    
+    // The advance* helpers only move the clock; advanceTime also records the
+    // change and runs the tick
+    advanceMinutes(minutes) {
+        this._setTimestamp(this.temporal.timestamp + minutes);
+    }
+    
+    advanceHours(hours) {
+        this._setTimestamp(this.temporal.timestamp + hours * this.calendar.minutesPerHour);
     }
     
     advanceDays(days) {
-        this.temporal.day += days;
-        
-        // Simple month advancement (30 days per month)
-        while (this.temporal.day > 30) {
-            this.temporal.day -= 30;
-            this.advanceMonths(1);
-        }
+        this._setTimestamp(this.temporal.timestamp + days * this.calendar.minutesPerDay);
     }
     
     advanceMonths(months) {
-        const monthMap = ['firstmonth', 'secondmonth', 'thirdmonth', 'fourthmonth'];
-        const seasonMap = ['spring', 'summer', 'autumn', 'winter'];
-        
-        let currentMonthIndex = monthMap.indexOf(this.temporal.month);
-        
-        for (let i = 0; i < months; i++) {
-            currentMonthIndex = (currentMonthIndex + 1) % monthMap.length;
-            if (currentMonthIndex === 0) { // New year
-                this.advanceYears(1);
-            }
-        }
-        
-        this.temporal.month = monthMap[currentMonthIndex];
-        this.temporal.season = seasonMap[Math.floor(currentMonthIndex / 1)]; // Update based on month
+        this._setTimestamp(this.calendar.addMonths(this.temporal.timestamp, months));
     }
     
     advanceYears(years) {
-        this.temporal.year += years;
+        this.advanceMonths(years * this.calendar.months.length);
     }
     
+    _setTimestamp(timestamp) {
+        this.temporal = {
+            ...this.calendar.fromTimestamp(timestamp),
+            weather: this.temporal.weather
+        };
+    }
+    
+    /**
+     * Counts the days from the start of the calendar to a date, so dates can be
+     * compared and scheduled against.
+     * 
+     * @param {Object} [temporal=this.temporal] - A date with `day`, `month` and `year`
+     * @returns {number|null} The day number, or null if the date is not in the calendar
+     */
+    getDayNumber(temporal = this.temporal) {
+        return this.calendar.getDayNumber(temporal);
+    }
+    
+    /**
+     * @returns {number} The current in-game time, in minutes since the start of the calendar
+     */
+    getTimestamp() {
+        return this.temporal.timestamp;
+    }
+    
+    /**
+     * Describes the current in-game date and time.
+     * 
+     * @param {string} [style='long'] - `long` or `short`; see formatTemporal
+     * @returns {string} E.g. `Moonday, 1 Firstmonth 1000, 08:00 (morning)`
+     */
+    describeTime(style = 'long') {
+        return formatTemporal(this.temporal, { style });
+    }
+    
+    /**
+     * Starts a world event. Its `startTime` and `endTime` are in-game timestamps
+     * (see `getTimestamp`); a `temporary` event with an `endTime` completes once
+     * the clock reaches it.
+     * 
+     * @param {Object} eventData - The event; `startTime` defaults to now
+     * @returns {Object} The active event
+     */
     addEvent(eventData) {
         const event = {
             id: eventData.id || `event_${Date.now()}`,
@@ -217,8 +348,8 @@ class WorldState {
             type: eventData.type || 'social',
             scope: eventData.scope || 'local',
             duration: eventData.duration || 'ongoing',
-            startTime: eventData.startTime || new Date().toISOString(),
-            endTime: eventData.endTime || null,
+            startTime: Number.isFinite(eventData.startTime) ? eventData.startTime : this.getTimestamp(),
+            endTime: Number.isFinite(eventData.endTime) ? eventData.endTime : null,
             participants: eventData.participants || [],
             consequences: eventData.consequences || [],
             description: eventData.description || '',
@@ -243,7 +374,7 @@ class WorldState {
         }
         
         const event = this.events.current.splice(eventIndex, 1)[0];
-        event.endTime = new Date().toISOString();
+        event.endTime = this.getTimestamp();
         event.status = success ? 'completed' : 'failed';
         
         if (success) {
@@ -295,9 +426,31 @@ class WorldState {
         }
     }
     
+    /**
+     * Schedules an event to start when the in-game clock reaches `triggerTime`.
+     * 
+     * @param {Object} eventData - The event, as `addEvent` takes it
+     * @param {number} triggerTime - The in-game timestamp to start it at
+     * @returns {Object} The scheduled entry: `eventData` and `triggerTime`
+     * @throws {AppError} If `triggerTime` is not a number (400)
+     */
+    scheduleEvent(eventData, triggerTime) {
+        if (!Number.isFinite(triggerTime)) {
+            throw new AppError('Event trigger time must be an in-game timestamp', 400);
+        }
+        
+        const scheduled = { eventData, triggerTime };
+        this.events.scheduled.push(scheduled);
+        return scheduled;
+    }
+    
+    /**
+     * Starts the scheduled events and completes the temporary ones whose time
+     * has come on the in-game clock.
+     */
     processTimeBasedEvents() {
         // Process scheduled events
-        const currentTime = new Date().toISOString();
+        const currentTime = this.getTimestamp();
         
         this.events.scheduled = this.events.scheduled.filter(scheduledEvent => {
             if (scheduledEvent.triggerTime <= currentTime) {
@@ -320,16 +473,21 @@ class WorldState {
      * 
      * @param {Object} change - The change to record
      * @param {string} change.type - The type of change (e.g., 'parameter_change')
-     * @param {string} change.parameter - The parameter that was changed
-     * @param {*} change.oldValue - The value before the change
-     * @param {*} change.newValue - The value after the change
+     * @param {string} [change.parameter] - The parameter that was changed (required for 'parameter_change')
+     * @param {*} [change.oldValue] - The value before the change (required for 'parameter_change')
+     * @param {*} [change.newValue] - The value after the change (required for 'parameter_change')
      * @param {*} [change.change] - The delta of the change
      * @param {string} [change.reason] - The reason for the change
+     * @param {Object} [change.cause] - What caused the change, e.g. the influences behind it
      * @param {string} [change.timestamp] - When the change occurred (ISO string)
      * @throws {AppError} If the change object is invalid
      */
     recordWorldChange(change) {
-        const requiredFields = ['type', 'parameter', 'oldValue', 'newValue'];
+        // Only parameter changes carry a before/after value; time advancement and
+        // event records describe themselves with their own fields.
+        const requiredFields = change.type === 'parameter_change'
+            ? ['type', 'parameter', 'oldValue', 'newValue']
+            : ['type'];
         const missingFields = requiredFields.filter(field => !(field in change));
 
         if (missingFields.length > 0) {
@@ -349,7 +507,7 @@ class WorldState {
                 this.history.worldChanges = this.history.worldChanges.slice(-1000);
             }
 
-            logger.debug(`Recorded world change: ${change.type} for ${change.parameter}`);
+            logger.debug(`Recorded world change: ${change.type}${change.parameter ? ` for ${change.parameter}` : ''}`);
         } catch (error) {
             const errorMsg = `Failed to record world change: ${error.message}`;
             logger.error(errorMsg, { error, change });
@@ -394,10 +552,10 @@ class WorldState {
         }
         
         // Analyze tension
-        if (this.globalParameters.tension > 70) {
+        if (this.globalParameters.globalTension > 70) {
             analysis.tension = 'high';
             analysis.concerns.push('Rising tensions may lead to conflict');
-        } else if (this.globalParameters.tension > 40) {
+        } else if (this.globalParameters.globalTension > 40) {
             analysis.tension = 'moderate';
         }
         
@@ -427,21 +585,28 @@ class WorldState {
             temporal: this.temporal,
             events: this.events,
             information: this.information,
-            history: {
-                majorEvents: this.history.majorEvents,
-                decisiveChoices: this.history.decisiveChoices.slice(-20),
-                worldChanges: this.history.worldChanges.slice(-50)
-            },
+            history: this.history,
             timestamp: new Date().toISOString()
         };
     }
     
     importWorldState(data) {
-        this.globalParameters = data.globalParameters || this.globalParameters;
-        this.temporal = data.temporal || this.temporal;
-        this.events = data.events || this.events;
-        this.information = data.information || this.information;
-        this.history = data.history || this.history;
+        // Merge over the current sections so older saves missing a key keep its default
+        this.globalParameters = createParameterValues({ ...this.globalParameters, ...(data.globalParameters || {}) });
+        // The date is read back from the timestamp, so it follows this world's calendar;
+        // saves from before the clock are given one by the SaveMigrator
+        if (data.temporal) {
+            if (!Number.isFinite(data.temporal.timestamp)) {
+                throw new AppError('World state has no in-game timestamp', 422);
+            }
+            this.temporal = {
+                ...this.calendar.fromTimestamp(data.temporal.timestamp),
+                weather: data.temporal.weather || this.temporal.weather
+            };
+        }
+        this.events = { ...this.events, ...(data.events || {}) };
+        this.information = { ...this.information, ...(data.information || {}) };
+        this.history = { ...this.history, ...(data.history || {}) };
     }
 }
 
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const readline = require('readline');
 const StoryEngine = require('./core/StoryEngine');
+const { formatTemporal } = require('./utils/Calendar');
+const config = require('../config/production');
 
 class GameInterface {
     constructor() {
@@ -9,11 +11,33 @@ class GameInterface {
             input: process.stdin,
             output: process.stdout
         });
+        this.turnController = null;
+        
+        // Piped input can arrive before the game asks for it; keep it until asked.
+        // Once input ends, questions are answered with their defaults.
+        this.pendingLines = [];
+        this.inputClosed = false;
+        this.answerPendingQuestion = null;
+        this.rl.on('line', line => this.pendingLines.push(line));
+        this.rl.on('close', () => {
+            this.inputClosed = true;
+            this.answerPendingQuestion?.('');
+        });
+        
+        // Ctrl+C cancels a turn in progress; otherwise it quits as before
+        this.rl.on('SIGINT', () => {
+            if (this.turnController) {
+                this.turnController.abort();
+            } else {
+                process.emit('SIGINT');
+            }
+        });
         
         this.commands = {
             'help': this.showHelp.bind(this),
             'stats': this.showStats.bind(this),
             'status': this.showStatus.bind(this),
+            'usage': this.showUsage.bind(this),
             'save': this.saveGame.bind(this),
             'load': this.loadGame.bind(this),
             'analyze': this.analyzeWorld.bind(this),
@@ -29,26 +53,42 @@ class GameInterface {
         console.log(`🌟 A sophisticated world that grows and evolves with every choice!`);
         console.log('════════════════════════════════════════════════════════════════════════════════════');
         
+        const aiOptions = this.getAIOptions();
+        
         // Get API key from environment variable or prompt
-        let apiKey = process.env.GEMINI_API_KEY;
+        let apiKey = process.env.AI_API_KEY || process.env.GEMINI_API_KEY;
         
-        if (!apiKey) {
+        if (aiOptions.cassette?.mode === 'replay') {
+            console.log(`📼 Replaying AI responses from ${aiOptions.cassette.path}`);
+        } else if (aiOptions.provider === 'offline') {
+            console.log('📴 Offline mode: the story is generated locally from templates.');
+        } else if (!apiKey) {
             console.log('ℹ️  No API key found in environment variables.');
-            apiKey = await this.askQuestion('🔑 Enter your Gemini API key: ');
+            apiKey = await this.askQuestion(`🔑 Enter your ${aiOptions.provider} API key: `);
         }
         
         // Initialize the story engine with the API key
-        this.engine = new StoryEngine(apiKey);
+        this.engine = new StoryEngine(apiKey, { aiOptions });
+        await this.engine.initialize();
         
         console.log("✅ All systems operational!");
         console.log("\nType 'help' for commands or start your adventure!\n");
         
         // Check for existing save
-        const loadSave = await this.askQuestion("📁 Load existing save? (y/N): ");
-        if (loadSave.toLowerCase().startsWith('y')) {
-            const success = await this.engine.loadGame();
-            if (!success) {
-                console.log("🆕 Starting new adventure instead!");
+        const saves = await this.engine.listSaves();
+        if (saves.length > 0) {
+            const latest = saves[0];
+            const loadSave = await this.askQuestion(`📁 Load existing save '${latest.slot}' (${latest.metadata.saveTime})? (y/N): `);
+            if (loadSave.toLowerCase().startsWith('y')) {
+                const success = await this.engine.loadGame(latest.slot).catch(error => {
+                    console.log(`❌ ${error.message}`);
+                    return false;
+                });
+                if (success) {
+                    this.reportRecovery(success);
+                } else {
+                    console.log('🆕 Starting new adventure instead!');
+                }
             }
         }
         
@@ -58,24 +98,136 @@ class GameInterface {
         }
     }
     
+    // config/production.js settings, overridable with AI_PROVIDER, AI_MODEL and AI_BASE_URL.
+    // `--offline` (or AI_PROVIDER=offline) plays without network access; AI_SEED fixes its output.
+    // `--record=<file>` saves every AI exchange to a cassette and `--replay=<file>` plays one back.
+    getAIOptions() {
+        const provider = process.argv.includes('--offline') ? 'offline' : (process.env.AI_PROVIDER || config.ai.provider);
+        const cassetteArg = process.argv.find(arg => /^--(record|replay)=/.test(arg));
+        
+        return {
+            provider,
+            // The configured model only applies to the configured provider
+            modelName: process.env.AI_MODEL || (provider === config.ai.provider ? config.ai.modelName : undefined),
+            baseUrl: process.env.AI_BASE_URL || config.ai.baseUrl || undefined,
+            temperature: config.ai.modelSettings.temperature,
+            maxOutputTokens: config.ai.modelSettings.maxTokens,
+            seed: process.env.AI_SEED,
+            retryAttempts: config.ai.retryAttempts,
+            timeoutMs: config.ai.timeoutMs,
+            enableFallbacks: config.ai.enableFallbacks,
+            repromptOnInvalid: config.ai.repromptOnInvalidOutput,
+            contextTokenBudget: config.ai.contextTokenBudget,
+            prompts: {
+                directory: config.ai.prompts.directory || undefined,
+                overrides: process.env.PROMPT_OVERRIDES || config.ai.prompts.overrides || undefined
+            },
+            callPolicy: { ...config.ai.backoff, ...config.ai.circuitBreaker },
+            usageBudget: config.ai.usageBudget,
+            responseCache: config.performance.enableCaching && {
+                maxEntries: config.performance.cacheSize,
+                ttlMs: config.performance.cacheTtlMs,
+                directory: config.performance.cacheDirectory || undefined
+            },
+            cassette: cassetteArg && {
+                mode: cassetteArg.slice(2, cassetteArg.indexOf('=')),
+                path: cassetteArg.slice(cassetteArg.indexOf('=') + 1)
+            }
+        };
+    }
+    
     async generateInitialStory() {
         console.log("\n🎲 Generating your opening story...\n");
         
-        const response = await this.engine.processPlayerChoice(
+        const response = await this.playTurn(
             "I find myself in the village square, taking in my surroundings and considering my opportunities in this new place. I want to understand the local dynamics and find my place in this community."
         );
         
-        console.log(response.narrative);
+        this.reportDegradedAI(response);
         
         if (response.newEntitiesCount > 0) {
             console.log(`\n✨ ${response.newEntitiesCount} new entities added to your world!`);
         }
     }
     
+    // Runs a turn, printing the narrative as it streams in; Ctrl+C cancels the turn
+    async playTurn(input) {
+        this.turnController = new AbortController();
+        const stopPrinting = this.engine.on('narrativeChunk', ({ text }) => process.stdout.write(text));
+        
+        try {
+            const response = await this.engine.processPlayerChoice(input, {
+                stream: true,
+                signal: this.turnController.signal
+            });
+            
+            if (response.isFallback) {
+                console.log(response.narrative);
+            }
+            return response;
+        } finally {
+            stopPrinting();
+            this.turnController = null;
+            process.stdout.write('\n');
+        }
+    }
+    
+    reportDegradedAI(response) {
+        if (!response.degraded) {
+            return;
+        }
+        
+        const tasks = [...new Set(response.aiFallbacks.map(fallback => fallback.task))];
+        const detail = tasks.length > 0 ? ` (${tasks.join(', ')})` : '';
+        console.log(`\n⚠️  The AI is having trouble right now; parts of this turn used fallbacks${detail}.`);
+    }
+    
+    reportSkillCheck(response) {
+        const check = response.skillCheck;
+        if (!check) {
+            return;
+        }
+        
+        const outcome = check.outcome.replace(/_/g, ' ');
+        console.log(`\n🎯 ${check.skill} check (DC ${check.dc}): rolled ${check.roll}, total ${check.total}: ${outcome}`);
+        if (check.experience.skillPoints > 0) {
+            console.log(`📈 Your ${check.skill} improves to ${this.engine.player.skills[check.skill]}!`);
+        }
+    }
+    
+    reportChanges(response) {
+        const label = change => (change.target === change.attribute ? change.target : `${change.target} ${change.attribute}`);
+        const changes = (response.changes?.applied || [])
+            .filter(change => typeof change.change === 'number')
+            .map(change => `${label(change)} ${change.change > 0 ? '+' : ''}${change.change}`);
+        
+        if (changes.length > 0) {
+            console.log(`📜 ${changes.join(', ')}`);
+        }
+    }
+    
+    reportTriggeredConsequences(response) {
+        (response.triggeredConsequences || []).forEach(entry => {
+            console.log(`⏳ ${entry.description}`);
+        });
+    }
+    
+    reportTime(response) {
+        if (!response.time) {
+            return;
+        }
+        
+        const elapsed = this.engine.worldState.calendar.formatDuration(response.time.minutes);
+        console.log(`🕐 ${elapsed} later: ${this.engine.worldState.describeTime()}`);
+    }
+    
     async gameLoop() {
         while (true) {
             try {
                 const input = await this.askQuestion("\n> What do you choose? ");
+                if (!input && this.inputClosed) {
+                    await this.quit();
+                }
                 
                 if (this.commands[input.toLowerCase()]) {
                     await this.commands[input.toLowerCase()]();
@@ -84,9 +236,13 @@ class GameInterface {
                 
                 // Process as story choice
                 console.log("\n🎲 Processing your choice...\n");
-                const response = await this.engine.processPlayerChoice(input);
+                const response = await this.playTurn(input);
                 
-                console.log(response.narrative);
+                this.reportDegradedAI(response);
+                this.reportSkillCheck(response);
+                this.reportChanges(response);
+                this.reportTriggeredConsequences(response);
+                this.reportTime(response);
                 
                 // Show creation results if any
                 if (response.newEntitiesCount > 0) {
@@ -100,12 +256,25 @@ class GameInterface {
                     }
                 }
                 
+                if (response.choices?.length > 0) {
+                    const numbers = response.choices.map(choice => choice.index).join(', ');
+                    console.log(`\n💡 Type ${numbers} to pick a choice, or describe what you do.`);
+                }
+                
                 // Auto-save every few choices
                 if (this.engine.meta.choiceCount % 5 === 0) {
                     await this.engine.saveGame();
                 }
                 
             } catch (error) {
+                if (error.code === 'TURN_CANCELLED') {
+                    console.log('\n⏹️  Turn cancelled; the world is as you left it.');
+                    continue;
+                }
+                if (error.code === 'UNKNOWN_CHOICE') {
+                    console.log(`\n❓ ${error.message}`);
+                    continue;
+                }
                 console.error("\n💥 Error processing input:", error.message);
                 console.log("🔧 The world stabilizes as reality reasserts itself...\n");
             }
@@ -119,6 +288,7 @@ class GameInterface {
         console.log("  help          - Show this help");
         console.log("  stats         - Display comprehensive world state");
         console.log("  status        - Show engine system status");
+        console.log('  usage         - Show AI calls, tokens and budget for this session');
         console.log("  relationships - Show detailed relationship networks");
         console.log("  inventory     - Show player inventory and items");
         console.log("  analyze       - Analyze current world state");
@@ -205,7 +375,7 @@ class GameInterface {
         // World State
         console.log("\n🌍 GLOBAL DYNAMICS:");
         const worldParams = gameState.worldState.globalParameters;
-        console.log(`   Global Tension: ${worldParams.tension}/100 ${this.getTensionDescription(worldParams.tension)}`);
+        console.log(`   Global Tension: ${worldParams.globalTension}/100 ${this.getTensionDescription(worldParams.globalTension)}`);
         console.log(`   Political Stability: ${worldParams.politicalStability}/100 ${this.getStabilityDescription(worldParams.politicalStability)}`);
         console.log(`   Economic State: ${worldParams.economicState}/100 ${this.getEconomicDescription(worldParams.economicState)}`);
         console.log(`   Magical Activity: ${worldParams.magicalActivity}/100 ${this.getMagicalDescription(worldParams.magicalActivity)}`);
@@ -213,9 +383,8 @@ class GameInterface {
         // Time and Environment
         console.log("\n🕐 TEMPORAL CONTEXT:");
         const temporal = gameState.worldState.temporal;
-        console.log(`   Time: ${temporal.timeOfDay}, Season: ${temporal.season}`);
-        console.log(`   Weather: ${temporal.weather}, Day: ${temporal.day}`);
-        console.log(`   Month: ${temporal.month}, Year: ${temporal.year}`);
+        console.log(`   ${formatTemporal(temporal) || 'Unknown'}`);
+        console.log(`   Season: ${temporal.season}, Weather: ${temporal.weather}`);
         
         // Active Events
         console.log("\n📅 CURRENT EVENTS:");
@@ -303,6 +472,38 @@ class GameInterface {
         console.log(`   Session Duration: ${status.performance.sessionTime} minutes`);
         console.log(`   Entities Created: ${status.performance.entitiesCreated}`);
         console.log(`   Memory Usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+        console.log(`   AI Calls: ${status.ai.usage.totals.calls} (${status.ai.usage.totals.totalTokens} tokens)`);
+        if (status.ai.cache) {
+            console.log(`   AI Cache: ${status.ai.cache.hits} hits, ${status.ai.cache.misses} misses, ${status.ai.cache.entries} entries`);
+        }
+        console.log('═'.repeat(50));
+    }
+    
+    async showUsage() {
+        const { usage } = this.engine.getSystemStatus().ai;
+        const { totals, budget } = usage;
+        const limit = (soft, hard) => [soft !== null && `soft ${soft}`, hard !== null && `hard ${hard}`]
+            .filter(Boolean).join(', ') || 'no limit';
+        
+        console.log('\n📟 AI USAGE THIS SESSION');
+        console.log('═'.repeat(50));
+        Object.entries(usage.byTask).forEach(([task, stats]) => {
+            console.log(`   ${task}: ${stats.calls} calls, ${stats.failures} failed, ${stats.totalTokens} tokens, ` +
+                `${stats.averageLatencyMs}ms average (${stats.maxLatencyMs}ms max)`);
+        });
+        console.log(`   Total: ${totals.calls} calls, ${totals.failures} failed, ` +
+            `${totals.promptTokens} prompt + ${totals.completionTokens} response tokens`);
+        if (totals.reportedCalls < totals.calls) {
+            console.log(`   (tokens are estimated for ${totals.calls - totals.reportedCalls} calls the provider did not report)`);
+        }
+        console.log('');
+        console.log(`💰 Budget: tokens ${limit(budget.softTokens, budget.hardTokens)}; ` +
+            `calls ${limit(budget.softCalls, budget.hardCalls)}`);
+        if (budget.state === 'exhausted') {
+            console.log('   ⛔ Spent: the model is no longer called this session.');
+        } else if (budget.state === 'soft_limit') {
+            console.log('   ⚠️  Past the soft limit.');
+        }
         console.log("═".repeat(50));
     }
     
@@ -405,21 +606,21 @@ class GameInterface {
     async analyzeWorld() {
         console.log("\n🔮 ANALYZING WORLD STATE...\n");
         
-        const analysis = await this.engine.aiInterface.analyzeConsequences(
-            "", 
-            "analyze current world state", 
-            this.engine.compileGameState()
-        );
+        const analysis = await this.engine.analyzeWorld();
+        const { summary } = analysis;
+        
+        console.log(`🌍 Stability: ${summary.stability}, Tension: ${summary.tension}, ` +
+            `Economy: ${summary.economicHealth}, Magic: ${summary.magicalClimate}`);
         
-        if (analysis && analysis.trends) {
-            console.log("📈 IDENTIFIED TRENDS:");
+        if (analysis.trends.length > 0) {
+            console.log('\n📈 IDENTIFIED TRENDS:');
             analysis.trends.forEach(trend => {
                 const emoji = trend.direction === 'rising' ? '⬆️' : trend.direction === 'falling' ? '⬇️' : '➡️';
                 console.log(`   ${emoji} ${trend.description} (${trend.significance} significance)`);
             });
         }
         
-        if (analysis && analysis.conflicts) {
+        if (analysis.conflicts.length > 0) {
             console.log("\n⚔️ POTENTIAL CONFLICTS:");
             analysis.conflicts.forEach(conflict => {
                 const riskEmoji = conflict.likelihood === 'high' ? '🔴' : conflict.likelihood === 'medium' ? '🟡' : '🟢';
@@ -428,7 +629,7 @@ class GameInterface {
             });
         }
         
-        if (analysis && analysis.opportunities) {
+        if (analysis.opportunities.length > 0) {
             console.log("\n💎 OPPORTUNITIES:");
             analysis.opportunities.forEach(opp => {
                 console.log(`   • ${opp.description}`);
@@ -441,6 +642,17 @@ class GameInterface {
             });
         }
         
+        if (analysis.warnings.length > 0) {
+            console.log('\n⚠️  WARNINGS:');
+            analysis.warnings.forEach(warning => {
+                console.log(`   • ${warning.concern} (${warning.severity} severity, timeframe: ${warning.timeframe})`);
+            });
+        }
+        
+        if (analysis.aiFallbacks.length > 0) {
+            console.log('\n⚠️  The AI is having trouble right now; this analysis only covers the world\'s own statistics.');
+        }
+        
         console.log("\n🎯 Analysis complete!");
     }
     
@@ -454,14 +666,30 @@ class GameInterface {
     }
     
     async loadGame() {
-        const success = await this.engine.loadGame();
+        const success = await this.engine.loadGame().catch(error => {
+            console.log(`❌ ${error.message}`);
+            return false;
+        });
         if (success) {
             console.log("📁 Game loaded successfully!");
+            this.reportRecovery(success);
         } else {
             console.log("❌ Failed to load game.");
         }
     }
     
+    reportRecovery(saveData) {
+        const integrity = saveData.metadata && saveData.metadata.integrity;
+        if (!integrity || !integrity.recovered) {
+            return;
+        }
+        
+        console.log(`⚠️  The save was damaged; restored from backup '${integrity.source}'.`);
+        for (const rejected of integrity.rejected) {
+            console.log(`   • ${rejected.slot}: ${rejected.reason}`);
+        }
+    }
+    
     async quit() {
         console.log("\n👋 Preparing to exit...");
         
@@ -478,8 +706,19 @@ class GameInterface {
     }
     
     askQuestion(question) {
+        if (this.pendingLines.length > 0) {
+            const answer = this.pendingLines.shift();
+            console.log(`${question}${answer}`);
+            return Promise.resolve(answer);
+        }
+        if (this.inputClosed) {
+            return Promise.resolve('');
+        }
+        
         return new Promise((resolve) => {
+            this.answerPendingQuestion = resolve;
             this.rl.question(question, (answer) => {
+                this.answerPendingQuestion = null;
                 resolve(answer);
             });
         });
@@ -500,12 +739,6 @@ async function main() {
     }
 }
 
-// Start the game
-main().catch(error => {
-    console.error("Unhandled error in main:", error);
-    process.exit(1);
-});
-
 // Enhanced shutdown handling
 process.on('SIGINT', () => {
     console.log("\n\n👋 Graceful shutdown initiated...");
@@ -525,8 +758,12 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1);
 });
 
+// Start the game
 if (require.main === module) {
-    main();
+    main().catch(error => {
+        console.error('Unhandled error in main:', error);
+        process.exit(1);
+    });
 }
 
 module.exports = GameInterface;
\ No newline at end of file
@@ -0,0 +1,250 @@
+const { ENTITY_TYPES, CONSEQUENCE_LIMITS } = require('../utils/Constants');
+const logger = require('../utils/logger');
+const { resolveParameter } = require('../utils/WorldParameters');
+
+const NPC_METRICS = ['trust', 'fear', 'respect', 'love'];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clamp(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
+
+/**
+ * Applies analyzed consequences to the subsystems that own each value: NPC
+ * metrics and moods to the NPCs, standings and entity relationships to the
+ * RelationshipGraph, world parameters and rumors to the WorldState, and health,
+ * reputation and skills to the player.
+ *
+ * Every part is checked on its own. Changes beyond CONSEQUENCE_LIMITS are
+ * clamped; anything malformed, or naming an unknown entity, parameter or
+ * attribute, is rejected and left out, without stopping the rest.
+ *
+ * @class ConsequenceEngine
+ * @example
+ * const consequenceEngine = new ConsequenceEngine(entityManager, relationshipGraph, worldState, { player });
+ * const changes = consequenceEngine.apply(analysis.consequences);
+ */
+class ConsequenceEngine {
+    /**
+     * @param {EntityManager} entityManager - Owner of all entities
+     * @param {RelationshipGraph} relationshipGraph - Owner of relationships and player standings
+     * @param {WorldState} worldState - Owner of world parameters and rumors
+     * @param {Object} options - Configuration options
+     * @param {Player} options.player - The engine's player
+     */
+    constructor(entityManager, relationshipGraph, worldState, options = {}) {
+        this.entityManager = entityManager;
+        this.relationshipGraph = relationshipGraph;
+        this.worldState = worldState;
+        this.player = options.player || null;
+    }
+
+    /**
+     * Applies one turn's consequences. Accepts the `consequences` of
+     * `AIInterface.analyzeConsequences` (with `immediate` and `longTerm`
+     * sections) or a flat `{ worldEffects, playerEffects, factionStandings }`.
+     * `longTerm.newEvents` and `futureOpportunities` are story hints and are
+     * not applied.
+     *
+     * @param {Object} [consequences] - The consequences to apply
+     * @param {string} [reason='Consequence of player choice'] - Recorded with standing and parameter changes
+     * @returns {Object} The change log: `applied` changes (`type`, `target`, `attribute`,
+     *   `requested`, `change`, `before`, `after`, and `clamped` when the change was cut
+     *   to its limit) and `rejected` ones (`type`, `target`, `attribute`, `value`, `reason`)
+     */
+    apply(consequences = {}, reason = 'Consequence of player choice') {
+        const log = { applied: [], rejected: [] };
+        if (!consequences || typeof consequences !== 'object') {
+            return log;
+        }
+        const immediate = consequences.immediate || consequences;
+
+        this._applyNpcReactions(immediate.npcReactions, log);
+        this._applyStandings(immediate.factionStandings, reason, log);
+        this._applyPlayerEffects(immediate.playerEffects, log);
+        this._applyWorldEffects(consequences.worldEffects, reason, log);
+        this._applyRelationshipChanges(consequences.longTerm?.changedRelationships, reason, log);
+        this._applyRumors(consequences.longTerm?.rumors, log);
+
+        if (log.rejected.length > 0) {
+            logger.warn('Some consequences were rejected', { rejected: log.rejected });
+        }
+        logger.debug('Consequences applied', { applied: log.applied.length, rejected: log.rejected.length });
+
+        return log;
+    }
+
+    _applyNpcReactions(reactions, log) {
+        this._entries(reactions).forEach(([npcId, reaction]) => {
+            const npc = this.entityManager.getEntity(ENTITY_TYPES.NPC, npcId);
+            if (!npc) {
+                this._reject(log, 'npc', npcId, null, reaction, 'unknown NPC');
+                return;
+            }
+
+            this._entries(reaction).forEach(([attribute, value]) => {
+                if (attribute === 'mood') {
+                    if (typeof value !== 'string' || !value.trim()) {
+                        this._reject(log, 'npc', npcId, attribute, value, 'mood must be a non-empty string');
+                        return;
+                    }
+                    const before = npc.mood;
+                    npc.update({ mood: value.trim() });
+                    log.applied.push({ type: 'npc', target: npcId, attribute, before, after: npc.mood });
+                    return;
+                }
+
+                if (!NPC_METRICS.includes(attribute)) {
+                    this._reject(log, 'npc', npcId, attribute, value, 'unknown relationship metric');
+                    return;
+                }
+                this._applyDelta(log, 'npc', npcId, attribute, value, CONSEQUENCE_LIMITS.NPC_METRIC, change => {
+                    npc.adjustRelationship(attribute, change);
+                    return npc[attribute];
+                }, npc[attribute]);
+            });
+        });
+    }
+
+    _applyStandings(standings, reason, log) {
+        this._entries(standings).forEach(([entityId, value]) => {
+            if (!this._findEntity(entityId)) {
+                this._reject(log, 'standing', entityId, 'value', value, 'unknown entity');
+                return;
+            }
+            const before = this.relationshipGraph.getPlayerStanding(entityId).value;
+            this._applyDelta(log, 'standing', entityId, 'value', value, CONSEQUENCE_LIMITS.PLAYER_STANDING,
+                change => this.relationshipGraph.updatePlayerStanding(entityId, change, reason).value, before);
+        });
+    }
+
+    _applyPlayerEffects(effects, log) {
+        if (!effects || typeof effects !== 'object' || !this.player) {
+            return;
+        }
+
+        if (effects.health !== undefined) {
+            this._applyDelta(log, 'player', 'health', 'health', effects.health, CONSEQUENCE_LIMITS.HEALTH,
+                change => this.player.adjustHealth(change), this.player.health);
+        }
+
+        [['reputation', CONSEQUENCE_LIMITS.REPUTATION], ['skills', CONSEQUENCE_LIMITS.SKILL]].forEach(([section, limit]) => {
+            const values = this.player[section];
+            this._entries(effects[section]).forEach(([attribute, value]) => {
+                if (values[attribute] === undefined) {
+                    this._reject(log, 'player', section, attribute, value, `unknown ${section === 'skills' ? 'skill' : 'reputation type'}`);
+                    return;
+                }
+                const adjust = section === 'skills'
+                    ? change => this.player.adjustSkill(attribute, change)
+                    : change => this.player.adjustReputation(attribute, change);
+                this._applyDelta(log, 'player', section, attribute, value, limit, adjust, values[attribute]);
+            });
+        });
+    }
+
+    _applyWorldEffects(effects, reason, log) {
+        this._entries(effects).forEach(([alias, value]) => {
+            const parameter = resolveParameter(alias);
+            if (!parameter) {
+                this._reject(log, 'world', 'globalParameters', alias, value, 'unknown world parameter');
+                return;
+            }
+            const before = this.worldState.globalParameters[parameter];
+            this._applyDelta(log, 'world', 'globalParameters', parameter, value, CONSEQUENCE_LIMITS.WORLD_PARAMETER,
+                change => this.worldState.updateGlobalParameter(parameter, change, reason), before);
+        });
+    }
+
+    _applyRelationshipChanges(changes, reason, log) {
+        (Array.isArray(changes) ? changes : []).forEach(change => {
+            const { entity1, entity2, newRelationship } = change || {};
+            const target = `${entity1}->${entity2}`;
+            if (typeof newRelationship !== 'string' || !newRelationship.trim()) {
+                this._reject(log, 'relationship', target, 'type', newRelationship, 'newRelationship must be a non-empty string');
+                return;
+            }
+            if (!this._findEntity(entity1) || !this._findEntity(entity2)) {
+                this._reject(log, 'relationship', target, 'type', newRelationship, 'unknown entity');
+                return;
+            }
+
+            const existing = this.relationshipGraph.getRelationship(entity1, entity2);
+            const before = existing ? existing.type : null;
+            if (existing) {
+                this.relationshipGraph.updateRelationship(entity1, entity2, { type: newRelationship, reason });
+            } else {
+                this.relationshipGraph.setRelationship(entity1, entity2, { type: newRelationship, reason });
+            }
+            log.applied.push({ type: 'relationship', target, attribute: 'type', before, after: newRelationship });
+        });
+    }
+
+    _applyRumors(rumors, log) {
+        const known = new Set(this.worldState.information.rumorMill.map(rumor => rumor.content));
+        let added = 0;
+
+        (Array.isArray(rumors) ? rumors : []).forEach(rumor => {
+            const content = typeof rumor === 'string' ? rumor.trim() : '';
+            if (!content) {
+                this._reject(log, 'rumor', 'rumorMill', null, rumor, 'rumor must be a non-empty string');
+            } else if (known.has(content)) {
+                this._reject(log, 'rumor', 'rumorMill', null, rumor, 'rumor is already going around');
+            } else if (added >= CONSEQUENCE_LIMITS.RUMORS_PER_TURN) {
+                this._reject(log, 'rumor', 'rumorMill', null, rumor, 'too many rumors in one turn');
+            } else {
+                this.worldState.addRumor(content);
+                known.add(content);
+                added++;
+                log.applied.push({ type: 'rumor', target: 'rumorMill', attribute: null, before: null, after: content });
+            }
+        });
+    }
+
+    // Clamps a numeric change to its limit, applies it and logs it; zero changes are skipped
+    _applyDelta(log, type, target, attribute, value, limit, adjust, before) {
+        if (!isNumber(value)) {
+            this._reject(log, type, target, attribute, value, 'change must be a number');
+            return;
+        }
+        const change = clamp(value, limit);
+        if (change === 0) {
+            return;
+        }
+
+        const after = adjust(change);
+        log.applied.push({
+            type,
+            target,
+            attribute,
+            requested: value,
+            change,
+            before,
+            after,
+            ...(change !== value && { clamped: true })
+        });
+    }
+
+    _reject(log, type, target, attribute, value, reason) {
+        log.rejected.push({ type, target, attribute, value, reason });
+    }
+
+    _entries(section) {
+        return section && typeof section === 'object' && !Array.isArray(section) ? Object.entries(section) : [];
+    }
+
+    _findEntity(entityId) {
+        for (const type of Object.values(ENTITY_TYPES)) {
+            const entity = this.entityManager.getEntity(type, entityId);
+            if (entity) {
+                return entity;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = ConsequenceEngine;
@@ -0,0 +1,255 @@
+const { ENTITY_TYPES, CONSEQUENCE_TRIGGERS, VALIDATION_RULES } = require('../utils/Constants');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { resolveParameter } = require('../utils/WorldParameters');
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function invalidEntry(message) {
+    const error = new AppError(`Invalid delayed consequence: ${message}`, 400);
+    error.code = 'INVALID_DELAYED_CONSEQUENCE';
+    return error;
+}
+
+/**
+ * Describes the pending consequences' hints for the story prompt.
+ *
+ * @param {string[]} hints - Foreshadowing hints (see `ConsequenceScheduler.getForeshadowing`)
+ * @returns {string} One hint per line, or a note that nothing is pending
+ */
+function describeForeshadowing(hints = []) {
+    return hints.length > 0
+        ? hints.map(hint => `- ${hint}`).join('\n')
+        : 'Nothing is brewing yet.';
+}
+
+/**
+ * Describes the consequences that came due this turn for the story prompt.
+ *
+ * @param {Object[]} triggered - Entries returned by `ConsequenceScheduler.collectDue`
+ * @returns {string} One consequence per line, or a note that none came due
+ */
+function describeTriggeredConsequences(triggered = []) {
+    return triggered.length > 0
+        ? triggered.map(entry => `- ${entry.description}`).join('\n')
+        : 'Nothing comes due this turn.';
+}
+
+/**
+ * Holds consequences back until their trigger is met: a number of turns, an
+ * in-game date, the player entering a location, or a world parameter crossing
+ * a threshold. Due entries are handed back by `collectDue` for the
+ * ConsequenceEngine to apply; their hints foreshadow them in the story meanwhile.
+ *
+ * Location and parameter triggers fire on a change: if the player is already
+ * there, or the parameter is already past the threshold, when the entry is
+ * scheduled, it waits until they leave (or it falls back) and then fires on the
+ * next arrival (or crossing).
+ *
+ * @class ConsequenceScheduler
+ * @example
+ * const scheduler = new ConsequenceScheduler(entityManager, worldState, { player });
+ * scheduler.schedule({ description: 'The guard remembers', trigger: { type: 'turns', turns: 3 } }, turn);
+ * const due = scheduler.collectDue(turn);
+ */
+class ConsequenceScheduler {
+    /**
+     * @param {EntityManager} entityManager - Owner of the locations triggers name
+     * @param {WorldState} worldState - Owner of the date and world parameters
+     * @param {Object} options - Configuration options
+     * @param {Player} options.player - The engine's player
+     */
+    constructor(entityManager, worldState, options = {}) {
+        this.entityManager = entityManager;
+        this.worldState = worldState;
+        this.player = options.player || null;
+        this.pending = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Schedules a delayed consequence.
+     *
+     * @param {Object} entry - The delayed consequence
+     * @param {string} entry.description - What happens when it comes due
+     * @param {string} [entry.hint] - How the story foreshadows it; defaults to none
+     * @param {Object} entry.trigger - `{ type: 'turns', turns }`, `{ type: 'date', day, month, year }`,
+     *   `{ type: 'location', location }` or `{ type: 'parameter', parameter, above | below }`
+     * @param {Object} [entry.consequences] - What to apply, in any shape `ConsequenceEngine.apply` accepts
+     * @param {number} turn - The current turn
+     * @returns {Object} The pending entry, with its `id`
+     * @throws {AppError} If the entry is malformed or names an unknown location or
+     *   parameter (code `INVALID_DELAYED_CONSEQUENCE`), or too many are pending
+     */
+    schedule(entry, turn) {
+        if (!entry || typeof entry !== 'object') {
+            throw invalidEntry('expected an object');
+        }
+        const description = typeof entry.description === 'string' ? entry.description.trim() : '';
+        if (!description) {
+            throw invalidEntry('description must be a non-empty string');
+        }
+        if (entry.consequences !== undefined && (typeof entry.consequences !== 'object' || Array.isArray(entry.consequences))) {
+            throw invalidEntry('consequences must be an object');
+        }
+        if (this.pending.length >= VALIDATION_RULES.MAX_PENDING_CONSEQUENCES) {
+            throw invalidEntry(`no more than ${VALIDATION_RULES.MAX_PENDING_CONSEQUENCES} may be pending`);
+        }
+
+        const pending = {
+            id: `delayed_${this.nextId++}`,
+            description,
+            hint: typeof entry.hint === 'string' && entry.hint.trim() ? entry.hint.trim() : null,
+            trigger: this._normalizeTrigger(entry.trigger, turn),
+            consequences: entry.consequences || {},
+            scheduledTurn: turn
+        };
+        this.pending.push(pending);
+
+        logger.debug('Delayed consequence scheduled', { id: pending.id, trigger: pending.trigger });
+        return pending;
+    }
+
+    /**
+     * Removes and returns the entries whose trigger is met, in the order they
+     * were scheduled. Call once the turn's own consequences have been applied.
+     *
+     * @param {number} turn - The current turn
+     * @returns {Object[]} The due entries
+     */
+    collectDue(turn) {
+        const due = [];
+        this.pending = this.pending.filter(entry => {
+            if (this._isDue(entry.trigger, turn)) {
+                due.push(entry);
+                return false;
+            }
+            return true;
+        });
+
+        if (due.length > 0) {
+            logger.info('Delayed consequences came due', { ids: due.map(entry => entry.id) });
+        }
+        return due;
+    }
+
+    /**
+     * @returns {Object[]} The pending entries, in the order they were scheduled
+     */
+    getPending() {
+        return [...this.pending];
+    }
+
+    /**
+     * @returns {string[]} The hints of the pending entries that have one
+     */
+    getForeshadowing() {
+        return this.pending.filter(entry => entry.hint).map(entry => entry.hint);
+    }
+
+    /**
+     * @returns {Object[]} The pending entries, detached for a save
+     */
+    exportPending() {
+        return JSON.parse(JSON.stringify(this.pending));
+    }
+
+    /**
+     * Replaces the pending entries with ones from a save.
+     *
+     * @param {Object[]} [pending=[]] - Entries as returned by `exportPending`
+     */
+    importPending(pending = []) {
+        this.pending = Array.isArray(pending) ? JSON.parse(JSON.stringify(pending)) : [];
+        this.nextId = this.pending.reduce((next, entry) => {
+            const number = Number(String(entry.id).replace('delayed_', ''));
+            return Number.isInteger(number) ? Math.max(next, number + 1) : next;
+        }, 1);
+    }
+
+    /**
+     * Drops every pending entry.
+     */
+    clear() {
+        this.importPending([]);
+    }
+
+    _normalizeTrigger(trigger, turn) {
+        if (!trigger || typeof trigger !== 'object') {
+            throw invalidEntry('trigger must be an object');
+        }
+
+        if (trigger.type === CONSEQUENCE_TRIGGERS.TURNS) {
+            if (!Number.isInteger(trigger.turns) || trigger.turns < 1) {
+                throw invalidEntry('turns must be a positive integer');
+            }
+            return { type: trigger.type, turns: trigger.turns, dueTurn: turn + trigger.turns };
+        }
+
+        if (trigger.type === CONSEQUENCE_TRIGGERS.DATE) {
+            const { day, month, year } = trigger;
+            const dueDay = this.worldState.getDayNumber({ day, month, year });
+            if (dueDay === null) {
+                throw invalidEntry(`${day} ${month} ${year} is not a date`);
+            }
+            if (dueDay < this.worldState.getDayNumber()) {
+                throw invalidEntry(`${day} ${month} ${year} has already passed`);
+            }
+            return { type: trigger.type, day, month, year, dueDay };
+        }
+
+        if (trigger.type === CONSEQUENCE_TRIGGERS.LOCATION) {
+            if (!this.entityManager.getEntity(ENTITY_TYPES.LOCATION, trigger.location)) {
+                throw invalidEntry(`unknown location ${trigger.location}`);
+            }
+            const normalized = { type: trigger.type, location: trigger.location };
+            return { ...normalized, armed: !this._isMet(normalized) };
+        }
+
+        if (trigger.type === CONSEQUENCE_TRIGGERS.PARAMETER) {
+            const parameter = resolveParameter(trigger.parameter);
+            if (!parameter) {
+                throw invalidEntry(`unknown world parameter ${trigger.parameter}`);
+            }
+            if (isNumber(trigger.above) === isNumber(trigger.below)) {
+                throw invalidEntry('a parameter trigger needs exactly one of above or below');
+            }
+            const normalized = isNumber(trigger.above)
+                ? { type: trigger.type, parameter, above: trigger.above }
+                : { type: trigger.type, parameter, below: trigger.below };
+            return { ...normalized, armed: !this._isMet(normalized) };
+        }
+
+        throw invalidEntry(`unknown trigger type ${trigger.type}; expected one of ${Object.values(CONSEQUENCE_TRIGGERS).join(', ')}`);
+    }
+
+    // Location and parameter triggers are armed while unmet and fire once met again
+    _isDue(trigger, turn) {
+        if (trigger.type === CONSEQUENCE_TRIGGERS.TURNS) {
+            return turn >= trigger.dueTurn;
+        }
+        if (trigger.type === CONSEQUENCE_TRIGGERS.DATE) {
+            return this.worldState.getDayNumber() >= trigger.dueDay;
+        }
+
+        const met = this._isMet(trigger);
+        if (!met) {
+            trigger.armed = true;
+        }
+        return met && trigger.armed;
+    }
+
+    _isMet(trigger) {
+        if (trigger.type === CONSEQUENCE_TRIGGERS.LOCATION) {
+            return this.player?.currentLocation === trigger.location;
+        }
+        const value = this.worldState.globalParameters[trigger.parameter];
+        return trigger.above !== undefined ? value >= trigger.above : value <= trigger.below;
+    }
+}
+
+module.exports = ConsequenceScheduler;
+module.exports.describeForeshadowing = describeForeshadowing;
+module.exports.describeTriggeredConsequences = describeTriggeredConsequences;
@@ -1,11 +1,24 @@
 const { ENTITY_TYPES, VALIDATION_RULES } = require('../utils/Constants');
+const { resolveParameter } = require('../utils/WorldParameters');
 
 class CreationSystem {
-    constructor(entityManager, relationshipGraph, worldState, validationSystem) {
+    /**
+     * @param {EntityManager} entityManager - Owner of all entities
+     * @param {RelationshipGraph} relationshipGraph - Owner of relationships and player standings
+     * @param {WorldState} worldState - Owner of world parameters and events
+     * @param {ValidationSystem} validationSystem - Validates entities before creation
+     * @param {Object} options - Configuration options
+     * @param {Player} options.player - The engine's player
+     * @param {Function} options.getGameState - Returns the engine's game-state snapshot
+     *   (see `StoryEngine.compileGameState`)
+     */
+    constructor(entityManager, relationshipGraph, worldState, validationSystem, options = {}) {
         this.entityManager = entityManager;
         this.relationshipGraph = relationshipGraph;
         this.worldState = worldState;
         this.validationSystem = validationSystem;
+        this.player = options.player || null;
+        this.snapshotProvider = options.getGameState;
         
         this.creationQueue = [];
         this.processingLock = false;
@@ -192,22 +205,26 @@ class CreationSystem {
         }
     }
     
+    /**
+     * Applies the world updates of an entity detection: deltas to any world
+     * parameter, by name or alias (see utils/WorldParameters), plus new rumors
+     * and news. Unknown parameters are skipped.
+     * 
+     * @param {Object} updates - The detection's `worldUpdates`
+     * @returns {Promise<void>}
+     */
     async applyWorldUpdates(updates) {
-        if (updates.tension) {
-            this.worldState.updateGlobalParameter('tension', updates.tension, 'AI-generated consequence');
-        }
-        
-        if (updates.politicalStability) {
-            this.worldState.updateGlobalParameter('politicalStability', updates.politicalStability, 'AI-generated consequence');
-        }
-        
-        if (updates.economicState) {
-            this.worldState.updateGlobalParameter('economicState', updates.economicState, 'AI-generated consequence');
-        }
-        
-        if (updates.magicalActivity) {
-            this.worldState.updateGlobalParameter('magicalActivity', updates.magicalActivity, 'AI-generated consequence');
-        }
+        Object.entries(updates).forEach(([name, change]) => {
+            if (name === 'rumors' || name === 'news' || !change) {
+                return;
+            }
+            const parameter = resolveParameter(name);
+            if (!parameter) {
+                console.warn(`Ignoring update to unknown world parameter: ${name}`);
+                return;
+            }
+            this.worldState.updateGlobalParameter(parameter, change, 'AI-generated consequence');
+        });
         
         if (updates.rumors) {
             updates.rumors.forEach(rumor => this.worldState.addRumor(rumor));
@@ -221,7 +238,7 @@ class CreationSystem {
     autoConnectLocation(location) {
         // Find nearby locations based on type and existing connections
         const allLocations = this.entityManager.getAllEntities(ENTITY_TYPES.LOCATION);
-        const playerLocation = this.getGameState().player.currentLocation;
+        const playerLocation = this.getPlayerState()?.currentLocation;
         
         // Connect to player's current location if logical
         if (playerLocation && location.id !== playerLocation) {
@@ -270,22 +287,14 @@ class CreationSystem {
     }
     
     getGameState() {
-        return {
-            entities: this.entityManager.entities,
-            relationships: this.relationshipGraph,
-            worldState: this.worldState,
-            player: this.getPlayerState()
-        };
+        if (typeof this.snapshotProvider !== 'function') {
+            throw new Error('CreationSystem requires a getGameState snapshot provider');
+        }
+        return this.snapshotProvider();
     }
     
     getPlayerState() {
-        // This should be provided by the main engine
-        // Placeholder implementation
-        return {
-            currentLocation: 'village_square',
-            level: 1,
-            reputation: { heroic: 0, villainous: 0, mysterious: 0, diplomatic: 0 }
-        };
+        return this.player;
     }
     
     getCreationStatistics() {
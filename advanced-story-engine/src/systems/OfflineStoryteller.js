@@ -0,0 +1,362 @@
+const { ENTITY_COLLECTIONS, ENTITY_TYPES, RISK_LEVELS, CHECK_OUTCOMES, CONSEQUENCE_TRIGGERS } = require('../utils/Constants');
+
+/**
+ * Template-based stand-in for a language model. Every function takes a
+ * SeededRandom and the AI request context (`playerInput`, `gameState`, ...),
+ * so the same seed and the same world always produce the same output.
+ */
+
+const FIRST_NAMES = ['Aldric', 'Brenna', 'Corwin', 'Dalia', 'Edric', 'Fenna', 'Garrick', 'Hesper', 'Ivo', 'Jessa', 'Kael', 'Liora', 'Maren', 'Osric', 'Rowena', 'Tamsin'];
+const NPC_TRAITS = ['cautious', 'cheerful', 'gruff', 'curious', 'proud', 'weary', 'generous', 'suspicious', 'pious', 'ambitious'];
+const NPC_GOALS = ['protect_family', 'earn_coin', 'find_purpose', 'settle_old_debt', 'gain_respect'];
+const PLACE_ADJECTIVES = ['Gilded', 'Crooked', 'Silent', 'Old', 'Mossy', 'Broken', 'Lantern', 'Red'];
+
+const OCCUPATIONS = ['blacksmith', 'merchant', 'guard', 'priest', 'bard', 'innkeeper', 'healer', 'hunter', 'farmer', 'scholar'];
+
+const PLACE_TYPES = {
+    tavern: 'structure',
+    inn: 'structure',
+    temple: 'structure',
+    forge: 'structure',
+    market: 'settlement',
+    forest: 'wilderness',
+    river: 'wilderness',
+    cave: 'dungeon',
+    ruins: 'landmark',
+    tower: 'landmark'
+};
+
+// Verbs that give an action its tone, and the skill that tone exercises
+const TONES = {
+    heroic: { skill: 'combat', words: ['help', 'protect', 'save', 'defend', 'rescue', 'heal'] },
+    villainous: { skill: 'stealth', words: ['steal', 'attack', 'threaten', 'kill', 'lie', 'rob'] },
+    diplomatic: { skill: 'diplomacy', words: ['talk', 'ask', 'negotiate', 'persuade', 'greet', 'trade'] },
+    mysterious: { skill: 'knowledge', words: ['sneak', 'hide', 'search', 'investigate', 'spy', 'explore'] }
+};
+
+const OPENINGS = [
+    'The {timeOfDay} air hangs {weather} over {location}.',
+    'It is {timeOfDay} in {location}, beneath a {weather} {season} sky.',
+    '{location} stirs around you on a {weather} {season} {timeOfDay}.'
+];
+
+const MOOD_LINES = {
+    calm: ['The mood is easy; laughter drifts from open doorways.', 'Nobody seems in a hurry today.'],
+    uneasy: ['An undercurrent of unease runs beneath the ordinary bustle.', 'People glance at strangers a moment longer than usual.'],
+    tense: ['Guards walk in pairs, and conversations die as you pass.', 'Shutters are closed early, and every voice is lowered.']
+};
+
+// How the action turned out, by skill-check outcome
+const OUTCOME_LINES = {
+    [CHECK_OUTCOMES.CRITICAL_FAILURE]: 'It goes badly wrong, and you are worse off than before.',
+    [CHECK_OUTCOMES.FAILURE]: 'For all your effort, it comes to nothing.',
+    [CHECK_OUTCOMES.PARTIAL_SUCCESS]: 'It half works, though not without cost.',
+    [CHECK_OUTCOMES.SUCCESS]: 'It works as you intended.',
+    [CHECK_OUTCOMES.CRITICAL_SUCCESS]: 'It goes better than you could have hoped.'
+};
+
+// How many turns a villainous deed takes to catch up with the player
+const PAYBACK_TURNS = 3;
+
+const CHOICE_POOLS = [
+    [
+        'Ask {npc} what has been troubling the town lately (skill: diplomacy, risk: low)',
+        'Offer {npc} your help with whatever they need (skill: diplomacy, risk: low)'
+    ],
+    [
+        'Seek out whoever holds sway over {location} (skill: diplomacy, risk: medium)',
+        'Listen for talk of the local factions and their quarrels (skill: knowledge, risk: low)'
+    ],
+    [
+        'Take a quiet moment to consider what brought you here (skill: knowledge, risk: low)',
+        'Check your gear and plan your next move (skill: survival, risk: low)'
+    ],
+    [
+        'Slip away to investigate on your own, whatever the risk (skill: stealth, risk: high)',
+        'Follow the rumor, even if it leads somewhere dangerous (skill: survival, risk: high)'
+    ]
+];
+
+function fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+function toSecondPerson(playerInput) {
+    return String(playerInput || 'wait')
+        .trim()
+        .replace(/^i\s+/i, '')
+        .replace(/\bmyself\b/gi, 'yourself')
+        .replace(/\bmy\b/gi, 'your')
+        .replace(/\bme\b/gi, 'you')
+        .replace(/\bI\b/g, 'you')
+        .replace(/[.!?]+$/, '');
+}
+
+function getCollection(gameState, entityType) {
+    return gameState?.entities?.[ENTITY_COLLECTIONS[entityType]] || {};
+}
+
+function getTension(gameState) {
+    const parameters = gameState?.worldState?.globalParameters || {};
+    return parameters.globalTension ?? parameters.tension ?? 30;
+}
+
+function describeScene(gameState) {
+    const player = gameState?.player || {};
+    const location = getCollection(gameState, ENTITY_TYPES.LOCATION)[player.currentLocation];
+    const npcsHere = Object.values(getCollection(gameState, ENTITY_TYPES.NPC))
+        .filter(npc => npc.location === player.currentLocation && npc.isAlive !== false);
+
+    return {
+        location,
+        locationName: location?.name || 'the open road',
+        npcsHere,
+        temporal: gameState?.worldState?.temporal || {},
+        rumors: gameState?.worldState?.information?.rumorMill || []
+    };
+}
+
+function detectTone(playerInput) {
+    const words = String(playerInput || '').toLowerCase().match(/[a-z]+/g) || [];
+
+    return Object.keys(TONES).find(tone => TONES[tone].words.some(word => words.includes(word))) || null;
+}
+
+function uniqueId(base, existing) {
+    let id = base;
+    for (let suffix = 2; existing[id]; suffix++) {
+        id = `${base}_${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Writes a short narrative with a CHOICES list, in the format the story prompt asks for.
+ * The action turns out as its skill check, if it had one, says; delayed
+ * consequences that came due are told next, and a pending one is hinted at.
+ *
+ * @param {SeededRandom} rng - Random source
+ * @param {Object} context - `playerInput`, `gameState`, `skillCheck` and `triggeredConsequences`
+ * @returns {string} The narrative
+ */
+function composeNarrative(rng, context) {
+    const { gameState, playerInput, skillCheck, triggeredConsequences = [] } = context;
+    const scene = describeScene(gameState);
+    const values = {
+        location: scene.locationName,
+        timeOfDay: scene.temporal.timeOfDay || 'morning',
+        season: scene.temporal.season || 'spring',
+        weather: scene.temporal.weather || 'clear'
+    };
+
+    const outcome = skillCheck ? ` ${OUTCOME_LINES[skillCheck.outcome]}` : '';
+    const paragraphs = [
+        `${fill(rng.pick(OPENINGS), values)} You ${toSecondPerson(playerInput)}.${outcome}`
+    ];
+    if (triggeredConsequences.length > 0) {
+        paragraphs.push(triggeredConsequences.map(entry => `${entry.description.replace(/[.!?]+$/, '')}.`).join(' '));
+    }
+
+    const npc = rng.pick(scene.npcsHere);
+    if (npc) {
+        let reaction = 'glances up and gives you a measured nod';
+        if (npc.trust >= 60) {
+            reaction = 'greets you warmly, as one greets a friend';
+        } else if (npc.trust < 30 || npc.fear >= 60) {
+            reaction = 'watches you warily and keeps their distance';
+        }
+        paragraphs.push(`${npc.name}, the ${String(npc.occupation).replace(/_/g, ' ')}, ${reaction}.`);
+    }
+
+    const tension = getTension(gameState);
+    let mood = 'uneasy';
+    if (tension >= 60) {
+        mood = 'tense';
+    } else if (tension < 30) {
+        mood = 'calm';
+    }
+    let atmosphere = rng.pick(MOOD_LINES[mood]);
+
+    const rumor = scene.rumors[scene.rumors.length - 1];
+    if (rumor) {
+        const content = (rumor.content || String(rumor)).replace(/[.!?]+$/, '');
+        atmosphere += ` Someone nearby mutters: "${content}."`;
+    }
+    const foreshadowing = gameState.storyContext?.foreshadowing || [];
+    if (foreshadowing.length > 0) {
+        atmosphere += ` ${rng.pick(foreshadowing)}`;
+    }
+    paragraphs.push(atmosphere);
+
+    const choiceValues = { npc: npc?.name || 'a passer-by', location: scene.locationName };
+    const choices = CHOICE_POOLS.map((pool, index) => `${index + 1}. ${fill(rng.pick(pool), choiceValues)}`);
+
+    return `${paragraphs.join('\n\n')}\n\nCHOICES:\n${choices.join('\n')}`;
+}
+
+/**
+ * Finds occupations and place types mentioned in the player's action and
+ * proposes the ones the world does not have yet.
+ *
+ * @param {SeededRandom} rng - Random source
+ * @param {Object} context - `playerInput` and `gameState`
+ * @returns {Object} Entity detection result in the prompt's JSON shape
+ */
+function detectEntities(rng, context) {
+    const { gameState, playerInput } = context;
+    const words = String(playerInput || '').toLowerCase().match(/[a-z]+/g) || [];
+    const currentLocation = gameState?.player?.currentLocation;
+    const npcs = getCollection(gameState, ENTITY_TYPES.NPC);
+    const locations = getCollection(gameState, ENTITY_TYPES.LOCATION);
+    const result = { entities: { npcs: [], locations: [] }, relationships: [], worldUpdates: {} };
+
+    OCCUPATIONS.filter(occupation => words.includes(occupation)).forEach(occupation => {
+        const alreadyHere = Object.values(npcs)
+            .some(npc => npc.occupation === occupation && npc.location === currentLocation);
+        if (alreadyHere) {
+            return;
+        }
+
+        const name = rng.pick(FIRST_NAMES);
+        result.entities.npcs.push({
+            id: uniqueId(`${name.toLowerCase()}_${occupation}`, npcs),
+            name,
+            occupation,
+            location: currentLocation,
+            traits: [rng.pick(NPC_TRAITS), rng.pick(NPC_TRAITS)].filter((trait, index, all) => all.indexOf(trait) === index),
+            age: rng.int(18, 70),
+            importance: 'low',
+            relationship_to_player: 'neutral',
+            goals: [rng.pick(NPC_GOALS)],
+            secrets: [],
+            backstory: `${name} has worked as a ${occupation} here for ${rng.int(2, 30)} years.`
+        });
+    });
+
+    Object.keys(PLACE_TYPES).filter(place => words.includes(place)).forEach(place => {
+        const known = Object.values(locations)
+            .some(location => location.id.includes(place) || String(location.name).toLowerCase().includes(place));
+        if (known) {
+            return;
+        }
+
+        const name = `The ${rng.pick(PLACE_ADJECTIVES)} ${place.charAt(0).toUpperCase()}${place.slice(1)}`;
+        result.entities.locations.push({
+            id: uniqueId(name.toLowerCase().replace(/^the /, '').replace(/\s+/g, '_'), locations),
+            name,
+            type: PLACE_TYPES[place],
+            safety: rng.int(40, 90),
+            population: PLACE_TYPES[place] === 'wilderness' ? 0 : rng.int(5, 60),
+            connectedTo: currentLocation ? [currentLocation] : [],
+            resources: [],
+            description: `${name} lies a short walk from ${describeScene(gameState).locationName}.`
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Scores the tone of the player's action and turns it into consequences.
+ * A numbered choice the player picked exercises its own skill, and a risky
+ * one raises the severity. Villainous deeds catch up with the player a few
+ * turns later.
+ *
+ * @param {SeededRandom} rng - Random source
+ * @param {Object} context - `playerInput`, `gameState` and `selectedChoice`
+ * @returns {Object} Consequence analysis in the prompt's JSON shape
+ */
+function analyzeConsequences(rng, context) {
+    const { gameState, playerInput, selectedChoice } = context;
+    const tone = detectTone(playerInput);
+    const analysis = {
+        consequences: {
+            immediate: { npcReactions: {}, factionStandings: {}, playerEffects: {} },
+            worldEffects: {},
+            longTerm: { rumors: [] }
+        },
+        riskAssessment: { severity: 'low', domains: [], mitigationOptions: [] }
+    };
+
+    if (!tone) {
+        if (selectedChoice?.skill) {
+            analysis.consequences.immediate.playerEffects.skills = { [selectedChoice.skill]: 1 };
+        }
+        return analysis;
+    }
+
+    const scene = describeScene(gameState);
+    const { immediate, worldEffects, longTerm } = analysis.consequences;
+    const approval = tone === 'villainous' ? -rng.int(2, 5) : rng.int(1, 3);
+
+    immediate.playerEffects = {
+        reputation: { [tone]: rng.int(1, 3) },
+        skills: { [selectedChoice?.skill || TONES[tone].skill]: 1 }
+    };
+    scene.npcsHere.forEach(npc => {
+        immediate.npcReactions[npc.id] = { trust: approval };
+    });
+    if (scene.location?.controlledBy) {
+        immediate.factionStandings[scene.location.controlledBy] = approval;
+    }
+
+    if (tone === 'villainous') {
+        worldEffects.globalTension = rng.int(2, 5);
+        longTerm.rumors.push(`A stranger was seen making trouble in ${scene.locationName}`);
+        longTerm.delayed = [{
+            description: `Word of the trouble you made in ${scene.locationName} catches up with you`,
+            hint: 'A guard studies your face a moment longer than you would like.',
+            trigger: { type: CONSEQUENCE_TRIGGERS.TURNS, turns: PAYBACK_TURNS },
+            consequences: {
+                immediate: { playerEffects: { reputation: { villainous: 1, heroic: -1 } } },
+                worldEffects: { crimeRate: 2 }
+            }
+        }];
+        analysis.riskAssessment = { severity: 'high', domains: ['social', 'personal'], mitigationOptions: ['make amends'] };
+    } else if (tone === 'heroic') {
+        worldEffects.globalTension = -rng.int(1, 3);
+        analysis.riskAssessment = { severity: 'medium', domains: ['personal'], mitigationOptions: [] };
+    } else {
+        analysis.riskAssessment = { severity: 'low', domains: ['social'], mitigationOptions: [] };
+    }
+    if (selectedChoice?.risk === RISK_LEVELS.HIGH) {
+        analysis.riskAssessment.severity = 'high';
+    }
+
+    return analysis;
+}
+
+/**
+ * Reads trends and warnings straight off the world parameters.
+ *
+ * @param {SeededRandom} rng - Random source (unused; analysis is fully determined by the world)
+ * @param {Object} context - `gameState`
+ * @returns {Object} World analysis in the prompt's JSON shape
+ */
+function analyzeWorld(rng, context) {
+    const parameters = context.gameState?.worldState?.globalParameters || {};
+    const trends = [];
+    const warnings = [];
+
+    Object.entries(parameters).forEach(([parameter, value]) => {
+        if (value >= 70) {
+            trends.push({ type: 'social', description: `${parameter} is high`, direction: 'rising', significance: 'high' });
+        } else if (value <= 20) {
+            trends.push({ type: 'social', description: `${parameter} is low`, direction: 'falling', significance: 'medium' });
+        }
+    });
+
+    const tension = getTension(context.gameState);
+    if (tension >= 60) {
+        warnings.push({ concern: 'Tension is close to boiling over', severity: tension >= 80 ? 'high' : 'medium', timeframe: 'short' });
+    }
+
+    return { trends, conflicts: [], opportunities: [], warnings };
+}
+
+module.exports = {
+    composeNarrative,
+    detectEntities,
+    analyzeConsequences,
+    analyzeWorld
+};
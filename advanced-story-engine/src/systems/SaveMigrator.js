@@ -0,0 +1,357 @@
+const { ENTITY_TYPES, SAVE_FORMAT_VERSION } = require('../utils/Constants');
+const Calendar = require('../utils/Calendar');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Schema version assigned to saves that predate `metadata.version`, i.e. the
+ * layout written by the original v2.0 engine (see test-save.json).
+ */
+const LEGACY_SAVE_VERSION = '0.0.0';
+
+/**
+ * Compares two dotted version strings numerically.
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, zero if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Upgrades save data written by older engines to the current save format.
+ * Migrations form a chain: each one upgrades from exactly one version to a newer
+ * one, and the migrator follows the chain until it reaches the current version.
+ *
+ * @class SaveMigrator
+ * @example
+ * const migrator = new SaveMigrator();
+ * const { data, applied } = migrator.migrate(JSON.parse(rawSave));
+ */
+class SaveMigrator {
+    /**
+     * Creates a new SaveMigrator with the built-in migrations registered.
+     *
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.currentVersion=SAVE_FORMAT_VERSION] - The version saves are upgraded to
+     * @param {Calendar} [options.calendar] - The calendar saves are played in, for
+     *   dating saves from before the clock; defaults to the standard CALENDAR
+     */
+    constructor(options = {}) {
+        const { currentVersion = SAVE_FORMAT_VERSION, calendar = new Calendar() } = options;
+
+        this.currentVersion = currentVersion;
+        this.calendar = calendar;
+        this.migrations = new Map(); // fromVersion -> { from, to, description, migrate }
+
+        this.register(LEGACY_SAVE_VERSION, '1.2.0', 'Convert v2.0 engine saves to the subsystem export format', migrateLegacySave);
+        this.register('1.0.0', '1.1.0', 'Replace summary-only world state and entity lists with full exports', migrateFrom100);
+        this.register('1.1.0', '1.2.0', 'Re-centre player reputation on zero for the Player model', migrateFrom110);
+        this.register('1.2.0', '1.3.0', 'Add the queue of delayed consequences', migrateFrom120);
+        this.register('1.3.0', '1.4.0', 'Put the world clock and event times on in-game timestamps', save => migrateFrom130(save, this.calendar));
+    }
+
+    /**
+     * Registers a migration step.
+     *
+     * @param {string} fromVersion - The version the migration accepts
+     * @param {string} toVersion - The version the migration produces
+     * @param {string} description - Human-readable summary of the change
+     * @param {Function} migrate - Receives save data at `fromVersion` and returns it at `toVersion`
+     * @throws {AppError} If the step does not move forward or one is already registered for `fromVersion`
+     */
+    register(fromVersion, toVersion, description, migrate) {
+        if (compareVersions(toVersion, fromVersion) <= 0) {
+            throw new AppError(`Migration from ${fromVersion} must target a newer version (got ${toVersion})`, 500, false);
+        }
+
+        if (this.migrations.has(fromVersion)) {
+            throw new AppError(`A migration from save format ${fromVersion} is already registered`, 500, false);
+        }
+
+        this.migrations.set(fromVersion, { from: fromVersion, to: toVersion, description, migrate });
+    }
+
+    /**
+     * Detects the schema version of raw save data.
+     *
+     * @param {Object} saveData - The raw save data
+     * @returns {string} The detected version
+     * @throws {AppError} If the data is not a recognizable save
+     */
+    detectVersion(saveData) {
+        if (!saveData || typeof saveData !== 'object') {
+            throw new AppError('Save data must be an object', 422);
+        }
+
+        if (saveData.metadata && saveData.metadata.version) {
+            return String(saveData.metadata.version);
+        }
+
+        if (saveData.player && saveData.meta) {
+            return LEGACY_SAVE_VERSION;
+        }
+
+        throw new AppError('Unrecognized save format: no metadata.version and no legacy player/meta sections', 422);
+    }
+
+    /**
+     * Upgrades save data to the current version.
+     *
+     * @param {Object} saveData - The raw save data (not modified)
+     * @returns {{data: Object, fromVersion: string, applied: Array<{from: string, to: string, description: string}>}}
+     *   The upgraded data and the steps that were applied
+     * @throws {AppError} If the save is newer than this engine or no migration path exists
+     */
+    migrate(saveData) {
+        const fromVersion = this.detectVersion(saveData);
+
+        if (compareVersions(fromVersion, this.currentVersion) > 0) {
+            throw new AppError(
+                `Save format ${fromVersion} was written by a newer engine; this engine reads save formats up to ${this.currentVersion}`,
+                409
+            );
+        }
+
+        let data = JSON.parse(JSON.stringify(saveData));
+        let version = fromVersion;
+        const applied = [];
+
+        while (compareVersions(version, this.currentVersion) < 0) {
+            const step = this.migrations.get(version);
+            if (!step) {
+                throw new AppError(`No migration path from save format ${version} to ${this.currentVersion}`, 422);
+            }
+
+            data = step.migrate(data);
+            data.metadata = { ...(data.metadata || {}), version: step.to };
+            applied.push({ from: step.from, to: step.to, description: step.description });
+            version = step.to;
+        }
+
+        if (applied.length > 0) {
+            logger.info(`Migrated save from format ${fromVersion} to ${version}`, { steps: applied.length });
+        }
+
+        return { data, fromVersion, applied };
+    }
+}
+
+/**
+ * Collects entities keyed by id from either an id map or an array of entities.
+ *
+ * @private
+ * @param {Object|Array} entities - Entities of one type
+ * @returns {Object} Entities keyed by id
+ */
+function entitiesById(entities) {
+    if (Array.isArray(entities)) {
+        return Object.fromEntries(entities.filter(entity => entity && entity.id).map(entity => [entity.id, entity]));
+    }
+    return { ...(entities || {}) };
+}
+
+/**
+ * 0.0.0 -> 1.2.0: the v2.0 engine wrote a top-level `player`, plural entity
+ * keys (`npcs`, `factions`, ...), a `relationships` wrapper and a `meta` block.
+ *
+ * @private
+ * @param {Object} save - Legacy save data
+ * @returns {Object} Save data in the 1.2.0 format
+ */
+function migrateLegacySave(save) {
+    const legacyTypes = {
+        npcs: ENTITY_TYPES.NPC,
+        factions: ENTITY_TYPES.FACTION,
+        locations: ENTITY_TYPES.LOCATION,
+        items: ENTITY_TYPES.ITEM,
+        events: ENTITY_TYPES.EVENT
+    };
+
+    const entities = Object.fromEntries(Object.values(ENTITY_TYPES).map(type => [type, {}]));
+    for (const [key, entitiesOfType] of Object.entries(save.entities || {})) {
+        const type = legacyTypes[key] || key;
+        if (entities[type]) {
+            entities[type] = entitiesById(entitiesOfType);
+        }
+    }
+
+    const { choiceHistory = [], ...player } = save.player || {};
+    const inventory = Object.values(entities[ENTITY_TYPES.ITEM])
+        .filter(item => item.location === 'player_inventory')
+        .map(item => item.id);
+
+    const legacyRelationships = save.relationships || {};
+    const exported = legacyRelationships.entityRelationships || {};
+
+    const worldState = { ...(save.worldState || {}) };
+    if (worldState.globalParameters) {
+        // The v2.0 engine called the tension parameter 'tension'
+        const { tension, ...parameters } = worldState.globalParameters;
+        worldState.globalParameters = tension === undefined ? parameters : { ...parameters, globalTension: tension };
+    }
+
+    const meta = save.meta || {};
+    const storyContext = save.storyContext || {};
+
+    return {
+        metadata: {
+            saveTime: meta.lastSave || new Date().toISOString(),
+            gameTime: meta.choiceCount || 0,
+            choiceCount: meta.choiceCount || 0
+        },
+        playerState: {
+            ...player,
+            choiceHistory,
+            inventory,
+            flags: []
+        },
+        worldState,
+        entities: { entities, creationHistory: {} },
+        relationships: {
+            relationships: exported.relationships || {},
+            playerStandings: { ...(exported.playerStandings || {}), ...(legacyRelationships.playerStandings || {}) },
+            relationshipHistory: exported.relationshipHistory || []
+        },
+        gameState: {
+            currentScene: storyContext.currentScene || null,
+            previousScenes: storyContext.sceneHistory || []
+        }
+    };
+}
+
+/**
+ * 1.0.0 -> 1.1.0: 1.0.0 saved `getWorldSummary()` instead of the world state,
+ * entity lists instead of the EntityManager export, an always-empty
+ * relationship list and a player `flags` Set that serialized to `{}`.
+ *
+ * @private
+ * @param {Object} save - Save data in the 1.0.0 format
+ * @returns {Object} Save data in the 1.1.0 format
+ */
+function migrateFrom100(save) {
+    const summary = save.worldState || {};
+    const entities = Object.fromEntries(
+        Object.values(ENTITY_TYPES).map(type => [type, entitiesById((save.entities || {})[type])])
+    );
+
+    const relationships = {};
+    for (const rel of Array.isArray(save.relationships) ? save.relationships : []) {
+        relationships[rel.source] = relationships[rel.source] || {};
+        relationships[rel.source][rel.target] = {
+            type: rel.type || 'neutral',
+            strength: rel.strength || 50,
+            reason: rel.reason || '',
+            established: rel.established || new Date().toISOString(),
+            lastModified: rel.established || new Date().toISOString(),
+            history: []
+        };
+    }
+
+    const playerState = save.playerState || {};
+
+    return {
+        ...save,
+        playerState: {
+            ...playerState,
+            flags: Array.isArray(playerState.flags) ? playerState.flags : []
+        },
+        worldState: {
+            globalParameters: summary.parameters || {},
+            temporal: summary.time
+        },
+        entities: { entities, creationHistory: {} },
+        relationships: { relationships, playerStandings: {}, relationshipHistory: [] }
+    };
+}
+
+/**
+ * 1.1.0 -> 1.2.0: player reputation was stored on a 0-100 scale with 50 as
+ * neutral; the Player model uses -100..100 with 0 as neutral.
+ *
+ * @private
+ * @param {Object} save - Save data in the 1.1.0 format
+ * @returns {Object} Save data in the 1.2.0 format
+ */
+function migrateFrom110(save) {
+    const playerState = save.playerState || {};
+    const reputation = Object.fromEntries(
+        Object.entries(playerState.reputation || {}).map(([type, value]) => [type, value - 50])
+    );
+
+    return {
+        ...save,
+        playerState: { ...playerState, reputation }
+    };
+}
+
+/**
+ * 1.2.0 -> 1.3.0: delayed consequences are saved in `gameState.pendingConsequences`;
+ * older saves had none pending.
+ *
+ * @private
+ * @param {Object} save - Save data in the 1.2.0 format
+ * @returns {Object} Save data in the 1.3.0 format
+ */
+function migrateFrom120(save) {
+    return {
+        ...save,
+        gameState: { ...(save.gameState || {}), pendingConsequences: [] }
+    };
+}
+
+/**
+ * 1.3.0 -> 1.4.0: the world clock keeps an in-game `timestamp` and hour, where
+ * older saves had only a date and a time of day, and world events are timed by
+ * in-game timestamps instead of wall-clock ISO strings. Those ISO times have no
+ * in-game equivalent, so they become the save's current time: scheduled events
+ * start, and temporary events that were due to end complete, on the next tick.
+ *
+ * @private
+ * @param {Object} save - Save data in the 1.3.0 format
+ * @param {Calendar} calendar - The calendar the save is played in
+ * @returns {Object} Save data in the 1.4.0 format
+ */
+function migrateFrom130(save, calendar) {
+    const worldState = { ...(save.worldState || {}) };
+    if (worldState.temporal) {
+        worldState.temporal = { ...worldState.temporal, ...calendar.normalize(worldState.temporal) };
+    }
+
+    const now = worldState.temporal ? worldState.temporal.timestamp : calendar.start;
+    const toGameTime = time => (Number.isFinite(time) ? time : now);
+    const retime = event => ({
+        ...event,
+        startTime: toGameTime(event.startTime),
+        endTime: event.endTime == null ? null : toGameTime(event.endTime)
+    });
+
+    if (worldState.events) {
+        const { current = [], completed = [], failed = [], scheduled = [] } = worldState.events;
+        worldState.events = {
+            ...worldState.events,
+            current: current.map(retime),
+            completed: completed.map(retime),
+            failed: failed.map(retime),
+            scheduled: scheduled.map(entry => ({ ...entry, triggerTime: toGameTime(entry.triggerTime) }))
+        };
+    }
+
+    return { ...save, worldState };
+}
+
+module.exports = SaveMigrator;
+module.exports.LEGACY_SAVE_VERSION = LEGACY_SAVE_VERSION;
+module.exports.compareVersions = compareVersions;
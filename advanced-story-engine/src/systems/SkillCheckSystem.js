@@ -0,0 +1,283 @@
+const {
+    ENTITY_TYPES,
+    PLAYER_SKILLS,
+    REPUTATION_TYPES,
+    ITEM_TYPES,
+    RISK_LEVELS,
+    CHECK_DIFFICULTIES,
+    CHECK_OUTCOMES,
+    RELATIONSHIP_TYPES
+} = require('../utils/Constants');
+const { classifyAction } = require('../utils/ChoiceParser');
+const { SeededRandom, hashSeed } = require('../utils/Random');
+
+const DIE_SIDES = 20;
+
+// The total a check has to reach
+const DIFFICULTY_CLASSES = {
+    [CHECK_DIFFICULTIES.EASY]: 8,
+    [CHECK_DIFFICULTIES.MODERATE]: 12,
+    [CHECK_DIFFICULTIES.HARD]: 16,
+    [CHECK_DIFFICULTIES.VERY_HARD]: 20
+};
+
+const RISK_DIFFICULTIES = {
+    [RISK_LEVELS.LOW]: CHECK_DIFFICULTIES.EASY,
+    [RISK_LEVELS.MEDIUM]: CHECK_DIFFICULTIES.MODERATE,
+    [RISK_LEVELS.HIGH]: CHECK_DIFFICULTIES.HARD
+};
+
+// The reputation that helps (or hurts) each skill
+const SKILL_REPUTATIONS = {
+    [PLAYER_SKILLS.COMBAT]: REPUTATION_TYPES.HEROIC,
+    [PLAYER_SKILLS.DIPLOMACY]: REPUTATION_TYPES.DIPLOMATIC,
+    [PLAYER_SKILLS.STEALTH]: REPUTATION_TYPES.MYSTERIOUS,
+    [PLAYER_SKILLS.MAGIC]: REPUTATION_TYPES.MYSTERIOUS
+};
+
+// The skill each kind of item helps with
+const ITEM_SKILLS = {
+    [ITEM_TYPES.WEAPON]: PLAYER_SKILLS.COMBAT,
+    [ITEM_TYPES.ARMOR]: PLAYER_SKILLS.COMBAT,
+    [ITEM_TYPES.TOOL]: PLAYER_SKILLS.SURVIVAL
+};
+
+const RARITY_BONUSES = { common: 1, uncommon: 1, rare: 2, epic: 3, legendary: 4 };
+
+// Skill experience earned by each outcome; failures teach nothing
+const OUTCOME_EXPERIENCE = {
+    [CHECK_OUTCOMES.PARTIAL_SUCCESS]: 2,
+    [CHECK_OUTCOMES.SUCCESS]: 5,
+    [CHECK_OUTCOMES.CRITICAL_SUCCESS]: 10
+};
+
+// What the narrative has to show for each outcome
+const OUTCOME_GUIDANCE = {
+    [CHECK_OUTCOMES.CRITICAL_FAILURE]: 'The action fails badly and makes things worse.',
+    [CHECK_OUTCOMES.FAILURE]: 'The action fails.',
+    [CHECK_OUTCOMES.PARTIAL_SUCCESS]: 'The action only partly succeeds, or succeeds at a cost.',
+    [CHECK_OUTCOMES.SUCCESS]: 'The action succeeds.',
+    [CHECK_OUTCOMES.CRITICAL_SUCCESS]: 'The action succeeds beyond what the player hoped for.'
+};
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function gradeOutcome(roll, margin) {
+    if (roll === 1 || margin <= -10) {
+        return CHECK_OUTCOMES.CRITICAL_FAILURE;
+    }
+    if (roll === DIE_SIDES || margin >= 10) {
+        return CHECK_OUTCOMES.CRITICAL_SUCCESS;
+    }
+    if (margin >= 0) {
+        return CHECK_OUTCOMES.SUCCESS;
+    }
+    return margin >= -4 ? CHECK_OUTCOMES.PARTIAL_SUCCESS : CHECK_OUTCOMES.FAILURE;
+}
+
+/**
+ * Describes a skill check for the story prompt, with the outcome the narrative
+ * has to honor.
+ *
+ * @param {Object} [check] - A check from `SkillCheckSystem.attempt`
+ * @returns {string} E.g. `The player attempted a diplomacy check (moderate, DC 12): rolled 9,
+ *   +1 diplomacy skill = 10. Outcome: partial success. The action only partly succeeds, ...`
+ */
+function describeSkillCheck(check) {
+    if (!check) {
+        return 'No roll was needed for this action.';
+    }
+
+    const modifiers = check.modifiers
+        .map(modifier => `${modifier.value >= 0 ? '+' : '-'}${Math.abs(modifier.value)} ${modifier.label}`)
+        .join(', ');
+    const difficulty = check.difficulty.replace(/_/g, ' ');
+    const outcome = check.outcome.replace(/_/g, ' ');
+
+    return `The player attempted a ${check.skill} check (${difficulty}, DC ${check.dc}): ` +
+        `rolled ${check.roll}${modifiers ? `, ${modifiers}` : ''} = ${check.total}. ` +
+        `Outcome: ${outcome}. ${OUTCOME_GUIDANCE[check.outcome]}`;
+}
+
+/**
+ * Resolves the player's actions with dice: a d20 plus modifiers from the
+ * governing skill, reputation, the best item carried for the job and the
+ * player's standing with whoever the action involves, against a difficulty
+ * class. Outcomes are graded from critical failure to critical success, and
+ * anything better than a failure earns experience in the skill.
+ *
+ * Rolls come from a SeededRandom keyed by the engine's seed and the turn, so a
+ * seed replays the same dice.
+ *
+ * @class SkillCheckSystem
+ * @example
+ * const skillChecks = new SkillCheckSystem(entityManager, relationshipGraph, { player, seed: 'campaign-1' });
+ * const check = skillChecks.attempt({ skill: 'stealth', difficulty: 'hard', turn: 3 });
+ */
+class SkillCheckSystem {
+    /**
+     * @param {EntityManager} entityManager - Owner of all entities
+     * @param {RelationshipGraph} relationshipGraph - Owner of player standings
+     * @param {Object} options - Configuration options
+     * @param {Player} options.player - The engine's player
+     * @param {number|string} [options.seed=Date.now()] - Seed for the dice
+     */
+    constructor(entityManager, relationshipGraph, options = {}) {
+        this.entityManager = entityManager;
+        this.relationshipGraph = relationshipGraph;
+        this.player = options.player || null;
+        this.seed = options.seed ?? Date.now();
+    }
+
+    /**
+     * Works out the check an action calls for: the skill and risk of the numbered
+     * choice it came from, or else those its wording suggests.
+     *
+     * @param {string} action - The player's action
+     * @param {Object} [selectedChoice] - The numbered choice it came from (see `parseStory`)
+     * @returns {?Object} `skill`, `difficulty` and the ids of the NPCs and factions
+     *   the action names (`targets`), or null if no skill governs the action
+     */
+    planCheck(action, selectedChoice = null) {
+        const { skill, risk } = selectedChoice || classifyAction(action);
+        if (!skill) {
+            return null;
+        }
+
+        return {
+            skill,
+            difficulty: RISK_DIFFICULTIES[risk] || CHECK_DIFFICULTIES.MODERATE,
+            targets: this.findTargets(action)
+        };
+    }
+
+    /**
+     * Rolls a skill check and awards skill experience for the result.
+     *
+     * @param {Object} request - The check
+     * @param {string} request.skill - One of PLAYER_SKILLS
+     * @param {string} [request.difficulty='moderate'] - One of CHECK_DIFFICULTIES
+     * @param {string[]} [request.targets=[]] - Ids of the NPCs and factions involved
+     * @param {number} [request.turn=0] - The turn, which picks the roll from the seeded sequence
+     * @returns {Object} `skill`, `difficulty`, `dc`, the d20 `roll`, the `modifiers`
+     *   (`source`, `label`, `value`), `total`, `margin` over the DC, `outcome` (one of
+     *   CHECK_OUTCOMES), `success` and `experience` (`gained`, `skillPoints`)
+     */
+    attempt({ skill, difficulty = CHECK_DIFFICULTIES.MODERATE, targets = [], turn = 0 }) {
+        const rng = new SeededRandom(hashSeed(this.seed, turn));
+        const roll = rng.int(1, DIE_SIDES);
+        const modifiers = this.getModifiers(skill, targets);
+        const total = roll + modifiers.reduce((sum, modifier) => sum + modifier.value, 0);
+        const dc = DIFFICULTY_CLASSES[difficulty];
+        const margin = total - dc;
+        const outcome = gradeOutcome(roll, margin);
+
+        const gained = OUTCOME_EXPERIENCE[outcome] || 0;
+        const skillPoints = this.player && gained > 0 ? this.player.gainSkillExperience(skill, gained) : 0;
+
+        return {
+            skill,
+            difficulty,
+            dc,
+            roll,
+            modifiers,
+            total,
+            margin,
+            outcome,
+            success: gained > 0,
+            experience: { gained, skillPoints }
+        };
+    }
+
+    /**
+     * Lists what adds to or takes from a roll for a skill. Sources that would add
+     * nothing are left out.
+     *
+     * @param {string} skill - One of PLAYER_SKILLS
+     * @param {string[]} [targets=[]] - Ids of the NPCs and factions involved
+     * @returns {Object[]} `source` (`skill`, `reputation`, `item` or `relationship`), `label` and `value`
+     */
+    getModifiers(skill, targets = []) {
+        const modifiers = [];
+        const add = (source, label, value) => {
+            if (value !== 0) {
+                modifiers.push({ source, label, value });
+            }
+        };
+
+        add('skill', `${skill} skill`, Math.floor((this.player?.skills[skill] || 0) / 10));
+
+        const reputationType = SKILL_REPUTATIONS[skill];
+        if (reputationType) {
+            add('reputation', `${reputationType} reputation`, clamp(Math.round((this.player?.reputation[reputationType] || 0) / 25), -4, 4));
+        }
+
+        const item = this._findBestItem(skill);
+        if (item) {
+            add('item', item.name, item.bonus);
+        }
+
+        targets.forEach(id => {
+            const entity = this._findEntity(id);
+            if (entity) {
+                add('relationship', `standing with ${entity.name}`, this._standingModifier(entity));
+            }
+        });
+
+        return modifiers;
+    }
+
+    /**
+     * @param {string} action - The player's action
+     * @returns {string[]} Ids of the factions, and the NPCs at the player's location, the action names
+     */
+    findTargets(action) {
+        const text = String(action || '').toLowerCase();
+        const mentioned = entity => entity.name && text.includes(String(entity.name).toLowerCase());
+
+        const npcs = this.entityManager.getAllEntities(ENTITY_TYPES.NPC)
+            .filter(npc => npc.alive !== false && npc.location === this.player?.currentLocation && mentioned(npc));
+        const factions = this.entityManager.getAllEntities(ENTITY_TYPES.FACTION).filter(mentioned);
+
+        return [...npcs, ...factions].map(entity => entity.id);
+    }
+
+    _findBestItem(skill) {
+        let best = null;
+
+        (this.player?.inventory || []).forEach(itemId => {
+            const item = this.entityManager.getEntity(ENTITY_TYPES.ITEM, itemId);
+            const helps = item && (ITEM_SKILLS[item.type] === skill || (item.properties || []).includes(skill));
+            if (!helps || item.durability <= 0) {
+                return;
+            }
+
+            const bonus = RARITY_BONUSES[item.rarity] || 1;
+            if (!best || bonus > best.bonus) {
+                best = { name: item.name, bonus };
+            }
+        });
+
+        return best;
+    }
+
+    _findEntity(id) {
+        return this.entityManager.getEntity(ENTITY_TYPES.NPC, id) ||
+            this.entityManager.getEntity(ENTITY_TYPES.FACTION, id);
+    }
+
+    // The player's standing, plus how far an NPC's trust is from indifference
+    _standingModifier(entity) {
+        let score = this.relationshipGraph.getPlayerStanding(entity.id).value;
+        if (entity.type === ENTITY_TYPES.NPC) {
+            score += entity.trust - RELATIONSHIP_TYPES.TRUST.default;
+        }
+        return clamp(Math.round(score / 20), -3, 3);
+    }
+}
+
+module.exports = SkillCheckSystem;
+module.exports.DIFFICULTY_CLASSES = DIFFICULTY_CLASSES;
+module.exports.describeSkillCheck = describeSkillCheck;
@@ -1,4 +1,4 @@
-const { VALIDATION_RULES, ENTITY_TYPES } = require('../utils/Constants');
+const { VALIDATION_RULES, ENTITY_TYPES, ENTITY_COLLECTIONS } = require('../utils/Constants');
 
 class ValidationSystem {
     constructor() {
@@ -6,6 +6,17 @@ class ValidationSystem {
         this.customValidators = new Map();
     }
     
+    /**
+     * Gets the entities of one type from the engine's game-state snapshot.
+     *
+     * @param {Object} gameState - The snapshot from `StoryEngine.compileGameState`
+     * @param {string} entityType - One of ENTITY_TYPES
+     * @returns {Object} The entities keyed by id
+     */
+    getEntities(gameState, entityType) {
+        return gameState.entities?.[ENTITY_COLLECTIONS[entityType]] || {};
+    }
+    
     addCustomValidator(entityType, validatorName, validatorFunction) {
         if (!this.customValidators.has(entityType)) {
             this.customValidators.set(entityType, new Map());
@@ -18,7 +29,7 @@ class ValidationSystem {
         
         // Check location capacity
         if (npcData.location) {
-            const locationNPCs = Object.values(gameState.entities[ENTITY_TYPES.NPC] || {})
+            const locationNPCs = Object.values(this.getEntities(gameState, ENTITY_TYPES.NPC))
                 .filter(npc => npc.location === npcData.location);
             
             if (locationNPCs.length >= this.rules.MAX_NPCS_PER_LOCATION) {
@@ -29,7 +40,7 @@ class ValidationSystem {
         }
         
         // Validate name uniqueness
-        const existingNPCs = Object.values(gameState.entities[ENTITY_TYPES.NPC] || {});
+        const existingNPCs = Object.values(this.getEntities(gameState, ENTITY_TYPES.NPC));
         if (existingNPCs.some(npc => npc.name === npcData.name)) {
             validation.warnings.push(`NPC with name "${npcData.name}" already exists`);
         }
@@ -45,7 +56,7 @@ class ValidationSystem {
         
         // Validate occupation consistency
         if (npcData.occupation && npcData.location) {
-            const locationData = gameState.entities[ENTITY_TYPES.LOCATION]?.[npcData.location];
+            const locationData = this.getEntities(gameState, ENTITY_TYPES.LOCATION)[npcData.location];
             if (locationData) {
                 const compatibilityCheck = this.checkOccupationLocationCompatibility(npcData.occupation, locationData);
                 if (!compatibilityCheck.compatible) {
@@ -66,7 +77,7 @@ class ValidationSystem {
         // Check territory control limits
         if (factionData.territory) {
             for (const territoryId of factionData.territory) {
-                const controllingFactions = Object.values(gameState.entities[ENTITY_TYPES.FACTION] || {})
+                const controllingFactions = Object.values(this.getEntities(gameState, ENTITY_TYPES.FACTION))
                     .filter(faction => faction.territory.includes(territoryId));
                 
                 if (controllingFactions.length >= this.rules.MAX_FACTIONS_PER_TERRITORY) {
@@ -78,7 +89,7 @@ class ValidationSystem {
         }
         
         // Validate faction name uniqueness
-        const existingFactions = Object.values(gameState.entities[ENTITY_TYPES.FACTION] || {});
+        const existingFactions = Object.values(this.getEntities(gameState, ENTITY_TYPES.FACTION));
         if (existingFactions.some(faction => faction.name === factionData.name)) {
             validation.warnings.push(`Faction with name "${factionData.name}" already exists`);
         }
@@ -95,7 +106,7 @@ class ValidationSystem {
         // Validate leadership exists
         if (factionData.leadership) {
             for (const leaderId of factionData.leadership) {
-                if (!gameState.entities[ENTITY_TYPES.NPC]?.[leaderId]) {
+                if (!this.getEntities(gameState, ENTITY_TYPES.NPC)[leaderId]) {
                     validation.warnings.push(`Leadership NPC ${leaderId} does not exist`);
                 }
             }
@@ -154,7 +165,7 @@ class ValidationSystem {
         // Validate connections exist
         if (locationData.connectedTo) {
             for (const connectionId of locationData.connectedTo) {
-                if (!gameState.entities[ENTITY_TYPES.LOCATION]?.[connectionId]) {
+                if (!this.getEntities(gameState, ENTITY_TYPES.LOCATION)[connectionId]) {
                     validation.warnings.push(`Connected location ${connectionId} does not exist`);
                 }
             }
@@ -162,7 +173,7 @@ class ValidationSystem {
         
         // Validate controlling faction exists
         if (locationData.controlledBy) {
-            if (!gameState.entities[ENTITY_TYPES.FACTION]?.[locationData.controlledBy]) {
+            if (!this.getEntities(gameState, ENTITY_TYPES.FACTION)[locationData.controlledBy]) {
                 validation.warnings.push(`Controlling faction ${locationData.controlledBy} does not exist`);
             }
         }
@@ -224,7 +235,7 @@ class ValidationSystem {
         
         // Validate location exists if specified
         if (itemData.location && itemData.location !== 'player_inventory' && itemData.location !== 'world') {
-            if (!gameState.entities[ENTITY_TYPES.LOCATION]?.[itemData.location]) {
+            if (!this.getEntities(gameState, ENTITY_TYPES.LOCATION)[itemData.location]) {
                 validation.warnings.push(`Item location ${itemData.location} does not exist`);
             }
         }
@@ -306,8 +317,9 @@ class ValidationSystem {
     
     findEntityInGameState(entityId, gameState) {
         for (const entityType of Object.values(ENTITY_TYPES)) {
-            if (gameState.entities[entityType]?.[entityId]) {
-                return gameState.entities[entityType][entityId];
+            const entity = this.getEntities(gameState, entityType)[entityId];
+            if (entity) {
+                return entity;
             }
         }
         return null;
@@ -355,25 +367,25 @@ class ValidationSystem {
     
     checkOrphanedReferences(gameState, integrity) {
         // Check NPC locations
-        Object.entries(gameState.entities[ENTITY_TYPES.NPC] || {}).forEach(([npcId, npc]) => {
-            if (npc.location && !gameState.entities[ENTITY_TYPES.LOCATION]?.[npc.location]) {
+        Object.entries(this.getEntities(gameState, ENTITY_TYPES.NPC)).forEach(([npcId, npc]) => {
+            if (npc.location && !this.getEntities(gameState, ENTITY_TYPES.LOCATION)[npc.location]) {
                 integrity.errors.push(`NPC ${npc.name} (${npcId}) references non-existent location: ${npc.location}`);
             }
         });
         
         // Check faction leadership
-        Object.entries(gameState.entities[ENTITY_TYPES.FACTION] || {}).forEach(([factionId, faction]) => {
+        Object.entries(this.getEntities(gameState, ENTITY_TYPES.FACTION)).forEach(([factionId, faction]) => {
             faction.leadership.forEach(leaderId => {
-                if (!gameState.entities[ENTITY_TYPES.NPC]?.[leaderId]) {
+                if (!this.getEntities(gameState, ENTITY_TYPES.NPC)[leaderId]) {
                     integrity.errors.push(`Faction ${faction.name} (${factionId}) references non-existent leader: ${leaderId}`);
                 }
             });
         });
         
         // Check location connections
-        Object.entries(gameState.entities[ENTITY_TYPES.LOCATION] || {}).forEach(([locationId, location]) => {
+        Object.entries(this.getEntities(gameState, ENTITY_TYPES.LOCATION)).forEach(([locationId, location]) => {
             location.connectedTo.forEach(connectedId => {
-                if (!gameState.entities[ENTITY_TYPES.LOCATION]?.[connectedId]) {
+                if (!this.getEntities(gameState, ENTITY_TYPES.LOCATION)[connectedId]) {
                     integrity.errors.push(`Location ${location.name} (${locationId}) references non-existent connection: ${connectedId}`);
                 }
             });
@@ -396,10 +408,10 @@ class ValidationSystem {
     
     generateIntegrityStatistics(gameState, integrity) {
         integrity.statistics = {
-            totalNPCs: Object.keys(gameState.entities[ENTITY_TYPES.NPC] || {}).length,
-            totalFactions: Object.keys(gameState.entities[ENTITY_TYPES.FACTION] || {}).length,
-            totalLocations: Object.keys(gameState.entities[ENTITY_TYPES.LOCATION] || {}).length,
-            totalItems: Object.keys(gameState.entities[ENTITY_TYPES.ITEM] || {}).length,
+            totalNPCs: Object.keys(this.getEntities(gameState, ENTITY_TYPES.NPC)).length,
+            totalFactions: Object.keys(this.getEntities(gameState, ENTITY_TYPES.FACTION)).length,
+            totalLocations: Object.keys(this.getEntities(gameState, ENTITY_TYPES.LOCATION)).length,
+            totalItems: Object.keys(this.getEntities(gameState, ENTITY_TYPES.ITEM)).length,
             activeEvents: gameState.worldState.events.current.length,
             errors: integrity.errors.length,
             warnings: integrity.warnings.length
@@ -0,0 +1,258 @@
+const { CALENDAR } = require('./Constants');
+const { AppError } = require('./errorHandler');
+
+function invalidCalendar(message) {
+    const error = new AppError(`Invalid calendar: ${message}`, 400);
+    error.code = 'INVALID_CALENDAR';
+    return error;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Formats an in-game date and time for the CLI and prompts. Works on any
+ * temporal state, including partial ones from older saves: parts that are
+ * missing are left out.
+ *
+ * @param {Object} temporal - The world's temporal state (`weekday`, `day`,
+ *   `month`, `year`, `hour`, `minute`, `timeOfDay`)
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.style='long'] - `long` (`Tideday, 2 Firstmonth 1000, 08:30 (morning)`)
+ *   or `short` (`2 Firstmonth 1000, 08:30`)
+ * @returns {string|null} The formatted date, or null without a day, month and year
+ */
+function formatTemporal(temporal, options = {}) {
+    const { style = 'long' } = options;
+    if (!temporal || !Number.isInteger(temporal.day) || typeof temporal.month !== 'string' || !Number.isInteger(temporal.year)) {
+        return null;
+    }
+
+    const date = `${temporal.day} ${capitalize(temporal.month)} ${temporal.year}`;
+    const clock = Number.isInteger(temporal.hour) ? `${pad(temporal.hour)}:${pad(temporal.minute || 0)}` : null;
+    if (style === 'short') {
+        return clock ? `${date}, ${clock}` : date;
+    }
+
+    const weekday = temporal.weekday ? `${capitalize(temporal.weekday)}, ` : '';
+    const time = clock
+        ? [clock, temporal.timeOfDay && `(${temporal.timeOfDay})`].filter(Boolean).join(' ')
+        : temporal.timeOfDay;
+    return `${weekday}${date}${time ? `, ${time}` : ''}`;
+}
+
+/**
+ * The in-game calendar and clock: month names and lengths, seasons, weekdays,
+ * the length of hours and days, and the named times of day.
+ *
+ * Points in time are timestamps: whole in-game minutes since the first day of
+ * year 0. They compare and subtract like numbers; `fromTimestamp` turns one back
+ * into a date.
+ *
+ * @class Calendar
+ * @example
+ * const calendar = new Calendar({ WEEKDAYS: ['workday', 'restday'] });
+ * const later = calendar.fromTimestamp(calendar.toTimestamp(temporal) + 90);
+ */
+class Calendar {
+    /**
+     * @param {Object} [config={}] - Overrides for any key of CALENDAR
+     * @throws {AppError} If the resulting calendar is malformed (400, code `INVALID_CALENDAR`)
+     */
+    constructor(config = {}) {
+        const { MINUTES_PER_HOUR, HOURS_PER_DAY, MONTHS, WEEKDAYS, TIMES_OF_DAY, START } = { ...CALENDAR, ...config };
+
+        if (!isPositiveInteger(MINUTES_PER_HOUR) || !isPositiveInteger(HOURS_PER_DAY)) {
+            throw invalidCalendar('MINUTES_PER_HOUR and HOURS_PER_DAY must be positive integers');
+        }
+        if (!Array.isArray(MONTHS) || MONTHS.length === 0
+            || MONTHS.some(month => typeof month?.name !== 'string' || !month.name || !isPositiveInteger(month.days))) {
+            throw invalidCalendar('MONTHS must list at least one month, each with a name and a positive number of days');
+        }
+        if (new Set(MONTHS.map(month => month.name)).size !== MONTHS.length) {
+            throw invalidCalendar('month names must be unique');
+        }
+        if (!Array.isArray(WEEKDAYS) || WEEKDAYS.length === 0) {
+            throw invalidCalendar('WEEKDAYS must list at least one day');
+        }
+        if (!Array.isArray(TIMES_OF_DAY) || TIMES_OF_DAY[0]?.from !== 0
+            || TIMES_OF_DAY.some((period, i) => i > 0 && !(period.from > TIMES_OF_DAY[i - 1].from && period.from < HOURS_PER_DAY))) {
+            throw invalidCalendar('TIMES_OF_DAY must start at hour 0 and be in order within the day');
+        }
+
+        this.minutesPerHour = MINUTES_PER_HOUR;
+        this.hoursPerDay = HOURS_PER_DAY;
+        this.minutesPerDay = MINUTES_PER_HOUR * HOURS_PER_DAY;
+        this.months = MONTHS.map(month => ({ ...month }));
+        this.weekdays = [...WEEKDAYS];
+        this.timesOfDay = TIMES_OF_DAY.map(period => ({ ...period }));
+
+        // The day of the year each month starts on
+        this.monthStarts = [];
+        this.daysPerYear = this.months.reduce((days, month) => {
+            this.monthStarts.push(days);
+            return days + month.days;
+        }, 0);
+
+        this.start = this.toTimestamp(START);
+        if (this.start === null) {
+            throw invalidCalendar('START must be a date in this calendar');
+        }
+    }
+
+    /**
+     * @returns {string[]} The month names, in order
+     */
+    getMonthNames() {
+        return this.months.map(month => month.name);
+    }
+
+    /**
+     * Converts a date and time to a timestamp.
+     *
+     * @param {Object} date - `year`, `month` (a month name), `day`, and optionally `hour` and `minute`
+     * @returns {number|null} Minutes since the start of the calendar, or null if
+     *   the date is not in this calendar
+     */
+    toTimestamp(date) {
+        if (!date) {
+            return null;
+        }
+        const { year, month, day, hour = 0, minute = 0 } = date;
+        const monthIndex = this.getMonthNames().indexOf(month);
+        if (monthIndex === -1 || !Number.isInteger(year) || !Number.isInteger(day)
+            || day < 1 || day > this.months[monthIndex].days
+            || !Number.isInteger(hour) || hour < 0 || hour >= this.hoursPerDay
+            || !Number.isInteger(minute) || minute < 0 || minute >= this.minutesPerHour) {
+            return null;
+        }
+
+        const days = year * this.daysPerYear + this.monthStarts[monthIndex] + day - 1;
+        return (days * this.hoursPerDay + hour) * this.minutesPerHour + minute;
+    }
+
+    /**
+     * Converts a timestamp back to a date and time.
+     *
+     * @param {number} timestamp - Minutes since the start of the calendar
+     * @returns {Object} `timestamp`, `year`, `month`, `day`, `weekday`, `hour`,
+     *   `minute`, `timeOfDay` and `season`
+     */
+    fromTimestamp(timestamp) {
+        const minutes = Math.floor(timestamp);
+        const dayCount = Math.floor(minutes / this.minutesPerDay);
+        const minuteOfDay = minutes - dayCount * this.minutesPerDay;
+        const year = Math.floor(dayCount / this.daysPerYear);
+        const dayOfYear = dayCount - year * this.daysPerYear;
+
+        let monthIndex = this.monthStarts.length - 1;
+        while (this.monthStarts[monthIndex] > dayOfYear) {
+            monthIndex--;
+        }
+        const month = this.months[monthIndex];
+        const hour = Math.floor(minuteOfDay / this.minutesPerHour);
+
+        return {
+            timestamp: minutes,
+            year,
+            month: month.name,
+            day: dayOfYear - this.monthStarts[monthIndex] + 1,
+            weekday: this.weekdays[((dayCount % this.weekdays.length) + this.weekdays.length) % this.weekdays.length],
+            hour,
+            minute: minuteOfDay % this.minutesPerHour,
+            timeOfDay: this.getTimeOfDay(hour),
+            season: month.season || null
+        };
+    }
+
+    /**
+     * @param {number} hour - An hour of the day
+     * @returns {string} The named time of day that hour falls in
+     */
+    getTimeOfDay(hour) {
+        return [...this.timesOfDay].reverse().find(period => hour >= period.from).name;
+    }
+
+    /**
+     * Counts the whole days from the start of the calendar to a date, so dates
+     * can be compared and scheduled against.
+     *
+     * @param {Object} date - `year`, `month` and `day`
+     * @returns {number|null} The day number, or null if the date is not in this calendar
+     */
+    getDayNumber(date) {
+        const timestamp = this.toTimestamp({ year: date?.year, month: date?.month, day: date?.day });
+        return timestamp === null ? null : timestamp / this.minutesPerDay;
+    }
+
+    /**
+     * Moves a timestamp by whole months, keeping the time of day. A day past the
+     * end of a shorter month lands on its last day.
+     *
+     * @param {number} timestamp - The timestamp to move from
+     * @param {number} months - How many months to move (may be negative)
+     * @returns {number} The moved timestamp
+     */
+    addMonths(timestamp, months) {
+        const date = this.fromTimestamp(timestamp);
+        const monthCount = date.year * this.months.length + this.getMonthNames().indexOf(date.month) + months;
+        const year = Math.floor(monthCount / this.months.length);
+        const month = this.months[monthCount - year * this.months.length];
+
+        return this.toTimestamp({ ...date, year, month: month.name, day: Math.min(date.day, month.days) });
+    }
+
+    /**
+     * Brings a temporal state in line with this calendar, e.g. one from a save
+     * made before the clock existed. A valid `timestamp` wins; otherwise the date
+     * is read from `year`, `month` and `day`, and the hour from `hour` or the
+     * start of its `timeOfDay`. Anything unreadable falls back to START.
+     *
+     * @param {Object} [temporal={}] - The temporal state to normalize
+     * @returns {Object} The date as `fromTimestamp` returns it
+     */
+    normalize(temporal = {}) {
+        if (Number.isFinite(temporal?.timestamp)) {
+            return this.fromTimestamp(temporal.timestamp);
+        }
+
+        const period = this.timesOfDay.find(candidate => candidate.name === temporal?.timeOfDay);
+        const hour = Number.isInteger(temporal?.hour) ? temporal.hour : period?.from;
+        const timestamp = this.toTimestamp({ ...temporal, hour: hour ?? 0, minute: temporal?.minute ?? 0 });
+        return this.fromTimestamp(timestamp ?? this.start);
+    }
+
+    /**
+     * Describes a span of in-game time.
+     *
+     * @param {number} minutes - The span, in minutes
+     * @returns {string} E.g. `4 hours`, `1 day 2 hours` or `15 minutes`
+     */
+    formatDuration(minutes) {
+        const units = [
+            { name: 'day', size: this.minutesPerDay },
+            { name: 'hour', size: this.minutesPerHour },
+            { name: 'minute', size: 1 }
+        ];
+        let remaining = Math.max(0, Math.round(minutes));
+        const parts = units.map(unit => {
+            const count = Math.floor(remaining / unit.size);
+            remaining -= count * unit.size;
+            return count > 0 ? `${count} ${unit.name}${count === 1 ? '' : 's'}` : null;
+        }).filter(Boolean);
+
+        return parts.length > 0 ? parts.join(' ') : '0 minutes';
+    }
+}
+
+module.exports = Calendar;
+module.exports.formatTemporal = formatTemporal;
@@ -0,0 +1,148 @@
+const { ACTION_ACTIVITIES, CHOICE_CATEGORIES, PLAYER_SKILLS, RISK_LEVELS } = require('./Constants');
+
+const CHOICES_HEADING = /^[\s*#_]*CHOICES[\s*_]*:?[\s*_]*$/im;
+const CHOICE_LINE = /^\s*(\d+)[.)]\s+(.*)$/;
+const ANNOTATION = /\s*\(([^()]*)\)\s*$/;
+
+// The story prompt lists one option of each category, in this order
+const CATEGORY_ORDER = Object.values(CHOICE_CATEGORIES);
+
+// Words that suggest which skill an unannotated option calls on
+const SKILL_KEYWORDS = {
+    [PLAYER_SKILLS.COMBAT]: /\b(fight|attack|duel|battle|strike|defend|sword|weapon)/i,
+    [PLAYER_SKILLS.DIPLOMACY]: /\b(ask|persuade|negotiate|convince|talk|offer|plead|bargain|seek out)/i,
+    [PLAYER_SKILLS.STEALTH]: /\b(sneak|slip|hide|steal|quietly|unseen|eavesdrop|shadow)/i,
+    [PLAYER_SKILLS.KNOWLEDGE]: /\b(study|read|research|recall|examine|investigate|listen for|consider)/i,
+    [PLAYER_SKILLS.MAGIC]: /\b(spell|magic|ritual|arcane|enchant|rune)/i,
+    [PLAYER_SKILLS.SURVIVAL]: /\b(track|hunt|forage|gear|wilderness|camp|climb)/i
+};
+const RISKY_WORDS = /\b(risk|danger|deadly|reckless|whatever the cost|gamble)/i;
+
+// Words that suggest what an action is spent doing, checked in this order so
+// the longest activity wins when an action mentions several
+const ACTIVITY_KEYWORDS = {
+    [ACTION_ACTIVITIES.REST]: /\b(rest|sleep|camp|nap|recover|wait (until|for) (dawn|morning|nightfall))/i,
+    [ACTION_ACTIVITIES.TRAVEL]: /\b(travel|journey|ride|sail|set out|head (to|for|north|south|east|west)|go to|leave for|march)/i,
+    [ACTION_ACTIVITIES.WORK]: /\b(work|craft|forge|build|repair|brew|train|practice|labou?r)/i,
+    [ACTION_ACTIVITIES.SEARCH]: /\b(search|explore|investigate|study|read|research|track|hunt|forage|look for)/i,
+    [ACTION_ACTIVITIES.FIGHT]: /\b(fight|attack|duel|battle|strike|defend)/i,
+    [ACTION_ACTIVITIES.TALK]: /\b(ask|talk|speak|persuade|negotiate|convince|tell|greet|bargain|plead)/i
+};
+
+function parseAnnotation(text) {
+    const match = text.match(ANNOTATION);
+    if (!match) {
+        return { text, tags: {} };
+    }
+
+    const tags = {};
+    match[1].split(/[,;]/).forEach(part => {
+        const [key, ...rest] = part.split(':');
+        if (rest.length > 0) {
+            tags[key.trim().toLowerCase()] = rest.join(':').trim().toLowerCase();
+        }
+    });
+
+    // A parenthetical without tags is part of the option itself
+    if (!tags.skill && !tags.risk && !tags.category) {
+        return { text, tags: {} };
+    }
+    return { text: text.slice(0, match.index), tags };
+}
+
+function inferActivity(text) {
+    const match = Object.entries(ACTIVITY_KEYWORDS).find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : ACTION_ACTIVITIES.OTHER;
+}
+
+function inferSkill(text) {
+    const match = Object.entries(SKILL_KEYWORDS).find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Guesses the skill, risk and activity of a free-form action from its wording.
+ *
+ * @param {string} text - The action, e.g. `I sneak past the guards`
+ * @returns {{skill: ?string, risk: string, activity: string}} `skill` (one of
+ *   PLAYER_SKILLS, or null when nothing suggests one), `risk` (one of
+ *   RISK_LEVELS) and `activity` (one of ACTION_ACTIVITIES, `other` when nothing
+ *   suggests one)
+ */
+function classifyAction(text) {
+    return {
+        skill: inferSkill(text),
+        risk: RISKY_WORDS.test(text) ? RISK_LEVELS.HIGH : RISK_LEVELS.MEDIUM,
+        activity: inferActivity(text)
+    };
+}
+
+function toChoice(index, position, rawText) {
+    const { text, tags } = parseAnnotation(rawText.trim());
+    const cleaned = text.trim().replace(/^\[(.*)\]$/, '$1').replace(/^\*\*(.*)\*\*$/, '$1').trim();
+
+    const category = CATEGORY_ORDER.includes(tags.category) ? tags.category : (CATEGORY_ORDER[position] || null);
+    const inferred = classifyAction(cleaned);
+    const skill = Object.values(PLAYER_SKILLS).includes(tags.skill) ? tags.skill : inferred.skill;
+
+    let risk = inferred.risk;
+    if (Object.values(RISK_LEVELS).includes(tags.risk)) {
+        risk = tags.risk;
+    } else if (category === CHOICE_CATEGORIES.RISK) {
+        risk = RISK_LEVELS.HIGH;
+    }
+
+    return { index, text: cleaned, category, skill, risk };
+}
+
+/**
+ * Splits a story response into the narrative and the numbered options of its
+ * `CHOICES:` block. Options may end with a `(skill: ..., risk: ...)` annotation,
+ * as the story prompt asks; when they do not, the category comes from the
+ * option's position, and the skill and risk are guessed from its wording.
+ *
+ * @param {string} text - The story response
+ * @returns {{narrative: string, choices: Object[]}} The narrative without the
+ *   choices, and the choices: `index` (as numbered), `text`, `category`, `skill`
+ *   (one of PLAYER_SKILLS, or null) and `risk` (one of RISK_LEVELS)
+ */
+function parseStory(text) {
+    const source = String(text || '');
+    const heading = source.match(CHOICES_HEADING);
+    if (!heading) {
+        return { narrative: source.trim(), choices: [] };
+    }
+
+    const choices = [];
+    source.slice(heading.index + heading[0].length).split('\n').forEach(line => {
+        const match = line.match(CHOICE_LINE);
+        if (match) {
+            choices.push({ index: Number(match[1]), text: match[2] });
+        } else if (line.trim() && choices.length > 0) {
+            // A long option wrapped onto the next line
+            choices[choices.length - 1].text += ` ${line.trim()}`;
+        }
+    });
+
+    return {
+        narrative: source.slice(0, heading.index).trim(),
+        choices: choices.map((choice, position) => toChoice(choice.index, position, choice.text))
+    };
+}
+
+/**
+ * Describes a choice for prompts, with its metadata.
+ *
+ * @param {Object} choice - A choice from `parseStory`
+ * @returns {string} E.g. `Ask the elder about the well (skill: diplomacy, risk: low)`
+ */
+function describeChoice(choice) {
+    const tags = [choice.skill && `skill: ${choice.skill}`, `risk: ${choice.risk}`].filter(Boolean);
+    return `${choice.text} (${tags.join(', ')})`;
+}
+
+module.exports = {
+    parseStory,
+    describeChoice,
+    classifyAction
+};
@@ -1,4 +1,7 @@
 module.exports = {
+    // Bumped whenever the shape written by StoryEngine.saveGame changes
+    SAVE_FORMAT_VERSION: '1.4.0',
+    
     RELATIONSHIP_TYPES: {
         TRUST: { min: 0, max: 100, default: 50 },
         FEAR: { min: 0, max: 100, default: 10 },
@@ -16,6 +19,15 @@ module.exports = {
         EVENT: 'event'
     },
     
+    // Key under which each entity type is grouped in the engine's game-state snapshot
+    ENTITY_COLLECTIONS: {
+        npc: 'npcs',
+        faction: 'factions',
+        location: 'locations',
+        item: 'items',
+        event: 'events'
+    },
+    
     FACTION_TYPES: {
         POLITICAL: 'political',
         MILITARY: 'military',
@@ -64,20 +76,131 @@ module.exports = {
         MIN_TRUST_FOR_ALLIANCE: 70,
         MAX_ITEMS_IN_INVENTORY: 25,
         MAX_ACTIVE_EVENTS: 10,
-        MAX_RUMORS: 15
+        MAX_RUMORS: 15,
+        MAX_PENDING_CONSEQUENCES: 20
+    },
+
+    // The most one turn's consequences may move each value; larger changes are clamped
+    CONSEQUENCE_LIMITS: {
+        NPC_METRIC: 20,
+        PLAYER_STANDING: 20,
+        WORLD_PARAMETER: 15,
+        HEALTH: 50,
+        REPUTATION: 10,
+        SKILL: 3,
+        RUMORS_PER_TURN: 3
+    },
+
+    // What makes a delayed consequence fire; see ConsequenceScheduler
+    CONSEQUENCE_TRIGGERS: {
+        TURNS: 'turns',
+        DATE: 'date',
+        LOCATION: 'location',
+        PARAMETER: 'parameter'
     },
     
+    // World parameters, stored under the camelCase of their key (globalTension).
+    // Each also answers to its key and its aliases; see utils/WorldParameters.
     WORLD_PARAMETERS: {
-        GLOBAL_TENSION: { min: 0, max: 100, default: 30 },
-        POLITICAL_STABILITY: { min: 0, max: 100, default: 80 },
-        ECONOMIC_STATE: { min: 0, max: 100, default: 50 },
-        MAGICAL_ACTIVITY: { min: 0, max: 100, default: 20 },
-        TECHNOLOGY_LEVEL: { min: 0, max: 100, default: 40 },
-        RELIGIOUS_ZEAL: { min: 0, max: 100, default: 50 },
-        CRIME_RATE: { min: 0, max: 100, default: 30 },
-        NATURAL_DISASTER_RISK: { min: 0, max: 100, default: 10 },
-        MONSTER_ACTIVITY: { min: 0, max: 100, default: 20 },
-        CULTURAL_UNITY: { min: 0, max: 100, default: 70 }
+        GLOBAL_TENSION: { min: 0, max: 100, default: 30, aliases: ['tension'] },
+        POLITICAL_STABILITY: { min: 0, max: 100, default: 80, aliases: ['stability'] },
+        ECONOMIC_STATE: { min: 0, max: 100, default: 50, aliases: ['economy'] },
+        MAGICAL_ACTIVITY: { min: 0, max: 100, default: 20, aliases: ['magic'] },
+        TECHNOLOGY_LEVEL: { min: 0, max: 100, default: 40, aliases: ['technology'] },
+        RELIGIOUS_ZEAL: { min: 0, max: 100, default: 50, aliases: ['zeal'] },
+        CRIME_RATE: { min: 0, max: 100, default: 30, aliases: ['crime'] },
+        NATURAL_DISASTER_RISK: { min: 0, max: 100, default: 10, aliases: ['disasterRisk'] },
+        MONSTER_ACTIVITY: { min: 0, max: 100, default: 20, aliases: ['monsters'] },
+        CULTURAL_UNITY: { min: 0, max: 100, default: 70, aliases: ['unity'] }
+    },
+    
+    // How world parameters pull on each other every time tick. While `source` is
+    // `above` (or `below`) its threshold, `target` moves by `rate` for each point
+    // past it; see WorldState.applyInfluences. The defaults sit inside every
+    // threshold, so an untouched world stays still.
+    WORLD_PARAMETER_INFLUENCES: [
+        { source: 'globalTension', above: 60, target: 'politicalStability', rate: -0.1, description: 'Unrest erodes political stability' },
+        { source: 'globalTension', above: 60, target: 'economicState', rate: -0.05, description: 'Unrest keeps traders away' },
+        { source: 'politicalStability', below: 40, target: 'globalTension', rate: 0.1, description: 'A weak government lets tensions rise' },
+        { source: 'politicalStability', below: 40, target: 'crimeRate', rate: 0.1, description: 'Lawlessness spreads where rule is weak' },
+        { source: 'crimeRate', above: 50, target: 'economicState', rate: -0.1, description: 'Crime depresses the economy' },
+        { source: 'economicState', below: 30, target: 'crimeRate', rate: 0.1, description: 'Hardship drives people to crime' },
+        { source: 'economicState', below: 30, target: 'globalTension', rate: 0.05, description: 'Hunger breeds discontent' },
+        { source: 'monsterActivity', above: 50, target: 'globalTension', rate: 0.1, description: 'Monster attacks frighten the people' },
+        { source: 'monsterActivity', above: 50, target: 'economicState', rate: -0.05, description: 'Monsters make the roads unsafe for trade' },
+        { source: 'magicalActivity', above: 60, target: 'monsterActivity', rate: 0.1, description: 'Wild magic draws monsters' },
+        { source: 'naturalDisasterRisk', above: 50, target: 'economicState', rate: -0.1, description: 'Disasters ruin harvests and roads' },
+        { source: 'religiousZeal', above: 75, target: 'culturalUnity', rate: -0.1, description: 'Zealotry divides communities' },
+        { source: 'culturalUnity', below: 40, target: 'globalTension', rate: 0.1, description: 'A divided people turn on each other' },
+        { source: 'technologyLevel', above: 60, target: 'economicState', rate: 0.05, description: 'New techniques make work more productive' }
+    ],
+    
+    // Damping for WORLD_PARAMETER_INFLUENCES: each tick's combined pull on a
+    // parameter is scaled by DAMPING and capped at MAX_CHANGE_PER_TICK. The world
+    // ticks once per in-game hour, at most MAX_TICKS_PER_ADVANCE times per
+    // WorldState.advanceTime call.
+    WORLD_INFLUENCE: {
+        DAMPING: 0.5,
+        MAX_CHANGE_PER_TICK: 3,
+        MAX_TICKS_PER_ADVANCE: 24
+    },
+
+    // The default in-game calendar; see utils/Calendar. A StoryEngine can be
+    // given its own with `options.calendar`, overriding any of these keys.
+    // TIMES_OF_DAY names the period starting at each hour, earliest first.
+    CALENDAR: {
+        MINUTES_PER_HOUR: 60,
+        HOURS_PER_DAY: 24,
+        MONTHS: [
+            { name: 'firstmonth', days: 30, season: 'spring' },
+            { name: 'secondmonth', days: 30, season: 'summer' },
+            { name: 'thirdmonth', days: 30, season: 'autumn' },
+            { name: 'fourthmonth', days: 30, season: 'winter' }
+        ],
+        WEEKDAYS: ['moonday', 'tideday', 'windsday', 'thornsday', 'fireday', 'starday', 'sunday'],
+        TIMES_OF_DAY: [
+            { name: 'night', from: 0 },
+            { name: 'dawn', from: 5 },
+            { name: 'morning', from: 7 },
+            { name: 'midday', from: 11 },
+            { name: 'afternoon', from: 14 },
+            { name: 'evening', from: 18 },
+            { name: 'night', from: 21 }
+        ],
+        START: { year: 1000, month: 'firstmonth', day: 1, hour: 8, minute: 0 }
+    },
+
+    // What a turn's action is mostly spent doing, for the clock
+    ACTION_ACTIVITIES: {
+        TALK: 'talk',
+        FIGHT: 'fight',
+        SEARCH: 'search',
+        WORK: 'work',
+        TRAVEL: 'travel',
+        REST: 'rest',
+        OTHER: 'other'
+    },
+
+    // In-game minutes each activity takes; a StoryEngine can override them with
+    // `options.actionTimeCosts`
+    ACTION_TIME_COSTS: {
+        talk: 15,
+        fight: 10,
+        search: 60,
+        work: 120,
+        travel: 240,
+        rest: 480,
+        other: 30
+    },
+
+    PLAYER_STATS: {
+        SKILL: { min: 0, max: 100, default: 10 },
+        REPUTATION: { min: -100, max: 100, default: 0 },
+        HEALTH: { min: 0, max: 100, default: 100 },
+        EXPERIENCE_PER_LEVEL: 100,
+        EXPERIENCE_PER_SKILL_POINT: 10,
+        HEALTH_PER_LEVEL: 10,
+        MAX_CHOICE_HISTORY: 50
     },
     
     PLAYER_SKILLS: {
@@ -89,10 +212,49 @@ module.exports = {
         SURVIVAL: 'survival'
     },
     
+    // The kinds of option the story prompt asks for, in the order it lists them
+    CHOICE_CATEGORIES: {
+        SKILL: 'skill',
+        POLITICAL: 'political',
+        PERSONAL: 'personal',
+        RISK: 'risk'
+    },
+    
+    RISK_LEVELS: {
+        LOW: 'low',
+        MEDIUM: 'medium',
+        HIGH: 'high'
+    },
+    
+    // How hard a skill check is; see SkillCheckSystem for the numbers to beat
+    CHECK_DIFFICULTIES: {
+        EASY: 'easy',
+        MODERATE: 'moderate',
+        HARD: 'hard',
+        VERY_HARD: 'very_hard'
+    },
+
+    // Graded skill-check outcomes, worst first
+    CHECK_OUTCOMES: {
+        CRITICAL_FAILURE: 'critical_failure',
+        FAILURE: 'failure',
+        PARTIAL_SUCCESS: 'partial_success',
+        SUCCESS: 'success',
+        CRITICAL_SUCCESS: 'critical_success'
+    },
+
     REPUTATION_TYPES: {
         HEROIC: 'heroic',
         VILLAINOUS: 'villainous',
         MYSTERIOUS: 'mysterious',
         DIPLOMATIC: 'diplomatic'
+    },
+    
+    // Kinds of AI request; each has a prompt builder in AIInterface
+    AI_TASKS: {
+        ENTITY_DETECTION: 'entityDetection',
+        STORY_GENERATION: 'storyGeneration',
+        CONSEQUENCE_ANALYSIS: 'consequenceAnalysis',
+        WORLD_ANALYSIS: 'worldAnalysis'
     }
 };
\ No newline at end of file
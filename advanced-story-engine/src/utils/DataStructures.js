@@ -1,4 +1,4 @@
-const { ENTITY_TYPES, RELATIONSHIP_TYPES } = require('./Constants');
+const { ENTITY_TYPES, RELATIONSHIP_TYPES, PLAYER_STATS, PLAYER_SKILLS, REPUTATION_TYPES } = require('./Constants');
 
 class Entity {
     constructor(id, type, data = {}) {
@@ -147,11 +147,145 @@ class GameEvent extends Entity {
     }
 }
 
+class Player {
+    constructor(data = {}) {
+        this.name = data.name || 'Traveler';
+        this.level = data.level || 1;
+        this.experience = data.experience || 0;
+        this.maxHealth = data.maxHealth || PLAYER_STATS.HEALTH.default;
+        this.health = data.health !== undefined ? data.health : this.maxHealth;
+        this.currentLocation = data.currentLocation || 'village_square';
+        this.mood = data.mood || 'neutral';
+        this.traits = data.traits || ['curious', 'determined'];
+        this.goals = data.goals || ['explore_world'];
+        this.secrets = data.secrets || [];
+        this.inventory = data.inventory || [];
+        this.flags = new Set(data.flags || []);
+        this.choiceHistory = data.choiceHistory || [];
+        
+        this.skills = {};
+        Object.values(PLAYER_SKILLS).forEach(skill => {
+            this.skills[skill] = PLAYER_STATS.SKILL.default;
+        });
+        Object.assign(this.skills, data.skills);
+        
+        // Practice towards each skill's next point
+        this.skillExperience = {};
+        Object.keys(this.skills).forEach(skill => {
+            this.skillExperience[skill] = 0;
+        });
+        Object.assign(this.skillExperience, data.skillExperience);
+        
+        this.reputation = {};
+        Object.values(REPUTATION_TYPES).forEach(type => {
+            this.reputation[type] = PLAYER_STATS.REPUTATION.default;
+        });
+        Object.assign(this.reputation, data.reputation);
+    }
+    
+    moveTo(locationId) {
+        const previousLocation = this.currentLocation;
+        this.currentLocation = locationId;
+        return previousLocation;
+    }
+    
+    experienceToNextLevel() {
+        return this.level * PLAYER_STATS.EXPERIENCE_PER_LEVEL;
+    }
+    
+    gainExperience(amount) {
+        let levelsGained = 0;
+        this.experience += Math.max(0, amount);
+        
+        while (this.experience >= this.experienceToNextLevel()) {
+            this.experience -= this.experienceToNextLevel();
+            this.level++;
+            this.maxHealth += PLAYER_STATS.HEALTH_PER_LEVEL;
+            this.health = this.maxHealth;
+            levelsGained++;
+        }
+        
+        return levelsGained;
+    }
+    
+    adjustHealth(change) {
+        this.health = clamp(this.health + change, PLAYER_STATS.HEALTH.min, this.maxHealth);
+        return this.health;
+    }
+    
+    adjustSkill(skill, change) {
+        if (this.skills[skill] === undefined) {
+            return undefined;
+        }
+        this.skills[skill] = clamp(this.skills[skill] + change, PLAYER_STATS.SKILL.min, PLAYER_STATS.SKILL.max);
+        return this.skills[skill];
+    }
+    
+    gainSkillExperience(skill, amount) {
+        if (this.skills[skill] === undefined) {
+            return 0;
+        }
+        
+        let pointsGained = 0;
+        this.skillExperience[skill] += Math.max(0, amount);
+        
+        while (this.skillExperience[skill] >= PLAYER_STATS.EXPERIENCE_PER_SKILL_POINT) {
+            this.skillExperience[skill] -= PLAYER_STATS.EXPERIENCE_PER_SKILL_POINT;
+            if (this.skills[skill] < PLAYER_STATS.SKILL.max) {
+                this.adjustSkill(skill, 1);
+                pointsGained++;
+            }
+        }
+        
+        return pointsGained;
+    }
+    
+    adjustReputation(type, change) {
+        if (this.reputation[type] === undefined) {
+            return undefined;
+        }
+        this.reputation[type] = clamp(this.reputation[type] + change, PLAYER_STATS.REPUTATION.min, PLAYER_STATS.REPUTATION.max);
+        return this.reputation[type];
+    }
+    
+    isAlive() {
+        return this.health > 0;
+    }
+    
+    recordChoice(choice) {
+        this.choiceHistory.push(choice);
+        
+        if (this.choiceHistory.length > PLAYER_STATS.MAX_CHOICE_HISTORY) {
+            this.choiceHistory = this.choiceHistory.slice(-PLAYER_STATS.MAX_CHOICE_HISTORY);
+        }
+    }
+    
+    toJSON() {
+        return {
+            ...this,
+            skills: { ...this.skills },
+            skillExperience: { ...this.skillExperience },
+            reputation: { ...this.reputation },
+            traits: [...this.traits],
+            goals: [...this.goals],
+            secrets: [...this.secrets],
+            inventory: [...this.inventory],
+            flags: Array.from(this.flags),
+            choiceHistory: [...this.choiceHistory]
+        };
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
 module.exports = {
     Entity,
     NPC,
     Faction,
     Location,
     Item,
-    GameEvent
+    GameEvent,
+    Player
 };
\ No newline at end of file
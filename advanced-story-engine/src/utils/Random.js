@@ -0,0 +1,76 @@
+/**
+ * Hashes any number of values into a 32-bit unsigned seed (FNV-1a).
+ *
+ * @param {...*} parts - Values to combine; each is converted to a string
+ * @returns {number} The seed
+ */
+function hashSeed(...parts) {
+    let hash = 0x811c9dc5;
+    const text = parts.map(String).join('\u0000');
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Small, fast, seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence.
+ *
+ * @class SeededRandom
+ * @example
+ * const rng = new SeededRandom(hashSeed('campaign-1', 42));
+ * rng.int(1, 20);
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} [seed=Date.now()] - Numeric seed, or a string that is hashed
+     */
+    constructor(seed = Date.now()) {
+        this.state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    }
+
+    /**
+     * @returns {number} A float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value (inclusive)
+     * @returns {number} An integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * @param {Array} items - The items to choose from
+     * @returns {*} One of the items, or undefined for an empty array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * @param {number} probability - Chance of returning true, from 0 to 1
+     * @returns {boolean} True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+module.exports = {
+    hashSeed,
+    SeededRandom
+};
@@ -0,0 +1,297 @@
+const {
+    AI_TASKS,
+    FACTION_TYPES,
+    LOCATION_TYPES,
+    ITEM_TYPES,
+    RARITY_LEVELS,
+    IMPORTANCE_LEVELS,
+    CONSEQUENCE_TRIGGERS
+} = require('./Constants');
+
+// Schemas for the JSON the model returns for each structured AI task, in the
+// subset understood by SchemaValidator. Entities keep fields not listed here so
+// richer model output still reaches the EntityManager.
+
+const id = { type: 'string', format: 'id' };
+const ids = { type: 'array', items: id };
+const text = { type: 'string', minLength: 1 };
+const texts = { type: 'array', items: { type: 'string' } };
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+const delta = { type: 'number', minimum: -100, maximum: 100 };
+const level = { type: 'string', enum: ['low', 'medium', 'high'] };
+
+const entity = (properties, required = ['id', 'name']) => ({
+    type: 'object',
+    required,
+    properties,
+    additionalProperties: true
+});
+
+const ENTITY_DETECTION = {
+    type: 'object',
+    properties: {
+        entities: {
+            type: 'object',
+            properties: {
+                npcs: {
+                    type: 'array',
+                    items: entity({
+                        id,
+                        name: text,
+                        occupation: { type: 'string' },
+                        location: id,
+                        traits: texts,
+                        age: { type: 'integer', minimum: 0 },
+                        importance: { type: 'string', enum: Object.values(IMPORTANCE_LEVELS) },
+                        relationship_to_player: { type: 'string', enum: ['neutral', 'positive', 'negative'] },
+                        goals: texts,
+                        secrets: texts,
+                        backstory: { type: 'string' }
+                    })
+                },
+                factions: {
+                    type: 'array',
+                    items: entity({
+                        id,
+                        name: text,
+                        type: { type: 'string', enum: Object.values(FACTION_TYPES) },
+                        influence: percentage,
+                        territory: ids,
+                        goals: texts,
+                        allies: ids,
+                        enemies: ids,
+                        leadership: ids
+                    })
+                },
+                locations: {
+                    type: 'array',
+                    items: entity({
+                        id,
+                        name: text,
+                        type: { type: 'string', enum: Object.values(LOCATION_TYPES) },
+                        safety: percentage,
+                        population: { type: 'integer', minimum: 0 },
+                        controlledBy: id,
+                        connectedTo: ids,
+                        resources: texts,
+                        description: { type: 'string' }
+                    })
+                },
+                items: {
+                    type: 'array',
+                    items: entity({
+                        id,
+                        name: text,
+                        type: { type: 'string', enum: Object.values(ITEM_TYPES) },
+                        value: { type: 'number', minimum: 0 },
+                        rarity: { type: 'string', enum: Object.values(RARITY_LEVELS) },
+                        properties: texts,
+                        location: id
+                    })
+                },
+                events: {
+                    type: 'array',
+                    items: entity({
+                        id,
+                        name: text,
+                        type: { type: 'string' },
+                        scope: { type: 'string', enum: ['local', 'regional', 'global'] },
+                        duration: { type: 'string' },
+                        consequences: texts
+                    }, ['name'])
+                }
+            }
+        },
+        relationships: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['entity1', 'entity2', 'type'],
+                properties: {
+                    entity1: id,
+                    entity2: id,
+                    type: { type: 'string', enum: ['ally', 'enemy', 'neutral', 'subordinate'] },
+                    strength: delta,
+                    reason: { type: 'string' }
+                }
+            }
+        },
+        worldUpdates: {
+            type: 'object',
+            properties: {
+                rumors: texts,
+                news: texts
+            },
+            additionalProperties: delta
+        }
+    }
+};
+
+const immediateEffects = {
+    type: 'object',
+    properties: {
+        npcReactions: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    trust: delta,
+                    fear: delta,
+                    respect: delta,
+                    love: delta,
+                    mood: { type: 'string' }
+                }
+            }
+        },
+        factionStandings: { type: 'object', additionalProperties: delta },
+        playerEffects: {
+            type: 'object',
+            properties: {
+                health: delta,
+                reputation: { type: 'object', additionalProperties: delta },
+                skills: { type: 'object', additionalProperties: delta }
+            }
+        }
+    }
+};
+
+const worldEffects = { type: 'object', additionalProperties: delta };
+
+const changedRelationships = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['entity1', 'entity2'],
+        properties: { entity1: id, entity2: id, newRelationship: { type: 'string' } }
+    }
+};
+
+// A consequence the ConsequenceScheduler holds back until its trigger is met
+const delayedConsequence = {
+    type: 'object',
+    required: ['description', 'trigger'],
+    properties: {
+        description: text,
+        hint: { type: 'string' },
+        trigger: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { type: 'string', enum: Object.values(CONSEQUENCE_TRIGGERS) },
+                turns: { type: 'integer', minimum: 1 },
+                day: { type: 'integer', minimum: 1 },
+                month: { type: 'string' },
+                year: { type: 'integer' },
+                location: id,
+                parameter: { type: 'string' },
+                above: { type: 'number' },
+                below: { type: 'number' }
+            }
+        },
+        consequences: {
+            type: 'object',
+            properties: {
+                immediate: immediateEffects,
+                worldEffects,
+                longTerm: {
+                    type: 'object',
+                    properties: { changedRelationships, rumors: texts }
+                }
+            }
+        }
+    }
+};
+
+const CONSEQUENCE_ANALYSIS = {
+    type: 'object',
+    required: ['consequences'],
+    properties: {
+        consequences: {
+            type: 'object',
+            properties: {
+                immediate: immediateEffects,
+                worldEffects,
+                longTerm: {
+                    type: 'object',
+                    properties: {
+                        newEvents: ids,
+                        changedRelationships,
+                        rumors: texts,
+                        futureOpportunities: texts,
+                        delayed: { type: 'array', items: delayedConsequence }
+                    }
+                }
+            }
+        },
+        riskAssessment: {
+            type: 'object',
+            properties: {
+                severity: level,
+                domains: texts,
+                mitigationOptions: texts
+            }
+        }
+    }
+};
+
+const WORLD_ANALYSIS = {
+    type: 'object',
+    properties: {
+        trends: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                    type: { type: 'string' },
+                    description: text,
+                    direction: { type: 'string', enum: ['rising', 'falling', 'stable'] },
+                    significance: level
+                }
+            }
+        },
+        conflicts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    parties: ids,
+                    type: { type: 'string' },
+                    likelihood: level,
+                    impact: { type: 'string', enum: ['local', 'regional', 'global'] }
+                }
+            }
+        },
+        opportunities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                    type: { type: 'string' },
+                    description: text,
+                    requirements: texts,
+                    rewards: texts
+                }
+            }
+        },
+        warnings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['concern'],
+                properties: {
+                    concern: text,
+                    severity: level,
+                    timeframe: { type: 'string', enum: ['immediate', 'short', 'long'] }
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    [AI_TASKS.ENTITY_DETECTION]: ENTITY_DETECTION,
+    [AI_TASKS.CONSEQUENCE_ANALYSIS]: CONSEQUENCE_ANALYSIS,
+    [AI_TASKS.WORLD_ANALYSIS]: WORLD_ANALYSIS
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { compareVersions } = require('../systems/SaveMigrator');
+
+const CHECKSUM_ALGORITHM = 'sha256';
+// The first save format written with a checksum; saves in it or later must carry one
+const CHECKSUM_SINCE_VERSION = '1.2.0';
+const DEFAULT_BACKUP_COUNT = 3;
+const BACKUP_SUFFIX_PATTERN = /\.backup-(\d+)$/;
+
+/**
+ * Serializes a value to JSON with object keys sorted, so the same data always
+ * produces the same string regardless of key insertion order.
+ *
+ * @param {*} value - The value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes the content hash of a save. The checksum field itself, and the
+ * integrity report attached on load, are excluded from the hash.
+ *
+ * @param {Object} saveData - The save data
+ * @returns {string} Hex-encoded checksum
+ */
+function computeChecksum(saveData) {
+    const metadata = { ...saveData.metadata };
+    delete metadata.checksum;
+    delete metadata.integrity;
+    const content = stableStringify({ ...saveData, metadata });
+
+    return crypto.createHash(CHECKSUM_ALGORITHM).update(content).digest('hex');
+}
+
+/**
+ * Returns a copy of the save with its checksum embedded in `metadata.checksum`.
+ *
+ * @param {Object} saveData - The save data
+ * @returns {Object} The signed save data
+ */
+function signSave(saveData) {
+    const signed = JSON.parse(JSON.stringify(saveData));
+    signed.metadata = { ...(signed.metadata || {}) };
+    delete signed.metadata.integrity;
+    signed.metadata.checksum = `${CHECKSUM_ALGORITHM}:${computeChecksum(signed)}`;
+
+    return signed;
+}
+
+/**
+ * Verifies a save against its embedded checksum.
+ * Saves in a format older than CHECKSUM_SINCE_VERSION were written before
+ * checksums existed; without one they are accepted but reported as unverified.
+ * A newer save without a checksum is rejected, as it was stripped or damaged.
+ *
+ * @param {Object} saveData - The parsed save data
+ * @returns {{valid: boolean, verified: boolean, reason: (string|null)}} The verification result
+ */
+function verifySave(saveData) {
+    if (!saveData || typeof saveData !== 'object' || Array.isArray(saveData)) {
+        return { valid: false, verified: false, reason: 'Save data is not an object' };
+    }
+
+    const recorded = saveData.metadata && saveData.metadata.checksum;
+    if (!recorded) {
+        const version = saveData.metadata && saveData.metadata.version;
+        if (version && compareVersions(version, CHECKSUM_SINCE_VERSION) >= 0) {
+            return { valid: false, verified: false, reason: `Save has no checksum, but format ${version} requires one` };
+        }
+        return { valid: true, verified: false, reason: 'Save has no checksum' };
+    }
+
+    const [algorithm, expected] = String(recorded).split(':');
+    if (algorithm !== CHECKSUM_ALGORITHM || !expected) {
+        return { valid: false, verified: false, reason: `Unsupported checksum format: ${recorded}` };
+    }
+
+    const actual = computeChecksum(saveData);
+    if (actual !== expected) {
+        return { valid: false, verified: false, reason: 'Checksum mismatch: the save was modified or partially written' };
+    }
+
+    return { valid: true, verified: true, reason: null };
+}
+
+/**
+ * Builds the slot name of the nth backup of a slot (1 = most recent).
+ *
+ * @param {string} slotName - The save slot
+ * @param {number} index - The backup index
+ * @returns {string} The backup slot name
+ */
+function backupSlotName(slotName, index) {
+    return `${slotName}.backup-${index}`;
+}
+
+/**
+ * Checks whether a slot name refers to a backup rather than a save.
+ *
+ * @param {string} slotName - The slot name
+ * @returns {boolean} True for backup slots
+ */
+function isBackupSlot(slotName) {
+    return BACKUP_SUFFIX_PATTERN.test(slotName);
+}
+
+/**
+ * Reads a slot and verifies it. Read and parse failures are reported rather than thrown.
+ *
+ * @param {StorageAdapter} storage - The storage adapter
+ * @param {string} slotName - The slot to read
+ * @returns {Promise<{slot: string, exists: boolean, valid: boolean, verified: boolean, reason: (string|null), data: (Object|null)}>}
+ *   The verification result, including the parsed data when it could be read
+ */
+async function readVerifiedSlot(storage, slotName) {
+    let data;
+    try {
+        data = await storage.read(slotName);
+    } catch (error) {
+        return { slot: slotName, exists: true, valid: false, verified: false, reason: error.message, data: null };
+    }
+
+    if (data === null) {
+        return { slot: slotName, exists: false, valid: false, verified: false, reason: 'Slot is empty', data: null };
+    }
+
+    return { slot: slotName, exists: true, ...verifySave(data), data };
+}
+
+/**
+ * Verifies a slot and each of its backups.
+ *
+ * @param {StorageAdapter} storage - The storage adapter
+ * @param {string} slotName - The slot to inspect
+ * @param {number} [backupCount=DEFAULT_BACKUP_COUNT] - How many backups are kept per slot
+ * @returns {Promise<{slot: string, current: Object, backups: Object[]}>}
+ *   Verification results without the save data itself
+ */
+async function inspectSlot(storage, slotName, backupCount = DEFAULT_BACKUP_COUNT) {
+    const withoutData = result => {
+        const copy = { ...result };
+        delete copy.data;
+        return copy;
+    };
+    const backups = [];
+
+    for (let index = 1; index <= backupCount; index++) {
+        const result = await readVerifiedSlot(storage, backupSlotName(slotName, index));
+        if (result.exists) {
+            backups.push(withoutData(result));
+        }
+    }
+
+    return {
+        slot: slotName,
+        current: withoutData(await readVerifiedSlot(storage, slotName)),
+        backups
+    };
+}
+
+module.exports = {
+    CHECKSUM_ALGORITHM,
+    CHECKSUM_SINCE_VERSION,
+    DEFAULT_BACKUP_COUNT,
+    stableStringify,
+    computeChecksum,
+    signSave,
+    verifySave,
+    backupSlotName,
+    isBackupSlot,
+    readVerifiedSlot,
+    inspectSlot
+};
@@ -0,0 +1,288 @@
+const { AppError } = require('./errorHandler');
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+const NUMERIC_STRING_PATTERN = /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/;
+
+/**
+ * Builds the error thrown for model output that cannot be used. Its `code`
+ * marks it as a bad response rather than a service failure (see AICallPolicy).
+ *
+ * @param {string} message - What was wrong
+ * @param {Object[]} [validationErrors=[]] - Per-field errors: `{ path, message }`
+ * @returns {AppError} The error
+ */
+function invalidOutputError(message, validationErrors = []) {
+    const error = new AppError(message, 502);
+    error.code = 'INVALID_JSON';
+    error.validationErrors = validationErrors;
+    return error;
+}
+
+/**
+ * Finds the first complete JSON object in model output and parses it.
+ * Surrounding prose and Markdown code fences are ignored, and trailing commas
+ * before `}` or `]` are dropped. Unlike a greedy `{...}` match, the object ends
+ * at its own closing brace, so text after it cannot break the parse.
+ *
+ * @param {string} text - The raw model output
+ * @returns {{value: Object, repairs: string[]}} The parsed object and what had to be fixed
+ * @throws {AppError} If no JSON object can be parsed
+ */
+function parseJSONText(text) {
+    const source = String(text ?? '');
+    const start = source.indexOf('{');
+    if (start === -1) {
+        throw invalidOutputError('Model response did not contain a JSON object');
+    }
+
+    const repairs = [];
+    if (source.slice(0, start).trim()) {
+        repairs.push(/```/.test(source.slice(0, start)) ? 'removed Markdown code fence' : 'removed text before the JSON');
+    }
+
+    let json = '';
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let end = -1;
+
+    for (let i = start; i < source.length && end === -1; i++) {
+        const char = source[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            json += char;
+            continue;
+        }
+
+        if (char === ',') {
+            const next = source.slice(i + 1).match(/^\s*(.)/);
+            if (next && (next[1] === '}' || next[1] === ']')) {
+                repairs.push('removed trailing comma');
+                continue;
+            }
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                end = i;
+            }
+        }
+        json += char;
+    }
+
+    if (end === -1) {
+        throw invalidOutputError('Model response did not contain a JSON object');
+    }
+
+    try {
+        return { value: JSON.parse(json), repairs: [...new Set(repairs)] };
+    } catch (error) {
+        throw invalidOutputError(`Model response contained invalid JSON: ${error.message}`);
+    }
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    return typeof value === 'string' ? `"${value.slice(0, 40)}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validates a value against a schema, coercing common model mistakes on the way.
+ *
+ * Schemas use a subset of JSON Schema: `type` (`object`, `array`, `string`,
+ * `number`, `integer`, `boolean`), `properties`, `required`, `items`,
+ * `additionalProperties` (a schema for map-like objects, or `true` to keep
+ * unknown fields as they are; otherwise they are removed), `enum`, `minimum`,
+ * `maximum`, `minLength`, and `format: 'id'` for snake_case identifiers.
+ *
+ * Coercions, each reported in `repairs`: numeric strings to numbers, numbers to
+ * strings, `'true'`/`'false'` to booleans, a single value to a one-element array,
+ * enum values matched case-insensitively, ids slugified, numbers clamped to
+ * their range, and unknown fields and optional nulls removed.
+ *
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema
+ * @returns {{valid: boolean, value: *, errors: Object[], repairs: Object[]}} The coerced
+ *   value, plus `errors` and `repairs` as `{ path, message }` lists
+ */
+function validate(value, schema) {
+    const report = { errors: [], repairs: [] };
+    const result = checkValue(value, schema, '', report);
+
+    return {
+        valid: report.errors.length === 0,
+        value: result,
+        errors: report.errors,
+        repairs: report.repairs
+    };
+}
+
+function checkValue(value, schema, path, report) {
+    const fail = message => {
+        report.errors.push({ path: path || '(root)', message });
+        return undefined;
+    };
+    const repair = message => report.repairs.push({ path: path || '(root)', message });
+
+    if (schema.type === 'object') {
+        return checkObject(value, schema, path, report, fail);
+    }
+
+    if (schema.type === 'array') {
+        let items = value;
+        if (!Array.isArray(items)) {
+            repair(`wrapped ${describe(value)} in an array`);
+            items = [value];
+        }
+        return items.map((item, index) => checkValue(item, schema.items || {}, joinPath(path, index), report))
+            .filter(item => item !== undefined);
+    }
+
+    if (schema.type === 'number' || schema.type === 'integer') {
+        let number = value;
+        if (typeof number === 'string' && NUMERIC_STRING_PATTERN.test(number)) {
+            repair(`converted ${describe(value)} to a number`);
+            number = Number(number);
+        }
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return fail(`expected a number, got ${describe(value)}`);
+        }
+        if (schema.type === 'integer' && !Number.isInteger(number)) {
+            repair(`rounded ${number} to an integer`);
+            number = Math.round(number);
+        }
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            repair(`raised ${number} to the minimum ${schema.minimum}`);
+            number = schema.minimum;
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            repair(`lowered ${number} to the maximum ${schema.maximum}`);
+            number = schema.maximum;
+        }
+        return number;
+    }
+
+    if (schema.type === 'boolean') {
+        if (value === 'true' || value === 'false') {
+            repair(`converted ${describe(value)} to a boolean`);
+            return value === 'true';
+        }
+        return typeof value === 'boolean' ? value : fail(`expected a boolean, got ${describe(value)}`);
+    }
+
+    if (schema.type === 'string') {
+        let text = value;
+        if (typeof text === 'number' || typeof text === 'boolean') {
+            repair(`converted ${describe(value)} to a string`);
+            text = String(text);
+        }
+        if (typeof text !== 'string') {
+            return fail(`expected a string, got ${describe(value)}`);
+        }
+        if (schema.format === 'id' && !ID_PATTERN.test(text)) {
+            const slug = text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            if (!slug) {
+                return fail(`expected a snake_case id, got ${describe(value)}`);
+            }
+            repair(`converted id ${describe(value)} to "${slug}"`);
+            text = slug;
+        }
+        if (schema.enum && !schema.enum.includes(text)) {
+            const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+            if (!match) {
+                return fail(`expected one of ${schema.enum.join(', ')}, got ${describe(value)}`);
+            }
+            repair(`normalized ${describe(value)} to "${match}"`);
+            text = match;
+        }
+        if (schema.minLength !== undefined && text.trim().length < schema.minLength) {
+            return fail('must not be empty');
+        }
+        return text;
+    }
+
+    return value;
+}
+
+function checkObject(value, schema, path, report, fail) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`expected an object, got ${describe(value)}`);
+    }
+
+    const result = {};
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+            report.errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+    }
+
+    for (const [key, fieldValue] of Object.entries(value)) {
+        const fieldPath = joinPath(path, key);
+        const fieldSchema = properties[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+
+        if (!fieldSchema && schema.additionalProperties === true) {
+            result[key] = fieldValue;
+            continue;
+        }
+        if (!fieldSchema) {
+            report.repairs.push({ path: fieldPath, message: 'removed unknown field' });
+            continue;
+        }
+        if (fieldValue === null || fieldValue === undefined) {
+            if (fieldValue === null && !(schema.required || []).includes(key)) {
+                report.repairs.push({ path: fieldPath, message: 'removed null value' });
+            }
+            continue;
+        }
+
+        const checked = checkValue(fieldValue, fieldSchema, fieldPath, report);
+        if (checked !== undefined) {
+            result[key] = checked;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Formats validation errors one per line, for logs and re-prompts.
+ *
+ * @param {Object[]} errors - `{ path, message }` errors
+ * @returns {string} The formatted errors
+ */
+function formatErrors(errors) {
+    return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+    parseJSONText,
+    validate,
+    formatErrors,
+    invalidOutputError
+};
@@ -0,0 +1,318 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+
+const SLOT_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Normalizes a save slot name so every adapter addresses slots the same way.
+ * A trailing `.json` is dropped, so `'test-world.json'` and `'test-world'`
+ * refer to the same slot.
+ *
+ * @param {string} slotName - The slot name to normalize
+ * @returns {string} The normalized slot name
+ * @throws {AppError} If the slot name is empty or contains unsupported characters
+ */
+function normalizeSlotName(slotName) {
+    if (typeof slotName !== 'string' || !slotName.trim()) {
+        throw new AppError('Slot name must be a non-empty string', 400);
+    }
+
+    const normalized = slotName.trim().replace(/\.json$/i, '');
+    if (!SLOT_NAME_PATTERN.test(normalized)) {
+        throw new AppError(
+            `Invalid slot name '${slotName}'. Use letters, numbers, '.', '_' or '-'`,
+            400
+        );
+    }
+
+    return normalized;
+}
+
+/**
+ * Base class for save storage backends used by the StoryEngine.
+ * Subclasses persist plain JSON-serializable save objects keyed by slot name.
+ *
+ * @class StorageAdapter
+ * @abstract
+ */
+class StorageAdapter {
+    /**
+     * Writes save data to a slot, replacing any previous contents.
+     *
+     * @param {string} slotName - The slot to write
+     * @param {Object} data - The save data
+     * @returns {Promise<void>}
+     */
+    async write() {
+        throw new AppError(`${this.constructor.name} does not implement write()`, 500, false);
+    }
+
+    /**
+     * Reads the save data stored in a slot.
+     *
+     * @param {string} slotName - The slot to read
+     * @returns {Promise<Object|null>} The save data, or null if the slot is empty
+     */
+    async read() {
+        throw new AppError(`${this.constructor.name} does not implement read()`, 500, false);
+    }
+
+    /**
+     * Lists the names of all occupied slots.
+     *
+     * @returns {Promise<string[]>} Slot names in alphabetical order
+     */
+    async list() {
+        throw new AppError(`${this.constructor.name} does not implement list()`, 500, false);
+    }
+
+    /**
+     * Deletes a slot.
+     *
+     * @param {string} slotName - The slot to delete
+     * @returns {Promise<boolean>} True if the slot existed
+     */
+    async delete() {
+        throw new AppError(`${this.constructor.name} does not implement delete()`, 500, false);
+    }
+
+    /**
+     * Reads the metadata block of a save, e.g. to list saves. This default reads
+     * the whole save; adapters that can read the metadata on its own override it.
+     *
+     * @param {string} slotName - The slot to inspect
+     * @returns {Promise<Object|null>} The save metadata, or null if the slot is empty
+     */
+    async readMetadata(slotName) {
+        const data = await this.read(slotName);
+        return data ? (data.metadata || {}) : null;
+    }
+
+    /**
+     * Checks whether a slot holds a save.
+     *
+     * @param {string} slotName - The slot to check
+     * @returns {Promise<boolean>} True if the slot is occupied
+     */
+    async exists(slotName) {
+        const slots = await this.list();
+        return slots.includes(normalizeSlotName(slotName));
+    }
+}
+
+/**
+ * Keeps saves in process memory. Intended for tests and throwaway sessions.
+ * Data is stored serialized so callers can never mutate a stored save by reference.
+ *
+ * @class MemoryStorageAdapter
+ * @extends StorageAdapter
+ * @example
+ * const engine = new StoryEngine(apiKey, { storage: new MemoryStorageAdapter() });
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.slots = new Map();
+    }
+
+    async write(slotName, data) {
+        this.slots.set(normalizeSlotName(slotName), JSON.stringify(data));
+    }
+
+    async read(slotName) {
+        const serialized = this.slots.get(normalizeSlotName(slotName));
+        return serialized === undefined ? null : JSON.parse(serialized);
+    }
+
+    async list() {
+        return Array.from(this.slots.keys()).sort();
+    }
+
+    async delete(slotName) {
+        return this.slots.delete(normalizeSlotName(slotName));
+    }
+}
+
+/**
+ * Stores each slot as a JSON file in a directory. Writes go to a temporary file
+ * that is flushed and then renamed over the slot, so an interrupted save leaves
+ * the previous contents of the slot intact.
+ *
+ * Each slot's metadata is also kept in a small `<slot>.meta` file beside it, so
+ * listing saves does not read and parse every save in full.
+ *
+ * @class FileStorageAdapter
+ * @extends StorageAdapter
+ * @example
+ * const storage = new FileStorageAdapter({ directory: './data/saves' });
+ * await storage.write('default', saveData);
+ */
+class FileStorageAdapter extends StorageAdapter {
+    /**
+     * Creates a new FileStorageAdapter.
+     *
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.directory='data/saves'] - Directory that holds the save files
+     */
+    constructor(options = {}) {
+        super();
+        const { directory = path.join(process.cwd(), 'data', 'saves') } = options;
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Resolves the file path for a slot.
+     *
+     * @private
+     * @param {string} slotName - The slot name
+     * @returns {string} Absolute path of the slot file
+     */
+    _slotPath(slotName) {
+        return path.join(this.directory, `${normalizeSlotName(slotName)}.json`);
+    }
+
+    /**
+     * Resolves the path of a slot's metadata file.
+     *
+     * @private
+     * @param {string} slotName - The slot name
+     * @returns {string} Absolute path of the metadata file
+     */
+    _metadataPath(slotName) {
+        return path.join(this.directory, `${normalizeSlotName(slotName)}.meta`);
+    }
+
+    async write(slotName, data) {
+        const filePath = this._slotPath(slotName);
+        const metadataPath = this._metadataPath(slotName);
+
+        let contents;
+        try {
+            contents = JSON.stringify(data, null, 2);
+        } catch (error) {
+            throw new AppError(`Failed to write save file ${filePath}: ${error.message}`, 500, false);
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+        // Without a metadata file the save itself is read, so an interrupted write
+        // never leaves metadata that no longer matches the save
+        await this._unlinkIfExists(metadataPath).catch(error => {
+            throw new AppError(`Failed to write save file ${filePath}: ${error.message}`, 500, false);
+        });
+        await this._writeAtomically(filePath, contents);
+        await this._writeAtomically(metadataPath, JSON.stringify(data.metadata || {}));
+    }
+
+    async readMetadata(slotName) {
+        try {
+            return JSON.parse(await fs.readFile(this._metadataPath(slotName), 'utf8'));
+        } catch (error) {
+            // Saves written before metadata files, or whose metadata file is damaged
+            return super.readMetadata(slotName);
+        }
+    }
+
+    /**
+     * Writes a file through a flushed temporary file renamed over it.
+     *
+     * @private
+     * @param {string} filePath - The file to write
+     * @param {string} contents - Its new contents
+     * @returns {Promise<void>}
+     * @throws {AppError} If the file cannot be written; it then keeps its previous contents
+     */
+    async _writeAtomically(filePath, contents) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        let handle = null;
+        try {
+            handle = await fs.open(tempPath, 'w');
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+            await handle.close();
+            handle = null;
+
+            await fs.rename(tempPath, filePath);
+            logger.debug(`Wrote ${filePath}`);
+        } catch (error) {
+            if (handle) {
+                await handle.close().catch(() => {});
+            }
+            await fs.unlink(tempPath).catch(() => {});
+            throw new AppError(`Failed to write save file ${filePath}: ${error.message}`, 500, false);
+        }
+    }
+
+    async read(slotName) {
+        const filePath = this._slotPath(slotName);
+
+        let contents;
+        try {
+            contents = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new AppError(`Failed to read save file ${filePath}: ${error.message}`, 500, false);
+        }
+
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            throw new AppError(`Save file ${filePath} is not valid JSON: ${error.message}`, 422);
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new AppError(`Failed to list saves in ${this.directory}: ${error.message}`, 500, false);
+        }
+
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(slotName => SLOT_NAME_PATTERN.test(slotName))
+            .sort();
+    }
+
+    async delete(slotName) {
+        try {
+            await this._unlinkIfExists(this._metadataPath(slotName));
+            return await this._unlinkIfExists(this._slotPath(slotName));
+        } catch (error) {
+            throw new AppError(`Failed to delete save slot '${slotName}': ${error.message}`, 500, false);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} filePath - The file to delete
+     * @returns {Promise<boolean>} True if the file existed
+     */
+    async _unlinkIfExists(filePath) {
+        try {
+            await fs.unlink(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    StorageAdapter,
+    MemoryStorageAdapter,
+    FileStorageAdapter,
+    normalizeSlotName
+};
@@ -0,0 +1,124 @@
+const { WORLD_PARAMETERS } = require('./Constants');
+const { AppError } = require('./errorHandler');
+
+// Names are compared without case, underscores or spaces, so GLOBAL_TENSION,
+// global_tension and globalTension all read the same
+function normalize(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toCamelCase(key) {
+    return key.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// The registry: each parameter under its canonical (camelCase) name, with its
+// WORLD_PARAMETERS key, bounds, default and every name it answers to
+const REGISTRY = Object.fromEntries(Object.entries(WORLD_PARAMETERS).map(([key, definition]) => {
+    const name = toCamelCase(key);
+    return [name, {
+        name,
+        key,
+        min: definition.min,
+        max: definition.max,
+        default: definition.default,
+        aliases: [key, ...(definition.aliases || [])]
+    }];
+}));
+
+const LOOKUP = new Map();
+Object.values(REGISTRY).forEach(parameter => {
+    [parameter.name, ...parameter.aliases].forEach(alias => LOOKUP.set(normalize(alias), parameter.name));
+});
+
+/**
+ * The canonical names of every world parameter, in WORLD_PARAMETERS order.
+ */
+const WORLD_PARAMETER_NAMES = Object.keys(REGISTRY);
+
+/**
+ * Resolves a parameter name or alias to its canonical name.
+ *
+ * @param {string} name - A canonical name (`globalTension`), constant key
+ *   (`GLOBAL_TENSION`) or alias (`tension`)
+ * @returns {string|null} The canonical name, or null if no parameter has that name
+ */
+function resolveParameter(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return null;
+    }
+    return LOOKUP.get(normalize(name)) || null;
+}
+
+/**
+ * Resolves a parameter name or alias, rejecting unknown names.
+ *
+ * @param {string} name - The parameter name or alias
+ * @returns {string} The canonical name
+ * @throws {AppError} If no parameter has that name (400, code `UNKNOWN_WORLD_PARAMETER`)
+ */
+function requireParameter(name) {
+    const canonical = resolveParameter(name);
+    if (!canonical) {
+        const error = new AppError(`Unknown world parameter: ${name}. Known parameters: ${WORLD_PARAMETER_NAMES.join(', ')}`, 400);
+        error.code = 'UNKNOWN_WORLD_PARAMETER';
+        throw error;
+    }
+    return canonical;
+}
+
+/**
+ * @param {string} name - The parameter name or alias
+ * @returns {Object|null} The parameter's `name`, `key`, `min`, `max`, `default`
+ *   and `aliases`, or null if it is unknown
+ */
+function getParameterDefinition(name) {
+    const canonical = resolveParameter(name);
+    return canonical ? REGISTRY[canonical] : null;
+}
+
+/**
+ * Builds a world's parameter values: every parameter under its canonical name,
+ * at its default unless `values` sets it. Keys in `values` may be aliases;
+ * unknown ones are left out.
+ *
+ * The aliases are also readable and writable on the result, as non-enumerable
+ * properties, so `values.tension` is `values.globalTension` without showing up
+ * twice in saves and prompts.
+ *
+ * @param {Object} [values={}] - Values to start from, by name or alias
+ * @returns {Object} The parameter values
+ */
+function createParameterValues(values = {}) {
+    const result = {};
+    WORLD_PARAMETER_NAMES.forEach(name => {
+        result[name] = REGISTRY[name].default;
+    });
+    Object.entries(values || {}).forEach(([name, value]) => {
+        const canonical = resolveParameter(name);
+        if (canonical && typeof value === 'number' && Number.isFinite(value)) {
+            result[canonical] = value;
+        }
+    });
+
+    Object.values(REGISTRY).forEach(parameter => {
+        parameter.aliases.forEach(alias => {
+            Object.defineProperty(result, alias, {
+                get: () => result[parameter.name],
+                set: value => {
+                    result[parameter.name] = value;
+                },
+                enumerable: false
+            });
+        });
+    });
+
+    return result;
+}
+
+module.exports = {
+    WORLD_PARAMETER_NAMES,
+    resolveParameter,
+    requireParameter,
+    getParameterDefinition,
+    createParameterValues
+};
@@ -6,7 +6,7 @@ class MockGenerativeModel {
             if (prompt.includes('analyze profile')) {
                 return {
                     response: {
-                        text: JSON.stringify({
+                        text: () => JSON.stringify({
                             dominantReputation: { type: 'heroic', value: 15 },
                             strongestSkills: [{ skill: 'diplomacy', level: 30 }],
                             suggestedQuests: ['quest1', 'quest2']
@@ -16,7 +16,7 @@ class MockGenerativeModel {
             }
             return {
                 response: {
-                    text: 'Mock AI response'
+                    text: () => 'Mock AI response'
                 }
             };
         });
@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { CassetteProvider, OfflineProvider, hashPrompt } = require('../../src/core/LLMProviders');
+const { AI_TASKS } = require('../../src/utils/Constants');
+
+const TURNS = ['I walk to the tavern and talk to the bard', 'I help the bard tune his lute'];
+
+describe('AI cassettes', () => {
+    let directory;
+    let cassettePath;
+
+    const createEngine = aiOptions => new StoryEngine(null, { aiOptions, storage: new MemoryStorageAdapter() });
+
+    async function play(engine, turns) {
+        await engine.initialize();
+        const narratives = [];
+        for (const turn of turns) {
+            narratives.push((await engine.processPlayerChoice(turn)).narrative);
+        }
+        return narratives;
+    }
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cassettes-'));
+        cassettePath = path.join(directory, 'session.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should record every prompt with its builder and response', async () => {
+        const engine = createEngine({ provider: 'offline', cassette: { mode: 'record', path: cassettePath } });
+
+        await play(engine, TURNS.slice(0, 1));
+
+        const cassette = JSON.parse(await fs.readFile(cassettePath, 'utf8'));
+        expect(cassette.provider).toBe('offline');
+        expect(cassette.interactions.map(interaction => interaction.task)).toEqual([
+            AI_TASKS.ENTITY_DETECTION,
+            AI_TASKS.CONSEQUENCE_ANALYSIS,
+            AI_TASKS.STORY_GENERATION
+        ]);
+        expect(cassette.interactions[0].hash).toBe(hashPrompt(cassette.interactions[0].prompt));
+        expect(cassette.interactions[0].promptVersion).toBe('default@1.5.0');
+        expect(cassette.seed).toBe(engine.skillCheckSystem.seed);
+        expect(engine.getSystemStatus().systems.aiProvider).toBe('offline (recording)');
+    });
+
+    test('should replay a recorded session without a provider', async () => {
+        const recorded = await play(
+            createEngine({ provider: 'offline', cassette: { mode: 'record', path: cassettePath } }),
+            TURNS
+        );
+
+        const replayEngine = createEngine({ cassette: { mode: 'replay', path: cassettePath } });
+        const replayed = await play(replayEngine, TURNS);
+
+        expect(replayed).toEqual(recorded);
+        expect(replayEngine.entityManager.getAllEntities('npc').map(npc => npc.occupation)).toContain('bard');
+    });
+
+    test('should replay turns that start rumors', async () => {
+        const turns = ['I steal a purse at the market', 'I threaten the merchant', 'I rob the stall'];
+        const recordEngine = createEngine({ provider: 'offline', cassette: { mode: 'record', path: cassettePath } });
+        const recorded = await play(recordEngine, turns);
+
+        const replayEngine = createEngine({ cassette: { mode: 'replay', path: cassettePath } });
+        const replayed = await play(replayEngine, turns);
+
+        expect(recordEngine.worldState.information.rumorMill.length).toBeGreaterThan(0);
+        expect(replayed).toEqual(recorded);
+    });
+
+    test('should fail loudly on a prompt the cassette does not contain', async () => {
+        await play(createEngine({ provider: 'offline', cassette: { mode: 'record', path: cassettePath } }), TURNS.slice(0, 1));
+
+        const replayEngine = createEngine({ cassette: { mode: 'replay', path: cassettePath } });
+        await replayEngine.initialize();
+
+        await expect(replayEngine.processPlayerChoice('I steal the bard\'s lute')).rejects.toThrow(/has no recording for entityDetection prompt/);
+        expect(replayEngine.entityManager.getAllEntities('npc')).toHaveLength(1);
+    });
+
+    test('should report a missing cassette file', async () => {
+        const provider = new CassetteProvider(null, { mode: 'replay', path: path.join(directory, 'missing.json') });
+
+        await expect(provider.generateText('Hello')).rejects.toThrow(/Failed to read cassette/);
+    });
+
+    test('should reject recording without a provider and unknown modes', () => {
+        expect(() => new CassetteProvider(null, { mode: 'record', path: cassettePath })).toThrow(/requires a provider/);
+        expect(() => new CassetteProvider(new OfflineProvider(), { mode: 'rewind', path: cassettePath })).toThrow(/Unknown cassette mode/);
+    });
+
+    test('should hash prompts independently of wall-clock timestamps', () => {
+        const at = (iso, epoch) => `Choices: [{"timestamp":"${iso}","sessionId":${epoch}}]`;
+
+        expect(hashPrompt(at('2024-01-01T10:00:00.000Z', 1704103200000)))
+            .toBe(hashPrompt(at('2025-06-30T23:59:59.999Z', 1751327999999)));
+        expect(hashPrompt('I open the door')).not.toBe(hashPrompt('I close the door'));
+    });
+});
@@ -0,0 +1,120 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { SeededRandom, hashSeed } = require('../../src/utils/Random');
+
+const TURNS = [
+    'I look around the square',
+    'I walk to the tavern and talk to the bard',
+    'I help the elder carry supplies',
+    'I threaten the merchant'
+];
+
+async function playOffline(seed) {
+    const engine = new StoryEngine(null, {
+        aiOptions: { provider: 'offline', seed },
+        storage: new MemoryStorageAdapter()
+    });
+    await engine.initialize();
+
+    const results = [];
+    for (const turn of TURNS) {
+        results.push(await engine.processPlayerChoice(turn));
+    }
+
+    return { engine, results };
+}
+
+describe('Offline play', () => {
+    test('should not need an API key or network access', async () => {
+        const { engine, results } = await playOffline('campaign-1');
+
+        expect(engine.getSystemStatus().systems.aiProvider).toBe('offline');
+        expect(results.every(result => result.success && !result.isFallback)).toBe(true);
+        expect(results[0].narrative).toContain('Village Square');
+        expect(results[0].narrative).toMatch(/CHOICES:\n1\. .+\n2\. .+\n3\. .+\n4\. .+/);
+    });
+
+    test('should still require an API key for online providers', () => {
+        expect(() => new StoryEngine(null, { storage: new MemoryStorageAdapter() })).toThrow('API key is required');
+    });
+
+    test('should create entities mentioned in the player input', async () => {
+        const { engine, results } = await playOffline('campaign-1');
+
+        const created = results[1].creationResults.created;
+        expect(created.npcs.map(npc => npc.occupation)).toEqual(['bard']);
+        expect(created.locations.map(location => location.type)).toEqual(['structure']);
+        expect(engine.entityManager.getEntity('npc', created.npcs[0].id).location).toBe('village_square');
+    });
+
+    test('should apply consequences that follow the tone of the action', async () => {
+        const { engine, results } = await playOffline('campaign-1');
+
+        expect(engine.player.reputation.heroic).toBeGreaterThan(0);
+        expect(engine.player.reputation.villainous).toBeGreaterThan(0);
+        expect(engine.player.skills.diplomacy).toBe(11);
+        expect(engine.worldState.information.rumorMill.map(rumor => rumor.content))
+            .toContain('A stranger was seen making trouble in Village Square');
+        expect(results[2].changes.applied).toContainEqual(expect.objectContaining({
+            type: 'npc',
+            target: 'village_elder',
+            attribute: 'trust'
+        }));
+        expect(results[2].changes.rejected).toEqual([]);
+    });
+
+    test('should be deterministic for a seed', async () => {
+        const first = await playOffline('campaign-1');
+        const second = await playOffline('campaign-1');
+        const otherSeed = await playOffline('campaign-2');
+
+        const narratives = run => run.results.map(result => result.narrative);
+        expect(narratives(second)).toEqual(narratives(first));
+        expect(Object.keys(second.engine.entityManager.entities.npc)).toEqual(Object.keys(first.engine.entityManager.entities.npc));
+        expect(narratives(otherSeed)).not.toEqual(narratives(first));
+    });
+
+    test('should parse the narrative choices and accept a numbered answer', async () => {
+        const { engine, results } = await playOffline('campaign-1');
+        const offered = results[results.length - 1].choices;
+
+        expect(offered.map(choice => choice.category)).toEqual(['skill', 'political', 'personal', 'risk']);
+        expect(offered.every(choice => choice.skill && choice.risk)).toBe(true);
+        expect(engine.gameState.currentScene.choices).toEqual(offered);
+
+        const analyze = jest.spyOn(engine.aiInterface, 'analyzeConsequences');
+        const result = await engine.processPlayerChoice(' 4 ');
+        const [action, choice] = analyze.mock.calls[0];
+        analyze.mockRestore();
+
+        expect(result.selectedChoice).toEqual(offered[3]);
+        expect([action, choice]).toEqual([offered[3].text, offered[3]]);
+        expect(engine.gameState.currentScene.choice).toBe(offered[3].text);
+        expect(engine.player.choiceHistory[engine.player.choiceHistory.length - 1]).toMatchObject({
+            choice: offered[3].text,
+            selectedChoice: 4
+        });
+    });
+
+    test('should reject a number that matches no choice', async () => {
+        const { engine } = await playOffline('campaign-1');
+        const choiceCount = engine.meta.choiceCount;
+
+        await expect(engine.processPlayerChoice('9')).rejects.toMatchObject({ statusCode: 400, code: 'UNKNOWN_CHOICE' });
+        expect(engine.meta.choiceCount).toBe(choiceCount);
+    });
+});
+
+describe('SeededRandom', () => {
+    test('should repeat its sequence for the same seed', () => {
+        const a = new SeededRandom(hashSeed('seed', 1));
+        const b = new SeededRandom(hashSeed('seed', 1));
+
+        const rolls = rng => Array.from({ length: 5 }, () => rng.int(1, 20));
+        const sequence = rolls(a);
+
+        expect(rolls(b)).toEqual(sequence);
+        expect(sequence.every(roll => roll >= 1 && roll <= 20)).toBe(true);
+        expect(new SeededRandom('seed').next()).toBe(new SeededRandom('seed').next());
+    });
+});
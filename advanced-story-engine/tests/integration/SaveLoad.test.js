@@ -0,0 +1,246 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { signSave } = require('../../src/utils/SaveIntegrity');
+const legacySave = require('../../test-save.json');
+
+describe('StoryEngine save slots', () => {
+    let storage;
+    let engine;
+    
+    beforeEach(async () => {
+        storage = new MemoryStorageAdapter();
+        engine = new StoryEngine('test_api_key', { storage });
+        await engine.initialize();
+    });
+    
+    test('should persist saves through the storage adapter', async () => {
+        await engine.saveGame('slot-one');
+        
+        expect(await storage.list()).toEqual(['slot-one']);
+        
+        const otherEngine = new StoryEngine('test_api_key', { storage });
+        const loaded = await otherEngine.loadGame('slot-one');
+        
+        expect(loaded.metadata.slot).toBe('slot-one');
+        expect(otherEngine.gameState.isInitialized).toBe(true);
+        expect(otherEngine.gameState.currentSaveSlot).toBe('slot-one');
+    });
+    
+    test('should list saves with metadata and delete them', async () => {
+        await engine.saveGame('first');
+        await engine.saveGame('second');
+        
+        const saves = await engine.listSaves();
+        
+        expect(saves.map(save => save.slot).sort()).toEqual(['first', 'second']);
+        expect(saves[0].metadata.saveTime).toBeDefined();
+        expect((await engine.getSaveMetadata('first')).slot).toBe('first');
+        
+        expect(await engine.deleteSave('second')).toBe(true);
+        expect(engine.gameState.currentSaveSlot).toBeNull();
+        expect((await engine.listSaves()).map(save => save.slot)).toEqual(['first']);
+    });
+    
+    test('should round-trip entities, relationships, world state and player state exactly', async () => {
+        const npc = engine.entityManager.createEntity('npc', 'smith', { name: 'Hilda', occupation: 'blacksmith', trust: 0 });
+        npc.adjustRelationship('fear', 25);
+        engine.entityManager.createEntity('faction', 'guild', { name: 'Smiths Guild', type: 'merchant' });
+        engine.relationshipGraph.setRelationship('smith', 'guild', { type: 'ally', strength: 80, reason: 'member' });
+        engine.relationshipGraph.updateRelationship('smith', 'guild', { strength: 85 });
+        engine.relationshipGraph.updatePlayerStanding('guild', 15, 'repaired the forge');
+        engine.worldState.updateGlobalParameter('globalTension', 12, 'border skirmish');
+        engine.worldState.addEvent({ id: 'fair', name: 'Harvest Fair', type: 'social' });
+        engine.worldState.addRumor('The forge is cursed');
+        engine.worldState.addNews('Guild elects a new master');
+        engine.worldState.advanceTime(2, 'day');
+        engine.player.skills.combat = 7;
+        engine.player.inventory.push('hammer');
+        engine.player.flags.add('met_hilda');
+        
+        const saved = await engine.saveGame('round-trip');
+        
+        const restored = new StoryEngine('test_api_key', { storage });
+        await restored.loadGame('round-trip');
+        const resaved = await restored.saveGame('round-trip');
+        
+        const withoutTimestamps = section => {
+            const copy = { ...section };
+            delete copy.timestamp;
+            return copy;
+        };
+        
+        expect(withoutTimestamps(resaved.entities)).toEqual(JSON.parse(JSON.stringify(withoutTimestamps(saved.entities))));
+        expect(withoutTimestamps(resaved.relationships)).toEqual(JSON.parse(JSON.stringify(withoutTimestamps(saved.relationships))));
+        expect(withoutTimestamps(resaved.worldState)).toEqual(JSON.parse(JSON.stringify(withoutTimestamps(saved.worldState))));
+        expect(resaved.playerState).toEqual(saved.playerState);
+        
+        expect(restored.player.flags).toBeInstanceOf(Set);
+        expect(restored.player.flags.has('met_hilda')).toBe(true);
+        expect(restored.worldState.globalParameters.globalTension).toBe(engine.worldState.globalParameters.globalTension);
+        expect(restored.worldState.events.current.map(event => event.id)).toEqual(['fair']);
+        
+        const restoredNpc = restored.entityManager.getEntity('npc', 'smith');
+        expect(restoredNpc.trust).toBe(npc.trust);
+        restoredNpc.adjustRelationship('trust', 5);
+        expect(restoredNpc.trust).toBe(npc.trust + 5);
+        expect(restored.relationshipGraph.getPlayerStanding('guild').value).toBe(15);
+        expect(restored.relationshipGraph.getRelationship('smith', 'guild').strength).toBe(85);
+    });
+    
+    test('should clear the previous world before loading', async () => {
+        await engine.saveGame('empty');
+        
+        engine.entityManager.createEntity('npc', 'stranger', { name: 'Stranger' });
+        engine.relationshipGraph.updatePlayerStanding('guild', 5);
+        engine.worldState.addRumor('Strangers in town');
+        
+        await engine.loadGame('empty');
+        
+        expect(engine.entityManager.getEntity('npc', 'stranger')).toBeNull();
+        expect(Object.keys(engine.relationshipGraph.getAllPlayerStandings())).toEqual(['village_council']);
+        expect(engine.worldState.information.rumorMill).toEqual([]);
+    });
+    
+    test('should load the legacy test-save.json through the migrator', async () => {
+        await storage.write('legacy', legacySave);
+        
+        const loaded = await engine.loadGame('legacy');
+        
+        expect(loaded.metadata.migratedFrom).toBe('0.0.0');
+        expect(engine.player.name).toBe('Traveler');
+        expect(engine.player.skills.combat).toBe(10);
+        expect(engine.player.flags).toBeInstanceOf(Set);
+        expect(engine.entityManager.getEntity('npc', 'village_elder').name).toBe('Elder Thane');
+        expect(engine.entityManager.getEntity('faction', 'village_council').leadership).toEqual(['village_elder']);
+        expect(engine.relationshipGraph.getPlayerStanding('village_council').value).toBe(10);
+        expect(engine.worldState.globalParameters.globalTension).toBe(30);
+        expect(engine.gameState.currentScene).toBe('introduction');
+        
+        // The upgraded state saves and reloads in the current format
+        const resaved = await engine.saveGame('legacy');
+        expect(resaved.metadata.version).toBe(loaded.metadata.version);
+        expect(resaved.entities.entities.item.rusty_sword.name).toBe('Rusty Iron Sword');
+    });
+    
+    test('should refuse saves written by a newer engine', async () => {
+        await storage.write('future', signSave({ metadata: { version: '99.0.0' } }));
+        
+        await expect(engine.loadGame('future')).rejects.toThrow(/written by a newer engine/);
+    });
+    
+    test('should fail clearly when a slot is empty', async () => {
+        await expect(engine.loadGame('missing')).rejects.toThrow('No save data found in slot: missing');
+    });
+});
+
+describe('StoryEngine save integrity', () => {
+    let storage;
+    let engine;
+    
+    beforeEach(async () => {
+        storage = new MemoryStorageAdapter();
+        engine = new StoryEngine('test_api_key', { storage, backupCount: 2 });
+        await engine.initialize();
+    });
+    
+    test('should embed a checksum and report intact loads as verified', async () => {
+        const saved = await engine.saveGame('slot');
+        expect(saved.metadata.checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+        
+        const loaded = await engine.loadGame('slot');
+        expect(loaded.metadata.integrity).toEqual({ verified: true, recovered: false, source: 'slot', rejected: [] });
+    });
+    
+    test('should rotate a fixed number of backups per slot', async () => {
+        for (const gameTime of [1, 2, 3, 4]) {
+            engine.gameState.gameTime = gameTime;
+            await engine.saveGame('slot');
+        }
+        
+        expect(await storage.list()).toEqual(['slot', 'slot.backup-1', 'slot.backup-2']);
+        expect((await storage.read('slot.backup-1')).metadata.gameTime).toBe(3);
+        expect((await storage.read('slot.backup-2')).metadata.gameTime).toBe(2);
+        expect((await engine.listSaves()).map(save => save.slot)).toEqual(['slot']);
+    });
+    
+    test('should recover a hand-edited save from the most recent good backup', async () => {
+        engine.gameState.gameTime = 1;
+        await engine.saveGame('slot');
+        engine.gameState.gameTime = 2;
+        await engine.saveGame('slot');
+        
+        const tampered = await storage.read('slot');
+        tampered.playerState.skills.combat = 99;
+        await storage.write('slot', tampered);
+        
+        const loaded = await engine.loadGame('slot');
+        
+        expect(loaded.metadata.gameTime).toBe(1);
+        expect(engine.player.skills.combat).toBe(10);
+        expect(loaded.metadata.integrity.recovered).toBe(true);
+        expect(loaded.metadata.integrity.source).toBe('slot.backup-1');
+        expect(loaded.metadata.integrity.rejected).toEqual([
+            { slot: 'slot', reason: expect.stringMatching(/Checksum mismatch/) }
+        ]);
+    });
+    
+    test('should not accept a save whose checksum was removed', async () => {
+        engine.gameState.gameTime = 1;
+        await engine.saveGame('slot');
+        engine.gameState.gameTime = 2;
+        await engine.saveGame('slot');
+        
+        const stripped = await storage.read('slot');
+        stripped.playerState.skills.combat = 99;
+        delete stripped.metadata.checksum;
+        await storage.write('slot', stripped);
+        
+        const loaded = await engine.loadGame('slot');
+        
+        expect(loaded.metadata.gameTime).toBe(1);
+        expect(loaded.metadata.integrity.rejected).toEqual([
+            { slot: 'slot', reason: expect.stringMatching(/no checksum, but format .* requires one/) }
+        ]);
+    });
+    
+    test('should not rotate a corrupted save over an intact backup', async () => {
+        await engine.saveGame('slot');
+        await engine.saveGame('slot');
+        const goodBackup = await storage.read('slot.backup-1');
+        
+        const tampered = await storage.read('slot');
+        tampered.metadata.gameTime = 500;
+        await storage.write('slot', tampered);
+        await engine.saveGame('slot');
+        
+        expect(await storage.read('slot.backup-1')).toEqual(goodBackup);
+    });
+    
+    test('should fail when neither the save nor any backup is intact', async () => {
+        await engine.saveGame('slot');
+        const tampered = await storage.read('slot');
+        tampered.metadata.gameTime = 500;
+        await storage.write('slot', tampered);
+        
+        await expect(engine.loadGame('slot')).rejects.toThrow(/corrupted and no intact backup/);
+    });
+    
+    test('should verify a slot and its backups without loading', async () => {
+        await engine.saveGame('slot');
+        await engine.saveGame('slot');
+        
+        const report = await engine.verifySave('slot');
+        
+        expect(report.current).toMatchObject({ slot: 'slot', valid: true, verified: true });
+        expect(report.backups).toEqual([
+            expect.objectContaining({ slot: 'slot.backup-1', valid: true, verified: true })
+        ]);
+        
+        await engine.deleteSave('slot');
+        expect(await storage.list()).toEqual([]);
+    });
+    
+    test('should reject slot names reserved for backups', async () => {
+        await expect(engine.saveGame('slot.backup-1')).rejects.toThrow(/reserved for backups/);
+    });
+});
@@ -21,6 +21,20 @@ describe('StoryEngine Integration', () => {
         expect(villageElder.name).toBe('Elder Thane');
     });
     
+    test('should start from initial world data', async () => {
+        await engine.initialize({
+            worldState: {
+                parameters: { tension: 70, weirdness: 5 },
+                globalParameters: { crimeRate: 45 },
+                temporal: { day: 3, month: 'secondmonth', year: 1002, timeOfDay: 'evening' }
+            }
+        });
+        
+        expect(engine.worldState.globalParameters).toMatchObject({ globalTension: 70, crimeRate: 45, economicState: 50 });
+        expect(engine.worldState.globalParameters).not.toHaveProperty('weirdness');
+        expect(engine.worldState.temporal).toMatchObject({ day: 3, month: 'secondmonth', year: 1002, hour: 18, season: 'summer' });
+    });
+    
     test('should compile comprehensive game state', () => {
         const gameState = engine.compileGameState();
         
@@ -0,0 +1,99 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const AIInterface = require('../../src/core/AIInterface');
+const { LLMProvider } = require('../../src/core/LLMProviders');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { AppError } = require('../../src/utils/errorHandler');
+
+const TURN = 'I walk to the tavern and help the bard';
+
+// A detached copy; export timestamps are taken at compile time and always differ
+function snapshotOf(engine) {
+    const state = JSON.parse(JSON.stringify(engine.compileGameState()));
+    delete state.relationships.entityRelationships.timestamp;
+    delete state.worldState.timestamp;
+    return state;
+}
+
+function createEngine(aiOptions = { provider: 'offline', seed: 'stream' }) {
+    return new StoryEngine(null, { aiOptions, storage: new MemoryStorageAdapter() });
+}
+
+class BrokenStreamProvider extends LLMProvider {
+    async *streamText() {
+        yield 'The bard looks up';
+        const error = new AppError('connection reset', 502);
+        error.code = 'ECONNRESET';
+        throw error;
+    }
+}
+
+describe('Streaming narrative', () => {
+    test('should emit progress and narrative chunks that add up to the result', async () => {
+        const engine = createEngine();
+        await engine.initialize();
+        const stages = [];
+        const chunks = [];
+        engine.on('turnProgress', ({ stage }) => stages.push(stage));
+        engine.on('narrativeChunk', ({ text }) => chunks.push(text));
+
+        const result = await engine.processPlayerChoice(TURN, { stream: true });
+
+        expect(stages).toEqual(['detectingEntities', 'analyzingConsequences', 'narrating']);
+        expect(chunks.length).toBeGreaterThan(10);
+        expect(chunks.join('')).toBe(result.narrative);
+        expect(engine.gameState.currentScene.narrative).toBe(result.narrative);
+    });
+
+    test('should narrate the same story as the non-streaming call', async () => {
+        const streamed = createEngine();
+        const buffered = createEngine();
+        await streamed.initialize();
+        await buffered.initialize();
+
+        const streamedResult = await streamed.processPlayerChoice(TURN, { stream: true });
+        const bufferedResult = await buffered.processPlayerChoice(TURN);
+
+        expect(streamedResult.narrative).toBe(bufferedResult.narrative);
+    });
+
+    test.each([
+        ['midway through the narrative', 'narrativeChunk'],
+        ['before the narrative starts', 'turnProgress']
+    ])('should leave the world unchanged when cancelled %s', async (_, eventName) => {
+        const engine = createEngine();
+        await engine.initialize();
+        await engine.processPlayerChoice('I look around the square');
+        const before = snapshotOf(engine);
+
+        const controller = new AbortController();
+        engine.on(eventName, event => {
+            if (event.stage === undefined || event.stage === 'narrating') {
+                controller.abort();
+            }
+        });
+
+        await expect(engine.processPlayerChoice(TURN, { stream: true, signal: controller.signal }))
+            .rejects.toMatchObject({ code: 'TURN_CANCELLED', statusCode: 499 });
+
+        expect(snapshotOf(engine)).toEqual(before);
+        expect(engine.entityManager.getAllEntities('npc').some(npc => npc.occupation === 'bard')).toBe(false);
+    });
+
+    test('should keep the partial narrative and report a fallback when the stream breaks', async () => {
+        const ai = new AIInterface(null, { provider: new BrokenStreamProvider(), callPolicy: { baseDelayMs: 0 } });
+        const gameState = {
+            player: {},
+            worldState: { globalParameters: {}, temporal: {}, events: { current: [] }, information: { rumorMill: [] } }
+        };
+
+        const chunks = [];
+        for await (const chunk of ai.streamStory('I greet the bard', gameState)) {
+            chunks.push(chunk);
+        }
+
+        expect(chunks).toEqual(['The bard looks up']);
+        expect(ai.drainFallbacks()).toEqual([
+            expect.objectContaining({ task: 'storyGeneration', errorClass: 'unavailable', reason: 'connection reset' })
+        ]);
+    });
+});
@@ -0,0 +1,146 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+
+describe('StoryEngine turn pipeline', () => {
+    let engine;
+
+    beforeEach(async () => {
+        engine = new StoryEngine('test_api_key', { storage: new MemoryStorageAdapter() });
+        await engine.initialize();
+    });
+
+    test('should run a turn and advance the session counters', async () => {
+        const result = await engine.processPlayerChoice('I look around the square');
+
+        expect(result.success).toBe(true);
+        expect(result.narrative).toBe('Mock AI response');
+        expect(result.newEntitiesCount).toBe(0);
+        expect(result.creationResults.warnings).toEqual([]);
+        expect(engine.meta.choiceCount).toBe(1);
+        expect(engine.player.choiceHistory.map(entry => entry.choice)).toEqual(['I look around the square']);
+        expect(engine.gameState.currentScene).toMatchObject({ choice: 'I look around the square', narrative: 'Mock AI response' });
+    });
+
+    test('should create detected entities and apply analyzed consequences', async () => {
+        engine.entityManager.createEntity('faction', 'guard', { name: 'Town Guard', type: 'military' });
+
+        jest.spyOn(engine.aiInterface, 'detectEntities').mockResolvedValue({
+            entities: {
+                npcs: [{ id: 'baker', name: 'Greta', occupation: 'baker', location: 'village_square' }]
+            },
+            relationships: [],
+            worldUpdates: {}
+        });
+        jest.spyOn(engine.aiInterface, 'analyzeConsequences').mockResolvedValue({
+            consequences: {
+                immediate: {
+                    factionStandings: { guard: 5 },
+                    playerEffects: { reputation: { heroic: 3 }, skills: { diplomacy: 2 } }
+                },
+                worldEffects: { globalTension: -4 },
+                longTerm: { rumors: ['The baker owes the guard a favor'] }
+            }
+        });
+        const generateStory = jest.spyOn(engine.aiInterface, 'generateStory');
+
+        const tensionBefore = engine.worldState.globalParameters.globalTension;
+        const heroicBefore = engine.player.reputation.heroic;
+
+        const result = await engine.processPlayerChoice('I buy bread and chat with the guards');
+
+        expect(result.newEntitiesCount).toBe(1);
+        expect(engine.entityManager.getEntity('npc', 'baker').name).toBe('Greta');
+        expect(engine.relationshipGraph.getPlayerStanding('guard').value).toBe(5);
+        expect(engine.player.reputation.heroic).toBe(heroicBefore + 3);
+        expect(engine.player.skills.diplomacy).toBe(12);
+        expect(engine.worldState.globalParameters.globalTension).toBe(tensionBefore - 4);
+        expect(engine.worldState.information.rumorMill.map(rumor => rumor.content))
+            .toContain('The baker owes the guard a favor');
+
+        // The narrative is generated against the world after creation and consequences
+        const narratedState = generateStory.mock.calls[0][1];
+        expect(narratedState.entities.npcs.baker).toBeDefined();
+    });
+
+    test('should hand every AI call the game-state snapshot', async () => {
+        const detectEntities = jest.spyOn(engine.aiInterface, 'detectEntities');
+        const generateStory = jest.spyOn(engine.aiInterface, 'generateStory');
+
+        const result = await engine.processInput('I look around');
+
+        expect(result.response).toBe(result.narrative);
+        expect(Object.keys(detectEntities.mock.calls[0][2])).toEqual(Object.keys(engine.compileGameState()));
+        expect(typeof detectEntities.mock.calls[0][1]).toBe('string');
+        expect(Object.keys(generateStory.mock.calls[0][1])).toEqual(Object.keys(engine.compileGameState()));
+    });
+
+    test('should reject turns before initialization and on empty input', async () => {
+        const uninitialized = new StoryEngine('test_api_key', { storage: new MemoryStorageAdapter() });
+
+        await expect(uninitialized.processPlayerChoice('hello')).rejects.toThrow('StoryEngine not initialized');
+        await expect(engine.processPlayerChoice('   ')).rejects.toThrow('Choice must be a non-empty string');
+        expect(engine.meta.choiceCount).toBe(0);
+    });
+
+    test('should fall back to a placeholder narrative when a turn fails unexpectedly', async () => {
+        jest.spyOn(engine.aiInterface, 'generateStory').mockRejectedValue(new Error('network down'));
+
+        const result = await engine.processPlayerChoice('I wait');
+
+        expect(result.success).toBe(false);
+        expect(result.isFallback).toBe(true);
+        expect(result.newEntitiesCount).toBe(0);
+    });
+
+    test('should compile the state sections the CLI displays', async () => {
+        await engine.processPlayerChoice('I wander');
+
+        const detailed = engine.getDetailedGameState();
+
+        expect(Object.keys(detailed)).toEqual(
+            expect.arrayContaining(['player', 'entities', 'relationships', 'worldState', 'storyContext', 'meta', 'analysis'])
+        );
+        expect(detailed.worldState.events.current).toEqual([]);
+        expect(detailed.storyContext.sceneHistory).toHaveLength(1);
+        expect(detailed.analysis.playerProfile.recentActivity.choicesLastSession).toBe(1);
+        expect(detailed.analysis.entityStatistics.npcs).toEqual({ total: 1, met: 0, alive: 1 });
+    });
+
+    test('should report system status', async () => {
+        await engine.processPlayerChoice('I wander');
+
+        const status = engine.getSystemStatus();
+
+        expect(status.status).toBe('operational');
+        expect(status.systems.validationSystem).toBe('active');
+        expect(status.performance.totalChoices).toBe(1);
+        expect(status.performance.sessionTime).toBe(0);
+    });
+
+    test('should persist the choice count in saves', async () => {
+        await engine.processPlayerChoice('I wander');
+        await engine.processPlayerChoice('I rest');
+        await engine.saveGame('turns');
+
+        const otherEngine = new StoryEngine('test_api_key', { storage: engine.storage });
+        await otherEngine.loadGame('turns');
+
+        expect(otherEngine.meta.choiceCount).toBe(2);
+        expect(otherEngine.meta.lastSave).toBe(engine.meta.lastSave);
+        expect(otherEngine.player.choiceHistory).toHaveLength(2);
+    });
+
+    test('should restore a compiled game state', async () => {
+        await engine.processPlayerChoice('I wander');
+        engine.entityManager.createEntity('npc', 'smith', { name: 'Hilda', occupation: 'blacksmith' });
+
+        const otherEngine = new StoryEngine('test_api_key', { storage: new MemoryStorageAdapter() });
+        otherEngine.restoreGameState(engine.compileGameState());
+
+        expect(otherEngine.gameState.isInitialized).toBe(true);
+        expect(otherEngine.meta.choiceCount).toBe(1);
+        expect(otherEngine.entityManager.getEntity('npc', 'smith').name).toBe('Hilda');
+        expect(otherEngine.gameState.previousScenes).toHaveLength(1);
+        expect(() => otherEngine.restoreGameState({ player: {} })).toThrow(/missing required sections/);
+    });
+});
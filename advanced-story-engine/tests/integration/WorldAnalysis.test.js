@@ -0,0 +1,103 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { AppError } = require('../../src/utils/errorHandler');
+const { ENTITY_TYPES } = require('../../src/utils/Constants');
+
+async function createEngine(aiOptions = {}) {
+    const engine = new StoryEngine(null, {
+        aiOptions: { provider: 'offline', seed: 'analysis', ...aiOptions },
+        storage: new MemoryStorageAdapter()
+    });
+    await engine.initialize();
+    return engine;
+}
+
+describe('World analysis', () => {
+    test('should combine the AI, world-state and relationship analysis into one report', async () => {
+        const engine = await createEngine();
+        engine.entityManager.createEntity(ENTITY_TYPES.NPC, 'rival_merchant', {
+            name: 'Rival Merchant',
+            occupation: 'merchant',
+            location: 'village_square'
+        });
+        engine.relationshipGraph.setRelationship('rival_merchant', 'village_elder', { type: 'enemy', strength: 75 });
+        engine.relationshipGraph.setRelationship('village_elder', 'rival_merchant', { type: 'enemy', strength: 40 });
+        Object.assign(engine.worldState.globalParameters, { globalTension: 85, politicalStability: 20 });
+
+        const report = await engine.analyzeWorld();
+
+        expect(report.gameTime).toBe(engine.gameState.gameTime);
+        expect(report.summary).toEqual({
+            stability: 'unstable',
+            tension: expect.any(String),
+            economicHealth: 'good',
+            magicalClimate: 'normal'
+        });
+        expect(report.trends).toContainEqual(expect.objectContaining({
+            description: 'globalTension is high', direction: 'rising', source: 'ai'
+        }));
+        expect(report.warnings).toEqual(expect.arrayContaining([
+            { concern: 'Tension is close to boiling over', severity: 'high', timeframe: 'short', source: 'ai' },
+            { concern: 'Political instability threatens the realm', severity: 'medium', timeframe: 'short', source: 'world' }
+        ]));
+        expect(report.conflicts).toEqual([{
+            parties: ['rival_merchant', 'village_elder'],
+            type: 'personal',
+            likelihood: 'high',
+            impact: 'local',
+            source: 'relationships'
+        }]);
+        expect(report.relationshipNetworks.village_elder.enemies).toBe(1);
+        expect(report.aiFallbacks).toEqual([]);
+    });
+
+    test('should reuse the report within a game-time tick', async () => {
+        const engine = await createEngine();
+        const generateText = jest.spyOn(engine.aiInterface.provider, 'generateText');
+
+        const first = await engine.analyzeWorld();
+        const second = await engine.analyzeWorld();
+
+        expect(second).toBe(first);
+        expect(generateText).toHaveBeenCalledTimes(1);
+
+        await engine.processPlayerChoice('I wait by the well');
+        generateText.mockClear();
+        const third = await engine.analyzeWorld();
+
+        expect(third).not.toBe(first);
+        expect(third.gameTime).toBe(first.gameTime + 1);
+        expect(generateText).toHaveBeenCalledTimes(1);
+
+        await engine.analyzeWorld({ refresh: true });
+        expect(generateText).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fall back to the deterministic analysis without caching it when the AI fails', async () => {
+        const engine = await createEngine({ retryAttempts: 1 });
+        const generateText = jest.spyOn(engine.aiInterface.provider, 'generateText')
+            .mockRejectedValue(new AppError('model overloaded', 503));
+
+        const report = await engine.analyzeWorld();
+
+        expect(report.aiFallbacks).toEqual([expect.objectContaining({ task: 'worldAnalysis' })]);
+        expect(report.trends.every(trend => trend.source !== 'ai')).toBe(true);
+        expect(report.summary.stability).toBe('stable');
+
+        generateText.mockRestore();
+        const retried = await engine.analyzeWorld();
+
+        expect(retried).not.toBe(report);
+        expect(retried.aiFallbacks).toEqual([]);
+    });
+
+    test('should not carry a cached report across a load', async () => {
+        const engine = await createEngine();
+        await engine.saveGame('before');
+        const cached = await engine.analyzeWorld();
+
+        await engine.loadGame('before');
+
+        expect(await engine.analyzeWorld()).not.toBe(cached);
+    });
+});
@@ -0,0 +1,219 @@
+const { AICallPolicy, CIRCUIT_STATES, ERROR_CLASSES, classifyError } = require('../../src/core/AICallPolicy');
+const AIInterface = require('../../src/core/AIInterface');
+const StoryEngine = require('../../src/core/StoryEngine');
+const { LLMProvider } = require('../../src/core/LLMProviders');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { AppError } = require('../../src/utils/errorHandler');
+
+function httpError(status) {
+    const error = new AppError(`LLM request failed with status ${status}`, 502);
+    error.status = status;
+    return error;
+}
+
+class ScriptedProvider extends LLMProvider {
+    constructor(outcomes) {
+        super();
+        this.outcomes = outcomes;
+        this.calls = 0;
+    }
+
+    async generateText() {
+        const outcome = this.outcomes[Math.min(this.calls++, this.outcomes.length - 1)];
+        if (outcome instanceof Error) {
+            throw outcome;
+        }
+        return outcome;
+    }
+}
+
+describe('AICallPolicy', () => {
+    let clock;
+    let sleeps;
+
+    const createPolicy = (options = {}) => new AICallPolicy({
+        retryAttempts: 3,
+        baseDelayMs: 100,
+        maxDelayMs: 1000,
+        failureThreshold: 2,
+        resetTimeoutMs: 5000,
+        random: () => 0.5,
+        now: () => clock,
+        sleep: async ms => { sleeps.push(ms); },
+        ...options
+    });
+
+    beforeEach(() => {
+        clock = 0;
+        sleeps = [];
+    });
+
+    test('should classify provider errors', () => {
+        expect(classifyError(httpError(429))).toBe(ERROR_CLASSES.RATE_LIMIT);
+        expect(classifyError(httpError(503))).toBe(ERROR_CLASSES.UNAVAILABLE);
+        expect(classifyError(httpError(400))).toBe(ERROR_CLASSES.INVALID_REQUEST);
+        expect(classifyError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })))
+            .toBe(ERROR_CLASSES.UNAVAILABLE);
+        expect(classifyError(Object.assign(new AppError('bad json', 502), { code: 'INVALID_JSON' })))
+            .toBe(ERROR_CLASSES.INVALID_RESPONSE);
+        expect(classifyError(new AppError('bug', 500, false))).toBe(ERROR_CLASSES.FATAL);
+    });
+
+    test('should retry transient failures with jittered exponential backoff', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(httpError(429))
+            .mockResolvedValue('ok');
+
+        await expect(createPolicy().execute(operation)).resolves.toBe('ok');
+
+        expect(operation).toHaveBeenCalledTimes(3);
+        expect(sleeps).toEqual([50, 100]);
+    });
+
+    test('should honor a server retry-after hint and cap the backoff', () => {
+        const policy = createPolicy({ random: () => 1 });
+
+        expect(policy.getBackoffDelay(10)).toBe(1000);
+        expect(policy.getBackoffDelay(1, { retryAfterMs: 3000 })).toBe(3000);
+    });
+
+    test('should not retry invalid requests', async () => {
+        const operation = jest.fn().mockRejectedValue(httpError(400));
+
+        await expect(createPolicy().execute(operation)).rejects.toMatchObject({
+            errorClass: ERROR_CLASSES.INVALID_REQUEST,
+            attempts: 1
+        });
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out slow attempts', async () => {
+        const policy = createPolicy({ timeoutMs: 20, retryAttempts: 2 });
+        const operation = jest.fn(() => new Promise(resolve => setTimeout(() => resolve('late'), 200)));
+
+        await expect(policy.execute(operation, 'storyGeneration')).rejects.toMatchObject({
+            errorClass: ERROR_CLASSES.TIMEOUT,
+            attempts: 2,
+            message: 'storyGeneration timed out after 20ms'
+        });
+    });
+
+    test('should abort the request of an attempt that times out', async () => {
+        const policy = createPolicy({ timeoutMs: 20, retryAttempts: 2 });
+        const signals = [];
+        const operation = jest.fn(signal => new Promise((resolve, reject) => {
+            signals.push(signal);
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+
+        await expect(policy.execute(operation)).rejects.toMatchObject({ errorClass: ERROR_CLASSES.TIMEOUT, attempts: 2 });
+        expect(signals).toHaveLength(2);
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+
+    test('should stop retrying once the caller cancels', async () => {
+        const controller = new AbortController();
+        let attemptSignal;
+        const operation = jest.fn(async signal => {
+            attemptSignal = signal;
+            controller.abort();
+            throw httpError(503);
+        });
+
+        await expect(createPolicy().execute(operation, 'storyGeneration', { signal: controller.signal }))
+            .rejects.toMatchObject({ errorClass: ERROR_CLASSES.UNAVAILABLE, attempts: 1 });
+        expect(attemptSignal.aborted).toBe(true);
+        expect(sleeps).toEqual([]);
+    });
+
+    test('should open the circuit after repeated failures and close it after a successful trial', async () => {
+        const policy = createPolicy({ retryAttempts: 1 });
+        const failing = jest.fn().mockRejectedValue(httpError(503));
+
+        await expect(policy.execute(failing)).rejects.toThrow();
+        await expect(policy.execute(failing)).rejects.toThrow();
+        expect(policy.getStatus().state).toBe(CIRCUIT_STATES.OPEN);
+
+        await expect(policy.execute(failing)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', statusCode: 503 });
+        expect(failing).toHaveBeenCalledTimes(2);
+
+        clock = 5000;
+        expect(policy.getStatus().state).toBe(CIRCUIT_STATES.HALF_OPEN);
+        await expect(policy.execute(failing)).rejects.toThrow();
+        expect(policy.getStatus().state).toBe(CIRCUIT_STATES.OPEN);
+
+        clock = 10000;
+        await expect(policy.execute(async () => 'recovered')).resolves.toBe('recovered');
+        expect(policy.getStatus()).toEqual({ state: CIRCUIT_STATES.CLOSED, consecutiveFailures: 0, openedAt: null });
+    });
+});
+
+describe('AIInterface fallbacks', () => {
+    const fastPolicy = { baseDelayMs: 0, failureThreshold: 2 };
+    const gameState = {
+        player: { currentLocation: 'village_square' },
+        entities: {},
+        worldState: { globalParameters: {}, temporal: {}, events: { current: [] }, information: { rumorMill: [] } }
+    };
+
+    test('should use and record the fallback when a call keeps failing', async () => {
+        const provider = new ScriptedProvider([httpError(503)]);
+        const ai = new AIInterface('key', { provider, retryAttempts: 2, callPolicy: fastPolicy });
+
+        const analysis = await ai.analyzeConsequences('I wait', 'wait', gameState);
+
+        expect(analysis).toEqual({ consequences: {}, impacts: [] });
+        expect(provider.calls).toBe(2);
+        expect(ai.drainFallbacks()).toEqual([
+            expect.objectContaining({ task: 'consequenceAnalysis', errorClass: ERROR_CLASSES.UNAVAILABLE })
+        ]);
+        expect(ai.drainFallbacks()).toEqual([]);
+    });
+
+    test('should throw instead when fallbacks are disabled', async () => {
+        const ai = new AIInterface('key', {
+            provider: new ScriptedProvider([httpError(400)]),
+            enableFallbacks: false,
+            callPolicy: fastPolicy
+        });
+
+        await expect(ai.generateStory('I wait', gameState)).rejects.toMatchObject({
+            statusCode: 503,
+            message: expect.stringContaining('AI storyGeneration failed')
+        });
+    });
+
+    test('should report degraded turns and skip the AI once the circuit is open', async () => {
+        const provider = new ScriptedProvider([httpError(503)]);
+        const engine = new StoryEngine('key', {
+            aiOptions: { provider, retryAttempts: 1, callPolicy: fastPolicy },
+            storage: new MemoryStorageAdapter()
+        });
+        await engine.initialize();
+
+        const result = await engine.processPlayerChoice('I look around');
+
+        expect(result.success).toBe(true);
+        expect(result.degraded).toBe(true);
+        expect(result.aiFallbacks.map(fallback => fallback.task)).toEqual(['entityDetection', 'consequenceAnalysis', 'storyGeneration']);
+        expect(provider.calls).toBe(2);
+        expect(engine.getSystemStatus().systems.aiInterface).toBe('degraded');
+        expect(engine.getSystemStatus().ai.circuitBreaker.state).toBe(CIRCUIT_STATES.OPEN);
+        expect(result.aiFallbacks[2].reason).toMatch(/circuit breaker open/);
+    });
+
+    test('should not report fallbacks for healthy turns', async () => {
+        const engine = new StoryEngine(null, {
+            aiOptions: { provider: 'offline' },
+            storage: new MemoryStorageAdapter()
+        });
+        await engine.initialize();
+
+        const result = await engine.processPlayerChoice('I look around');
+
+        expect(result.degraded).toBe(false);
+        expect(result.aiFallbacks).toEqual([]);
+        expect(engine.getSystemStatus().systems.aiInterface).toBe('active');
+    });
+});
@@ -0,0 +1,169 @@
+const Calendar = require('../../src/utils/Calendar');
+const { formatTemporal } = require('../../src/utils/Calendar');
+const WorldState = require('../../src/core/WorldState');
+const StoryEngine = require('../../src/core/StoryEngine');
+const SaveMigrator = require('../../src/systems/SaveMigrator');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+
+describe('Calendar', () => {
+    test('should convert between dates and comparable timestamps', () => {
+        const calendar = new Calendar();
+        const start = calendar.fromTimestamp(calendar.start);
+
+        expect(start).toEqual({
+            timestamp: calendar.start,
+            year: 1000,
+            month: 'firstmonth',
+            day: 1,
+            weekday: 'sunday',
+            hour: 8,
+            minute: 0,
+            timeOfDay: 'morning',
+            season: 'spring'
+        });
+        expect(calendar.toTimestamp({ year: 1000, month: 'secondmonth', day: 1 })).toBeGreaterThan(calendar.start);
+        expect(calendar.fromTimestamp(calendar.start + 24 * 60 + 90)).toMatchObject({ day: 2, weekday: 'moonday', hour: 9, minute: 30 });
+        expect(calendar.toTimestamp({ year: 1000, month: 'firstmonth', day: 31 })).toBeNull();
+        expect(calendar.getDayNumber({ year: 1000, month: 'fifthmonth', day: 1 })).toBeNull();
+    });
+
+    test('should follow a configured calendar', () => {
+        const calendar = new Calendar({
+            HOURS_PER_DAY: 10,
+            MONTHS: [{ name: 'dry', days: 10, season: 'dry' }, { name: 'wet', days: 20, season: 'wet' }],
+            WEEKDAYS: ['workday', 'marketday', 'restday'],
+            TIMES_OF_DAY: [{ name: 'dark', from: 0 }, { name: 'light', from: 3 }],
+            START: { year: 1, month: 'dry', day: 10, hour: 9 }
+        });
+
+        expect(calendar.daysPerYear).toBe(30);
+        expect(calendar.fromTimestamp(calendar.start + 60)).toMatchObject({
+            year: 1, month: 'wet', day: 1, weekday: 'marketday', hour: 0, timeOfDay: 'dark', season: 'wet'
+        });
+        expect(calendar.fromTimestamp(calendar.addMonths(calendar.start, 2))).toMatchObject({ year: 2, month: 'dry', day: 10 });
+        expect(() => new Calendar({ MONTHS: [] })).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CALENDAR' }));
+        expect(() => new Calendar({ TIMES_OF_DAY: [{ name: 'day', from: 6 }] })).toThrow(/TIMES_OF_DAY must start at hour 0/);
+        expect(() => new Calendar({ START: { year: 1, month: 'nomonth', day: 1 } })).toThrow(/START must be a date/);
+    });
+
+    test('should format dates and durations for the CLI and prompts', () => {
+        const calendar = new Calendar();
+        const temporal = calendar.fromTimestamp(calendar.start + 30);
+
+        expect(formatTemporal(temporal)).toBe('Sunday, 1 Firstmonth 1000, 08:30 (morning)');
+        expect(formatTemporal(temporal, { style: 'short' })).toBe('1 Firstmonth 1000, 08:30');
+        expect(formatTemporal({ day: 5, month: 'thirdmonth', year: 1001, timeOfDay: 'evening' })).toBe('5 Thirdmonth 1001, evening');
+        expect(formatTemporal({ timeOfDay: 'morning' })).toBeNull();
+        expect(calendar.formatDuration(26 * 60 + 15)).toBe('1 day 2 hours 15 minutes');
+        expect(calendar.formatDuration(60)).toBe('1 hour');
+    });
+});
+
+describe('WorldState clock', () => {
+    let worldState;
+
+    beforeEach(() => {
+        worldState = new WorldState();
+    });
+
+    test('should move through every season and into the next year', () => {
+        const seasons = [];
+        for (let month = 0; month < 4; month++) {
+            seasons.push(worldState.temporal.season);
+            worldState.advanceTime(1, 'month');
+        }
+
+        expect(seasons).toEqual(['spring', 'summer', 'autumn', 'winter']);
+        expect(worldState.temporal).toMatchObject({ year: 1001, month: 'firstmonth', season: 'spring', weather: 'clear' });
+    });
+
+    test('should advance by the minute and hour across days', () => {
+        const before = worldState.getTimestamp();
+
+        worldState.advanceTime(45, 'minute');
+        expect(worldState.temporal).toMatchObject({ hour: 8, minute: 45 });
+
+        worldState.advanceTime(18, 'hour');
+        expect(worldState.temporal).toMatchObject({ day: 2, hour: 2, minute: 45, timeOfDay: 'night' });
+        expect(worldState.getTimestamp() - before).toBe(18 * 60 + 45);
+        expect(worldState.history.worldChanges.map(change => change.unit)).toEqual(['minute', 'hour']);
+        expect(() => worldState.advanceTime(1, 'fortnight')).toThrow(/Unknown time unit/);
+    });
+
+    test('should time world events by the in-game clock', () => {
+        const start = worldState.getTimestamp();
+        worldState.addEvent({ id: 'storm', name: 'Storm', duration: 'temporary', endTime: start + 3 * 60 });
+        worldState.scheduleEvent({ id: 'fair', name: 'Harvest fair' }, start + 24 * 60);
+
+        expect(worldState.events.current[0]).toMatchObject({ startTime: start, endTime: start + 3 * 60 });
+
+        worldState.advanceTime(2, 'hour');
+        expect(worldState.events.current.map(event => event.id)).toEqual(['storm']);
+
+        worldState.advanceTime(1, 'hour');
+        expect(worldState.events.current).toEqual([]);
+        expect(worldState.events.completed[0]).toMatchObject({ id: 'storm', endTime: start + 3 * 60 });
+
+        worldState.advanceTime(1, 'day');
+        expect(worldState.events.current).toEqual([expect.objectContaining({ id: 'fair', startTime: start + 27 * 60 })]);
+        expect(worldState.events.scheduled).toEqual([]);
+        expect(() => worldState.scheduleEvent({ name: 'Eclipse' }, '1000-01-02')).toThrow(/in-game timestamp/);
+    });
+
+    test('should upgrade a save made before the clock', () => {
+        const temporal = { timeOfDay: 'evening', season: 'autumn', weather: 'rain', day: 5, month: 'thirdmonth', year: 1001 };
+        const { data } = new SaveMigrator({ calendar: worldState.calendar }).migrate({ metadata: { version: '1.3.0' }, worldState: { temporal } });
+
+        expect(() => worldState.importWorldState({ temporal })).toThrow(/no in-game timestamp/);
+        worldState.importWorldState(data.worldState);
+
+        expect(worldState.temporal).toMatchObject({ hour: 18, minute: 0, weekday: 'tideday', season: 'autumn', weather: 'rain' });
+        expect(worldState.describeTime()).toBe('Tideday, 5 Thirdmonth 1001, 18:00 (evening)');
+    });
+});
+
+describe('StoryEngine clock', () => {
+    const createEngine = async options => {
+        const engine = new StoryEngine(null, {
+            aiOptions: { provider: 'offline', seed: 'clock' },
+            storage: new MemoryStorageAdapter(),
+            ...options
+        });
+        await engine.initialize();
+        return engine;
+    };
+
+    test('should advance the clock on every turn by what the action takes', async () => {
+        const engine = await createEngine();
+        const start = engine.worldState.getTimestamp();
+
+        const talk = await engine.processPlayerChoice('I ask the innkeeper about the road');
+        const travel = await engine.processPlayerChoice('I set out for the old mill');
+
+        expect(talk.time).toEqual({ activity: 'talk', minutes: 15, from: start, to: start + 15 });
+        expect(travel.time).toMatchObject({ activity: 'travel', minutes: 240, from: start + 15 });
+        expect(engine.worldState.temporal).toMatchObject({ hour: 12, minute: 15, timeOfDay: 'midday' });
+        expect(engine.aiInterface.buildStoryGenerationPrompt('I wait', engine.compileGameState()))
+            .toContain('CURRENT TIME: Sunday, 1 Firstmonth 1000, 12:15 (midday)');
+
+        await engine.saveGame('clock');
+        await engine.processPlayerChoice('I whistle');
+        await engine.loadGame('clock');
+        expect(engine.worldState.getTimestamp()).toBe(travel.time.to);
+    });
+
+    test('should let dates reached this turn bring consequences due', async () => {
+        const engine = await createEngine({ actionTimeCosts: { rest: 24 * 60 } });
+        engine.scheduleConsequence({
+            description: 'The caravan arrives',
+            trigger: { type: 'date', day: 2, month: 'firstmonth', year: 1000 }
+        });
+
+        const result = await engine.processPlayerChoice('I sleep at the inn');
+
+        expect(result.time).toMatchObject({ activity: 'rest', minutes: 24 * 60 });
+        expect(result.triggeredConsequences.map(entry => entry.description)).toEqual(['The caravan arrives']);
+        expect(() => new StoryEngine(null, { aiOptions: { provider: 'offline' }, actionTimeCosts: { nap: 5 } }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_TIME_COSTS' }));
+    });
+});
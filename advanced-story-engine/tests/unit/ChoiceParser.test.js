@@ -0,0 +1,71 @@
+const { parseStory, describeChoice, classifyAction } = require('../../src/utils/ChoiceParser');
+
+describe('ChoiceParser', () => {
+    test('should split the narrative from annotated choices', () => {
+        const story = parseStory([
+            'The square is quiet.',
+            '',
+            'The elder watches you.',
+            '',
+            'CHOICES:',
+            '1. Ask the elder about the well (skill: diplomacy, risk: low)',
+            '2. Petition the village council (Skill: Diplomacy; Risk: Medium)',
+            '3. Reflect on your journey (skill: knowledge, risk: low)',
+            '4. Climb down the well alone (skill: survival, risk: high)'
+        ].join('\n'));
+
+        expect(story.narrative).toBe('The square is quiet.\n\nThe elder watches you.');
+        expect(story.choices).toEqual([
+            { index: 1, text: 'Ask the elder about the well', category: 'skill', skill: 'diplomacy', risk: 'low' },
+            { index: 2, text: 'Petition the village council', category: 'political', skill: 'diplomacy', risk: 'medium' },
+            { index: 3, text: 'Reflect on your journey', category: 'personal', skill: 'knowledge', risk: 'low' },
+            { index: 4, text: 'Climb down the well alone', category: 'risk', skill: 'survival', risk: 'high' }
+        ]);
+    });
+
+    test('should infer metadata for unannotated choices and tolerate Markdown', () => {
+        const story = parseStory([
+            'Rain falls on the market.',
+            '',
+            '**CHOICES:**',
+            '1) **Sneak past the guards** to the warehouse',
+            '2. [Negotiate with the merchant guild (politely)]',
+            '3. Rest',
+            '   and think it over',
+            '4. Attack the smugglers, whatever the cost'
+        ].join('\n'));
+
+        expect(story.narrative).toBe('Rain falls on the market.');
+        expect(story.choices).toEqual([
+            { index: 1, text: '**Sneak past the guards** to the warehouse', category: 'skill', skill: 'stealth', risk: 'medium' },
+            { index: 2, text: 'Negotiate with the merchant guild (politely)', category: 'political', skill: 'diplomacy', risk: 'medium' },
+            { index: 3, text: 'Rest and think it over', category: 'personal', skill: null, risk: 'medium' },
+            { index: 4, text: 'Attack the smugglers, whatever the cost', category: 'risk', skill: 'combat', risk: 'high' }
+        ]);
+    });
+
+    test('should return the whole text when there are no choices', () => {
+        expect(parseStory('  The fabric of reality seems to waver...  ')).toEqual({
+            narrative: 'The fabric of reality seems to waver...',
+            choices: []
+        });
+        expect(parseStory(undefined)).toEqual({ narrative: '', choices: [] });
+    });
+
+    test('should describe a choice with its metadata', () => {
+        expect(describeChoice({ text: 'Climb down the well', skill: 'survival', risk: 'high' }))
+            .toBe('Climb down the well (skill: survival, risk: high)');
+        expect(describeChoice({ text: 'Rest', skill: null, risk: 'medium' })).toBe('Rest (risk: medium)');
+    });
+
+    test('should judge what an action is spent doing', () => {
+        expect([
+            'I ask the innkeeper about the road',
+            'I set out for the capital',
+            'I search the cellar, then ask the cook',
+            'I camp by the river',
+            'I attack the bandit',
+            'I whistle'
+        ].map(action => classifyAction(action).activity)).toEqual(['talk', 'travel', 'search', 'rest', 'fight', 'other']);
+    });
+});
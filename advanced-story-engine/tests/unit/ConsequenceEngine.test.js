@@ -0,0 +1,118 @@
+const ConsequenceEngine = require('../../src/systems/ConsequenceEngine');
+const EntityManager = require('../../src/core/EntityManager');
+const RelationshipGraph = require('../../src/core/RelationshipGraph');
+const WorldState = require('../../src/core/WorldState');
+const { Player } = require('../../src/utils/DataStructures');
+const { ENTITY_TYPES } = require('../../src/utils/Constants');
+
+describe('ConsequenceEngine', () => {
+    let entityManager;
+    let relationshipGraph;
+    let worldState;
+    let player;
+    let consequenceEngine;
+
+    beforeEach(() => {
+        entityManager = new EntityManager();
+        relationshipGraph = new RelationshipGraph();
+        worldState = new WorldState();
+        player = new Player();
+        consequenceEngine = new ConsequenceEngine(entityManager, relationshipGraph, worldState, { player });
+
+        entityManager.createEntity(ENTITY_TYPES.NPC, 'mira', { name: 'Mira', trust: 50 });
+        entityManager.createEntity(ENTITY_TYPES.NPC, 'oren', { name: 'Oren' });
+        entityManager.createEntity(ENTITY_TYPES.FACTION, 'guild', { name: 'Merchant Guild' });
+    });
+
+    test('should apply each part to the subsystem that owns it and log it', () => {
+        const log = consequenceEngine.apply({
+            immediate: {
+                npcReactions: { mira: { trust: 5, fear: -5, mood: 'grateful' } },
+                factionStandings: { guild: 4 },
+                playerEffects: { health: -10, reputation: { heroic: 2 }, skills: { diplomacy: 1 } }
+            },
+            worldEffects: { globalTension: -3 },
+            longTerm: {
+                changedRelationships: [{ entity1: 'mira', entity2: 'oren', newRelationship: 'ally' }],
+                rumors: ['Mira has a new friend']
+            }
+        });
+
+        expect(log.rejected).toEqual([]);
+        expect(log.applied).toEqual([
+            { type: 'npc', target: 'mira', attribute: 'trust', requested: 5, change: 5, before: 50, after: 55 },
+            { type: 'npc', target: 'mira', attribute: 'fear', requested: -5, change: -5, before: 10, after: 5 },
+            { type: 'npc', target: 'mira', attribute: 'mood', before: 'neutral', after: 'grateful' },
+            { type: 'standing', target: 'guild', attribute: 'value', requested: 4, change: 4, before: 0, after: 4 },
+            { type: 'player', target: 'health', attribute: 'health', requested: -10, change: -10, before: 100, after: 90 },
+            { type: 'player', target: 'reputation', attribute: 'heroic', requested: 2, change: 2, before: 0, after: 2 },
+            { type: 'player', target: 'skills', attribute: 'diplomacy', requested: 1, change: 1, before: 10, after: 11 },
+            { type: 'world', target: 'globalParameters', attribute: 'globalTension', requested: -3, change: -3, before: 30, after: 27 },
+            { type: 'relationship', target: 'mira->oren', attribute: 'type', before: null, after: 'ally' },
+            { type: 'rumor', target: 'rumorMill', attribute: null, before: null, after: 'Mira has a new friend' }
+        ]);
+
+        expect(entityManager.getEntity(ENTITY_TYPES.NPC, 'mira').trust).toBe(55);
+        expect(relationshipGraph.getPlayerStanding('guild').lastChange.reason).toBe('Consequence of player choice');
+        expect(relationshipGraph.getRelationship('mira', 'oren').type).toBe('ally');
+        expect(worldState.globalParameters.globalTension).toBe(27);
+        expect(worldState.information.rumorMill.map(rumor => rumor.content)).toEqual(['Mira has a new friend']);
+    });
+
+    test('should clamp changes to the per-turn limits', () => {
+        const log = consequenceEngine.apply({
+            immediate: {
+                npcReactions: { oren: { trust: -80 } },
+                playerEffects: { skills: { combat: 25 } }
+            },
+            worldEffects: { globalTension: 100 }
+        });
+
+        expect(log.applied.map(({ attribute, change, clamped }) => ({ attribute, change, clamped }))).toEqual([
+            { attribute: 'trust', change: -20, clamped: true },
+            { attribute: 'combat', change: 3, clamped: true },
+            { attribute: 'globalTension', change: 15, clamped: true }
+        ]);
+        expect(player.skills.combat).toBe(13);
+        expect(worldState.globalParameters.globalTension).toBe(45);
+    });
+
+    test('should reject malformed and unknown parts without stopping the rest', () => {
+        const log = consequenceEngine.apply({
+            immediate: {
+                npcReactions: { ghost: { trust: 5 }, mira: { trust: 'lots', charm: 3 } },
+                factionStandings: { thieves: 10, guild: 2 },
+                playerEffects: { reputation: { infamous: 4 } }
+            },
+            worldEffects: { weirdness: 5 },
+            longTerm: {
+                changedRelationships: [{ entity1: 'mira', entity2: 'nobody', newRelationship: 'rival' }],
+                rumors: ['', 'One', 'Two', 'Three', 'Four', 'One']
+            }
+        });
+
+        expect(log.rejected.map(({ type, target, reason }) => `${type}:${target}:${reason}`)).toEqual([
+            'npc:ghost:unknown NPC',
+            'npc:mira:change must be a number',
+            'npc:mira:unknown relationship metric',
+            'standing:thieves:unknown entity',
+            'player:reputation:unknown reputation type',
+            'world:globalParameters:unknown world parameter',
+            'relationship:mira->nobody:unknown entity',
+            'rumor:rumorMill:rumor must be a non-empty string',
+            'rumor:rumorMill:too many rumors in one turn',
+            'rumor:rumorMill:rumor is already going around'
+        ]);
+        expect(log.applied.map(change => change.type)).toEqual(['standing', 'rumor', 'rumor', 'rumor']);
+        expect(entityManager.getEntity(ENTITY_TYPES.NPC, 'mira').trust).toBe(50);
+    });
+
+    test('should accept the flat shape and ignore anything that is not an object', () => {
+        expect(consequenceEngine.apply(null)).toEqual({ applied: [], rejected: [] });
+
+        const log = consequenceEngine.apply({ playerEffects: { reputation: { diplomatic: 3 } }, factionStandings: { guild: -2 } });
+
+        expect(log.applied.map(change => change.attribute)).toEqual(['value', 'diplomatic']);
+        expect(player.reputation.diplomatic).toBe(3);
+    });
+});
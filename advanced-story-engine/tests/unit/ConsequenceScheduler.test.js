@@ -0,0 +1,123 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const ConsequenceScheduler = require('../../src/systems/ConsequenceScheduler');
+const { describeForeshadowing } = require('../../src/systems/ConsequenceScheduler');
+const EntityManager = require('../../src/core/EntityManager');
+const WorldState = require('../../src/core/WorldState');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { Player } = require('../../src/utils/DataStructures');
+const { ENTITY_TYPES } = require('../../src/utils/Constants');
+
+describe('ConsequenceScheduler', () => {
+    let entityManager;
+    let worldState;
+    let player;
+    let scheduler;
+
+    const ids = entries => entries.map(entry => entry.description);
+
+    beforeEach(() => {
+        entityManager = new EntityManager();
+        worldState = new WorldState();
+        player = new Player({ currentLocation: 'square' });
+        scheduler = new ConsequenceScheduler(entityManager, worldState, { player });
+
+        entityManager.createEntity(ENTITY_TYPES.LOCATION, 'square', { name: 'Square' });
+        entityManager.createEntity(ENTITY_TYPES.LOCATION, 'docks', { name: 'Docks' });
+    });
+
+    test('should fire after a number of turns and on a date', () => {
+        scheduler.schedule({ description: 'The debt is called in', trigger: { type: 'turns', turns: 2 } }, 1);
+        scheduler.schedule({ description: 'The festival begins', trigger: { type: 'date', day: 3, month: 'firstmonth', year: 1000 } }, 1);
+
+        expect(scheduler.collectDue(2)).toEqual([]);
+        expect(ids(scheduler.collectDue(3))).toEqual(['The debt is called in']);
+
+        worldState.advanceDays(2);
+        expect(ids(scheduler.collectDue(4))).toEqual(['The festival begins']);
+        expect(scheduler.getPending()).toEqual([]);
+    });
+
+    test('should fire when the player enters a location', () => {
+        scheduler.schedule({ description: 'Smugglers are waiting', trigger: { type: 'location', location: 'docks' } }, 0);
+        scheduler.schedule({ description: 'The crowd recognizes you', trigger: { type: 'location', location: 'square' } }, 0);
+
+        // Already standing in the square: it waits for the next arrival
+        expect(scheduler.collectDue(1)).toEqual([]);
+
+        player.moveTo('docks');
+        expect(ids(scheduler.collectDue(2))).toEqual(['Smugglers are waiting']);
+
+        player.moveTo('square');
+        expect(ids(scheduler.collectDue(3))).toEqual(['The crowd recognizes you']);
+    });
+
+    test('should fire when a world parameter crosses its threshold', () => {
+        scheduler.schedule({ description: 'Riots break out', trigger: { type: 'parameter', parameter: 'globalTension', above: 50 } }, 0);
+        scheduler.schedule({ description: 'The market recovers', trigger: { type: 'parameter', parameter: 'economicState', below: 60 } }, 0);
+
+        worldState.updateGlobalParameter('globalTension', 15);
+        worldState.updateGlobalParameter('economicState', 20);
+        expect(scheduler.collectDue(1)).toEqual([]);
+
+        worldState.updateGlobalParameter('globalTension', 10);
+        worldState.updateGlobalParameter('economicState', -15);
+        expect(ids(scheduler.collectDue(2))).toEqual(['Riots break out', 'The market recovers']);
+    });
+
+    test('should reject malformed entries and unknown targets', () => {
+        const attempt = entry => () => scheduler.schedule(entry, 0);
+
+        expect(attempt({ trigger: { type: 'turns', turns: 1 } })).toThrow(/description must be a non-empty string/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'turns', turns: 0 } })).toThrow(/turns must be a positive integer/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'date', day: 1, month: 'fifthmonth', year: 1000 } })).toThrow(/is not a date/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'date', day: 1, month: 'firstmonth', year: 999 } })).toThrow(/has already passed/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'location', location: 'moon' } })).toThrow(/unknown location moon/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'parameter', parameter: 'weirdness', above: 5 } })).toThrow(/unknown world parameter/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'parameter', parameter: 'crimeRate', above: 5, below: 1 } })).toThrow(/exactly one of above or below/);
+        expect(attempt({ description: 'Soon', trigger: { type: 'eventually' } })).toThrow(expect.objectContaining({
+            statusCode: 400,
+            code: 'INVALID_DELAYED_CONSEQUENCE'
+        }));
+        expect(scheduler.getPending()).toEqual([]);
+    });
+
+    test('should export, import and foreshadow pending entries', () => {
+        scheduler.schedule({ description: 'The guard returns', hint: 'Boots echo in the alley.', trigger: { type: 'turns', turns: 3 } }, 0);
+        scheduler.schedule({ description: 'Quietly', trigger: { type: 'location', location: 'docks' } }, 0);
+
+        const other = new ConsequenceScheduler(entityManager, worldState, { player });
+        other.importPending(JSON.parse(JSON.stringify(scheduler.exportPending())));
+
+        expect(other.getPending()).toEqual(scheduler.getPending());
+        expect(other.getForeshadowing()).toEqual(['Boots echo in the alley.']);
+        expect(other.schedule({ description: 'Next', trigger: { type: 'turns', turns: 1 } }, 0).id).toBe('delayed_3');
+        expect(describeForeshadowing(other.getForeshadowing())).toBe('- Boots echo in the alley.');
+        expect(describeForeshadowing([])).toBe('Nothing is brewing yet.');
+    });
+
+    test('should apply a villainous deed\'s payback turns later and keep it in saves', async () => {
+        const engine = new StoryEngine(null, { aiOptions: { provider: 'offline', seed: 'payback' }, storage: new MemoryStorageAdapter() });
+        await engine.initialize();
+
+        const deed = await engine.processPlayerChoice('I rob the merchant\'s stall');
+        expect(deed.triggeredConsequences).toEqual([]);
+        expect(engine.getPendingConsequences()).toHaveLength(1);
+        expect(engine.aiInterface.buildStoryGenerationPrompt('I wait', engine.compileGameState()))
+            .toContain('FORESHADOWING:\n- A guard studies your face');
+
+        await engine.saveGame('payback');
+        await engine.processPlayerChoice('I look around the square');
+        await engine.loadGame('payback');
+        expect(engine.getPendingConsequences()).toHaveLength(1);
+
+        await engine.processPlayerChoice('I look around the square');
+        await engine.processPlayerChoice('I buy some bread');
+        const payback = await engine.processPlayerChoice('I wait by the well');
+
+        expect(payback.triggeredConsequences).toHaveLength(1);
+        expect(payback.triggeredConsequences[0].changes.applied.map(change => change.attribute))
+            .toEqual(['villainous', 'heroic', 'crimeRate']);
+        expect(payback.narrative).toContain('catches up with you.');
+        expect(engine.getPendingConsequences()).toEqual([]);
+    });
+});
@@ -0,0 +1,119 @@
+const { ContextAssembler, estimateTokens } = require('../../src/core/ContextAssembler');
+const AIInterface = require('../../src/core/AIInterface');
+const logger = require('../../src/utils/logger');
+
+function npc(name, occupation, location, extra = {}) {
+    return {
+        name,
+        occupation,
+        location,
+        met: true,
+        trust: 50,
+        fear: 10,
+        respect: 50,
+        love: 20,
+        mood: 'neutral',
+        importance: 'low',
+        lastModified: '2024-01-01T00:00:00.000Z',
+        ...extra
+    };
+}
+
+function createGameState() {
+    const npcs = {
+        lio_bard: npc('Lio', 'bard', 'tavern'),
+        bo_smith: npc('Bo', 'blacksmith', 'village_square'),
+        cy_guard: npc('Cy', 'guard', 'north_gate'),
+        stranger: npc('Stranger', 'unknown', 'village_square', { met: false })
+    };
+    for (let i = 0; i < 20; i++) {
+        npcs[`farmer_${i}`] = npc(`Farmer ${i}`, 'farmer', 'fields');
+    }
+
+    return {
+        player: {
+            name: 'Hero',
+            currentLocation: 'village_square',
+            choiceHistory: [{ choice: 'I ask Cy about the gate' }]
+        },
+        entities: {
+            npcs,
+            factions: {
+                village_council: { name: 'Village Council', type: 'political', influence: 60, territory: ['village_square'] }
+            },
+            locations: {
+                village_square: { name: 'Village Square', type: 'settlement', visited: true },
+                old_mill: { name: 'Old Mill', type: 'structure', visited: false }
+            }
+        },
+        relationships: {
+            playerStandings: {
+                village_council: { value: 10 },
+                farmer_3: { value: -40 }
+            }
+        },
+        worldState: {
+            globalParameters: { globalTension: 30 },
+            temporal: { timeOfDay: 'morning' },
+            events: { current: [{ name: 'Harvest Festival', location: 'fields' }] },
+            information: { rumorMill: ['The mill is haunted'] }
+        }
+    };
+}
+
+describe('ContextAssembler', () => {
+    test('should estimate about four characters per token', () => {
+        expect(estimateTokens('')).toBe(0);
+        expect(estimateTokens('abcd')).toBe(1);
+        expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    test('should include every met NPC, visited location and event when the budget allows', () => {
+        const { context, report } = new ContextAssembler({ tokenBudget: 100000 }).assemble(createGameState());
+
+        expect(Object.keys(context.entities.knownNPCs)).toHaveLength(23);
+        expect(context.entities.knownNPCs.stranger).toBeUndefined();
+        expect(Object.keys(context.entities.knownLocations)).toEqual(['village_square']);
+        expect(context.entities.activeFactions.village_council.name).toBe('Village Council');
+        expect(context.currentEvents).toEqual([{ name: 'Harvest Festival', location: 'fields' }]);
+        expect(context.playerStandings).toEqual({ village_council: { value: 10 }, farmer_3: { value: -40 } });
+        expect(report.dropped).toEqual([]);
+    });
+
+    test('should keep the most relevant entities within a tight budget and log what was dropped', () => {
+        const info = jest.spyOn(logger, 'info');
+        const assembler = new ContextAssembler({ tokenBudget: 400 });
+
+        const { context, report } = assembler.assemble(createGameState(), { playerInput: 'I sing along with the bard' });
+
+        expect(report.usedTokens).toBeLessThanOrEqual(400);
+        expect(estimateTokens(JSON.stringify(context))).toBeLessThanOrEqual(400);
+        // Mentioned first, then what is at the player's location, then strong standings and recent mentions
+        expect(report.included.slice(0, 6)).toEqual([
+            'npc:lio_bard',
+            'npc:bo_smith',
+            'faction:village_council',
+            'location:village_square',
+            'npc:farmer_3',
+            'npc:cy_guard'
+        ]);
+        expect(report.dropped.length).toBeGreaterThan(0);
+        expect(report.dropped.every(entry => entry.startsWith('npc:farmer_') || entry.startsWith('event:'))).toBe(true);
+        expect(Object.keys(context.playerStandings)).toEqual(['village_council', 'farmer_3']);
+        expect(info).toHaveBeenCalledWith('Prompt context trimmed to fit the token budget', report);
+
+        info.mockRestore();
+    });
+
+    test('should size story prompts with the configured budget', () => {
+        const small = new AIInterface(null, { provider: 'offline', contextTokenBudget: 300 });
+        const large = new AIInterface(null, { provider: 'offline', contextTokenBudget: 100000 });
+
+        const smallPrompt = small.buildStoryGenerationPrompt('I talk to the bard', createGameState());
+        const largePrompt = large.buildStoryGenerationPrompt('I talk to the bard', createGameState());
+
+        expect(smallPrompt).toContain('"lio_bard"');
+        expect(smallPrompt).not.toContain('"farmer_19"');
+        expect(largePrompt).toContain('"farmer_19"');
+    });
+});
@@ -0,0 +1,104 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { ENTITY_COLLECTIONS, VALIDATION_RULES } = require('../../src/utils/Constants');
+
+/**
+ * Contract between StoryEngine.compileGameState and everything that consumes it.
+ * If the snapshot shape changes, these tests should fail before a prompt does.
+ */
+describe('Game-state snapshot contract', () => {
+    let engine;
+    let snapshot;
+
+    beforeEach(async () => {
+        engine = new StoryEngine('test_api_key', { storage: new MemoryStorageAdapter() });
+        await engine.initialize();
+
+        const square = engine.entityManager.createEntity('location', 'square', { name: 'Market Square', type: 'settlement' });
+        square.visited = true;
+        const smith = engine.entityManager.createEntity('npc', 'smith', { name: 'Hilda', occupation: 'blacksmith', location: 'square' });
+        smith.met = true;
+        engine.entityManager.createEntity('faction', 'guild', { name: 'Smiths Guild', type: 'merchant', territory: ['square'] });
+        engine.relationshipGraph.updatePlayerStanding('guild', 10, 'paid dues');
+        engine.worldState.addEvent({ id: 'fair', name: 'Harvest Fair', type: 'social' });
+        engine.worldState.addRumor('The forge is cursed');
+
+        snapshot = engine.compileGameState();
+    });
+
+    test('should have a stable top-level shape', () => {
+        expect(Object.keys(snapshot).sort()).toEqual(
+            ['entities', 'meta', 'player', 'relationships', 'storyContext', 'worldState']
+        );
+        expect(Object.keys(snapshot.entities).sort()).toEqual(Object.values(ENTITY_COLLECTIONS).sort());
+        expect(Object.keys(snapshot.worldState)).toEqual(
+            expect.arrayContaining(['globalParameters', 'temporal', 'events', 'information', 'history'])
+        );
+        expect(snapshot.relationships.playerStandings.guild.value).toBe(10);
+        expect(snapshot.storyContext).toEqual({ currentScene: null, sceneHistory: [], foreshadowing: [] });
+    });
+
+    test('should survive JSON serialization unchanged', () => {
+        expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+        expect(Array.isArray(snapshot.player.flags)).toBe(true);
+    });
+
+    test('should not grow when entities are created after it was taken', () => {
+        engine.entityManager.createEntity('npc', 'baker', { name: 'Greta', occupation: 'baker' });
+
+        expect(snapshot.entities.npcs.baker).toBeUndefined();
+        expect(engine.compileGameState().entities.npcs.baker).toBeDefined();
+    });
+
+    test('should be consumable by the entity detection prompt', () => {
+        const prompt = engine.aiInterface.buildEntityDetectionPrompt('I visit the forge', 'You stand in the square.', snapshot);
+
+        expect(prompt).toContain('"smith"');
+        expect(prompt).toContain('Harvest Fair');
+        expect(prompt).toContain('Active Events: 1');
+    });
+
+    test('should be consumable by the story generation prompt', () => {
+        const prompt = engine.aiInterface.buildStoryGenerationPrompt('I visit the forge', snapshot);
+
+        expect(prompt).toContain('Hilda');
+        expect(prompt).toContain('Market Square');
+        expect(prompt).toContain('The forge is cursed');
+    });
+
+    test('should be consumable by the consequence analysis prompt', () => {
+        const prompt = engine.aiInterface.buildConsequenceAnalysisPrompt('I visit the forge', 'visit the forge', snapshot);
+
+        expect(prompt).toContain('Smiths Guild');
+        expect(prompt).toContain('"guild"');
+    });
+
+    test('should be consumable by the world analysis prompt', () => {
+        const prompt = engine.aiInterface.buildWorldAnalysisPrompt(snapshot);
+
+        expect(prompt).toContain('Harvest Fair');
+    });
+
+    test('should be what the CreationSystem validates against', async () => {
+        expect(Object.keys(engine.creationSystem.getGameState())).toEqual(Object.keys(snapshot));
+
+        for (let i = 1; i < VALIDATION_RULES.MAX_NPCS_PER_LOCATION; i++) {
+            engine.entityManager.createEntity('npc', `villager_${i}`, { name: `Villager ${i}`, location: 'square' });
+        }
+
+        const validation = await engine.validationSystem.validateNPCCreation(
+            { id: 'latecomer', name: 'Latecomer', location: 'square' },
+            engine.creationSystem.getGameState()
+        );
+
+        expect(validation.valid).toBe(false);
+    });
+
+    test('should pass the game-state integrity check', () => {
+        const integrity = engine.validationSystem.validateGameStateIntegrity(snapshot);
+
+        expect(integrity.errors).toEqual([]);
+        expect(integrity.statistics.totalNPCs).toBe(2);
+        expect(integrity.statistics.activeEvents).toBe(1);
+    });
+});
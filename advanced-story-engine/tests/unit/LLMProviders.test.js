@@ -0,0 +1,262 @@
+const http = require('http');
+const AIInterface = require('../../src/core/AIInterface');
+const {
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    createProvider,
+    extractJSON
+} = require('../../src/core/LLMProviders');
+
+/**
+ * Minimal OpenAI-compatible chat-completions server. Each request is recorded
+ * and answered with whatever `reply` returns.
+ */
+function startStubServer(reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+            requests.push(request);
+
+            const { status = 200, content, events, usage } = reply(request);
+            if (events) {
+                // Streamed reply: one server-sent event per delta, split across writes
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                for (const text of events) {
+                    const event = `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+                    res.write(event.slice(0, 10));
+                    res.write(event.slice(10));
+                }
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(status === 200
+                ? JSON.stringify({ choices: [{ message: { role: 'assistant', content } }], usage })
+                : JSON.stringify({ error: { message: content } }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+        });
+    });
+}
+
+/**
+ * Just enough of fetch, on top of http, for the provider to talk to the stub
+ * server on Node versions without a global fetch.
+ */
+function httpFetch(url, { method, headers, body, signal }) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers, signal }, res => {
+            const read = async () => {
+                let text = '';
+                for await (const chunk of res) {
+                    text += chunk;
+                }
+                return text;
+            };
+            resolve({
+                ok: res.statusCode >= 200 && res.statusCode < 300,
+                status: res.statusCode,
+                headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+                body: res,
+                text: read,
+                json: async () => JSON.parse(await read())
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('LLM providers', () => {
+    describe('OpenAICompatibleProvider', () => {
+        let stub;
+        let nextReply;
+
+        beforeEach(async () => {
+            nextReply = () => ({ content: 'The tavern falls silent.' });
+            stub = await startStubServer(request => nextReply(request));
+        });
+
+        afterEach(done => {
+            stub.server.close(done);
+        });
+
+        test('should post a chat-completions request and return the message', async () => {
+            const provider = new OpenAICompatibleProvider('secret', {
+                baseUrl: `${stub.baseUrl}/`,
+                fetch: httpFetch,
+                modelName: 'local-model',
+                temperature: 0.2,
+                maxOutputTokens: 64
+            });
+
+            const text = await provider.generateText('Describe the tavern');
+
+            expect(text).toBe('The tavern falls silent.');
+            expect(stub.requests).toHaveLength(1);
+            expect(stub.requests[0].url).toBe('/v1/chat/completions');
+            expect(stub.requests[0].headers.authorization).toBe('Bearer secret');
+            expect(stub.requests[0].body).toEqual({
+                model: 'local-model',
+                messages: [{ role: 'user', content: 'Describe the tavern' }],
+                temperature: 0.2,
+                max_tokens: 64
+            });
+        });
+
+        test('should omit the authorization header without an API key', async () => {
+            const provider = new OpenAICompatibleProvider(undefined, { baseUrl: stub.baseUrl, fetch: httpFetch });
+
+            await provider.generateText('Hello');
+
+            expect(stub.requests[0].headers.authorization).toBeUndefined();
+        });
+
+        test('should parse JSON wrapped in prose or code fences', async () => {
+            nextReply = () => ({ content: 'Here you go:\n```json\n{"entities": {"npcs": []}}\n```' });
+            const provider = new OpenAICompatibleProvider('secret', { baseUrl: stub.baseUrl, fetch: httpFetch });
+
+            await expect(provider.generateJSON('Detect entities')).resolves.toEqual({ entities: { npcs: [] } });
+        });
+
+        test('should surface HTTP errors as AppErrors', async () => {
+            nextReply = () => ({ status: 429, content: 'rate limited' });
+            const provider = new OpenAICompatibleProvider('secret', { baseUrl: stub.baseUrl, fetch: httpFetch });
+
+            await expect(provider.generateText('Hello')).rejects.toMatchObject({
+                statusCode: 502,
+                message: expect.stringContaining('status 429')
+            });
+        });
+
+        test('should report the token usage the server returns', async () => {
+            nextReply = () => ({ content: 'The tavern falls silent.', usage: { prompt_tokens: 12, completion_tokens: 5 } });
+            const provider = new OpenAICompatibleProvider('secret', { baseUrl: stub.baseUrl, fetch: httpFetch });
+            const onUsage = jest.fn();
+
+            await provider.generateText('Describe the tavern', { onUsage });
+
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 12, completionTokens: 5 });
+        });
+
+        test('should stream deltas from server-sent events', async () => {
+            nextReply = () => ({ events: ['The tavern ', 'falls ', 'silent.'] });
+            const provider = new OpenAICompatibleProvider('secret', { baseUrl: stub.baseUrl, fetch: httpFetch });
+
+            const chunks = [];
+            for await (const chunk of provider.streamText('Describe the tavern')) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['The tavern ', 'falls ', 'silent.']);
+            expect(stub.requests[0].body.stream).toBe(true);
+        });
+
+        test('should explain that it needs fetch when none is available', async () => {
+            const provider = new OpenAICompatibleProvider('secret', { baseUrl: stub.baseUrl });
+            provider.fetch = undefined;
+
+            await expect(provider.generateText('Hello')).rejects.toThrow(/needs fetch: use Node 18 or later, or pass the `fetch` option/);
+            expect(stub.requests).toEqual([]);
+        });
+
+        test('should back the AIInterface when selected by configuration', async () => {
+            nextReply = request => (request.body.messages[0].content.includes('Return ONLY valid JSON')
+                ? { content: '{"entities": {"npcs": [{"id": "bard", "name": "Lio"}]}, "relationships": [], "worldUpdates": {}}' }
+                : { content: 'A bard tunes his lute.' });
+            const ai = new AIInterface('secret', { provider: 'openai', baseUrl: stub.baseUrl, fetch: httpFetch });
+            const gameState = {
+                player: { currentLocation: 'tavern' },
+                entities: {},
+                worldState: {
+                    globalParameters: {},
+                    events: { current: [] },
+                    information: { rumorMill: [] }
+                }
+            };
+
+            const detection = await ai.detectEntities('I listen to the bard', '', gameState);
+            const story = await ai.generateStory('I listen to the bard', gameState);
+
+            expect(ai.provider).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(detection.entities.npcs[0].name).toBe('Lio');
+            expect(story).toBe('A bard tunes his lute.');
+        });
+    });
+
+    describe('GeminiProvider', () => {
+        test('should hand the abort signal to the SDK and stop streaming once aborted', async () => {
+            const provider = new GeminiProvider('key');
+            const controller = new AbortController();
+            provider.model.generateContentStream = jest.fn(async () => ({
+                stream: (async function* () {
+                    yield { text: () => 'The tavern ' };
+                    yield { text: () => 'falls silent.' };
+                })()
+            }));
+
+            const chunks = [];
+            for await (const chunk of provider.streamText('Describe the tavern', { signal: controller.signal })) {
+                chunks.push(chunk);
+                controller.abort();
+            }
+            await provider.generateText('Hello', { signal: controller.signal });
+
+            expect(chunks).toEqual(['The tavern ']);
+            expect(provider.model.generateContentStream).toHaveBeenCalledWith('Describe the tavern', { signal: controller.signal });
+            expect(provider.model.generateContent).toHaveBeenCalledWith('Hello', { signal: controller.signal });
+        });
+    });
+
+    describe('createProvider', () => {
+        test('should default to Gemini', () => {
+            const provider = createProvider('key');
+
+            expect(provider).toBeInstanceOf(GeminiProvider);
+            expect(provider.name).toBe('gemini');
+            expect(provider.modelName).toBe('gemini-pro');
+        });
+
+        test('should pass model settings to Gemini', async () => {
+            const provider = createProvider('key', { provider: 'gemini', modelName: 'gemini-1.5-flash', temperature: 0.1 });
+
+            expect(provider.genAI.getGenerativeModel).toHaveBeenCalledWith({
+                model: 'gemini-1.5-flash',
+                generationConfig: { temperature: 0.1, maxOutputTokens: 1000 }
+            });
+            await expect(provider.generateText('Hello')).resolves.toBe('Mock AI response');
+        });
+
+        test('should reject unknown providers', () => {
+            expect(() => createProvider('key', { provider: 'carrier-pigeon' })).toThrow(/Unknown AI provider/);
+        });
+    });
+
+    test('should let the AIInterface use a provider instance', async () => {
+        class FixedProvider extends LLMProvider {
+            async generateText() {
+                return 'Fixed narrative';
+            }
+        }
+        const provider = new FixedProvider();
+
+        const ai = new AIInterface('key', { provider });
+
+        expect(ai.provider).toBe(provider);
+        await expect(ai.provider.generateText('anything')).resolves.toBe('Fixed narrative');
+    });
+
+    test('should reject text without a JSON object', () => {
+        expect(() => extractJSON('no json here')).toThrow(/did not contain a JSON object/);
+        expect(() => extractJSON('{ broken')).toThrow(/did not contain a JSON object/);
+        expect(() => extractJSON('{"a": }')).toThrow(/invalid JSON/);
+    });
+});
@@ -0,0 +1,65 @@
+const { Player } = require('../../src/utils/DataStructures');
+const { PLAYER_SKILLS, PLAYER_STATS } = require('../../src/utils/Constants');
+
+describe('Player', () => {
+    let player;
+
+    beforeEach(() => {
+        player = new Player({ name: 'Ayla' });
+    });
+
+    test('should start with default stats for every skill and reputation type', () => {
+        expect(player.name).toBe('Ayla');
+        expect(player.level).toBe(1);
+        expect(player.health).toBe(PLAYER_STATS.HEALTH.default);
+        expect(Object.keys(player.skills).sort()).toEqual(Object.values(PLAYER_SKILLS).sort());
+        expect(Object.values(player.skills).every(value => value === PLAYER_STATS.SKILL.default)).toBe(true);
+        expect(Object.values(player.reputation).every(value => value === 0)).toBe(true);
+    });
+
+    test('should move and report the previous location', () => {
+        expect(player.moveTo('old_mill')).toBe('village_square');
+        expect(player.currentLocation).toBe('old_mill');
+    });
+
+    test('should level up and heal when experience crosses the threshold', () => {
+        player.adjustHealth(-40);
+
+        const levelsGained = player.gainExperience(350);
+
+        expect(levelsGained).toBe(2);
+        expect(player.level).toBe(3);
+        expect(player.experience).toBe(50);
+        expect(player.maxHealth).toBe(PLAYER_STATS.HEALTH.default + 2 * PLAYER_STATS.HEALTH_PER_LEVEL);
+        expect(player.health).toBe(player.maxHealth);
+    });
+
+    test('should clamp health, skills and reputation to their ranges', () => {
+        expect(player.adjustHealth(500)).toBe(player.maxHealth);
+        expect(player.adjustHealth(-500)).toBe(0);
+        expect(player.isAlive()).toBe(false);
+        expect(player.adjustSkill('combat', 200)).toBe(PLAYER_STATS.SKILL.max);
+        expect(player.adjustSkill('juggling', 5)).toBeUndefined();
+        expect(player.adjustReputation('villainous', -300)).toBe(PLAYER_STATS.REPUTATION.min);
+    });
+
+    test('should keep only the most recent choices', () => {
+        for (let i = 0; i < PLAYER_STATS.MAX_CHOICE_HISTORY + 5; i++) {
+            player.recordChoice({ choice: `choice ${i}` });
+        }
+
+        expect(player.choiceHistory).toHaveLength(PLAYER_STATS.MAX_CHOICE_HISTORY);
+        expect(player.choiceHistory[0].choice).toBe('choice 5');
+    });
+
+    test('should round-trip through JSON with flags restored as a Set', () => {
+        player.flags.add('met_elder');
+        player.inventory.push('lantern');
+
+        const restored = new Player(JSON.parse(JSON.stringify(player)));
+
+        expect(restored.flags).toBeInstanceOf(Set);
+        expect(restored.flags.has('met_elder')).toBe(true);
+        expect(restored.toJSON()).toEqual(player.toJSON());
+    });
+});
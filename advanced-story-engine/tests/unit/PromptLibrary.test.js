@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptLibrary } = require('../../src/core/PromptLibrary');
+const AIInterface = require('../../src/core/AIInterface');
+const StoryEngine = require('../../src/core/StoryEngine');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { AI_TASKS } = require('../../src/utils/Constants');
+
+describe('PromptLibrary', () => {
+    let campaign;
+
+    function writeCampaign(templates, manifest = { id: 'grimdark', version: '0.2.0' }) {
+        if (manifest) {
+            fs.writeFileSync(path.join(campaign, 'prompts.json'), JSON.stringify(manifest));
+        }
+        for (const [task, text] of Object.entries(templates)) {
+            fs.writeFileSync(path.join(campaign, `${task}.txt`), text);
+        }
+    }
+
+    beforeEach(() => {
+        campaign = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(campaign, { recursive: true, force: true });
+    });
+
+    test('should load the built-in templates', () => {
+        const library = new PromptLibrary();
+
+        expect(library.versionId).toBe('default@1.5.0');
+        expect(library.render(AI_TASKS.WORLD_ANALYSIS, { worldState: '{"x":1}' })).toContain('WORLD STATE:\n{"x":1}\n');
+    });
+
+    test('should let a campaign override some templates', () => {
+        writeCampaign({ [AI_TASKS.STORY_GENERATION]: 'Tell it grim.\n{{worldState}}\nThe player: {{ playerInput }}\n' });
+
+        const library = new PromptLibrary({ overrides: campaign });
+
+        expect(library.versionId).toBe('default@1.5.0+grimdark@0.2.0');
+        expect(library.getTemplateVersion(AI_TASKS.STORY_GENERATION)).toBe('grimdark@0.2.0');
+        expect(library.getTemplateVersion(AI_TASKS.ENTITY_DETECTION)).toBe('default@1.5.0');
+        expect(library.render(AI_TASKS.STORY_GENERATION, { worldState: '{}', playerInput: 'I pray' }))
+            .toBe('Tell it grim.\n{}\nThe player: I pray');
+    });
+
+    test('should reject unknown variables at load time', () => {
+        writeCampaign({ [AI_TASKS.STORY_GENERATION]: '{{worldState}} {{playerInput}} in the {{genre}} style' });
+
+        expect(() => new PromptLibrary({ overrides: campaign })).toThrow(
+            `Prompt template ${path.join(campaign, 'storyGeneration.txt')} uses unknown variable(s) {{genre}}. ` +
+            'Available for storyGeneration: playerInput, worldState'
+        );
+    });
+
+    test('should reject templates missing a required variable', () => {
+        writeCampaign({ [AI_TASKS.CONSEQUENCE_ANALYSIS]: 'What happens after "{{playerInput}}"?' });
+
+        expect(() => new PromptLibrary({ overrides: campaign }))
+            .toThrow(/consequenceAnalysis\.txt is missing required variable\(s\) \{\{choice\}\}, \{\{worldState\}\}/);
+    });
+
+    test('should require a versioned manifest', () => {
+        writeCampaign({}, null);
+        expect(() => new PromptLibrary({ overrides: campaign })).toThrow(/Failed to read prompt manifest/);
+
+        writeCampaign({}, { id: 'grimdark' });
+        expect(() => new PromptLibrary({ overrides: campaign })).toThrow(/needs an "id" and a "version"/);
+    });
+
+    test('should stamp the prompt version into AI status and saves', async () => {
+        writeCampaign({ [AI_TASKS.STORY_GENERATION]: 'Grim: {{worldState}} {{playerInput}}' });
+        const engine = new StoryEngine(null, {
+            aiOptions: { provider: 'offline', prompts: { overrides: campaign } },
+            storage: new MemoryStorageAdapter()
+        });
+        await engine.initialize();
+
+        const save = await engine.saveGame('grim');
+
+        expect(engine.aiInterface).toBeInstanceOf(AIInterface);
+        expect(engine.getSystemStatus().ai.promptVersion).toBe('default@1.5.0+grimdark@0.2.0');
+        expect(save.metadata.promptVersion).toBe('default@1.5.0+grimdark@0.2.0');
+        expect(engine.aiInterface.createContext(AI_TASKS.STORY_GENERATION, {}).promptVersion).toBe('grimdark@0.2.0');
+    });
+});
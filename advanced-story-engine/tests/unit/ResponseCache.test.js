@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../../src/core/ResponseCache');
+const AIInterface = require('../../src/core/AIInterface');
+const { LLMProvider } = require('../../src/core/LLMProviders');
+const { AppError } = require('../../src/utils/errorHandler');
+const { AI_TASKS } = require('../../src/utils/Constants');
+
+class CountingProvider extends LLMProvider {
+    constructor() {
+        super({ modelName: 'counting' });
+        this.calls = 0;
+    }
+
+    async generateText() {
+        this.calls++;
+        return this.calls === 1
+            ? '{"consequences": {"worldEffects": {"globalTension": 5}}, "impacts": []}'
+            : '{"consequences": {}, "impacts": []}';
+    }
+}
+
+const gameState = {
+    player: { currentLocation: 'village_square' },
+    entities: {},
+    worldState: { globalParameters: { globalTension: 30 }, temporal: {}, events: { current: [] }, information: { rumorMill: [] } }
+};
+
+const context = { task: AI_TASKS.WORLD_ANALYSIS, promptVersion: 'default@1.0.0' };
+
+describe('ResponseCache', () => {
+    test('should key entries by prompt version, normalized prompt and model settings', () => {
+        const cache = new ResponseCache();
+        const settings = { provider: 'gemini', temperature: 0.7 };
+        const key = cache.keyFor(context, 'World at 2024-01-01T00:00:00.000Z', settings);
+
+        expect(cache.keyFor(context, 'World at 2025-06-30T12:00:00.000Z', settings)).toBe(key);
+        expect(cache.keyFor(context, 'Another world', settings)).not.toBe(key);
+        expect(cache.keyFor({ ...context, promptVersion: 'default@1.1.0' }, 'World at 2024-01-01T00:00:00.000Z', settings)).not.toBe(key);
+        expect(cache.keyFor(context, 'World at 2024-01-01T00:00:00.000Z', { ...settings, temperature: 0.2 })).not.toBe(key);
+    });
+
+    test('should expire entries after their task TTL and evict the least recently used', async () => {
+        let now = 0;
+        const cache = new ResponseCache({ maxEntries: 2, ttlMs: { [AI_TASKS.WORLD_ANALYSIS]: 1000 }, now: () => now });
+
+        await cache.set('a', AI_TASKS.WORLD_ANALYSIS, { trends: [] });
+        await cache.set('b', AI_TASKS.WORLD_ANALYSIS, { trends: [] });
+        await cache.get('a');
+        await cache.set('c', AI_TASKS.WORLD_ANALYSIS, { trends: [] });
+
+        expect(await cache.get('b')).toBeUndefined();
+        expect(await cache.get('a')).toEqual({ trends: [] });
+
+        now = 1000;
+        expect(await cache.get('c')).toBeUndefined();
+        expect(cache.getStats()).toMatchObject({ entries: 1, hits: 2, misses: 2 });
+    });
+
+    test('should not cache narratives unless given a TTL', async () => {
+        const cache = new ResponseCache();
+
+        await cache.set('story', AI_TASKS.STORY_GENERATION, 'Once upon a time');
+
+        expect(cache.caches(AI_TASKS.STORY_GENERATION)).toBe(false);
+        expect(await cache.get('story')).toBeUndefined();
+        expect(new ResponseCache({ ttlMs: { [AI_TASKS.STORY_GENERATION]: 1000 } }).caches(AI_TASKS.STORY_GENERATION)).toBe(true);
+    });
+
+    test('should keep entries on disk across instances', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+        try {
+            await new ResponseCache({ directory }).set('key', AI_TASKS.ENTITY_DETECTION, { entities: {} });
+
+            const reloaded = new ResponseCache({ directory });
+            expect(await reloaded.get('key')).toEqual({ entities: {} });
+            expect(reloaded.getStats().entries).toBe(1);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('AIInterface response caching', () => {
+    test('should answer a repeated prompt from the cache with a fresh copy', async () => {
+        const provider = new CountingProvider();
+        const ai = new AIInterface('key', { provider, responseCache: {} });
+
+        const first = await ai.analyzeConsequences('I wait', 'wait', gameState);
+        first.consequences.worldEffects.globalTension = 99;
+        const second = await ai.analyzeConsequences('I wait', 'wait', gameState);
+
+        expect(provider.calls).toBe(1);
+        expect(second.consequences.worldEffects.globalTension).toBe(5);
+        expect(ai.getStatus().cache).toMatchObject({ hits: 1, misses: 1, entries: 1 });
+        expect(ai.getStatus().usage.totals.calls).toBe(1);
+    });
+
+    test('should ask again when the world changes', async () => {
+        const provider = new CountingProvider();
+        const ai = new AIInterface('key', { provider, responseCache: {} });
+        const changed = JSON.parse(JSON.stringify(gameState));
+        changed.worldState.globalParameters.globalTension = 60;
+
+        await ai.analyzeConsequences('I wait', 'wait', gameState);
+        await ai.analyzeConsequences('I wait', 'wait', changed);
+
+        expect(provider.calls).toBe(2);
+    });
+
+    test('should not cache narratives or fallbacks by default', async () => {
+        const provider = new CountingProvider();
+        const ai = new AIInterface('key', { provider, responseCache: {} });
+
+        await ai.generateStory('I wait', gameState);
+        await ai.generateStory('I wait', gameState);
+        expect(provider.calls).toBe(2);
+
+        provider.generateText = jest.fn().mockRejectedValue(new AppError('bad request', 400));
+        await ai.analyzeWorld(gameState);
+        await ai.analyzeWorld(gameState);
+        expect(provider.generateText).toHaveBeenCalledTimes(2);
+    });
+
+    test('should be off without the option and with a cassette', () => {
+        expect(new AIInterface('key', { provider: new CountingProvider() }).responseCache).toBeNull();
+        expect(new AIInterface(null, {
+            cassette: { mode: 'replay', path: path.join(os.tmpdir(), 'missing-cassette.json') },
+            responseCache: {}
+        }).responseCache).toBeNull();
+    });
+});
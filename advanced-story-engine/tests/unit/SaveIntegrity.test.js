@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    CHECKSUM_SINCE_VERSION,
+    stableStringify,
+    computeChecksum,
+    signSave,
+    verifySave,
+    backupSlotName,
+    isBackupSlot,
+    readVerifiedSlot,
+    inspectSlot
+} = require('../../src/utils/SaveIntegrity');
+const { FileStorageAdapter, MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+
+describe('SaveIntegrity', () => {
+    const save = {
+        metadata: { slot: 'default', version: '1.1.0' },
+        playerState: { name: 'Aria', skills: { combat: 3 } }
+    };
+    
+    test('should serialize independently of key order', () => {
+        expect(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] })).toBe('{"a":[{"c":3,"d":2}],"b":1}');
+        expect(computeChecksum({ playerState: save.playerState, metadata: save.metadata })).toBe(computeChecksum(save));
+    });
+    
+    test('should sign without mutating the input', () => {
+        const signed = signSave(save);
+        
+        expect(save.metadata.checksum).toBeUndefined();
+        expect(signed.metadata.checksum).toBe(`sha256:${computeChecksum(save)}`);
+        expect(verifySave(signed)).toEqual({ valid: true, verified: true, reason: null });
+    });
+    
+    test('should detect modified saves', () => {
+        const signed = signSave(save);
+        signed.playerState.skills.combat = 10;
+        
+        expect(verifySave(signed)).toMatchObject({ valid: false, reason: expect.stringMatching(/Checksum mismatch/) });
+    });
+    
+    test('should ignore the integrity report attached on load', () => {
+        const signed = signSave(save);
+        signed.metadata.integrity = { recovered: false };
+        
+        expect(verifySave(signed).verified).toBe(true);
+    });
+    
+    test('should accept saves from before checksums as unverified', () => {
+        expect(verifySave(save)).toEqual({ valid: true, verified: false, reason: 'Save has no checksum' });
+        expect(verifySave({ player: {}, meta: {} })).toMatchObject({ valid: true, verified: false });
+        expect(verifySave(null).valid).toBe(false);
+        expect(verifySave({ metadata: { checksum: 'md5:abc' } }).valid).toBe(false);
+    });
+    
+    test('should reject current saves whose checksum was removed', () => {
+        const stripped = signSave({ ...save, metadata: { ...save.metadata, version: CHECKSUM_SINCE_VERSION } });
+        delete stripped.metadata.checksum;
+        
+        expect(verifySave(stripped)).toEqual({
+            valid: false,
+            verified: false,
+            reason: `Save has no checksum, but format ${CHECKSUM_SINCE_VERSION} requires one`
+        });
+    });
+    
+    test('should name backup slots', () => {
+        expect(backupSlotName('default', 2)).toBe('default.backup-2');
+        expect(isBackupSlot('default.backup-2')).toBe(true);
+        expect(isBackupSlot('default')).toBe(false);
+    });
+    
+    test('should report empty and corrupted slots instead of throwing', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'save-integrity-'));
+        try {
+            const storage = new FileStorageAdapter({ directory });
+            await storage.write('good', signSave(save));
+            await fs.writeFile(path.join(directory, 'truncated.json'), '{"metadata": {"slot"', 'utf8');
+            
+            expect(await readVerifiedSlot(storage, 'missing')).toMatchObject({ exists: false, valid: false });
+            expect(await readVerifiedSlot(storage, 'truncated')).toMatchObject({
+                exists: true,
+                valid: false,
+                reason: expect.stringMatching(/not valid JSON/)
+            });
+            expect(await readVerifiedSlot(storage, 'good')).toMatchObject({ exists: true, valid: true, verified: true });
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+    
+    test('should inspect a slot together with its backups', async () => {
+        const storage = new MemoryStorageAdapter();
+        await storage.write('default', { ...signSave(save), playerState: {} });
+        await storage.write('default.backup-1', signSave(save));
+        
+        const report = await inspectSlot(storage, 'default', 3);
+        
+        expect(report.current).toMatchObject({ slot: 'default', valid: false });
+        expect(report.current.data).toBeUndefined();
+        expect(report.backups).toEqual([
+            { slot: 'default.backup-1', exists: true, valid: true, verified: true, reason: null }
+        ]);
+    });
+});
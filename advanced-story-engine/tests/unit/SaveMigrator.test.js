@@ -0,0 +1,141 @@
+const SaveMigrator = require('../../src/systems/SaveMigrator');
+const Calendar = require('../../src/utils/Calendar');
+const { SAVE_FORMAT_VERSION } = require('../../src/utils/Constants');
+const legacySave = require('../../test-save.json');
+
+describe('SaveMigrator', () => {
+    let migrator;
+    
+    beforeEach(() => {
+        migrator = new SaveMigrator();
+    });
+    
+    test('should detect save versions', () => {
+        expect(migrator.detectVersion(legacySave)).toBe(SaveMigrator.LEGACY_SAVE_VERSION);
+        expect(migrator.detectVersion({ metadata: { version: '1.0.0' } })).toBe('1.0.0');
+        expect(() => migrator.detectVersion({ something: 'else' })).toThrow('Unrecognized save format');
+    });
+    
+    test('should upgrade the legacy test-save.json layout', () => {
+        const { data, fromVersion, applied } = migrator.migrate(legacySave);
+        
+        expect(fromVersion).toBe('0.0.0');
+        expect(applied.map(step => step.to)).toEqual(['1.2.0', '1.3.0', '1.4.0']);
+        expect(data.metadata.version).toBe(SAVE_FORMAT_VERSION);
+        expect(data.playerState.name).toBe('Traveler');
+        expect(data.playerState.inventory).toEqual(['rusty_sword']);
+        expect(data.entities.entities.npc.village_elder.name).toBe('Elder Thane');
+        expect(data.entities.entities.location.village_square.visited).toBe(true);
+        expect(data.relationships.playerStandings.village_council.value).toBe(10);
+        expect(data.worldState.globalParameters.globalTension).toBe(30);
+        expect(data.gameState.currentScene).toBe('introduction');
+    });
+    
+    test('should not modify the input', () => {
+        const before = JSON.stringify(legacySave);
+        
+        migrator.migrate(legacySave);
+        
+        expect(JSON.stringify(legacySave)).toBe(before);
+    });
+    
+    test('should upgrade 1.0.0 saves', () => {
+        const save = {
+            metadata: { version: '1.0.0', gameTime: 3 },
+            playerState: { skills: { combat: 4 }, inventory: [], reputation: {}, flags: {} },
+            worldState: { parameters: { globalTension: 44 }, time: { day: 2 } },
+            entities: { npc: [{ id: 'bard', name: 'Bard' }] },
+            relationships: [],
+            gameState: { currentScene: null, previousScenes: [] }
+        };
+        
+        const { data } = migrator.migrate(save);
+        
+        expect(data.playerState.flags).toEqual([]);
+        expect(data.worldState.globalParameters.globalTension).toBe(44);
+        expect(data.entities.entities.npc.bard.name).toBe('Bard');
+        expect(data.metadata.gameTime).toBe(3);
+    });
+    
+    test('should re-centre 1.1.0 player reputation on zero', () => {
+        const save = {
+            metadata: { version: '1.1.0' },
+            playerState: { name: 'Ayla', reputation: { heroic: 60, villainous: 50, mysterious: 0 } }
+        };
+        
+        const { data } = migrator.migrate(save);
+        
+        expect(data.playerState.name).toBe('Ayla');
+        expect(data.playerState.reputation).toEqual({ heroic: 10, villainous: 0, mysterious: -50 });
+        expect(data.metadata.version).toBe(SAVE_FORMAT_VERSION);
+    });
+    
+    test('should give 1.2.0 saves an empty queue of delayed consequences', () => {
+        const save = {
+            metadata: { version: '1.2.0' },
+            gameState: { currentScene: 'tavern', previousScenes: [] }
+        };
+        
+        const { data } = migrator.migrate(save);
+        
+        expect(data.gameState).toEqual({ currentScene: 'tavern', previousScenes: [], pendingConsequences: [] });
+        expect(data.metadata.version).toBe(SAVE_FORMAT_VERSION);
+    });
+    
+    test('should put 1.3.0 world clocks and event times on in-game timestamps', () => {
+        const save = {
+            metadata: { version: '1.3.0' },
+            worldState: {
+                temporal: { timeOfDay: 'evening', season: 'autumn', weather: 'rain', day: 5, month: 'thirdmonth', year: 1001 },
+                events: {
+                    current: [{ id: 'siege', duration: 'temporary', startTime: '2024-01-01T00:00:00.000Z', endTime: '2024-02-01T00:00:00.000Z' }],
+                    completed: [{ id: 'fair', startTime: '2023-01-01T00:00:00.000Z', endTime: null }],
+                    failed: [],
+                    scheduled: [{ eventData: { id: 'market' }, triggerTime: '2099-01-01T00:00:00.000Z' }]
+                }
+            }
+        };
+        
+        const { data } = migrator.migrate(save);
+        const { temporal, events } = data.worldState;
+        
+        expect(temporal).toMatchObject({ hour: 18, minute: 0, weekday: 'tideday', season: 'autumn', weather: 'rain' });
+        expect(temporal.timestamp).toBe(migrator.calendar.toTimestamp({ year: 1001, month: 'thirdmonth', day: 5, hour: 18 }));
+        expect(events.current[0]).toMatchObject({ startTime: temporal.timestamp, endTime: temporal.timestamp });
+        expect(events.completed[0]).toMatchObject({ startTime: temporal.timestamp, endTime: null });
+        expect(events.scheduled[0].triggerTime).toBe(temporal.timestamp);
+    });
+    
+    test('should date saves from before the clock in the game\'s own calendar', () => {
+        const calendar = new Calendar({ WEEKDAYS: ['workday', 'restday'] });
+        const save = { metadata: { version: '1.3.0' }, worldState: { temporal: { timeOfDay: 'morning', day: 2, month: 'firstmonth', year: 1000 } } };
+        
+        const { data } = new SaveMigrator({ calendar }).migrate(save);
+        
+        expect(data.worldState.temporal).toMatchObject({ weekday: 'restday', hour: 7 });
+    });
+    
+    test('should run migrations as an ordered chain', () => {
+        const chained = new SaveMigrator({ currentVersion: '91.0.0' });
+        chained.register(SAVE_FORMAT_VERSION, '90.0.0', 'step one', save => ({ ...save, steps: ['one'] }));
+        chained.register('90.0.0', '91.0.0', 'step two', save => ({ ...save, steps: [...save.steps, 'two'] }));
+        
+        const { data, applied } = chained.migrate({ metadata: { version: '1.0.0' }, worldState: {} });
+        const path = applied.map(step => `${step.from}->${step.to}`);
+        
+        expect(path.slice(0, 2)).toEqual(['1.0.0->1.1.0', '1.1.0->1.2.0']);
+        expect(path.slice(-2)).toEqual([`${SAVE_FORMAT_VERSION}->90.0.0`, '90.0.0->91.0.0']);
+        expect(data.steps).toEqual(['one', 'two']);
+        expect(data.metadata.version).toBe('91.0.0');
+    });
+    
+    test('should refuse saves from a newer engine', () => {
+        expect(() => migrator.migrate({ metadata: { version: '99.0.0' } }))
+            .toThrow(/written by a newer engine/);
+    });
+    
+    test('should report a missing migration path', () => {
+        expect(() => migrator.migrate({ metadata: { version: '0.5.0' } }))
+            .toThrow('No migration path from save format 0.5.0');
+    });
+});
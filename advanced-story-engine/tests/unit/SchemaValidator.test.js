@@ -0,0 +1,161 @@
+const { parseJSONText, validate } = require('../../src/utils/SchemaValidator');
+const ResponseSchemas = require('../../src/utils/ResponseSchemas');
+const AIInterface = require('../../src/core/AIInterface');
+const { LLMProvider } = require('../../src/core/LLMProviders');
+const { AI_TASKS } = require('../../src/utils/Constants');
+
+class ScriptedProvider extends LLMProvider {
+    constructor(responses) {
+        super();
+        this.responses = responses;
+        this.prompts = [];
+    }
+
+    async generateText(prompt) {
+        this.prompts.push(prompt);
+        return this.responses[Math.min(this.prompts.length, this.responses.length) - 1];
+    }
+}
+
+const gameState = {
+    player: { currentLocation: 'village_square' },
+    entities: {},
+    worldState: { globalParameters: {}, temporal: {}, events: { current: [] }, information: { rumorMill: [] } }
+};
+
+describe('parseJSONText', () => {
+    test('should strip code fences, prose and trailing commas', () => {
+        const text = 'Here you go:\n```json\n{"entities": {"npcs": [{"id": "ada",},],},}\n```\nLet me know if you need more {help}.';
+
+        const { value, repairs } = parseJSONText(text);
+
+        expect(value).toEqual({ entities: { npcs: [{ id: 'ada' }] } });
+        expect(repairs).toEqual(['removed Markdown code fence', 'removed trailing comma']);
+    });
+
+    test('should not be confused by braces and commas inside strings', () => {
+        const { value } = parseJSONText('{"reason": "she said \\"{trust me,}\\"", "n": 1} {"second": true}');
+
+        expect(value).toEqual({ reason: 'she said "{trust me,}"', n: 1 });
+    });
+
+    test('should reject output without a complete object', () => {
+        expect(() => parseJSONText('{"entities": {')).toThrow(/did not contain a JSON object/);
+        expect(() => parseJSONText('{"a": }')).toThrow(/invalid JSON/);
+    });
+});
+
+describe('validate', () => {
+    const detectionSchema = ResponseSchemas[AI_TASKS.ENTITY_DETECTION];
+
+    test('should coerce common mistakes and report each repair', () => {
+        const result = validate({
+            entities: {
+                npcs: {
+                    id: 'Old Tom',
+                    name: 'Old Tom',
+                    age: '62',
+                    traits: 'grumpy',
+                    importance: 'High',
+                    mood: 'wary'
+                },
+                factions: [{ id: 'guild', name: 'Guild', influence: 140 }]
+            },
+            worldUpdates: { tension: '5', rumors: null },
+            commentary: 'extra'
+        }, detectionSchema);
+
+        expect(result.valid).toBe(true);
+        expect(result.value).toEqual({
+            entities: {
+                npcs: [{ id: 'old_tom', name: 'Old Tom', age: 62, traits: ['grumpy'], importance: 'high', mood: 'wary' }],
+                factions: [{ id: 'guild', name: 'Guild', influence: 100 }]
+            },
+            worldUpdates: { tension: 5 }
+        });
+        expect(result.repairs.map(repair => repair.path)).toEqual([
+            'entities.npcs',
+            'entities.npcs[0].id',
+            'entities.npcs[0].age',
+            'entities.npcs[0].traits',
+            'entities.npcs[0].importance',
+            'entities.factions[0].influence',
+            'worldUpdates.tension',
+            'worldUpdates.rumors',
+            'commentary'
+        ]);
+    });
+
+    test('should report unrepairable fields by path', () => {
+        const result = validate({
+            entities: { npcs: [{ id: 'ada', name: 'Ada' }, { id: 'bo', age: 'ancient', importance: 'legendary' }] },
+            relationships: [{ entity1: 'ada', entity2: 'bo' }]
+        }, detectionSchema);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            { path: 'entities.npcs[1].name', message: 'is required' },
+            { path: 'entities.npcs[1].age', message: 'expected a number, got "ancient"' },
+            { path: 'entities.npcs[1].importance', message: 'expected one of low, medium, high, critical, got "legendary"' },
+            { path: 'relationships[0].type', message: 'is required' }
+        ]);
+    });
+
+    test('should validate map-like objects with additionalProperties', () => {
+        const result = validate({
+            consequences: {
+                immediate: { factionStandings: { merchants_guild: '+3', thieves: 'lots' } },
+                worldEffects: { tension: 2.5 }
+            }
+        }, ResponseSchemas[AI_TASKS.CONSEQUENCE_ANALYSIS]);
+
+        expect(result.value.consequences.immediate.factionStandings).toEqual({ merchants_guild: 3 });
+        expect(result.value.consequences.worldEffects).toEqual({ tension: 2.5 });
+        expect(result.errors).toEqual([
+            { path: 'consequences.immediate.factionStandings.thieves', message: 'expected a number, got "lots"' }
+        ]);
+    });
+});
+
+describe('AIInterface structured output', () => {
+    const invalid = '{"entities": {"npcs": [{"id": "bo", "age": "ancient"}]}}';
+    const valid = '```json\n{"entities": {"npcs": [{"id": "bo", "name": "Bo", "age": "70"}]}}\n```';
+
+    test('should re-prompt once with the validation errors', async () => {
+        const provider = new ScriptedProvider([invalid, valid]);
+        const ai = new AIInterface(null, { provider, repromptOnInvalid: true });
+
+        const detection = await ai.detectEntities('I greet Bo', 'A village square', gameState);
+
+        expect(detection.entities.npcs).toEqual([{ id: 'bo', name: 'Bo', age: 70 }]);
+        expect(provider.prompts).toHaveLength(2);
+        expect(provider.prompts[1]).toContain('- entities.npcs[0].name: is required');
+        expect(provider.prompts[1]).toContain('- entities.npcs[0].age: expected a number, got "ancient"');
+        expect(ai.drainFallbacks()).toEqual([]);
+    });
+
+    test('should fall back when the output stays invalid', async () => {
+        const provider = new ScriptedProvider([invalid]);
+        const ai = new AIInterface(null, { provider, repromptOnInvalid: true });
+
+        const detection = await ai.detectEntities('I greet Bo', 'A village square', gameState);
+
+        expect(detection).toEqual({ entities: {}, relationships: [], worldUpdates: {} });
+        expect(provider.prompts).toHaveLength(2);
+        expect(ai.drainFallbacks()).toEqual([expect.objectContaining({
+            task: AI_TASKS.ENTITY_DETECTION,
+            errorClass: 'invalid_response',
+            reason: expect.stringContaining('entities.npcs[0].name: is required')
+        })]);
+    });
+
+    test('should not re-prompt unless enabled', async () => {
+        const provider = new ScriptedProvider(['The model refused.', valid]);
+        const ai = new AIInterface(null, { provider });
+
+        await ai.analyzeConsequences('I wait', 'wait', gameState);
+
+        expect(provider.prompts).toHaveLength(1);
+        expect(ai.drainFallbacks()[0].reason).toMatch(/did not contain a JSON object/);
+    });
+});
@@ -0,0 +1,119 @@
+const StoryEngine = require('../../src/core/StoryEngine');
+const SkillCheckSystem = require('../../src/systems/SkillCheckSystem');
+const { describeSkillCheck } = require('../../src/systems/SkillCheckSystem');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { SeededRandom } = require('../../src/utils/Random');
+const { Player } = require('../../src/utils/DataStructures');
+const { CHECK_OUTCOMES } = require('../../src/utils/Constants');
+
+async function createEngine(seed = 'dice') {
+    const engine = new StoryEngine(null, {
+        aiOptions: { provider: 'offline', seed },
+        storage: new MemoryStorageAdapter()
+    });
+    await engine.initialize();
+    return engine;
+}
+
+function withRoll(roll, callback) {
+    const spy = jest.spyOn(SeededRandom.prototype, 'int').mockReturnValue(roll);
+    try {
+        return callback();
+    } finally {
+        spy.mockRestore();
+    }
+}
+
+describe('SkillCheckSystem', () => {
+    test('should roll the same dice for the same seed and turn', async () => {
+        const engine = await createEngine();
+        const other = new SkillCheckSystem(engine.entityManager, engine.relationshipGraph, { seed: 'dice' });
+
+        const rolls = system => [1, 2, 3, 4, 5, 6].map(turn => system.attempt({ skill: 'knowledge', turn }).roll);
+
+        expect(rolls(other)).toEqual(rolls(engine.skillCheckSystem));
+        expect(new Set(rolls(other)).size).toBeGreaterThan(1);
+    });
+
+    test('should grade outcomes from critical failure to critical success', async () => {
+        const { skillCheckSystem } = await createEngine();
+        const grade = roll => withRoll(roll, () => skillCheckSystem.attempt({ skill: 'knowledge', difficulty: 'moderate' }));
+
+        // knowledge 10 adds 1 against a DC of 12
+        expect(grade(1).outcome).toBe(CHECK_OUTCOMES.CRITICAL_FAILURE);
+        expect(grade(5).outcome).toBe(CHECK_OUTCOMES.FAILURE);
+        expect(grade(8)).toMatchObject({ total: 9, margin: -3, outcome: CHECK_OUTCOMES.PARTIAL_SUCCESS });
+        expect(grade(11)).toMatchObject({ total: 12, dc: 12, outcome: CHECK_OUTCOMES.SUCCESS });
+        expect(grade(20).outcome).toBe(CHECK_OUTCOMES.CRITICAL_SUCCESS);
+    });
+
+    test('should add modifiers from skill, reputation, items and standing', async () => {
+        const engine = await createEngine();
+        engine.player.skills.combat = 35;
+        engine.player.reputation.heroic = 50;
+        engine.relationshipGraph.setPlayerStanding('village_elder', { value: 60 });
+
+        const targets = engine.skillCheckSystem.findTargets('I draw my sword to defend Elder Thane');
+        expect(targets).toEqual(['village_elder']);
+
+        expect(engine.skillCheckSystem.getModifiers('combat', targets)).toEqual([
+            { source: 'skill', label: 'combat skill', value: 3 },
+            { source: 'reputation', label: 'heroic reputation', value: 2 },
+            { source: 'item', label: 'Rusty Iron Sword', value: 1 },
+            { source: 'relationship', label: 'standing with Elder Thane', value: 3 }
+        ]);
+
+        engine.relationshipGraph.setPlayerStanding('village_elder', { value: -100 });
+        expect(engine.skillCheckSystem.getModifiers('diplomacy', targets)).toEqual([
+            { source: 'skill', label: 'diplomacy skill', value: 1 },
+            { source: 'relationship', label: 'standing with Elder Thane', value: -3 }
+        ]);
+    });
+
+    test('should grant skill experience for successes only', async () => {
+        const { skillCheckSystem, player } = await createEngine();
+
+        const failure = withRoll(2, () => skillCheckSystem.attempt({ skill: 'stealth' }));
+        expect(failure.experience).toEqual({ gained: 0, skillPoints: 0 });
+
+        withRoll(15, () => skillCheckSystem.attempt({ skill: 'stealth' }));
+        const second = withRoll(15, () => skillCheckSystem.attempt({ skill: 'stealth' }));
+
+        expect(second.experience).toEqual({ gained: 5, skillPoints: 1 });
+        expect(player.skills.stealth).toBe(11);
+        expect(player.skillExperience.stealth).toBe(0);
+        expect(new Player(player.toJSON()).skillExperience).toEqual(player.skillExperience);
+    });
+
+    test('should describe the check for the story prompt', () => {
+        expect(describeSkillCheck({
+            skill: 'stealth',
+            difficulty: 'very_hard',
+            dc: 20,
+            roll: 9,
+            modifiers: [{ source: 'skill', label: 'stealth skill', value: 2 }, { source: 'relationship', label: 'standing with Mira', value: -1 }],
+            total: 10,
+            outcome: CHECK_OUTCOMES.CRITICAL_FAILURE
+        })).toBe('The player attempted a stealth check (very hard, DC 20): rolled 9, +2 stealth skill, -1 standing with Mira = 10. ' +
+            'Outcome: critical failure. The action fails badly and makes things worse.');
+        expect(describeSkillCheck(null)).toBe('No roll was needed for this action.');
+    });
+
+    test('should roll for a numbered choice and pass the outcome to the narrative', async () => {
+        const engine = await createEngine();
+        const opening = await engine.processPlayerChoice('I look around the square');
+        expect(opening.skillCheck).toBeNull();
+
+        const choice = opening.choices.find(option => option.risk === 'high');
+        const prompt = jest.spyOn(engine.aiInterface.prompts, 'storyGeneration');
+        const result = await engine.processPlayerChoice(String(choice.index));
+        const [, , promptCheck] = prompt.mock.calls[0];
+        prompt.mockRestore();
+
+        expect(result.skillCheck).toMatchObject({ skill: choice.skill, difficulty: 'hard', dc: 16 });
+        expect(promptCheck).toBe(result.skillCheck);
+        expect(engine.aiInterface.buildStoryGenerationPrompt('I wait', engine.compileGameState(), result.skillCheck))
+            .toContain(`SKILL CHECK: ${describeSkillCheck(result.skillCheck)}`);
+        expect(engine.gameState.currentScene.skillCheck).toBe(result.skillCheck);
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FileStorageAdapter, MemoryStorageAdapter, normalizeSlotName } = require('../../src/utils/StorageAdapters');
+
+describe('StorageAdapters', () => {
+    describe('normalizeSlotName', () => {
+        test('should strip a trailing .json extension', () => {
+            expect(normalizeSlotName('test-world.json')).toBe('test-world');
+            expect(normalizeSlotName('default')).toBe('default');
+        });
+        
+        test('should reject path traversal and empty names', () => {
+            expect(() => normalizeSlotName('../outside')).toThrow('Invalid slot name');
+            expect(() => normalizeSlotName('nested/slot')).toThrow('Invalid slot name');
+            expect(() => normalizeSlotName('  ')).toThrow('Slot name must be a non-empty string');
+        });
+    });
+    
+    describe('MemoryStorageAdapter', () => {
+        let storage;
+        
+        beforeEach(() => {
+            storage = new MemoryStorageAdapter();
+        });
+        
+        test('should store copies rather than references', async () => {
+            const data = { metadata: { slot: 'a' }, value: 1 };
+            await storage.write('a', data);
+            data.value = 2;
+            
+            const loaded = await storage.read('a');
+            
+            expect(loaded.value).toBe(1);
+        });
+        
+        test('should list, read metadata and delete slots', async () => {
+            await storage.write('b', { metadata: { gameTime: 2 } });
+            await storage.write('a', { metadata: { gameTime: 1 } });
+            
+            expect(await storage.list()).toEqual(['a', 'b']);
+            expect(await storage.readMetadata('b')).toEqual({ gameTime: 2 });
+            expect(await storage.delete('a')).toBe(true);
+            expect(await storage.delete('a')).toBe(false);
+            expect(await storage.exists('a')).toBe(false);
+            expect(await storage.read('a')).toBeNull();
+        });
+    });
+    
+    describe('FileStorageAdapter', () => {
+        let directory;
+        let storage;
+        
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'story-saves-'));
+            storage = new FileStorageAdapter({ directory });
+        });
+        
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+        
+        test('should write one JSON file per slot', async () => {
+            await storage.write('test-world.json', { metadata: { slot: 'test-world' }, value: 42 });
+            
+            const contents = JSON.parse(await fs.readFile(path.join(directory, 'test-world.json'), 'utf8'));
+            
+            expect(contents.value).toBe(42);
+            expect(await storage.list()).toEqual(['test-world']);
+            expect(await storage.readMetadata('test-world')).toEqual({ slot: 'test-world' });
+        });
+        
+        test('should not leave temporary files behind', async () => {
+            await storage.write('default', { value: 1 });
+            await storage.write('default', { value: 2 });
+            
+            expect((await fs.readdir(directory)).sort()).toEqual(['default.json', 'default.meta']);
+            expect((await storage.read('default')).value).toBe(2);
+        });
+        
+        test('should keep the previous save when a write fails', async () => {
+            await storage.write('default', { value: 1 });
+            
+            const circular = {};
+            circular.self = circular;
+            
+            await expect(storage.write('default', circular)).rejects.toThrow('Failed to write save file');
+            expect((await storage.read('default')).value).toBe(1);
+            expect((await fs.readdir(directory)).sort()).toEqual(['default.json', 'default.meta']);
+        });
+        
+        test('should read metadata without reading the whole save', async () => {
+            await storage.write('default', { metadata: { gameTime: 3 }, value: 1 });
+            const readFile = jest.spyOn(fs, 'readFile');
+            
+            try {
+                expect(await storage.readMetadata('default')).toEqual({ gameTime: 3 });
+                expect(readFile.mock.calls.map(([file]) => path.basename(file))).toEqual(['default.meta']);
+            } finally {
+                readFile.mockRestore();
+            }
+            
+            await fs.unlink(path.join(directory, 'default.meta'));
+            expect(await storage.readMetadata('default')).toEqual({ gameTime: 3 });
+            expect(await storage.list()).toEqual(['default']);
+            expect(await storage.delete('default')).toBe(true);
+            expect(await fs.readdir(directory)).toEqual([]);
+        });
+        
+        test('should return null or empty results for missing data', async () => {
+            const missing = new FileStorageAdapter({ directory: path.join(directory, 'missing') });
+            
+            expect(await missing.list()).toEqual([]);
+            expect(await missing.read('default')).toBeNull();
+            expect(await missing.delete('default')).toBe(false);
+        });
+        
+        test('should report corrupted save files', async () => {
+            await fs.writeFile(path.join(directory, 'broken.json'), '{"metadata": ');
+            
+            await expect(storage.read('broken')).rejects.toThrow('is not valid JSON');
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const { UsageMeter, BUDGET_STATES } = require('../../src/core/UsageMeter');
+const AIInterface = require('../../src/core/AIInterface');
+const StoryEngine = require('../../src/core/StoryEngine');
+const { LLMProvider } = require('../../src/core/LLMProviders');
+const { MemoryStorageAdapter } = require('../../src/utils/StorageAdapters');
+const { AppError } = require('../../src/utils/errorHandler');
+const logger = require('../../src/utils/logger');
+
+class MeteredProvider extends LLMProvider {
+    constructor() {
+        super();
+        this.calls = 0;
+    }
+
+    async generateText(prompt, context = {}) {
+        this.calls++;
+        context.onUsage?.({ promptTokens: 100, completionTokens: 20 });
+        return 'The rain keeps falling.';
+    }
+}
+
+const gameState = {
+    player: { currentLocation: 'village_square' },
+    entities: {},
+    worldState: { globalParameters: {}, temporal: {}, events: { current: [] }, information: { rumorMill: [] } }
+};
+
+describe('UsageMeter', () => {
+    test('should count calls per task, estimating tokens the provider did not report', () => {
+        const meter = new UsageMeter();
+
+        meter.record({ task: 'storyGeneration', prompt: 'x'.repeat(40), response: 'y'.repeat(8), latencyMs: 300 });
+        meter.record({
+            task: 'storyGeneration',
+            prompt: 'x'.repeat(40),
+            response: 'ok',
+            usage: { promptTokens: 15, completionTokens: 1 },
+            latencyMs: 100
+        });
+        meter.record({ task: 'entityDetection', prompt: 'x'.repeat(4), latencyMs: 50, failed: true });
+
+        const report = meter.getReport();
+        expect(report.byTask.storyGeneration).toEqual({
+            calls: 2,
+            failures: 0,
+            promptChars: 80,
+            responseChars: 10,
+            promptTokens: 25,
+            completionTokens: 3,
+            totalTokens: 28,
+            reportedCalls: 1,
+            totalLatencyMs: 400,
+            averageLatencyMs: 200,
+            maxLatencyMs: 300
+        });
+        expect(report.totals).toMatchObject({ calls: 3, failures: 1, totalTokens: 29, reportedCalls: 1, maxLatencyMs: 300 });
+        expect(report.budget).toEqual({ softTokens: null, hardTokens: null, softCalls: null, hardCalls: null, state: BUDGET_STATES.OK });
+    });
+
+    test('should warn once at the soft limit and report the hard limit as exhausted', () => {
+        const warn = jest.spyOn(logger, 'warn');
+        const meter = new UsageMeter({ softTokens: 10, hardCalls: 3 });
+        const call = { task: 'storyGeneration', prompt: 'x'.repeat(40), latencyMs: 1 };
+
+        meter.record(call);
+        meter.record(call);
+        expect(meter.getBudgetState()).toBe(BUDGET_STATES.SOFT_LIMIT);
+        expect(meter.isExhausted()).toBe(false);
+
+        meter.record(call);
+        expect(meter.isExhausted()).toBe(true);
+        expect(warn.mock.calls.map(([message]) => message)).toEqual([
+            'AI usage passed the soft budget',
+            'AI usage budget spent; no more model calls this session'
+        ]);
+
+        warn.mockRestore();
+    });
+});
+
+describe('AIInterface usage budgets', () => {
+    test('should record provider-reported usage for each call', async () => {
+        const ai = new AIInterface('key', { provider: new MeteredProvider() });
+
+        await ai.generateStory('I wait', gameState);
+
+        expect(ai.getStatus().usage.byTask.storyGeneration).toMatchObject({
+            calls: 1,
+            promptTokens: 100,
+            completionTokens: 20,
+            reportedCalls: 1
+        });
+    });
+
+    test('should record failed calls', async () => {
+        const provider = new MeteredProvider();
+        provider.generateText = jest.fn().mockRejectedValue(new AppError('bad request', 400));
+        const ai = new AIInterface('key', { provider });
+
+        await ai.generateStory('I wait', gameState);
+
+        expect(ai.getStatus().usage.totals).toMatchObject({ calls: 1, failures: 1 });
+    });
+
+    test('should use the fallbacks instead of the model once the hard budget is spent', async () => {
+        const provider = new MeteredProvider();
+        const ai = new AIInterface('key', { provider, usageBudget: { hardTokens: 100 } });
+
+        await ai.generateStory('I wait', gameState);
+        const story = await ai.generateStory('I wait some more', gameState);
+        const analysis = await ai.analyzeConsequences('I wait', 'wait', gameState);
+
+        expect(provider.calls).toBe(1);
+        expect(story).toContain('Error in narrative generation');
+        expect(analysis).toEqual({ consequences: {}, impacts: [] });
+        expect(ai.drainFallbacks()).toEqual([
+            expect.objectContaining({ task: 'storyGeneration', errorClass: 'budget' }),
+            expect.objectContaining({ task: 'consequenceAnalysis', errorClass: 'budget' })
+        ]);
+        expect(ai.callPolicy.getStatus().state).toBe('closed');
+    });
+
+    test('should switch to the offline provider when configured to', async () => {
+        const provider = new MeteredProvider();
+        const ai = new AIInterface('key', { provider, usageBudget: { hardCalls: 1, onExhausted: 'offline' } });
+
+        await ai.generateStory('I wait', gameState);
+        const story = await ai.generateStory('I wait some more', gameState);
+
+        expect(provider.calls).toBe(1);
+        expect(story).not.toContain('Error in narrative generation');
+        expect(ai.drainFallbacks()).toEqual([]);
+        expect(ai.getStatus().usage.totals.calls).toBe(1);
+    });
+});
+
+describe('StoryEngine usage status', () => {
+    test('should surface usage and mark the AI degraded once the budget is spent', async () => {
+        const engine = new StoryEngine(null, {
+            aiOptions: { provider: 'offline', usageBudget: { hardCalls: 2 } },
+            storage: new MemoryStorageAdapter()
+        });
+        await engine.initialize();
+
+        const result = await engine.processPlayerChoice('I look around the square');
+        const status = engine.getSystemStatus();
+
+        expect(status.ai.usage.totals.calls).toBe(2);
+        expect(status.ai.usage.budget.state).toBe(BUDGET_STATES.EXHAUSTED);
+        expect(status.systems.aiInterface).toBe('degraded');
+        expect(result.aiFallbacks).toEqual([expect.objectContaining({ task: 'storyGeneration', errorClass: 'budget' })]);
+    });
+});
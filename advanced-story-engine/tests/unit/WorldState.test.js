@@ -0,0 +1,189 @@
+const WorldState = require('../../src/core/WorldState');
+const CreationSystem = require('../../src/systems/CreationSystem');
+const { resolveParameter, WORLD_PARAMETER_NAMES } = require('../../src/utils/WorldParameters');
+const { ACTION_TIME_COSTS } = require('../../src/utils/Constants');
+
+describe('WorldState parameters', () => {
+    let worldState;
+
+    beforeEach(() => {
+        worldState = new WorldState();
+    });
+
+    test('should resolve canonical names, constant keys and aliases', () => {
+        expect(['globalTension', 'GLOBAL_TENSION', 'global_tension', 'tension', 'Tension'].map(resolveParameter))
+            .toEqual(Array(5).fill('globalTension'));
+        expect(resolveParameter('weirdness')).toBeNull();
+
+        worldState.updateGlobalParameter('tension', 5);
+        worldState.updateGlobalParameter('GLOBAL_TENSION', 5);
+        expect(worldState.getGlobalParameter('globalTension')).toBe(40);
+        expect(worldState.globalParameters.tension).toBe(40);
+        expect(Object.keys(worldState.exportWorldState().globalParameters)).toEqual(WORLD_PARAMETER_NAMES);
+    });
+
+    test('should set absolute values and apply deltas within bounds', () => {
+        expect(worldState.setGlobalParameter('crime', 95, 'Gang war')).toBe(95);
+        expect(worldState.updateGlobalParameter('crimeRate', 20)).toBe(100);
+        expect(worldState.setGlobalParameter('economy', -10)).toBe(0);
+
+        expect(worldState.history.worldChanges.map(({ parameter, oldValue, newValue, change }) => ({ parameter, oldValue, newValue, change })))
+            .toEqual([
+                { parameter: 'crimeRate', oldValue: 30, newValue: 95, change: 65 },
+                { parameter: 'crimeRate', oldValue: 95, newValue: 100, change: 20 },
+                { parameter: 'economicState', oldValue: 50, newValue: 0, change: -60 }
+            ]);
+    });
+
+    test('should reject unknown parameters', () => {
+        expect(() => worldState.updateGlobalParameter('weirdness', 5)).toThrow(expect.objectContaining({
+            statusCode: 400,
+            code: 'UNKNOWN_WORLD_PARAMETER'
+        }));
+        expect(() => worldState.setGlobalParameter('', 5)).toThrow(/Unknown world parameter/);
+        expect(() => worldState.updateGlobalParameter('tension', 'a lot')).toThrow(/Change must be a valid number/);
+        expect(worldState.history.worldChanges).toEqual([]);
+    });
+
+    test('should upgrade aliased keys when importing', () => {
+        worldState.importWorldState({ globalParameters: { tension: 75, magic: 60, weirdness: 3 } });
+
+        expect(worldState.globalParameters).toMatchObject({ globalTension: 75, magicalActivity: 60, politicalStability: 80 });
+        expect(worldState.globalParameters).not.toHaveProperty('weirdness');
+    });
+
+    test('should let AI world updates reach every parameter', async () => {
+        const creationSystem = new CreationSystem(null, null, worldState, null, {});
+        const updates = Object.fromEntries(WORLD_PARAMETER_NAMES.map(name => [name, 1]));
+
+        await creationSystem.applyWorldUpdates({ ...updates, tension: 1, weirdness: 5, rumors: ['Odd lights'] });
+
+        expect(worldState.globalParameters.globalTension).toBe(32);
+        expect(worldState.globalParameters.culturalUnity).toBe(71);
+        expect(worldState.history.worldChanges.filter(change => change.type === 'parameter_change')).toHaveLength(11);
+        expect(worldState.information.rumorMill).toHaveLength(1);
+    });
+});
+
+describe('WorldState influences', () => {
+    let worldState;
+
+    const influenceChanges = parameter => worldState.history.worldChanges
+        .filter(change => change.cause?.type === 'influence' && change.parameter === parameter);
+
+    beforeEach(() => {
+        worldState = new WorldState();
+    });
+
+    test('should leave a world at its defaults alone', () => {
+        worldState.advanceTime(3, 'hour');
+
+        expect(worldState.applyInfluences()).toEqual([]);
+        expect(worldState.history.worldChanges.map(change => change.type)).toEqual(['time_advancement']);
+    });
+
+    test('should record each propagated change with its causal source', () => {
+        worldState.globalParameters.globalTension = 80;
+
+        worldState.advanceTime(1, 'hour');
+
+        expect(worldState.globalParameters.politicalStability).toBe(79);
+        expect(influenceChanges('politicalStability')).toEqual([expect.objectContaining({
+            type: 'parameter_change',
+            oldValue: 80,
+            newValue: 79,
+            reason: 'Unrest erodes political stability',
+            cause: {
+                type: 'influence',
+                sources: [{ parameter: 'globalTension', value: 80, description: 'Unrest erodes political stability' }]
+            }
+        })]);
+    });
+
+    test('should tick once per in-game hour, so longer actions move the world further', () => {
+        const afterAction = minutes => {
+            const world = new WorldState();
+            world.globalParameters.globalTension = 80;
+            world.advanceTime(minutes, 'minute');
+            return world.globalParameters.politicalStability;
+        };
+
+        expect(afterAction(ACTION_TIME_COSTS.talk)).toBe(80);
+        expect(afterAction(ACTION_TIME_COSTS.search)).toBe(79);
+        expect(afterAction(ACTION_TIME_COSTS.travel)).toBe(76);
+        expect(afterAction(ACTION_TIME_COSTS.rest)).toBeLessThan(afterAction(ACTION_TIME_COSTS.travel));
+
+        // Short actions add up to a tick once an hour begins between them
+        worldState.globalParameters.globalTension = 80;
+        [1, 2, 3, 4].forEach(() => worldState.advanceTime(ACTION_TIME_COSTS.talk, 'minute'));
+        expect(worldState.globalParameters.politicalStability).toBe(79);
+
+        // A month is capped at a day's worth of ticks
+        worldState.advanceTime(1, 'month');
+        expect(influenceChanges('politicalStability')).toHaveLength(1 + 24);
+    });
+
+    test('should damp and cap the combined pull on a parameter', () => {
+        Object.assign(worldState.globalParameters, { globalTension: 100, crimeRate: 100, naturalDisasterRisk: 100, monsterActivity: 100 });
+
+        const changes = worldState.applyInfluences();
+        const economy = changes.find(change => change.parameter === 'economicState');
+
+        expect(economy).toMatchObject({ oldValue: 50, newValue: 47, change: -3 });
+        expect(economy.sources.map(source => source.parameter)).toEqual(['globalTension', 'crimeRate', 'monsterActivity', 'naturalDisasterRisk']);
+        changes.forEach(change => expect(Math.abs(change.change)).toBeLessThanOrEqual(3));
+    });
+
+    test('should cascade across ticks and stop at the bounds', () => {
+        worldState.globalParameters.globalTension = 100;
+
+        // Every influence reads the values from before the tick
+        worldState.applyInfluences();
+        expect(influenceChanges('crimeRate')).toEqual([]);
+
+        for (let tick = 0; tick < 60; tick++) {
+            worldState.applyInfluences();
+        }
+
+        expect(worldState.globalParameters.politicalStability).toBe(0);
+        expect(worldState.globalParameters.crimeRate).toBeGreaterThan(30);
+        expect(influenceChanges('crimeRate')[0].cause.sources.map(source => source.parameter)).toContain('politicalStability');
+
+        const recorded = worldState.history.worldChanges.length;
+        worldState.applyInfluences();
+        expect(influenceChanges('politicalStability').slice(-1)[0].newValue).toBe(0);
+        expect(worldState.history.worldChanges.slice(recorded).map(change => change.parameter)).not.toContain('politicalStability');
+    });
+
+    test('should settle from an extreme start without oscillating', () => {
+        Object.assign(worldState.globalParameters, { globalTension: 100, magicalActivity: 100, technologyLevel: 100, religiousZeal: 100 });
+        const names = Object.keys(worldState.exportWorldState().globalParameters);
+        const series = [{ ...worldState.globalParameters }];
+
+        for (let tick = 0; tick < 200; tick++) {
+            worldState.applyInfluences();
+            series.push({ ...worldState.globalParameters });
+        }
+
+        names.forEach(name => {
+            const steps = series.slice(1).map((values, tick) => Math.sign(values[name] - series[tick][name])).filter(Boolean);
+            expect(new Set(steps).size).toBeLessThanOrEqual(1);
+            series.forEach(values => {
+                expect(values[name]).toBeGreaterThanOrEqual(0);
+                expect(values[name]).toBeLessThanOrEqual(100);
+            });
+        });
+        expect(worldState.applyInfluences()).toEqual([]);
+
+        const influenced = worldState.history.worldChanges.filter(change => change.cause?.type === 'influence');
+        expect(influenced.length).toBeGreaterThan(0);
+        influenced.forEach(change => {
+            expect(change.cause.sources.length).toBeGreaterThan(0);
+            change.cause.sources.forEach(source => expect(source).toEqual({
+                parameter: expect.any(String),
+                value: expect.any(Number),
+                description: expect.any(String)
+            }));
+        });
+    });
+});